@@ -0,0 +1,289 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+const { MAX_HORIZON_HOURS } = require('./risk-assessment.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const HOUR = 60 * 60 * 1000;
+
+// Safe windows are searched this far ahead of now
+const WINDOW_HOURS = 48;
+const MAX_DURATION_HOURS = 72;
+
+// Active hazards this close to the location stop or restrict the activity for
+// the next few hours; after that the forecast speaks for itself
+const HAZARD_RADIUS_KM = 50;
+const HAZARD_HOURS = 6;
+
+const METRIC_UNITS = { windSpeed: 'km/h', waveHeight: 'm', visibility: 'km', stormRisk: '%' };
+
+// Metrics where a low value is the dangerous one
+const FALLING = ['visibility'];
+
+// Limits per activity as { caution, noGo }. Boating limits are for the
+// profile's default vessel size and scale with VESSEL_FACTORS.
+const ACTIVITY_PROFILES = {
+  fishing: {
+    label: 'Fishing',
+    vessel: 'small',
+    limits: {
+      windSpeed: { caution: 30, noGo: 45 },
+      waveHeight: { caution: 1.5, noGo: 2.5 },
+      visibility: { caution: 2, noGo: 1 },
+      stormRisk: { caution: 40, noGo: 70 }
+    },
+    tips: [
+      'Tell someone ashore your fishing area and expected return time',
+      'Carry life jackets for everyone on board and a charged radio or phone',
+      'Keep within reach of a safe harbour'
+    ]
+  },
+  small_craft: {
+    label: 'Small craft',
+    vessel: 'small',
+    limits: {
+      windSpeed: { caution: 25, noGo: 40 },
+      waveHeight: { caution: 1, noGo: 2 },
+      visibility: { caution: 2, noGo: 1 },
+      stormRisk: { caution: 30, noGo: 60 }
+    },
+    tips: [
+      'File a float plan before leaving',
+      'Wear a life jacket at all times',
+      'Check fuel, bilge pump and navigation lights'
+    ]
+  },
+  swimming: {
+    label: 'Swimming',
+    vessel: null,
+    limits: {
+      windSpeed: { caution: 20, noGo: 35 },
+      waveHeight: { caution: 0.8, noGo: 1.5 },
+      visibility: { caution: 1, noGo: 0.5 },
+      stormRisk: { caution: 20, noGo: 50 }
+    },
+    tips: [
+      'Swim at lifeguarded beaches and between the flags',
+      'Never swim alone',
+      'If caught in a rip current, swim parallel to the shore'
+    ]
+  },
+  shipping: {
+    label: 'Shipping',
+    vessel: 'large',
+    limits: {
+      windSpeed: { caution: 60, noGo: 90 },
+      waveHeight: { caution: 4, noGo: 6 },
+      visibility: { caution: 1, noGo: 0.5 },
+      stormRisk: { caution: 60, noGo: 85 }
+    },
+    tips: [
+      'Follow port authority and coast guard advisories',
+      'Keep a continuous VHF watch',
+      'Review the route for cyclone tracks before sailing'
+    ]
+  }
+};
+
+// Wind and wave limits relative to a medium vessel
+const VESSEL_FACTORS = { small: 0.8, medium: 1, large: 1.5 };
+
+const LEVELS = ['go', 'caution', 'no-go'];
+
+function worst(a, b) {
+  return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+}
+
+// Limits for one activity and vessel size; null for names that are not ours
+function limitsFor(activity, vesselSize) {
+  if (!Object.hasOwn(ACTIVITY_PROFILES, activity)) return null;
+  const profile = ACTIVITY_PROFILES[activity];
+  if (!profile.vessel) return profile.limits;
+  if (!Object.hasOwn(VESSEL_FACTORS, vesselSize)) return null;
+
+  const factor = VESSEL_FACTORS[vesselSize] / VESSEL_FACTORS[profile.vessel];
+  const scale = limit => ({ caution: Math.round(limit.caution * factor * 10) / 10, noGo: Math.round(limit.noGo * factor * 10) / 10 });
+  return {
+    ...profile.limits,
+    windSpeed: scale(profile.limits.windSpeed),
+    waveHeight: scale(profile.limits.waveHeight)
+  };
+}
+
+// { activity, vesselSize, durationHours, departure } -> { request } with defaults
+// filled in, or { error, status }. departure defaults to now.
+function validateRequest(data, now = Date.now()) {
+  // Own keys only, so inherited names such as "constructor" are rejected too
+  const profile = Object.hasOwn(ACTIVITY_PROFILES, data.activity) ? ACTIVITY_PROFILES[data.activity] : null;
+  if (!profile) return { error: `activity must be one of: ${Object.keys(ACTIVITY_PROFILES).join(', ')}`, status: 400 };
+
+  const vesselSize = data.vesselSize || profile.vessel;
+  if (profile.vessel && !Object.hasOwn(VESSEL_FACTORS, vesselSize)) {
+    return { error: `vesselSize must be one of: ${Object.keys(VESSEL_FACTORS).join(', ')}`, status: 400 };
+  }
+
+  const durationHours = data.durationHours === undefined ? 4 : Number(data.durationHours);
+  if (!isFinite(durationHours) || durationHours <= 0 || durationHours > MAX_DURATION_HOURS) {
+    return { error: `durationHours must be a number above 0 and at most ${MAX_DURATION_HOURS}`, status: 400 };
+  }
+
+  const departure = data.departure ? new Date(data.departure).getTime() : now;
+  if (isNaN(departure)) return { error: 'departure must be an ISO 8601 time', status: 400 };
+  const start = Math.floor(now / HOUR) * HOUR;
+  if (departure < start) return { error: 'departure must not be in the past', status: 400 };
+  if (departure + durationHours * HOUR > start + MAX_HORIZON_HOURS * HOUR) {
+    return { error: `The trip must end within ${MAX_HORIZON_HOURS} hours`, status: 400 };
+  }
+
+  return {
+    request: {
+      activity: data.activity,
+      vesselSize: profile.vessel ? vesselSize : null,
+      durationHours,
+      departure: new Date(departure).toISOString()
+    }
+  };
+}
+
+// Timeline hours needed for an advisory: the safe-window search and the whole trip
+function horizonHours(request, now = Date.now()) {
+  const start = Math.floor(now / HOUR) * HOUR;
+  const end = new Date(request.departure).getTime() + request.durationHours * HOUR;
+  return Math.min(MAX_HORIZON_HOURS, Math.max(WINDOW_HOURS, Math.ceil((end - start) / HOUR)));
+}
+
+// Level of one hour and the limits its conditions exceed. Hours without wind
+// or wave data are caution: no data is not the same as calm.
+function assessHour(entry, limits, hazards) {
+  let level = 'go';
+  const exceeded = [];
+
+  Object.entries(limits).forEach(([metric, limit]) => {
+    const value = entry.conditions[metric];
+    if (value === null || value === undefined) return;
+    const beyond = threshold => (FALLING.includes(metric) ? value < threshold : value > threshold);
+    const metricLevel = beyond(limit.noGo) ? 'no-go' : beyond(limit.caution) ? 'caution' : 'go';
+    if (metricLevel === 'go') return;
+    level = worst(level, metricLevel);
+    exceeded.push({ metric, value, limit: metricLevel === 'no-go' ? limit.noGo : limit.caution, level: metricLevel, units: METRIC_UNITS[metric] });
+  });
+
+  hazards.forEach(hazard => {
+    const hazardLevel = hazard.severity === 'high' || hazard.severity === 'critical' ? 'no-go' : 'caution';
+    level = worst(level, hazardLevel);
+    exceeded.push({ metric: 'hazard', value: hazard.title || hazard.type, severity: hazard.severity, level: hazardLevel });
+  });
+
+  if (entry.conditions.windSpeed === null && entry.conditions.waveHeight === null) {
+    level = worst(level, 'caution');
+    exceeded.push({ metric: 'data', value: 'No wind or wave data for this hour', level: 'caution' });
+  }
+
+  return { level, exceeded };
+}
+
+// Runs of consecutive 'go' hours that are long enough for the trip
+function safeWindows(hours, durationHours) {
+  const windows = [];
+  let run = null;
+  hours.forEach(hour => {
+    if (hour.level === 'go') {
+      if (run) run.hours++;
+      else run = { start: hour.time, hours: 1 };
+      return;
+    }
+    if (run) windows.push(run);
+    run = null;
+  });
+  if (run) windows.push(run);
+
+  return windows
+    .filter(window => window.hours >= durationHours)
+    .map(window => ({ ...window, end: new Date(new Date(window.start).getTime() + window.hours * HOUR).toISOString() }));
+}
+
+// Most severe value of each exceeded limit over the trip
+function tripLimits(hours) {
+  const byMetric = new Map();
+  hours.forEach(hour => hour.exceeded.forEach(limit => {
+    const key = limit.metric === 'hazard' ? `hazard:${limit.value}` : limit.metric;
+    const current = byMetric.get(key);
+    const worse = !current || LEVELS.indexOf(limit.level) > LEVELS.indexOf(current.level) ||
+      (limit.level === current.level && typeof limit.value === 'number' &&
+        (FALLING.includes(limit.metric) ? limit.value < current.value : limit.value > current.value));
+    if (worse) byMetric.set(key, { ...limit, at: hour.time });
+  }));
+  return [...byMetric.values()].sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level));
+}
+
+function describeLimit(limit) {
+  if (limit.metric === 'hazard') return `active ${limit.severity} hazard: ${limit.value}`;
+  if (limit.metric === 'data') return limit.value.toLowerCase();
+  const direction = FALLING.includes(limit.metric) ? 'below' : 'above';
+  return `${limit.metric} ${limit.value} ${limit.units} ${direction} the ${limit.level} limit of ${limit.limit} ${limit.units}`;
+}
+
+// Go / caution / no-go advice for one activity at a location. `risk` is an
+// assessRisk result covering horizonHours(request); hazards are
+// OceanMonitorAPI.hazards. The trip gets the worst level of the hours it
+// spans; safe windows are the stretches of 'go' hours in the next
+// WINDOW_HOURS that are at least as long as the trip.
+function adviseActivity({ request, location, risk, hazards = [], now = Date.now() }) {
+  const profile = ACTIVITY_PROFILES[request.activity];
+  const limits = limitsFor(request.activity, request.vesselSize);
+  const nearbyHazards = hazards
+    .filter(h => h.location && isFinite(h.location.lat))
+    .filter(h => calculateDistance(location, h.location) <= HAZARD_RADIUS_KM);
+
+  const hours = risk.timeline.map((entry, hour) => ({
+    time: entry.time,
+    conditions: entry.conditions,
+    ...assessHour(entry, limits, hour < HAZARD_HOURS ? nearbyHazards : [])
+  }));
+
+  const departure = new Date(request.departure).getTime();
+  const tripEnd = departure + request.durationHours * HOUR;
+  const trip = hours.filter(hour => {
+    const time = new Date(hour.time).getTime();
+    return time + HOUR > departure && time < tripEnd;
+  });
+
+  const verdict = trip.reduce((level, hour) => worst(level, hour.level), 'go');
+  const exceeded = tripLimits(trip);
+  const windowEnd = Math.floor(now / HOUR) * HOUR + WINDOW_HOURS * HOUR;
+  const windows = safeWindows(hours.filter(hour => new Date(hour.time).getTime() < windowEnd), request.durationHours);
+  const nextWindow = windows.find(window => new Date(window.end).getTime() - Math.max(departure, new Date(window.start).getTime()) >= request.durationHours * HOUR);
+  const nextSafeDeparture = nextWindow
+    ? new Date(Math.max(departure, new Date(nextWindow.start).getTime())).toISOString()
+    : null;
+
+  const label = request.vesselSize ? `${profile.label} (${request.vesselSize} vessel)` : profile.label;
+  let explanation;
+  if (verdict === 'go') {
+    explanation = `${label}: conditions stay within limits for the whole ${request.durationHours} h from ${request.departure}.`;
+  } else {
+    explanation = `${label}: ${verdict} because of ${exceeded.slice(0, 3).map(describeLimit).join('; ')}.`;
+    explanation += nextSafeDeparture
+      ? ` Next safe departure: ${nextSafeDeparture}.`
+      : ` No safe ${request.durationHours} h window in the next ${WINDOW_HOURS} hours.`;
+  }
+
+  return {
+    activity: request.activity,
+    vesselSize: request.vesselSize,
+    durationHours: request.durationHours,
+    departure: request.departure,
+    location,
+    verdict,
+    exceeded,
+    limits,
+    safeWindows: windows,
+    nextSafeDeparture,
+    explanation,
+    tips: verdict === 'no-go' ? ['Postpone the trip', ...profile.tips] : profile.tips,
+    hours: trip.map(({ time, level, conditions, exceeded }) => ({ time, level, conditions, exceeded })),
+    forecastPoint: risk.inputs.forecastPoint,
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+module.exports = { adviseActivity, validateRequest, horizonHours, limitsFor, ACTIVITY_PROFILES, VESSEL_FACTORS };
@@ -0,0 +1,111 @@
+// Browser-side session handling for the /api/users endpoints
+class AuthClient {
+  constructor() {
+    this.accessTokenKey = 'authToken';
+    this.refreshTokenKey = 'refreshToken';
+    this.userKey = 'user';
+  }
+
+  getUser() {
+    return JSON.parse(localStorage.getItem(this.userKey) || 'null');
+  }
+
+  getAccessToken() {
+    return localStorage.getItem(this.accessTokenKey);
+  }
+
+  hasRole(...roles) {
+    const user = this.getUser();
+    return !!user && roles.includes(user.role);
+  }
+
+  saveSession(result) {
+    localStorage.setItem(this.accessTokenKey, result.accessToken);
+    localStorage.setItem(this.refreshTokenKey, result.refreshToken);
+    localStorage.setItem(this.userKey, JSON.stringify(result.user));
+  }
+
+  clearSession() {
+    localStorage.removeItem(this.accessTokenKey);
+    localStorage.removeItem(this.refreshTokenKey);
+    localStorage.removeItem(this.userKey);
+  }
+
+  async register(userData) {
+    const response = await fetch('/api/users/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(userData)
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Registration failed');
+    return result.user;
+  }
+
+  async login(email, password) {
+    const response = await fetch('/api/users/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Login failed');
+
+    this.saveSession(result);
+    return result.user;
+  }
+
+  async refresh() {
+    const refreshToken = localStorage.getItem(this.refreshTokenKey);
+    if (!refreshToken) return false;
+
+    const response = await fetch('/api/users/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (!response.ok) {
+      this.clearSession();
+      return false;
+    }
+
+    this.saveSession(await response.json());
+    return true;
+  }
+
+  async logout() {
+    try {
+      await this.fetch('/api/users/logout', { method: 'POST' });
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  // fetch() with the bearer token attached; refreshes once on an expired token
+  async fetch(url, options = {}) {
+    const withToken = () => {
+      const headers = { ...(options.headers || {}) };
+      const token = this.getAccessToken();
+      if (token) headers.Authorization = `Bearer ${token}`;
+      return fetch(url, { ...options, headers });
+    };
+
+    const response = await withToken();
+    if (response.status === 401 && await this.refresh()) {
+      return withToken();
+    }
+    return response;
+  }
+}
+
+// Initialize auth client
+const authClient = new AuthClient();
+
+if (typeof window !== 'undefined') {
+  window.authClient = authClient;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuthClient;
+}
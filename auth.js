@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+
+// Roles offered on enhanced-signup.html
+const ROLES = ['citizen', 'official', 'responder', 'volunteer'];
+
+// Roles that can be requested at signup but only take effect once an official approves them
+const APPROVAL_REQUIRED_ROLES = ['official', 'responder'];
+
+// What a user can fill in about themselves at signup, with maximum lengths.
+// Everything else in the request (id, verified, passwordHash, ...) is ignored.
+const PROFILE_FIELDS = {
+  fullName: 100,
+  phone: 30,
+  location: 200,
+  language: 10,
+  profilePic: 2 * 1024 * 1024 // data URL from enhanced-signup.html
+};
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // seconds
+
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Password hashing (scrypt with a per-user salt)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Signed tokens (JWT, HS256)
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signToken(payload, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttl }));
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+    return payload.exp > Math.floor(Date.now() / 1000) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns { profile } with the whitelisted fields, or { error }
+function profileFields(data) {
+  const profile = {};
+  for (const [field, maxLength] of Object.entries(PROFILE_FIELDS)) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string' || value.length > maxLength) {
+      return { error: `${field} must be text of at most ${maxLength} characters` };
+    }
+    profile[field] = value.trim();
+  }
+  if (profile.profilePic && !/^data:image\/(png|jpeg|webp);base64,/.test(profile.profilePic)) {
+    return { error: 'profilePic must be a PNG, JPEG or WebP image' };
+  }
+  return { profile };
+}
+
+// Strip credentials before a user record leaves the server
+function publicUser(user) {
+  if (!user) return null;
+  const { password, passwordHash, ...rest } = user;
+  return rest;
+}
+
+class AuthService {
+  constructor(db) {
+    this.db = db;
+
+    if (!process.env.AUTH_SECRET) {
+      console.warn('AUTH_SECRET not set - using a random secret, sessions will not survive a restart');
+    }
+
+    // Bound so they can be passed straight to app.use / route definitions
+    this.authenticate = this.authenticate.bind(this);
+    this.requireAuth = this.requireAuth.bind(this);
+  }
+
+  register(data) {
+    const email = String(data.email || '').trim().toLowerCase();
+    const password = String(data.password || '');
+
+    if (!/^[^@\s]+@[^@\s]+$/.test(email)) return { error: 'A valid email address is required', status: 400 };
+    if (password.length < 6) return { error: 'Password must be at least 6 characters long', status: 400 };
+    if (this.db.users.find(u => u.email === email)) return { error: 'An account with this email already exists', status: 409 };
+
+    const { profile, error } = profileFields(data);
+    if (error) return { error, status: 400 };
+
+    const requestedRole = ROLES.includes(data.role) ? data.role : 'citizen';
+    const needsApproval = APPROVAL_REQUIRED_ROLES.includes(requestedRole);
+
+    const user = this.db.users.insert({
+      id: Date.now(),
+      ...profile,
+      email,
+      passwordHash: hashPassword(password),
+      role: needsApproval ? 'citizen' : requestedRole,
+      requestedRole: needsApproval ? requestedRole : null,
+      registeredAt: new Date().toISOString()
+    });
+
+    return { user: publicUser(user) };
+  }
+
+  login(email, password) {
+    const user = this.db.users.find(u => u.email === String(email || '').trim().toLowerCase());
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return { error: 'Invalid email or password', status: 401 };
+    }
+    return { user: publicUser(user), ...this.createSession(user) };
+  }
+
+  // Every refresh token rotated out of one login shares that login's familyId
+  createSession(user, familyId = null) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const id = crypto.randomUUID();
+    const session = this.db.sessions.insert({
+      id,
+      familyId: familyId || id,
+      userId: user.id,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+      revokedAt: null,
+      rotatedAt: null
+    });
+
+    return {
+      accessToken: signToken({ sub: user.id, sid: session.id, role: user.role }, ACCESS_TOKEN_TTL),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Rotate the refresh token: the old one is revoked whether or not it was still valid
+  refresh(refreshToken) {
+    const tokenHash = hashRefreshToken(String(refreshToken || ''));
+    const session = this.db.sessions.find(s => s.refreshTokenHash === tokenHash);
+    if (!session) return { error: 'Invalid or expired refresh token', status: 401 };
+
+    // A token that was already rotated has been copied; nobody can tell the
+    // owner from the thief, so every session descended from that login ends
+    if (session.rotatedAt) {
+      this.revokeFamily(session.familyId || session.id);
+      return { error: 'Refresh token was already used, please sign in again', status: 401 };
+    }
+    if (session.revokedAt || new Date(session.expiresAt) < new Date()) {
+      return { error: 'Invalid or expired refresh token', status: 401 };
+    }
+
+    const now = new Date().toISOString();
+    this.db.sessions.update(session.id, { revokedAt: now, rotatedAt: now });
+
+    const user = this.db.users.findById(session.userId);
+    if (!user) return { error: 'Account no longer exists', status: 401 };
+
+    return { user: publicUser(user), ...this.createSession(user, session.familyId || session.id) };
+  }
+
+  revokeFamily(familyId) {
+    const revokedAt = new Date().toISOString();
+    this.db.sessions
+      .filter(s => (s.familyId || s.id) === familyId && !s.revokedAt)
+      .forEach(s => this.db.sessions.update(s.id, { revokedAt }));
+  }
+
+  logout(sessionId) {
+    this.db.sessions.update(sessionId, { revokedAt: new Date().toISOString() });
+  }
+
+  setRole(userId, role) {
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}`, status: 400 };
+
+    const user = this.db.users.update(userId, { role, requestedRole: null });
+    if (!user) return { error: 'User not found', status: 404 };
+    return { user: publicUser(user) };
+  }
+
+  // Attach req.user when a valid bearer token is present; never rejects
+  authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const payload = header.startsWith('Bearer ') ? verifyToken(header.slice(7)) : null;
+
+    if (payload) {
+      const session = this.db.sessions.findById(payload.sid);
+      const user = session && !session.revokedAt ? this.db.users.findById(payload.sub) : null;
+      if (user) {
+        req.user = publicUser(user);
+        req.sessionId = session.id;
+      }
+    }
+    next();
+  }
+
+  requireAuth(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    next();
+  }
+
+  requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = {
+  ROLES,
+  PROFILE_FIELDS,
+  AuthService,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  publicUser
+};
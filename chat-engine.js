@@ -0,0 +1,645 @@
+const crypto = require('crypto');
+const { NLPEngine, tokenize, compileTerm, tokenMatches } = require('./nlp-engine.js');
+
+// Conversational queries for POST /api/ocean/chat. A message is parsed into
+// an intent and slots (location, time, activity, hazard type) using the same
+// term syntax as nlp-engine.js ('flood*' matches any token starting with
+// "flood"), in English, Hindi, Bengali and Tamil. Slots the message leaves
+// out come from earlier turns of the same session, so "and tomorrow?" or
+// "what about Kochi?" repeat the previous question with the new slot. Every
+// answer is built from the monitor's current data: point conditions,
+// forecast, risk timeline, hazards, verified reports and sensor readings.
+
+const HOUR = 60 * 60 * 1000;
+
+const SESSION_TTL = 30 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const HISTORY_LENGTH = 10;
+
+const NEARBY_KM = 50;
+const HAZARD_RADIUS_KM = 100;
+const POINT_RADIUS_KM = 300;
+const REPORT_HOURS = 24;
+const DEFAULT_DURATION_HOURS = 4;
+
+const LANGUAGES = ['en', 'hi', 'bn', 'ta'];
+
+// Checked in this order; the first intent with a matching term wins
+const INTENTS = {
+  emergency: ['emergency', 'sos', '112', 'rescue', 'drowning', 'mayday', 'मदद', 'बचाओ', 'आपातकाल*', 'madad', 'bachao',
+    'জরুরি', 'জরুরী', 'বাঁচাও', 'joruri', 'অবস্থা জরুরি', 'அவசர*', 'காப்பாற்று*', 'avasaram'],
+  hazards: ['hazard*', 'alert*', 'warning*', 'चेतावनी', 'chetavani', 'সতর্কবার্তা', 'সতর্কতা', 'satarkata', 'எச்சரிக்கை*', 'echarikkai'],
+  reports: ['report*', 'citizen*', 'रिपोर्ट*', 'riport', 'রিপোর্ট*', 'அறிக்கை*'],
+  sensors: ['sensor*', 'buoy*', 'reading*', 'gauge*', 'सेंसर', 'সেন্সর', 'சென்சார்*'],
+  risk: ['risk*', 'safe', 'safety', 'danger*', 'खतरा', 'खतरनाक', 'जोखिम', 'सुरक्षित', 'khatra', 'surakshit',
+    'নিরাপদ', 'বিপদ*', 'ঝুঁকি', 'nirapod', 'bipod', 'ஆபத்து*', 'அபாய*', 'பாதுகாப்பா*', 'aabathu'],
+  forecast: ['forecast*', 'predict*', 'improve*', 'will', 'later', 'upcoming', 'पूर्वानुमान', 'purvanuman',
+    'পূর্বাভাস', 'purbabhas', 'முன்னறிவிப்பு*'],
+  conditions: ['current*', 'now', 'conditions', 'weather', 'wind*', 'waves', 'temperature', 'visibility', 'मौसम', 'अभी', 'हवा', 'लहर*',
+    'mausam', 'abhi', 'আবহাওয়া', 'এখন', 'ঢেউ', 'abohawa', 'ekhon', 'வானிலை', 'இப்போது', 'அலை*', 'vaanilai', 'ippo'],
+  help: ['hello', 'hi', 'help', 'what can you do', 'नमस्ते', 'namaste', 'নমস্কার', 'வணக்கம்', 'vanakkam']
+};
+
+// Activities of activity-advisories.js
+const ACTIVITIES = {
+  fishing: ['fish*', 'angling', 'trawl*', 'मछली*', 'machli', 'machhli', 'মাছ*', 'machh', 'மீன்*', 'meenpidi*'],
+  shipping: ['ship', 'ships', 'shipping', 'cargo', 'freighter*', 'tanker*', 'जहाज*', 'jahaj', 'jahaz', 'জাহাজ*', 'கப்பல்*', 'kappal'],
+  small_craft: ['boat*', 'sail*', 'kayak*', 'yacht*', 'small craft', 'नाव*', 'naav', 'নৌকা*', 'nouka', 'படகு*', 'padagu'],
+  swimming: ['swim*', 'surf*', 'beach*', 'diving', 'तैर*', 'tairna', 'সাঁতার*', 'satar', 'நீச்சல்*', 'neechal']
+};
+
+// Hazard types the lexicon of nlp-engine.js does not cover
+const HAZARD_TERMS = {
+  waves: ['high waves', 'big waves', 'rough sea*', 'swell*', 'ऊंची लहरें', 'উঁচু ঢেউ', 'பெரிய அலை*'],
+  visibility: ['fog*', 'mist', 'haze', 'poor visibility', 'कोहरा', 'kohra', 'কুয়াশা', 'மூடுபனி']
+};
+
+// Hazard types asked about -> hazard and report types that answer them
+const HAZARD_MATCHES = {
+  storm: ['storm', 'cyclone'],
+  waves: ['waves', 'tsunami'],
+  tsunami: ['tsunami', 'waves'],
+  flood: ['flood'],
+  earthquake: ['earthquake'],
+  visibility: ['visibility'],
+  fire: ['fire'],
+  accident: ['accident']
+};
+
+// Monitoring points by name, with their names in each language for replies
+const PLACES = {
+  Mumbai: { terms: ['mumbai*', 'bombay', 'मुंबई*', 'মুম্বাই*', 'மும்பை*'], hi: 'मुंबई', bn: 'মুম্বাই', ta: 'மும்பை' },
+  Kochi: { terms: ['kochi*', 'cochin', 'कोच्चि*', 'কোচি*', 'கொச்சி*'], hi: 'कोच्चि', bn: 'কোচি', ta: 'கொச்சி' },
+  Chennai: { terms: ['chennai*', 'madras', 'चेन्नई*', 'চেন্নাই*', 'சென்னை*'], hi: 'चेन्नई', bn: 'চেন্নাই', ta: 'சென்னை' },
+  Visakhapatnam: { terms: ['visakhapatnam*', 'vizag*', 'विशाखापत्तनम*', 'বিশাখাপত্তনম*', 'விசாகப்பட்டின*'], hi: 'विशाखापत्तनम', bn: 'বিশাখাপত্তনম', ta: 'விசாகப்பட்டினம்' }
+};
+
+const VESSELS = {
+  small: ['small', 'छोटी', 'छोटा', 'chhoti', 'ছোট', 'choto', 'சிறிய', 'siriya'],
+  medium: ['medium', 'मध्यम', 'মাঝারি', 'நடுத்தர'],
+  large: ['large', 'big', 'बड़ी', 'बड़ा', 'badi', 'bada', 'বড়', 'boro', 'பெரிய', 'periya']
+};
+
+const HERE = ['here', 'near me', 'my location', 'my area', 'where i am', 'यहां', 'यहाँ', 'yahan', 'এখানে', 'ekhane', 'இங்கே', 'inge'];
+
+// Checked in this order, so "aaj raat" is tonight rather than today
+const TIMES = {
+  now: ['now', 'right now', 'अभी', 'abhi', 'এখন', 'ekhon', 'இப்போது', 'ippo'],
+  tonight: ['tonight', 'आज रात', 'aaj raat', 'আজ রাতে', 'aj rate', 'இன்றிரவு', 'indru iravu'],
+  tomorrow: ['tomorrow', 'कल', 'kal', 'আগামীকাল', 'kalke', 'நாளை', 'naalai', 'nalai'],
+  week: ['week', 'weekly', '7 days', 'हफ्ते', 'सप्ताह', 'saptah', 'সপ্তাহ*', 'வாரம்*'],
+  today: ['today', 'आज', 'aaj', 'আজ', 'aj', 'இன்று', 'indru']
+};
+
+const HOURS_PATTERN = /(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours?|घंटे|घंटा|ghante|ghanta|ঘণ্টা|ghonta|மணி)(?![\p{L}])/u;
+const DURATION_PATTERN = /(?:for|के लिए|ke liye|জন্য|நேரம்)/;
+const COORDINATES_PATTERN = /(-?\d{1,2}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)/;
+
+const UNITS = { windSpeed: 'km/h', waveHeight: 'm', visibility: 'km', stormRisk: '%', waterTemperature: '°C', temp: '°C', seaLevel: 'm', pressure: 'hPa' };
+
+// Suggested follow-ups, as the action ids the ocean-monitor.html chat knows
+const ACTIONS = {
+  conditions: ['get_forecast', 'risk_analysis', 'view_map'],
+  forecast: ['hourly_forecast', 'risk_analysis', 'weather_alerts'],
+  risk: ['safety_tips', 'get_forecast', 'view_map'],
+  advisory: ['safety_checklist', 'get_forecast', 'alternative_locations'],
+  hazards: ['view_map', 'risk_analysis', 'emergency_contacts'],
+  reports: ['view_reports', 'view_map'],
+  sensors: ['current_conditions', 'get_forecast'],
+  emergency: ['call_112', 'emergency_contacts', 'report_location'],
+  help: ['current_conditions', 'risk_analysis', 'activity_tips']
+};
+
+const STRINGS = {
+  en: {
+    metrics: { windSpeed: 'wind', waveHeight: 'waves', visibility: 'visibility', stormRisk: 'storm likelihood', waterTemperature: 'water temperature', temp: 'air temperature', seaLevel: 'sea level', pressure: 'pressure', hazard: 'hazard', data: 'no wind or wave data' },
+    factors: { storm: 'storm forecast', wind: 'wind', waves: 'waves', visibility: 'visibility', hazards: 'active hazards', reports: 'citizen reports', hotspots: 'report hotspots' },
+    levels: { low: 'low', medium: 'medium', high: 'high' },
+    verdicts: { go: 'go', caution: 'caution', 'no-go': 'do not go' },
+    activities: { fishing: 'Fishing', small_craft: 'Small craft', swimming: 'Swimming', shipping: 'Shipping' },
+    times: { now: 'right now', today: 'for the rest of today', tonight: 'tonight', tomorrow: 'tomorrow', week: 'this week', hours: n => `over the next ${n} hours` },
+    here: 'your location',
+    coast: 'the monitored coast',
+    upTo: 'up to',
+    limit: 'limit',
+    conditions: (place, parts) => `Current conditions at ${place}: ${parts}.`,
+    noObservations: place => `No current observations are available for ${place}.`,
+    hazards: (place, n, list) => `${n} active hazard(s) near ${place}: ${list}.`,
+    noHazards: place => `No active hazards near ${place}.`,
+    forecast: (place, range, parts) => `Forecast for ${place} ${range}: ${parts}.`,
+    noForecast: place => `No forecast is available for ${place}.`,
+    risk: (place, range, level, pct, time, drivers) => `Risk at ${place} ${range} is ${level} (${pct}%), highest at ${time}. Main factors: ${drivers}.`,
+    noDrivers: 'nothing indicates elevated risk',
+    advice: {
+      low: 'Normal marine activities are fine with standard precautions.',
+      medium: 'Take extra care and postpone non-essential trips.',
+      high: 'Avoid marine activities; small boats should return to harbour.'
+    },
+    advisory: (activity, place, range, verdict) => `${activity} at ${place} ${range}: ${verdict}.`,
+    exceeded: list => `Limits exceeded: ${list}.`,
+    nextSafe: time => `Next safe departure: ${time}.`,
+    noSafe: hours => `No safe window in the next ${hours} hours.`,
+    reports: (place, n, types, title) => `${n} verified citizen report(s) near ${place} in the last ${REPORT_HOURS} hours (${types}). Latest: ${title}.`,
+    noReports: place => `No verified citizen reports near ${place} in the last ${REPORT_HOURS} hours.`,
+    reportsUnavailable: 'Citizen reports are not available on this server.',
+    sensors: (place, list) => `Sensor readings near ${place}: ${list}.`,
+    noSensors: place => `No healthy sensors are reporting near ${place}.`,
+    emergency: 'In an emergency call 112. At sea, contact the Coast Guard on 1554 or VHF channel 16. Give your exact location and stay with your vessel.',
+    help: 'I can tell you the current conditions, forecast, risk, active hazards, citizen reports and sensor readings for a place and time, and whether fishing, boating, swimming or shipping is safe. Try "Is it safe to go fishing in Chennai tomorrow?"',
+    notUnderstood: "I'm not sure what you're asking."
+  },
+  hi: {
+    metrics: { windSpeed: 'हवा', waveHeight: 'लहरें', visibility: 'दृश्यता', stormRisk: 'तूफ़ान की संभावना', waterTemperature: 'पानी का तापमान', temp: 'हवा का तापमान', seaLevel: 'समुद्र स्तर', pressure: 'वायुदाब', hazard: 'खतरा', data: 'हवा या लहर का डेटा नहीं' },
+    factors: { storm: 'तूफ़ान का पूर्वानुमान', wind: 'हवा', waves: 'लहरें', visibility: 'दृश्यता', hazards: 'सक्रिय खतरे', reports: 'नागरिक रिपोर्ट', hotspots: 'रिपोर्ट हॉटस्पॉट' },
+    levels: { low: 'कम', medium: 'मध्यम', high: 'उच्च' },
+    verdicts: { go: 'जा सकते हैं', caution: 'सावधानी रखें', 'no-go': 'न जाएं' },
+    activities: { fishing: 'मछली पकड़ना', small_craft: 'छोटी नाव', swimming: 'तैराकी', shipping: 'जहाज़रानी' },
+    times: { now: 'अभी', today: 'आज', tonight: 'आज रात', tomorrow: 'कल', week: 'इस सप्ताह', hours: n => `अगले ${n} घंटों में` },
+    here: 'आपके स्थान',
+    coast: 'निगरानी वाले तट',
+    upTo: 'अधिकतम',
+    limit: 'सीमा',
+    conditions: (place, parts) => `${place} में मौजूदा स्थिति: ${parts}।`,
+    noObservations: place => `${place} के लिए अभी कोई अवलोकन उपलब्ध नहीं है।`,
+    hazards: (place, n, list) => `${place} के आसपास ${n} सक्रिय खतरे: ${list}।`,
+    noHazards: place => `${place} के आसपास कोई सक्रिय खतरा नहीं है।`,
+    forecast: (place, range, parts) => `${place} का पूर्वानुमान (${range}): ${parts}।`,
+    noForecast: place => `${place} के लिए पूर्वानुमान उपलब्ध नहीं है।`,
+    risk: (place, range, level, pct, time, drivers) => `${place} में ${range} जोखिम ${level} (${pct}%) है, सबसे अधिक ${time} पर। मुख्य कारण: ${drivers}।`,
+    noDrivers: 'कोई बढ़ा हुआ जोखिम नहीं',
+    advice: {
+      low: 'सामान्य सावधानी के साथ समुद्री गतिविधियाँ की जा सकती हैं।',
+      medium: 'अतिरिक्त सावधानी रखें और गैर-ज़रूरी यात्राएँ टालें।',
+      high: 'समुद्री गतिविधियों से बचें; छोटी नावें बंदरगाह लौट आएँ।'
+    },
+    advisory: (activity, place, range, verdict) => `${place} में ${range} ${activity}: ${verdict}।`,
+    exceeded: list => `सीमा से अधिक: ${list}।`,
+    nextSafe: time => `अगला सुरक्षित समय: ${time}।`,
+    noSafe: hours => `अगले ${hours} घंटों में कोई सुरक्षित समय नहीं।`,
+    reports: (place, n, types, title) => `पिछले ${REPORT_HOURS} घंटों में ${place} के पास ${n} सत्यापित नागरिक रिपोर्ट (${types})। नवीनतम: ${title}।`,
+    noReports: place => `पिछले ${REPORT_HOURS} घंटों में ${place} के पास कोई सत्यापित नागरिक रिपोर्ट नहीं।`,
+    reportsUnavailable: 'इस सर्वर पर नागरिक रिपोर्ट उपलब्ध नहीं हैं।',
+    sensors: (place, list) => `${place} के पास सेंसर रीडिंग: ${list}।`,
+    noSensors: place => `${place} के पास कोई सेंसर रिपोर्ट नहीं कर रहा।`,
+    emergency: 'आपात स्थिति में 112 पर कॉल करें। समुद्र में तटरक्षक बल से 1554 या VHF चैनल 16 पर संपर्क करें। अपना सही स्थान बताएं और अपनी नाव के साथ रहें।',
+    help: 'मैं किसी स्थान और समय के लिए मौजूदा स्थिति, पूर्वानुमान, जोखिम, सक्रिय खतरे, नागरिक रिपोर्ट और सेंसर रीडिंग बता सकता हूँ, और यह भी कि मछली पकड़ना, नाव चलाना, तैरना या जहाज़ चलाना सुरक्षित है या नहीं। पूछें: "कल चेन्नई में मछली पकड़ना सुरक्षित है?"',
+    notUnderstood: 'मैं आपका प्रश्न समझ नहीं पाया।'
+  },
+  bn: {
+    metrics: { windSpeed: 'বাতাস', waveHeight: 'ঢেউ', visibility: 'দৃশ্যমানতা', stormRisk: 'ঝড়ের সম্ভাবনা', waterTemperature: 'জলের তাপমাত্রা', temp: 'বাতাসের তাপমাত্রা', seaLevel: 'সমুদ্রপৃষ্ঠ', pressure: 'বায়ুচাপ', hazard: 'বিপদ', data: 'বাতাস বা ঢেউয়ের তথ্য নেই' },
+    factors: { storm: 'ঝড়ের পূর্বাভাস', wind: 'বাতাস', waves: 'ঢেউ', visibility: 'দৃশ্যমানতা', hazards: 'সক্রিয় বিপদ', reports: 'নাগরিক রিপোর্ট', hotspots: 'রিপোর্ট হটস্পট' },
+    levels: { low: 'কম', medium: 'মাঝারি', high: 'উচ্চ' },
+    verdicts: { go: 'যেতে পারেন', caution: 'সতর্ক থাকুন', 'no-go': 'যাবেন না' },
+    activities: { fishing: 'মাছ ধরা', small_craft: 'ছোট নৌকা', swimming: 'সাঁতার', shipping: 'জাহাজ চলাচল' },
+    times: { now: 'এখন', today: 'আজ', tonight: 'আজ রাতে', tomorrow: 'আগামীকাল', week: 'এই সপ্তাহে', hours: n => `আগামী ${n} ঘণ্টায়` },
+    here: 'আপনার অবস্থান',
+    coast: 'পর্যবেক্ষিত উপকূল',
+    upTo: 'সর্বোচ্চ',
+    limit: 'সীমা',
+    conditions: (place, parts) => `${place}-এ বর্তমান অবস্থা: ${parts}।`,
+    noObservations: place => `${place}-এর জন্য এখন কোনো পর্যবেক্ষণ নেই।`,
+    hazards: (place, n, list) => `${place}-এর কাছে ${n}টি সক্রিয় বিপদ: ${list}।`,
+    noHazards: place => `${place}-এর কাছে কোনো সক্রিয় বিপদ নেই।`,
+    forecast: (place, range, parts) => `${place}-এর পূর্বাভাস (${range}): ${parts}।`,
+    noForecast: place => `${place}-এর জন্য পূর্বাভাস নেই।`,
+    risk: (place, range, level, pct, time, drivers) => `${place}-এ ${range} ঝুঁকি ${level} (${pct}%), সর্বোচ্চ ${time}-এ। প্রধান কারণ: ${drivers}।`,
+    noDrivers: 'কোনো বাড়তি ঝুঁকি নেই',
+    advice: {
+      low: 'সাধারণ সতর্কতা মেনে সমুদ্রে যাওয়া যায়।',
+      medium: 'বাড়তি সতর্ক থাকুন, অপ্রয়োজনীয় যাত্রা পিছিয়ে দিন।',
+      high: 'সমুদ্রে যাবেন না; ছোট নৌকা বন্দরে ফিরে আসুক।'
+    },
+    advisory: (activity, place, range, verdict) => `${place}-এ ${range} ${activity}: ${verdict}।`,
+    exceeded: list => `সীমা ছাড়িয়েছে: ${list}।`,
+    nextSafe: time => `পরবর্তী নিরাপদ সময়: ${time}।`,
+    noSafe: hours => `আগামী ${hours} ঘণ্টায় কোনো নিরাপদ সময় নেই।`,
+    reports: (place, n, types, title) => `গত ${REPORT_HOURS} ঘণ্টায় ${place}-এর কাছে ${n}টি যাচাই করা নাগরিক রিপোর্ট (${types})। সর্বশেষ: ${title}।`,
+    noReports: place => `গত ${REPORT_HOURS} ঘণ্টায় ${place}-এর কাছে কোনো যাচাই করা নাগরিক রিপোর্ট নেই।`,
+    reportsUnavailable: 'এই সার্ভারে নাগরিক রিপোর্ট পাওয়া যায় না।',
+    sensors: (place, list) => `${place}-এর কাছে সেন্সরের রিডিং: ${list}।`,
+    noSensors: place => `${place}-এর কাছে কোনো সেন্সর তথ্য পাঠাচ্ছে না।`,
+    emergency: 'জরুরি অবস্থায় 112-এ ফোন করুন। সমুদ্রে থাকলে কোস্ট গার্ডের সঙ্গে 1554 বা VHF চ্যানেল 16-এ যোগাযোগ করুন। আপনার সঠিক অবস্থান জানান এবং নৌকার সঙ্গেই থাকুন।',
+    help: 'আমি কোনো জায়গা ও সময়ের বর্তমান অবস্থা, পূর্বাভাস, ঝুঁকি, সক্রিয় বিপদ, নাগরিক রিপোর্ট ও সেন্সরের রিডিং জানাতে পারি, আর মাছ ধরা, নৌকা চালানো, সাঁতার বা জাহাজ চলাচল নিরাপদ কিনা তাও বলতে পারি। জিজ্ঞেস করুন: "আগামীকাল চেন্নাইতে মাছ ধরা কি নিরাপদ?"',
+    notUnderstood: 'আমি আপনার প্রশ্নটি বুঝতে পারিনি।'
+  },
+  ta: {
+    metrics: { windSpeed: 'காற்று', waveHeight: 'அலைகள்', visibility: 'பார்வைத்திறன்', stormRisk: 'புயல் வாய்ப்பு', waterTemperature: 'நீர் வெப்பநிலை', temp: 'காற்று வெப்பநிலை', seaLevel: 'கடல் மட்டம்', pressure: 'காற்றழுத்தம்', hazard: 'அபாயம்', data: 'காற்று அல்லது அலை தரவு இல்லை' },
+    factors: { storm: 'புயல் முன்னறிவிப்பு', wind: 'காற்று', waves: 'அலைகள்', visibility: 'பார்வைத்திறன்', hazards: 'செயலில் உள்ள அபாயங்கள்', reports: 'பொது அறிக்கைகள்', hotspots: 'அறிக்கை மையங்கள்' },
+    levels: { low: 'குறைவு', medium: 'நடுத்தரம்', high: 'அதிகம்' },
+    verdicts: { go: 'செல்லலாம்', caution: 'எச்சரிக்கையுடன் செல்லவும்', 'no-go': 'செல்ல வேண்டாம்' },
+    activities: { fishing: 'மீன்பிடித்தல்', small_craft: 'சிறு படகு', swimming: 'நீச்சல்', shipping: 'கப்பல் போக்குவரத்து' },
+    times: { now: 'இப்போது', today: 'இன்று', tonight: 'இன்றிரவு', tomorrow: 'நாளை', week: 'இந்த வாரம்', hours: n => `அடுத்த ${n} மணி நேரத்தில்` },
+    here: 'உங்கள் இருப்பிடம்',
+    coast: 'கண்காணிக்கப்படும் கடற்கரை',
+    upTo: 'அதிகபட்சம்',
+    limit: 'வரம்பு',
+    conditions: (place, parts) => `${place} தற்போதைய நிலை: ${parts}.`,
+    noObservations: place => `${place} பகுதிக்கு தற்போது அளவீடுகள் இல்லை.`,
+    hazards: (place, n, list) => `${place} அருகே ${n} செயலில் உள்ள அபாயங்கள்: ${list}.`,
+    noHazards: place => `${place} அருகே செயலில் உள்ள அபாயம் எதுவும் இல்லை.`,
+    forecast: (place, range, parts) => `${place} முன்னறிவிப்பு (${range}): ${parts}.`,
+    noForecast: place => `${place} பகுதிக்கு முன்னறிவிப்பு இல்லை.`,
+    risk: (place, range, level, pct, time, drivers) => `${place} பகுதியில் ${range} அபாய நிலை ${level} (${pct}%), உச்சம் ${time}. முக்கிய காரணங்கள்: ${drivers}.`,
+    noDrivers: 'அதிக அபாயத்திற்கான அறிகுறி இல்லை',
+    advice: {
+      low: 'வழக்கமான முன்னெச்சரிக்கையுடன் கடல் செயல்பாடுகளில் ஈடுபடலாம்.',
+      medium: 'கூடுதல் கவனம் தேவை; அவசியமற்ற பயணங்களைத் தள்ளிவையுங்கள்.',
+      high: 'கடல் செயல்பாடுகளைத் தவிர்க்கவும்; சிறு படகுகள் துறைமுகம் திரும்ப வேண்டும்.'
+    },
+    advisory: (activity, place, range, verdict) => `${place} பகுதியில் ${range} ${activity}: ${verdict}.`,
+    exceeded: list => `வரம்பை மீறியவை: ${list}.`,
+    nextSafe: time => `அடுத்த பாதுகாப்பான நேரம்: ${time}.`,
+    noSafe: hours => `அடுத்த ${hours} மணி நேரத்தில் பாதுகாப்பான நேரம் இல்லை.`,
+    reports: (place, n, types, title) => `கடந்த ${REPORT_HOURS} மணி நேரத்தில் ${place} அருகே ${n} சரிபார்க்கப்பட்ட பொது அறிக்கைகள் (${types}). சமீபத்தியது: ${title}.`,
+    noReports: place => `கடந்த ${REPORT_HOURS} மணி நேரத்தில் ${place} அருகே சரிபார்க்கப்பட்ட பொது அறிக்கை இல்லை.`,
+    reportsUnavailable: 'இந்த சேவையகத்தில் பொது அறிக்கைகள் கிடைக்கவில்லை.',
+    sensors: (place, list) => `${place} அருகே சென்சார் அளவீடுகள்: ${list}.`,
+    noSensors: place => `${place} அருகே எந்த சென்சாரும் தரவு அனுப்பவில்லை.`,
+    emergency: 'அவசர நிலையில் 112 ஐ அழைக்கவும். கடலில் இருந்தால் கடலோரக் காவல்படையை 1554 அல்லது VHF சேனல் 16 இல் தொடர்பு கொள்ளவும். உங்கள் சரியான இடத்தைத் தெரிவித்து படகுடனேயே இருங்கள்.',
+    help: 'ஒரு இடம் மற்றும் நேரத்திற்கான தற்போதைய நிலை, முன்னறிவிப்பு, அபாயம், செயலில் உள்ள அபாயங்கள், பொது அறிக்கைகள், சென்சார் அளவீடுகள் ஆகியவற்றை நான் சொல்ல முடியும்; மீன்பிடித்தல், படகு, நீச்சல் அல்லது கப்பல் பயணம் பாதுகாப்பானதா என்றும் சொல்வேன். கேளுங்கள்: "நாளை சென்னையில் மீன்பிடிக்கலாமா?"',
+    notUnderstood: 'உங்கள் கேள்வி எனக்குப் புரியவில்லை.'
+  }
+};
+
+function compileAll(terms) {
+  return terms.map(compileTerm);
+}
+
+function compileMap(map) {
+  return Object.fromEntries(Object.entries(map).map(([key, terms]) => [key, compileAll(terms)]));
+}
+
+const COMPILED = {
+  intents: compileMap(INTENTS),
+  activities: compileMap(ACTIVITIES),
+  hazards: compileMap(HAZARD_TERMS),
+  places: compileMap(Object.fromEntries(Object.entries(PLACES).map(([name, place]) => [name, place.terms]))),
+  vessels: compileMap(VESSELS),
+  here: compileAll(HERE),
+  times: compileMap(TIMES)
+};
+
+function matches(tokens, compiled) {
+  return compiled.some(patterns => tokens.some((token, index) =>
+    index + patterns.length <= tokens.length && patterns.every((pattern, offset) => tokenMatches(pattern, tokens[index + offset]))));
+}
+
+function firstMatch(tokens, compiledMap) {
+  return Object.keys(compiledMap).find(key => matches(tokens, compiledMap[key])) || null;
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+class ChatEngine {
+  // monitor is the OceanMonitorAPI. timezone sets how times are shown and
+  // what "today", "tonight" and "tomorrow" mean.
+  constructor(monitor, { nlp = new NLPEngine(), timezone = { offsetMinutes: 330, label: 'IST' }, sessionTtl = SESSION_TTL, maxSessions = MAX_SESSIONS } = {}) {
+    this.monitor = monitor;
+    this.nlp = nlp;
+    this.timezone = timezone;
+    this.sessionTtl = sessionTtl;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  // Sessions live in memory; an unknown or expired id starts a new conversation
+  session(id, now = Date.now()) {
+    this.sessions.forEach((session, key) => {
+      if (now - session.updatedAt > this.sessionTtl) this.sessions.delete(key);
+    });
+
+    const existing = id && this.sessions.get(id);
+    if (existing) return existing;
+
+    if (this.sessions.size >= this.maxSessions) {
+      const oldest = [...this.sessions.values()].sort((a, b) => a.updatedAt - b.updatedAt)[0];
+      this.sessions.delete(oldest.id);
+    }
+    const session = { id: crypto.randomUUID(), intent: null, slots: {}, language: null, history: [], updatedAt: now };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // Intent and the slots the message itself names
+  parse(text) {
+    const tokens = tokenize(text);
+    const analysis = this.nlp.analyzeText(text);
+    const slots = {};
+
+    const coordinates = COORDINATES_PATTERN.exec(text);
+    const place = firstMatch(tokens, COMPILED.places);
+    if (coordinates) slots.location = { lat: Number(coordinates[1]), lng: Number(coordinates[2]) };
+    else if (place && this.monitor.points.some(point => point.name === place)) slots.location = { place };
+    else if (matches(tokens, COMPILED.here)) slots.location = { here: true };
+
+    const activity = firstMatch(tokens, COMPILED.activities);
+    if (activity) slots.activity = activity;
+    const vesselSize = firstMatch(tokens, COMPILED.vessels);
+    if (vesselSize) slots.vesselSize = vesselSize;
+
+    // Only strong lexicon terms name a hazard type; "wind" alone is a conditions question
+    const strong = Object.entries(analysis.scores).filter(([, score]) => score >= 0.5).sort((a, b) => b[1] - a[1]);
+    const hazardType = firstMatch(tokens, COMPILED.hazards) || (strong.length ? strong[0][0] : null);
+    if (hazardType && HAZARD_MATCHES[hazardType]) slots.hazardType = hazardType;
+
+    const hours = HOURS_PATTERN.exec(text.toLowerCase());
+    if (hours && activity && DURATION_PATTERN.test(text.toLowerCase())) slots.duration = Number(hours[1]);
+    else if (hours) slots.time = { key: 'hours', hours: Math.min(168, Math.max(1, Math.round(Number(hours[1])))) };
+    const time = firstMatch(tokens, COMPILED.times);
+    if (time && !slots.time) slots.time = { key: time };
+
+    let intent = firstMatch(tokens, COMPILED.intents);
+    if (activity && intent !== 'emergency') intent = 'advisory';
+
+    return {
+      intent,
+      slots,
+      language: analysis.language && analysis.language !== 'en' ? analysis.language : null
+    };
+  }
+
+  // Fills in what this turn leaves out from the session's previous turns
+  resolve(parsed, session) {
+    const slots = { ...session.slots, ...parsed.slots };
+    let intent = parsed.intent;
+
+    if (!intent) {
+      if (Object.keys(parsed.slots).length && session.intent) intent = session.intent;
+      else if (Object.keys(parsed.slots).length) intent = slots.time && slots.time.key !== 'now' ? 'forecast' : 'conditions';
+      else intent = 'unknown';
+    }
+    // "Is it safe?" right after an activity question is about that activity
+    if (intent === 'risk' && session.intent === 'advisory' && slots.activity && !parsed.slots.hazardType) intent = 'advisory';
+    // Observations only exist for now; any other time is a forecast question
+    if (intent === 'conditions' && slots.time && slots.time.key !== 'now') intent = 'forecast';
+    // A hazard type from an earlier question only narrows the same kind of question
+    if (intent !== session.intent && !parsed.slots.hazardType) delete slots.hazardType;
+    if (intent !== 'advisory' && !parsed.slots.activity) {
+      delete slots.duration;
+      delete slots.vesselSize;
+    }
+
+    return { intent, slots };
+  }
+
+  // { query, sessionId, location, language } -> reply for one turn
+  reply({ query, sessionId = null, location = null, language = null }, now = Date.now()) {
+    const session = this.session(sessionId, now);
+    const parsed = this.parse(query);
+    const { intent, slots } = this.resolve(parsed, session);
+    const lang = [parsed.language, language, session.language].find(l => LANGUAGES.includes(l)) || 'en';
+
+    const place = this.place(slots.location, location);
+    const answer = this.answer(intent, slots, place, lang, now);
+
+    session.intent = intent === 'unknown' || intent === 'help' ? session.intent : intent;
+    session.slots = slots;
+    session.language = lang;
+    session.updatedAt = now;
+    session.history = [...session.history, { query, intent, at: new Date(now).toISOString() }].slice(-HISTORY_LENGTH);
+
+    return {
+      sessionId: session.id,
+      language: lang,
+      intent,
+      type: intent,
+      slots: { ...slots, location: place.explicit ? { name: place.name, lat: place.lat, lng: place.lng } : null },
+      response: answer.text,
+      data: answer.data,
+      actions: ACTIONS[intent] || ACTIONS.help,
+      timestamp: new Date(now).toISOString()
+    };
+  }
+
+  // The place a question is about: a named point or coordinates, the user's
+  // own position, or the first monitoring point when neither is known
+  place(slot, userLocation) {
+    if (slot && slot.place) {
+      const point = this.monitor.points.find(p => p.name === slot.place);
+      return { key: point.name, name: point.name, lat: point.lat, lng: point.lng, explicit: true };
+    }
+    if (slot && isFinite(slot.lat)) return { key: 'coordinates', name: `${slot.lat}, ${slot.lng}`, lat: slot.lat, lng: slot.lng, explicit: true };
+    if (userLocation) return { key: 'here', name: null, lat: userLocation.lat, lng: userLocation.lng, explicit: !!slot };
+    const point = this.monitor.points[0];
+    return { key: point.name, name: point.name, lat: point.lat, lng: point.lng, explicit: !!slot };
+  }
+
+  placeName(place, lang) {
+    if (place.key === 'here') return STRINGS[lang].here;
+    return (PLACES[place.key] && PLACES[place.key][lang]) || place.name;
+  }
+
+  // Local time, as "17/10 15:00 IST"
+  formatTime(time) {
+    const local = new Date(new Date(time).getTime() + this.timezone.offsetMinutes * 60 * 1000);
+    const date = `${local.getUTCDate()}/${local.getUTCMonth() + 1}`;
+    return `${date} ${local.toISOString().slice(11, 16)} ${this.timezone.label}`;
+  }
+
+  // { key, hours } -> { from, to } in epoch ms, in the configured timezone
+  window(time = { key: 'now' }, now = Date.now()) {
+    const offset = this.timezone.offsetMinutes * 60 * 1000;
+    const midnight = Math.floor((now + offset) / (24 * HOUR)) * 24 * HOUR - offset;
+    switch (time.key) {
+      case 'hours': return { from: now, to: now + time.hours * HOUR };
+      case 'today': return { from: now, to: Math.max(midnight + 24 * HOUR, now + HOUR) };
+      case 'tonight': return { from: Math.max(now, midnight + 18 * HOUR), to: midnight + 30 * HOUR };
+      case 'tomorrow': return { from: midnight + 24 * HOUR, to: midnight + 48 * HOUR };
+      case 'week': return { from: now, to: now + 7 * 24 * HOUR };
+      default: return { from: now, to: now + 3 * HOUR };
+    }
+  }
+
+  rangeText(time = { key: 'now' }, lang) {
+    const times = STRINGS[lang].times;
+    return time.key === 'hours' ? times.hours(time.hours) : times[time.key] || times.now;
+  }
+
+  // Risk timeline entries that fall inside a time window
+  timeline(place, window, now) {
+    const start = Math.floor(now / HOUR) * HOUR;
+    const hours = Math.min(168, Math.max(1, Math.ceil((window.to - start) / HOUR)));
+    const risk = this.monitor.assessRisk({ lat: place.lat, lng: place.lng }, hours, now);
+    // The current hour counts for "now"; later windows start at their first whole hour
+    const first = window.from <= now ? start : window.from;
+    const entries = risk.timeline.filter(entry => {
+      const time = new Date(entry.time).getTime();
+      return time >= first && time < window.to;
+    });
+    return { risk, entries: entries.length ? entries : risk.timeline.slice(0, 1) };
+  }
+
+  answer(intent, slots, place, lang, now) {
+    const s = STRINGS[lang];
+    switch (intent) {
+      case 'conditions': return this.conditions(place, lang, now);
+      case 'forecast': return this.forecast(place, slots.time, lang, now);
+      case 'risk': return this.risk(place, slots.time, lang, now);
+      case 'advisory': return this.advisory(place, slots, lang, now);
+      case 'hazards': return this.hazards(place, slots.hazardType, lang);
+      case 'reports': return this.reports(place, slots.hazardType, lang, now);
+      case 'sensors': return this.sensors(place, lang, now);
+      case 'emergency': return { text: s.emergency, data: null };
+      case 'help': return { text: s.help, data: null };
+      default: return { text: `${s.notUnderstood} ${s.help}`, data: null };
+    }
+  }
+
+  formatValue(metric, value) {
+    const units = UNITS[metric] || '';
+    return `${round(value)}${units === '%' ? '' : ' '}${units}`.trim();
+  }
+
+  formatMetric(metric, value, lang) {
+    return `${STRINGS[lang].metrics[metric] || metric} ${this.formatValue(metric, value)}`;
+  }
+
+  nearbyHazards(place, hazardType = null, radius = HAZARD_RADIUS_KM) {
+    const types = hazardType ? HAZARD_MATCHES[hazardType] : null;
+    return this.monitor.hazards
+      .filter(h => !types || types.includes(h.type))
+      .filter(h => !place || (h.location && isFinite(h.location.lat) && this.monitor.calculateDistance(place, h.location) <= radius));
+  }
+
+  conditions(place, lang, now) {
+    const s = STRINGS[lang];
+    const name = this.placeName(place, lang);
+    const point = this.monitor.conditionsByPoint
+      .filter(p => p.current)
+      .map(p => ({ p, distance: this.monitor.calculateDistance(place, p.location) }))
+      .filter(({ distance }) => distance <= POINT_RADIUS_KM)
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ p }) => p)[0];
+    const sensors = (this.monitor.registry ? this.monitor.registry.latestReadings(now) : [])
+      .filter(reading => this.monitor.calculateDistance(place, reading.sensor.location) <= NEARBY_KM);
+
+    // Nearby sensors are closer to the place than the monitoring point's model values
+    const values = {};
+    ['windSpeed', 'waveHeight', 'visibility', 'temp'].forEach(metric => {
+      if (point && typeof point.current[metric] === 'number') values[metric] = point.current[metric];
+    });
+    sensors.forEach(reading => { values[reading.metric] = reading.value; });
+
+    const hazards = this.nearbyHazards(place);
+    const parts = Object.entries(values).map(([metric, value]) => this.formatMetric(metric, value, lang));
+    const text = [
+      parts.length ? s.conditions(name, parts.join(', ')) : s.noObservations(name),
+      hazards.length ? s.hazards(name, hazards.length, hazards.slice(0, 3).map(h => h.title || h.type).join('; ')) : s.noHazards(name)
+    ].join(' ');
+    return { text, data: { point: point ? point.name : null, conditions: values, sensors, hazards } };
+  }
+
+  forecast(place, time, lang, now) {
+    const s = STRINGS[lang];
+    const name = this.placeName(place, lang);
+    const window = this.window(time, now);
+    const { entries } = this.timeline(place, window, now);
+
+    const parts = ['windSpeed', 'waveHeight', 'stormRisk'].map(metric => {
+      const peak = entries
+        .filter(entry => entry.conditions[metric] !== null)
+        .reduce((worst, entry) => (!worst || entry.conditions[metric] > worst.conditions[metric] ? entry : worst), null);
+      return peak && { metric, value: peak.conditions[metric], time: peak.time };
+    }).filter(Boolean);
+
+    const text = parts.length
+      ? s.forecast(name, this.rangeText(time, lang), parts.map(p => `${s.metrics[p.metric]} ${s.upTo} ${this.formatValue(p.metric, p.value)} (${this.formatTime(p.time)})`).join(', '))
+      : s.noForecast(name);
+    return { text, data: { from: new Date(window.from).toISOString(), to: new Date(window.to).toISOString(), peaks: parts, timeline: entries } };
+  }
+
+  risk(place, time, lang, now) {
+    const s = STRINGS[lang];
+    const name = this.placeName(place, lang);
+    const window = this.window(time, now);
+    const { risk, entries } = this.timeline(place, window, now);
+
+    const peak = entries.reduce((worst, entry) => (entry.risk > worst.risk ? entry : worst), entries[0]);
+    const drivers = Object.entries(peak.factors)
+      .filter(([, factor]) => factor.contribution > 0)
+      .sort((a, b) => b[1].contribution - a[1].contribution)
+      .slice(0, 3)
+      .map(([factor]) => s.factors[factor] || factor);
+
+    const text = [
+      s.risk(name, this.rangeText(time, lang), s.levels[peak.level], Math.round(peak.risk * 100), this.formatTime(peak.time), drivers.join(', ') || s.noDrivers),
+      s.advice[peak.level]
+    ].join(' ');
+    return { text, data: { peak, timeline: entries, forecastPoint: risk.inputs.forecastPoint } };
+  }
+
+  advisory(place, slots, lang, now) {
+    const s = STRINGS[lang];
+    const name = this.placeName(place, lang);
+    const window = this.window(slots.time, now);
+    const activity = slots.activity || 'small_craft';
+    const result = this.monitor.advise({ lat: place.lat, lng: place.lng }, {
+      activity,
+      vesselSize: activity === 'swimming' ? undefined : slots.vesselSize,
+      departure: new Date(window.from).toISOString(),
+      durationHours: slots.duration || DEFAULT_DURATION_HOURS
+    }, now);
+    if (result.error) return { text: result.error, data: null };
+
+    const { advisory } = result;
+    const limits = advisory.exceeded.slice(0, 3).map(limit => {
+      if (limit.metric === 'hazard') return `${s.metrics.hazard}: ${limit.value}`;
+      if (limit.metric === 'data') return s.metrics.data;
+      return `${this.formatMetric(limit.metric, limit.value, lang)} (${s.limit} ${limit.limit})`;
+    });
+
+    const text = [
+      s.advisory(s.activities[activity], name, this.rangeText(slots.time, lang), s.verdicts[advisory.verdict]),
+      limits.length ? s.exceeded(limits.join('; ')) : null,
+      advisory.verdict === 'go' ? null : advisory.nextSafeDeparture ? s.nextSafe(this.formatTime(advisory.nextSafeDeparture)) : s.noSafe(48),
+      // Tips are only written in English
+      lang === 'en' ? `${advisory.tips[0]}.` : null
+    ].filter(Boolean).join(' ');
+    return { text, data: advisory };
+  }
+
+  hazards(place, hazardType, lang) {
+    const s = STRINGS[lang];
+    const name = place.explicit || place.key === 'here' ? this.placeName(place, lang) : s.coast;
+    const hazards = this.nearbyHazards(place.explicit || place.key === 'here' ? place : null, hazardType);
+    const text = hazards.length
+      ? s.hazards(name, hazards.length, hazards.slice(0, 5).map(h => `${h.title || h.type} (${s.levels[h.severity] || h.severity})`).join('; '))
+      : s.noHazards(name);
+    return { text, data: hazards };
+  }
+
+  reports(place, hazardType, lang, now) {
+    const s = STRINGS[lang];
+    if (!this.monitor.community) return { text: s.reportsUnavailable, data: [] };
+
+    const name = this.placeName(place, lang);
+    const types = hazardType ? HAZARD_MATCHES[hazardType] : null;
+    const reports = this.monitor.community.reports()
+      .filter(r => !types || types.includes(r.type))
+      .filter(r => now - new Date(r.timestamp).getTime() <= REPORT_HOURS * HOUR)
+      .filter(r => this.monitor.calculateDistance(place, { lat: Number(r.latitude), lng: Number(r.longitude) }) <= NEARBY_KM)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (!reports.length) return { text: s.noReports(name), data: [] };
+    const counts = {};
+    reports.forEach(r => { counts[r.type] = (counts[r.type] || 0) + 1; });
+    const summary = Object.entries(counts).map(([type, count]) => `${type} ${count}`).join(', ');
+    return { text: s.reports(name, reports.length, summary, reports[0].title), data: reports };
+  }
+
+  sensors(place, lang, now) {
+    const s = STRINGS[lang];
+    const name = this.placeName(place, lang);
+    const readings = (this.monitor.registry ? this.monitor.registry.latestReadings(now) : [])
+      .filter(reading => this.monitor.calculateDistance(place, reading.sensor.location) <= NEARBY_KM);
+    const text = readings.length
+      ? s.sensors(name, readings.map(r => `${r.sensor.name}: ${this.formatMetric(r.metric, r.value, lang)}`).join('; '))
+      : s.noSensors(name);
+    return { text, data: readings };
+  }
+}
+
+module.exports = { ChatEngine, LANGUAGES };
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHUNK_SIZE = 512 * 1024;
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+const UPLOAD_ID = /^[\w-]{1,100}$/;
+
+// Unfinished uploads a client may hold at once. Device tokens cost nothing to
+// make up, so anonymous clients also share one pool of bytes.
+const QUOTA = {
+  uploads: 20,
+  bytes: 200 * 1024 * 1024,
+  anonymousBytes: 1024 * 1024 * 1024
+};
+
+// Matches the media pipeline's orphanAge, after which cleanup removes the parts
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Resumable media uploads for offline clients: create an upload, PUT chunks
+// in any order (re-sending one is harmless), ask which chunks arrived after a
+// dropped connection, then complete to assemble the file and hand it to the
+// media pipeline (see media-pipeline.js).
+//
+// Every upload belongs to an owner, the `user:` or `device:` string from
+// clientOwner() in report-sync.js, and only that owner can add to it, complete
+// it or attach it to a report.
+class ChunkedUploads {
+  constructor(db, { media, dir = path.join(__dirname, 'uploads'), chunkSize = DEFAULT_CHUNK_SIZE, maxFileSize = MAX_FILE_SIZE, quota = {}, maxAge = MAX_AGE } = {}) {
+    this.db = db;
+    this.media = media;
+    this.dir = dir;
+    this.partialDir = path.join(dir, '.partial');
+    this.chunkSize = chunkSize;
+    this.maxFileSize = maxFileSize;
+    this.quota = { ...QUOTA, ...quota };
+    this.maxAge = maxAge;
+  }
+
+  // Clients pass a stable uploadKey (e.g. `${clientId}_${index}`) so a retry
+  // resumes the same upload. The stored id is scoped to the owner, so two
+  // clients using the same key never meet.
+  create({ uploadKey, fileName, mimeType, size, sha256 }, owner) {
+    if (!owner) return { error: 'Sign in or send an X-Device-Token header to upload', status: 401 };
+    if (uploadKey !== undefined && !UPLOAD_ID.test(uploadKey)) {
+      return { error: 'uploadKey may only contain letters, digits, _ and -', status: 400 };
+    }
+    const id = uploadKey ? crypto.createHash('sha256').update(`${owner}\n${uploadKey}`).digest('hex') : crypto.randomUUID();
+    const existing = this.get(id, owner);
+    if (existing && this.expired(existing)) {
+      this.discard(existing);
+    } else if (existing) {
+      if (existing.status === 'rejected') return { error: existing.error, status: 415 };
+      return { upload: existing };
+    }
+
+    if (!fileName) return { error: 'fileName is required', status: 400 };
+    if (!(size > 0) || size > this.maxFileSize) {
+      return { error: `size must be between 1 and ${this.maxFileSize} bytes`, status: 400 };
+    }
+    const overQuota = this.checkQuota(owner, Number(size));
+    if (overQuota) return { error: overQuota, status: 429 };
+
+    const upload = this.db.uploads.insert({
+      id,
+      owner,
+      fileName: path.basename(String(fileName)),
+      mimeType: mimeType || 'application/octet-stream',
+      size: Number(size),
+      sha256: sha256 || null,
+      chunkSize: this.chunkSize,
+      totalChunks: Math.ceil(size / this.chunkSize),
+      receivedChunks: [],
+      status: 'pending',
+      mediaId: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    });
+    return { upload };
+  }
+
+  get(id, owner) {
+    const upload = this.db.uploads.findById(id);
+    return upload && owner && upload.owner === owner ? upload : null;
+  }
+
+  // Past this age cleanup may already have removed the parts
+  expired(upload, now = Date.now()) {
+    return upload.status === 'pending' && now - new Date(upload.createdAt).getTime() > this.maxAge;
+  }
+
+  // Returns an error message when `size` more bytes would exceed the owner's quota
+  checkQuota(owner, size) {
+    const active = this.db.uploads.filter(u => u.status === 'pending' && !this.expired(u));
+    const own = active.filter(u => u.owner === owner);
+    if (own.length >= this.quota.uploads) {
+      return `At most ${this.quota.uploads} unfinished uploads at a time; complete or wait for the others`;
+    }
+    const bytes = uploads => uploads.reduce((sum, u) => sum + u.size, 0);
+    if (bytes(own) + size > this.quota.bytes) return `Unfinished uploads may hold at most ${this.quota.bytes} bytes`;
+    if (owner.startsWith('device:') &&
+      bytes(active.filter(u => u.owner.startsWith('device:'))) + size > this.quota.anonymousBytes) {
+      return 'Too many anonymous uploads in progress, try again later or sign in';
+    }
+    return null;
+  }
+
+  discard(upload) {
+    for (let i = 0; i < upload.totalChunks; i++) fs.rmSync(this.partPath(upload.id, i), { force: true });
+    this.db.uploads.remove(upload.id);
+  }
+
+  partPath(id, index) {
+    return path.join(this.partialDir, `${id}.${index}`);
+  }
+
+  writeChunk(id, index, buffer, owner) {
+    const upload = this.get(id, owner);
+    if (!upload) return { error: 'Upload not found', status: 404 };
+    if (this.expired(upload)) return { error: 'Upload expired, start it again', status: 410 };
+    if (upload.status === 'completed') return { upload };
+    if (upload.status === 'rejected') return { error: upload.error, status: 415 };
+
+    const chunk = Number(index);
+    if (!Number.isInteger(chunk) || chunk < 0 || chunk >= upload.totalChunks) {
+      return { error: `Chunk index must be between 0 and ${upload.totalChunks - 1}`, status: 400 };
+    }
+    const expected = chunk < upload.totalChunks - 1 ? upload.chunkSize : upload.size - upload.chunkSize * (upload.totalChunks - 1);
+    if (!Buffer.isBuffer(buffer) || buffer.length !== expected) {
+      return { error: `Chunk ${chunk} must be ${expected} bytes`, status: 400 };
+    }
+
+    fs.mkdirSync(this.partialDir, { recursive: true });
+    fs.writeFileSync(this.partPath(upload.id, chunk), buffer);
+
+    const receivedChunks = [...new Set([...upload.receivedChunks, chunk])].sort((a, b) => a - b);
+    return { upload: this.db.uploads.update(upload.id, { receivedChunks }) };
+  }
+
+  // `user` becomes the owner of the stored media record
+  async complete(id, owner, user) {
+    const upload = this.get(id, owner);
+    if (!upload) return { error: 'Upload not found', status: 404 };
+    if (this.expired(upload)) return { error: 'Upload expired, start it again', status: 410 };
+    if (upload.status === 'completed') return { upload };
+    if (upload.status === 'rejected') return { error: upload.error, status: 415 };
+
+    // A part can disappear under a listed chunk (cleanup, a wiped disk); it has to be sent again
+    const missing = [];
+    for (let i = 0; i < upload.totalChunks; i++) {
+      if (!upload.receivedChunks.includes(i) || !fs.existsSync(this.partPath(upload.id, i))) missing.push(i);
+    }
+    if (missing.length) {
+      this.db.uploads.update(upload.id, { receivedChunks: upload.receivedChunks.filter(i => !missing.includes(i)) });
+      return { error: 'Upload is missing chunks', missing, status: 409 };
+    }
+
+    fs.mkdirSync(this.partialDir, { recursive: true });
+    const target = path.join(this.partialDir, `${upload.id}.assembled`);
+    const hash = crypto.createHash('sha256');
+
+    fs.writeFileSync(target, Buffer.alloc(0));
+    for (let i = 0; i < upload.totalChunks; i++) {
+      const part = fs.readFileSync(this.partPath(upload.id, i));
+      hash.update(part);
+      fs.appendFileSync(target, part);
+    }
+    const digest = hash.digest('hex');
+    for (let i = 0; i < upload.totalChunks; i++) fs.rmSync(this.partPath(upload.id, i), { force: true });
+
+    // A corrupted transfer starts over rather than leaving a bad file attached to a report
+    if (upload.sha256 && upload.sha256 !== digest) {
+      fs.rmSync(target, { force: true });
+      this.db.uploads.update(upload.id, { receivedChunks: [] });
+      return { error: 'Checksum mismatch, upload the file again', status: 422 };
+    }
+
+    // A file the pipeline refuses will not get better on retry, so the upload is closed
+    const processed = await this.media.process(target, { originalName: upload.fileName, mimeType: upload.mimeType, owner: user });
+    if (processed.error) {
+      this.db.uploads.update(upload.id, { status: 'rejected', error: processed.error, receivedChunks: [] });
+      return { error: processed.error, status: processed.status };
+    }
+
+    return {
+      upload: this.db.uploads.update(upload.id, {
+        status: 'completed',
+        mediaId: processed.media.id,
+        completedAt: new Date().toISOString()
+      })
+    };
+  }
+
+  // Media records of completed uploads, for attaching to a report. `owners`
+  // lists every owner the sender may have used: an upload made with the
+  // device token before signing in is still theirs afterwards.
+  resolve(ids = [], owners = [], user) {
+    const mediaIds = [];
+    for (const id of ids) {
+      const upload = owners.map(owner => this.get(id, owner)).find(Boolean);
+      if (!upload) return { error: `Upload ${id} not found` };
+      if (upload.status !== 'completed') return { error: `Upload ${id} is not complete` };
+      mediaIds.push(upload.mediaId);
+    }
+    return this.media.resolve(mediaIds, user);
+  }
+}
+
+module.exports = { ChunkedUploads, DEFAULT_CHUNK_SIZE, QUOTA };
@@ -0,0 +1,249 @@
+// Reports, hotspots and warnings in formats GIS tools and partner agencies
+// read directly: GeoJSON, CSV and KML for reports and hotspots, CAP 1.2 for
+// warnings plus an Atom feed that links to each CAP alert.
+
+const HOUR = 60 * 60 * 1000;
+
+// CAP needs an expiry; warnings carry none, so they are published as valid for this long
+const CAP_EXPIRY_HOURS = 24;
+// Warnings have a point, not an area; CAP gets a circle of this radius around it
+const CAP_AREA_RADIUS_KM = 10;
+
+const CAP_SEVERITY = { critical: 'Extreme', high: 'Severe', medium: 'Moderate', low: 'Minor' };
+const CAP_URGENCY = { critical: 'Immediate', high: 'Expected', medium: 'Future', low: 'Future' };
+const CAP_CATEGORY = {
+  flood: 'Met', storm: 'Met', cyclone: 'Met', waves: 'Met', visibility: 'Met', tsunami: 'Geo',
+  earthquake: 'Geo', fire: 'Fire', accident: 'Transport', pollution: 'Env', erosion: 'Env'
+};
+
+// Columns shared by CSV headers and GeoJSON/KML properties. Reporter ids and
+// contact details stay out of exports.
+const REPORT_COLUMNS = [
+  ['id', r => r.id],
+  ['title', r => r.title],
+  ['type', r => r.type],
+  ['severity', r => r.severity],
+  ['status', r => r.status],
+  ['verified', r => !!r.verified],
+  ['timestamp', r => r.timestamp],
+  ['latitude', r => coordinate(r.latitude)],
+  ['longitude', r => coordinate(r.longitude)],
+  ['address', r => r.address],
+  ['peopleAffected', r => r.peopleAffected],
+  ['description', r => r.description],
+  ['reporterRole', r => r.reporterRole],
+  ['source', r => (r.source ? r.source.name : 'citizen')],
+  ['language', r => r.nlpAnalysis && r.nlpAnalysis.language],
+  ['urgency', r => r.nlpAnalysis && r.nlpAnalysis.urgencyLevel],
+  ['mergedInto', r => r.mergedInto]
+];
+
+const HOTSPOT_COLUMNS = [
+  ['id', h => h.id],
+  ['severity', h => h.severity],
+  ['lifecycle', h => h.lifecycle],
+  ['reportCount', h => h.reportCount],
+  ['types', h => (h.types || []).join(';')],
+  ['score', h => h.score],
+  ['radiusKm', h => h.radiusKm],
+  ['affectedPeople', h => h.affectedPeople],
+  ['firstSeenAt', h => h.firstSeenAt],
+  ['lastUpdate', h => (h.lastUpdate ? new Date(h.lastUpdate).toISOString() : null)],
+  ['latitude', h => coordinate(h.latitude)],
+  ['longitude', h => coordinate(h.longitude)]
+];
+
+function coordinate(value) {
+  return value === undefined || value === null || value === '' || !isFinite(value) ? null : Number(value);
+}
+
+function point(item) {
+  const lat = coordinate(item.latitude);
+  const lng = coordinate(item.longitude);
+  return lat === null || lng === null ? null : { lat, lng };
+}
+
+// Hotspots are drawn as their convex hull when they have one
+function outline(hotspot) {
+  return Array.isArray(hotspot.polygon) && hotspot.polygon.length >= 3 ? hotspot.polygon : null;
+}
+
+const DATASETS = {
+  reports: { columns: REPORT_COLUMNS, name: r => r.title || `Report ${r.id}`, outline: () => null },
+  hotspots: { columns: HOTSPOT_COLUMNS, name: h => `${h.severity} hotspot: ${(h.types || []).join(', ')} (${h.reportCount} reports)`, outline }
+};
+
+function properties(item, columns) {
+  return Object.fromEntries(columns.map(([name, get]) => [name, get(item) === undefined ? null : get(item)]));
+}
+
+function toGeoJSON(items, { columns, outline }) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: items.map(item => {
+      const ring = outline(item);
+      const position = point(item);
+      let geometry = null;
+      if (ring) geometry = { type: 'Polygon', coordinates: [[...ring, ring[0]].map(([lat, lng]) => [lng, lat])] };
+      else if (position) geometry = { type: 'Point', coordinates: [position.lng, position.lat] };
+      return { type: 'Feature', id: String(item.id), geometry, properties: properties(item, columns) };
+    })
+  });
+}
+
+// RFC 4180 quoting. Text that a spreadsheet would run as a formula gets a
+// leading apostrophe; only plain numbers such as -2.5 are left as they are.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  const text = /^[=+\-@\t\r]/.test(value) && !/^-?\d+(\.\d+)?$/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(items, { columns }) {
+  const rows = [columns.map(([name]) => name), ...items.map(item => columns.map(([, get]) => get(item)))];
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toKml(items, { columns, name, outline }, title) {
+  const placemarks = items.map(item => {
+    const ring = outline(item);
+    const position = point(item);
+    const data = properties(item, columns);
+    const extended = Object.entries(data)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+
+    const geometries = [];
+    if (position) geometries.push(`<Point><coordinates>${position.lng},${position.lat}</coordinates></Point>`);
+    if (ring) {
+      const coordinates = [...ring, ring[0]].map(([lat, lng]) => `${lng},${lat}`).join(' ');
+      geometries.push(`<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`);
+    }
+    const geometry = geometries.length > 1 ? `<MultiGeometry>${geometries.join('')}</MultiGeometry>` : geometries.join('');
+
+    return `<Placemark id="${escapeXml(`${title}-${item.id}`)}"><name>${escapeXml(name(item))}</name>` +
+      `<ExtendedData>${extended}</ExtendedData>${geometry}</Placemark>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeXml(title)}</name>\n` +
+    placemarks.join('\n') + '\n</Document></kml>\n';
+}
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', serialize: toGeoJSON },
+  csv: { contentType: 'text/csv; charset=utf-8', serialize: toCsv },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', serialize: toKml }
+};
+
+// { body, contentType, filename } or { error, status } for an unknown format
+function exportDataset(dataset, format, items, now = Date.now()) {
+  const serializer = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!serializer) return { error: `format must be one of: ${Object.keys(FORMATS).join(', ')}`, status: 400 };
+  const stamp = new Date(now).toISOString().slice(0, 16).replace(/[-:]/g, '');
+  return {
+    body: serializer.serialize(items, DATASETS[dataset], dataset),
+    contentType: serializer.contentType,
+    filename: `${dataset}-${stamp}.${format}`
+  };
+}
+
+// CAP forbids 'Z' and fractional seconds: 2026-10-17T06:00:00+00:00
+function capTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function capIdentifier(warning, sender) {
+  return `${sender}.warning.${warning.id}`;
+}
+
+// One warning as a CAP 1.2 alert. sender identifies this system (a domain
+// name); baseUrl is where the API is reachable, for the alert's web link.
+function capAlert(warning, { sender, baseUrl }) {
+  const sent = capTime(warning.timestamp);
+  const expires = capTime(new Date(warning.timestamp).getTime() + CAP_EXPIRY_HOURS * HOUR);
+  const location = warning.location && point({ latitude: warning.location.lat, longitude: warning.location.lng });
+  const hazardType = warning.hazardType || 'hazard';
+  const event = hazardType.charAt(0).toUpperCase() + hazardType.slice(1).replace(/_/g, ' ');
+  // Officials' warnings are their own observations; automatic ones come from unverified reports and clusters
+  const certainty = warning.issuedBy ? 'Observed' : 'Likely';
+  const headline = String(warning.message).length > 160 ? `${String(warning.message).slice(0, 157)}...` : warning.message;
+
+  const area = location
+    ? '<area>' +
+      `<areaDesc>${escapeXml(`Within ${CAP_AREA_RADIUS_KM} km of ${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`)}</areaDesc>` +
+      `<circle>${location.lat},${location.lng} ${CAP_AREA_RADIUS_KM}</circle>` +
+      '</area>'
+    : '';
+  const source = warning.reportId ? `Citizen report ${warning.reportId}`
+    : warning.hotspotId ? `Report hotspot ${warning.hotspotId}`
+      : 'Issued by an official';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">' +
+    `<identifier>${escapeXml(capIdentifier(warning, sender))}</identifier>` +
+    `<sender>${escapeXml(sender)}</sender>` +
+    `<sent>${sent}</sent>` +
+    '<status>Actual</status><msgType>Alert</msgType>' +
+    `<source>${escapeXml(source)}</source>` +
+    '<scope>Public</scope>' +
+    '<info>' +
+    '<language>en</language>' +
+    `<category>${CAP_CATEGORY[hazardType] || 'Safety'}</category>` +
+    `<event>${escapeXml(event)}</event>` +
+    `<urgency>${CAP_URGENCY[warning.severity] || 'Unknown'}</urgency>` +
+    `<severity>${CAP_SEVERITY[warning.severity] || 'Unknown'}</severity>` +
+    `<certainty>${certainty}</certainty>` +
+    `<expires>${expires}</expires>` +
+    '<senderName>SAMUDRAKSHA Ocean Hazard Platform</senderName>' +
+    `<headline>${escapeXml(headline)}</headline>` +
+    `<description>${escapeXml(warning.message)}</description>` +
+    `<web>${escapeXml(`${baseUrl}/api/warnings/${warning.id}/cap`)}</web>` +
+    area +
+    '</info>' +
+    '</alert>\n';
+}
+
+// Atom feed of warnings, newest first, each entry linking to its CAP alert
+function atomFeed(warnings, { sender, baseUrl, now = Date.now() }) {
+  const feedUrl = `${baseUrl}/api/warnings/feed.atom`;
+  const entryUpdated = warning => new Date(warning.acknowledgedAt || warning.timestamp).getTime();
+  const updated = new Date(warnings.length ? Math.max(...warnings.map(entryUpdated)) : now).toISOString();
+
+  const entries = warnings.map(warning => {
+    const capUrl = `${baseUrl}/api/warnings/${warning.id}/cap`;
+    const location = warning.location && point({ latitude: warning.location.lat, longitude: warning.location.lng });
+    return '<entry>' +
+      `<id>${escapeXml(`urn:cap:${capIdentifier(warning, sender)}`)}</id>` +
+      `<title>${escapeXml(warning.message)}</title>` +
+      `<updated>${new Date(entryUpdated(warning)).toISOString()}</updated>` +
+      `<published>${new Date(warning.timestamp).toISOString()}</published>` +
+      `<summary>${escapeXml(`${warning.severity} ${warning.hazardType || 'hazard'} warning`)}</summary>` +
+      `<link rel="alternate" type="application/cap+xml" href="${escapeXml(capUrl)}"/>` +
+      `<category term="${escapeXml(warning.severity)}"/>` +
+      (location ? `<georss:point>${location.lat} ${location.lng}</georss:point>` : '') +
+      '</entry>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:georss="http://www.georss.org/georss">' +
+    `<id>${escapeXml(feedUrl)}</id>` +
+    '<title>SAMUDRAKSHA early warnings</title>' +
+    `<updated>${updated}</updated>` +
+    '<author><name>SAMUDRAKSHA Ocean Hazard Platform</name></author>' +
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>\n` +
+    entries.join('\n') + '\n</feed>\n';
+}
+
+module.exports = { exportDataset, capAlert, atomFeed, escapeXml, FORMATS, REPORT_COLUMNS, HOTSPOT_COLUMNS };
@@ -0,0 +1,480 @@
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations, applied in order on open. Each one receives the raw
+// collections object and mutates it in place; the file store checkpoints
+// straight afterwards so a migration is never half-persisted.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create core collections',
+    up(data) {
+      ['users', 'reports', 'socialPosts', 'hotspots'].forEach(name => {
+        if (!Array.isArray(data[name])) data[name] = [];
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add sessions, hash plaintext passwords and default user roles',
+    up(data) {
+      const { hashPassword } = require('./auth.js');
+      if (!Array.isArray(data.sessions)) data.sessions = [];
+
+      data.users = data.users.map(user => {
+        const { password, ...rest } = user;
+        return {
+          ...rest,
+          email: String(rest.email || '').trim().toLowerCase(),
+          passwordHash: rest.passwordHash || (password ? hashPassword(password) : null),
+          role: rest.role || 'citizen'
+        };
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add report audit log and workflow status',
+    up(data) {
+      if (!Array.isArray(data.reportAudit)) data.reportAudit = [];
+
+      data.reports = data.reports.map(report => {
+        const status = report.verified ? 'verified' : (report.status === 'pending' || !report.status ? 'submitted' : report.status);
+        if (!data.reportAudit.some(entry => String(entry.reportId) === String(report.id))) {
+          data.reportAudit.push({
+            id: `${report.id}-migrated`,
+            reportId: report.id,
+            from: null,
+            to: status,
+            reason: 'Imported by schema migration',
+            actorId: null,
+            actorRole: 'system',
+            timestamp: report.timestamp || new Date().toISOString()
+          });
+        }
+        return { ...report, status, verified: status === 'verified' };
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add warnings and notification collections',
+    up(data) {
+      ['warnings', 'notificationPreferences', 'notificationDeliveries', 'notifications'].forEach(name => {
+        if (!Array.isArray(data[name])) data[name] = [];
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add geofenced subscriptions and alert feed',
+    up(data) {
+      ['subscriptions', 'alerts'].forEach(name => {
+        if (!Array.isArray(data[name])) data[name] = [];
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add hotspot lifecycle records, snapshots and change events',
+    up(data) {
+      ['hotspotLifecycle', 'hotspotSnapshots', 'hotspotEvents'].forEach(name => {
+        if (!Array.isArray(data[name])) data[name] = [];
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Add resumable media uploads for offline sync',
+    up(data) {
+      if (!Array.isArray(data.uploads)) data.uploads = [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Add report comments and reactions',
+    up(data) {
+      ['comments', 'reactions'].forEach(name => {
+        if (!Array.isArray(data[name])) data[name] = [];
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Add processed media records',
+    up(data) {
+      if (!Array.isArray(data.media)) data.media = [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the sensor registry (readings live in the time-series store)',
+    up(data) {
+      if (!Array.isArray(data.sensors)) data.sensors = [];
+    }
+  },
+  {
+    version: 11,
+    description: 'Add sensor maintenance alerts and reading health flags',
+    up(data) {
+      if (!Array.isArray(data.maintenanceAlerts)) data.maintenanceAlerts = [];
+      (data.sensors || []).forEach(sensor => {
+        if (sensor.validRange === undefined) sensor.validRange = null;
+        if (sensor.lastFlags === undefined) sensor.lastFlags = [];
+      });
+    }
+  },
+  {
+    version: 12,
+    description: 'Add hazard threshold rules, seeded with the thresholds previously built into processWeatherData',
+    up(data) {
+      if (!Array.isArray(data.hazardStates)) data.hazardStates = [];
+      if (Array.isArray(data.hazardRules)) return;
+
+      const createdAt = new Date().toISOString();
+      const rule = (id, name, metric, operator, value, clearValue, severity, hazardType) => ({
+        id, name, metric, operator, value, clearValue, duration: 0, severity, hazardType,
+        region: null, enabled: true, createdBy: null, createdAt, updatedAt: createdAt
+      });
+      data.hazardRules = [
+        rule('default-storm', 'High winds', 'windSpeed', '>', 50, 45, 'medium', 'storm'),
+        rule('default-storm-severe', 'Severe winds', 'windSpeed', '>', 70, 63, 'high', 'storm'),
+        rule('default-waves', 'Dangerous waves', 'waveHeight', '>', 3, 2.7, 'medium', 'waves'),
+        rule('default-waves-severe', 'Very dangerous waves', 'waveHeight', '>', 4, 3.6, 'high', 'waves'),
+        rule('default-visibility', 'Poor visibility', 'visibility', '<', 3, 3.3, 'medium', 'visibility')
+      ];
+    }
+  },
+  {
+    version: 13,
+    description: 'Add bulk import records',
+    up(data) {
+      if (!Array.isArray(data.imports)) data.imports = [];
+    }
+  }
+];
+
+// In-memory backend, used for tests and when persistence is disabled
+class MemoryStore {
+  constructor() {
+    this.data = {};
+    this.meta = { schemaVersion: 0 };
+    this.idMaps = new Map(); // collection -> Map of id -> record, built on first lookup
+  }
+
+  open() {
+    this.migrate();
+    return this;
+  }
+
+  migrate() {
+    MIGRATIONS
+      .filter(migration => migration.version > this.meta.schemaVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        migration.up(this.data);
+        this.meta.schemaVersion = migration.version;
+        this.meta.migratedAt = new Date().toISOString();
+      });
+  }
+
+  collection(name) {
+    if (!this.data[name]) this.data[name] = [];
+    return this.data[name];
+  }
+
+  // Records by id; the first record wins if an id was ever stored twice
+  byId(name) {
+    if (!this.idMaps.has(name)) {
+      const ids = new Map();
+      this.collection(name).forEach(record => {
+        if (!ids.has(String(record.id))) ids.set(String(record.id), record);
+      });
+      this.idMaps.set(name, ids);
+    }
+    return this.idMaps.get(name);
+  }
+
+  // Apply a single mutation to the in-memory state, keeping any id map in step
+  apply(entry) {
+    const ids = this.idMaps.get(entry.collection);
+    switch (entry.op) {
+      case 'insert':
+        this.collection(entry.collection).push(entry.record);
+        if (ids && !ids.has(String(entry.record.id))) ids.set(String(entry.record.id), entry.record);
+        break;
+      case 'update': {
+        const records = this.collection(entry.collection);
+        const index = records.findIndex(r => String(r.id) === String(entry.id));
+        if (index !== -1) records[index] = entry.record;
+        if (ids && index !== -1) ids.set(String(entry.id), entry.record);
+        break;
+      }
+      case 'delete':
+        this.data[entry.collection] = this.collection(entry.collection)
+          .filter(r => String(r.id) !== String(entry.id));
+        if (ids) ids.delete(String(entry.id));
+        break;
+      case 'replace':
+        this.data[entry.collection] = entry.records;
+        this.idMaps.delete(entry.collection);
+        break;
+    }
+  }
+
+  write(entry) {
+    this.apply(entry);
+  }
+
+  close() {}
+}
+
+// Data directories this process has open; a lock file naming our own pid
+// but not listed here was left by an earlier process that had the same pid
+const lockedDirs = new Set();
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// File-backed JSON store with a write-ahead journal. Every mutation is
+// appended to the journal and fsynced before it is applied; the journal is
+// folded into the snapshot on checkpoint, so a crash between the two only
+// ever loses the snapshot rewrite, never an acknowledged write.
+//
+// Each store holds everything in memory and writes its own snapshot, so only
+// one may have a directory open at a time: a second one (the import or seed
+// command while the server runs) would overwrite the first one's writes. The
+// lock file names the holder and is taken over once that process has exited.
+class JsonFileStore extends MemoryStore {
+  constructor({ dir, checkpointEvery = 500 } = {}) {
+    super();
+    this.dir = dir || path.join(__dirname, 'data');
+    this.snapshotFile = path.join(this.dir, 'db.json');
+    this.journalFile = path.join(this.dir, 'db.journal');
+    this.lockFile = path.join(this.dir, 'db.lock');
+    this.checkpointEvery = checkpointEvery;
+    this.pendingEntries = 0;
+    this.journalFd = null;
+  }
+
+  lock() {
+    const dir = path.resolve(this.dir);
+    try {
+      fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const holder = Number(fs.readFileSync(this.lockFile, 'utf8'));
+      const stale = holder === process.pid ? !lockedDirs.has(dir) : !processAlive(holder);
+      if (!stale) {
+        throw Object.assign(new Error(`Data directory ${this.dir} is already open in process ${holder}`), { code: 'ELOCKED' });
+      }
+      fs.writeFileSync(this.lockFile, String(process.pid));
+    }
+    lockedDirs.add(dir);
+  }
+
+  unlock() {
+    lockedDirs.delete(path.resolve(this.dir));
+    fs.rmSync(this.lockFile, { force: true });
+  }
+
+  open() {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    this.lock();
+
+    try {
+      if (fs.existsSync(this.snapshotFile)) {
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+        this.data = snapshot.data || {};
+        this.meta = snapshot.meta || { schemaVersion: 0 };
+      }
+
+      this.replayJournal();
+      this.journalFd = fs.openSync(this.journalFile, 'a');
+      this.migrate();
+      this.checkpoint();
+    } catch (error) {
+      if (this.journalFd !== null) fs.closeSync(this.journalFd);
+      this.journalFd = null;
+      this.unlock();
+      throw error;
+    }
+    return this;
+  }
+
+  replayJournal() {
+    if (!fs.existsSync(this.journalFile)) return;
+
+    const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        // A torn final line means the process died mid-append; that write was never acknowledged
+        console.warn('Skipping unreadable journal entry:', error.message);
+      }
+    }
+  }
+
+  write(entry) {
+    fs.writeSync(this.journalFd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(this.journalFd);
+    this.apply(entry);
+
+    if (++this.pendingEntries >= this.checkpointEvery) this.checkpoint();
+  }
+
+  // The new snapshot and its rename are fsynced before the journal is
+  // truncated; otherwise a crash could leave an empty journal next to a
+  // snapshot that never reached the disk
+  checkpoint() {
+    const tmpFile = this.snapshotFile + '.tmp';
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify({ meta: this.meta, data: this.data }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, this.snapshotFile);
+    this.syncDir();
+    fs.ftruncateSync(this.journalFd, 0);
+    fs.fsyncSync(this.journalFd);
+    this.pendingEntries = 0;
+  }
+
+  // Makes the rename durable. Windows cannot open a directory for fsync.
+  syncDir() {
+    let fd;
+    try {
+      fd = fs.openSync(this.dir, 'r');
+      fs.fsyncSync(fd);
+    } catch (error) {
+      if (process.platform !== 'win32') throw error;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  close() {
+    if (this.journalFd === null) return;
+    this.checkpoint();
+    fs.closeSync(this.journalFd);
+    this.journalFd = null;
+    this.unlock();
+  }
+}
+
+// Collection-level access used by the routes
+class Repository {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  all() {
+    return this.store.collection(this.name);
+  }
+
+  find(predicate) {
+    return this.all().find(predicate);
+  }
+
+  filter(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  findById(id) {
+    return this.store.byId(this.name).get(String(id));
+  }
+
+  count() {
+    return this.all().length;
+  }
+
+  insert(record) {
+    const stored = { ...record, id: record.id !== undefined ? record.id : Date.now() };
+    this.store.write({ op: 'insert', collection: this.name, record: stored });
+    return stored;
+  }
+
+  insertMany(records) {
+    return records.map(record => this.insert(record));
+  }
+
+  update(id, changes) {
+    const existing = this.findById(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id: existing.id };
+    this.store.write({ op: 'update', collection: this.name, id: existing.id, record: updated });
+    return updated;
+  }
+
+  remove(id) {
+    const existing = this.findById(id);
+    if (!existing) return false;
+
+    this.store.write({ op: 'delete', collection: this.name, id: existing.id });
+    return true;
+  }
+
+  replaceAll(records) {
+    this.store.write({ op: 'replace', collection: this.name, records });
+    return records;
+  }
+}
+
+// Pick a backend from options or environment (DATA_STORE=memory|file, DATA_DIR)
+function createStore(options = {}) {
+  const driver = options.driver || process.env.DATA_STORE || 'file';
+  const store = driver === 'memory'
+    ? new MemoryStore()
+    : new JsonFileStore({ ...options, dir: options.dir || process.env.DATA_DIR });
+  return store.open();
+}
+
+function createRepositories(store) {
+  return {
+    users: new Repository(store, 'users'),
+    reports: new Repository(store, 'reports'),
+    socialPosts: new Repository(store, 'socialPosts'),
+    hotspots: new Repository(store, 'hotspots'),
+    sessions: new Repository(store, 'sessions'),
+    reportAudit: new Repository(store, 'reportAudit'),
+    warnings: new Repository(store, 'warnings'),
+    notificationPreferences: new Repository(store, 'notificationPreferences'),
+    notificationDeliveries: new Repository(store, 'notificationDeliveries'),
+    notifications: new Repository(store, 'notifications'),
+    subscriptions: new Repository(store, 'subscriptions'),
+    alerts: new Repository(store, 'alerts'),
+    hotspotLifecycle: new Repository(store, 'hotspotLifecycle'),
+    hotspotSnapshots: new Repository(store, 'hotspotSnapshots'),
+    hotspotEvents: new Repository(store, 'hotspotEvents'),
+    uploads: new Repository(store, 'uploads'),
+    comments: new Repository(store, 'comments'),
+    reactions: new Repository(store, 'reactions'),
+    media: new Repository(store, 'media'),
+    sensors: new Repository(store, 'sensors'),
+    maintenanceAlerts: new Repository(store, 'maintenanceAlerts'),
+    hazardRules: new Repository(store, 'hazardRules'),
+    hazardStates: new Repository(store, 'hazardStates'),
+    imports: new Repository(store, 'imports')
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  MemoryStore,
+  JsonFileStore,
+  Repository,
+  createStore,
+  createRepositories
+};
@@ -0,0 +1,147 @@
+// Seed / import command for the hazard data store
+//
+//   node db-seed.js                  # apply migrations and load the sample data
+//   node db-seed.js export.json      # import { users, reports, socialPosts, sensors } from a file
+//   node db-seed.js --reset file.json
+//
+// Records whose id already exists are skipped, so an import can be re-run safely.
+//
+// The demo official gets SEED_OFFICIAL_PASSWORD; without it a random password
+// is generated and printed once, when the account is created.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createStore, createRepositories } = require('./data-store.js');
+const { hashPassword } = require('./auth.js');
+const { ReportWorkflow, normalizeStatus } = require('./report-workflow.js');
+const { SENSOR_TYPES } = require('./sensor-registry.js');
+
+const DEMO_OFFICIAL_EMAIL = 'official@example.org';
+
+const sampleData = {
+  users: [
+    {
+      id: 1,
+      fullName: 'Demo Official',
+      email: DEMO_OFFICIAL_EMAIL,
+      role: 'official',
+      registeredAt: new Date().toISOString()
+    }
+  ],
+  reports: [
+    {
+      id: 1001,
+      title: 'Coastal road flooded',
+      type: 'flood',
+      severity: 'high',
+      description: 'Sea water entering the coastal road after high tide',
+      latitude: 19.0760,
+      longitude: 72.8777,
+      peopleAffected: 40,
+      timestamp: new Date().toISOString(),
+      status: 'submitted',
+      verified: false
+    }
+  ],
+  socialPosts: [],
+  // Demo sensors have no ingest key; an official issues one with POST /api/ocean/sensors/:id/key
+  sensors: [
+    { id: 'wave-sensor-1', name: 'Mumbai offshore wave buoy', type: 'wave_height', location: { lat: 18.95, lng: 72.75 } },
+    { id: 'wind-sensor-1', name: 'Mumbai harbour anemometer', type: 'wind_speed', location: { lat: 18.94, lng: 72.84 } },
+    { id: 'temp-sensor-1', name: 'Chennai coastal thermistor', type: 'water_temperature', location: { lat: 13.08, lng: 80.29 } },
+    { id: 'visibility-sensor-1', name: 'Kochi port visibility meter', type: 'visibility', location: { lat: 9.97, lng: 76.24 } }
+  ].map(sensor => ({
+    ...sensor,
+    units: SENSOR_TYPES[sensor.type],
+    calibration: { scale: 1, offset: 0, calibratedAt: null },
+    reportingInterval: 600,
+    validRange: null,
+    ownerId: 1,
+    ingestKeyHash: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    retiredAt: null,
+    lastReadingAt: null,
+    lastValue: null,
+    lastFlags: []
+  }))
+};
+
+function importData(db, data) {
+  const summary = {};
+
+  ['users', 'reports', 'socialPosts', 'sensors'].forEach(name => {
+    let records = Array.isArray(data[name]) ? data[name] : [];
+    if (name === 'users') {
+      // Imported accounts never keep a plaintext password
+      records = records.map(({ password, ...user }) => ({
+        ...user,
+        passwordHash: user.passwordHash || (password ? hashPassword(password) : null)
+      }));
+    }
+
+    if (name === 'reports') {
+      records = records.map(report => ({ ...report, status: normalizeStatus(report.status) }));
+    }
+
+    const fresh = records.filter(record => record.id === undefined || !db[name].findById(record.id));
+    const inserted = db[name].insertMany(fresh);
+    if (name === 'reports') {
+      // Imported reports start their audit trail at whatever status they arrived with
+      const workflow = new ReportWorkflow(db);
+      inserted.forEach(report => workflow.writeAudit(report.id, null, report.status, { id: null, role: 'system' }, 'Imported by seed command'));
+    }
+    summary[name] = { imported: fresh.length, skipped: records.length - fresh.length };
+  });
+
+  return summary;
+}
+
+// Returns { password, generated } or throws when the configured one is too weak
+function officialPassword(env = process.env) {
+  if (env.SEED_OFFICIAL_PASSWORD === undefined) {
+    return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+  }
+  if (env.SEED_OFFICIAL_PASSWORD.length < 8) throw new Error('SEED_OFFICIAL_PASSWORD must be at least 8 characters');
+  return { password: env.SEED_OFFICIAL_PASSWORD, generated: false };
+}
+
+function run(args, env = process.env) {
+  const reset = args.includes('--reset');
+  const file = args.find(arg => !arg.startsWith('--'));
+  const official = file ? null : officialPassword(env);
+  const data = file
+    ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+    : { ...sampleData, users: sampleData.users.map(user => ({ ...user, password: official.password })) };
+
+  const store = createStore();
+  const db = createRepositories(store);
+
+  if (reset) {
+    Object.values(db).forEach(repository => repository.replaceAll([]));
+  }
+
+  const summary = importData(db, data);
+  store.close();
+
+  console.log(`Schema version ${store.meta.schemaVersion}`);
+  Object.entries(summary).forEach(([name, { imported, skipped }]) => {
+    console.log(`${name}: ${imported} imported, ${skipped} skipped`);
+  });
+  // An existing account keeps its password, so there is nothing to show then
+  if (official && official.generated && summary.users.imported) {
+    console.log(`Demo official ${DEMO_OFFICIAL_EMAIL} created with password ${official.password}`);
+    console.log('It is not stored anywhere else; set SEED_OFFICIAL_PASSWORD to choose one.');
+  }
+}
+
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (error) {
+    console.error('Seed failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { importData, officialPassword };
@@ -0,0 +1,154 @@
+// Browser side of the report discussion endpoints (comments, replies, reactions).
+// Needs auth-client.js; render() draws a thread into a container and wires its buttons.
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+class DiscussionClient {
+  constructor(reportId) {
+    this.reportId = reportId;
+    this.base = `/api/reports/${encodeURIComponent(reportId)}`;
+  }
+
+  static async summaries(reportIds) {
+    if (!reportIds.length) return {};
+    const response = await authClient.fetch(`/api/reports/discussion?ids=${reportIds.map(encodeURIComponent).join(',')}`);
+    return response.ok ? (await response.json()).summaries : {};
+  }
+
+  async request(path, options = {}) {
+    const response = await authClient.fetch(this.base + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body)
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result;
+  }
+
+  comments() {
+    return this.request('/comments');
+  }
+
+  post(body, parentId = null) {
+    return this.request('/comments', { method: 'POST', body: { body, parentId } });
+  }
+
+  edit(commentId, body) {
+    return this.request(`/comments/${encodeURIComponent(commentId)}`, { method: 'PATCH', body: { body } });
+  }
+
+  remove(commentId) {
+    return this.request(`/comments/${encodeURIComponent(commentId)}`, { method: 'DELETE' });
+  }
+
+  flag(commentId, reason) {
+    return this.request(`/comments/${encodeURIComponent(commentId)}/flag`, { method: 'POST', body: { reason } });
+  }
+
+  setHidden(commentId, hidden, reason) {
+    return this.request(`/comments/${encodeURIComponent(commentId)}/hide`, { method: 'POST', body: { hidden, reason } });
+  }
+
+  reactions() {
+    return this.request('/reactions');
+  }
+
+  react(type) {
+    return this.request('/reactions', { method: 'PUT', body: { type } });
+  }
+
+  clearReaction() {
+    return this.request('/reactions', { method: 'DELETE' });
+  }
+
+  renderComment(comment, user) {
+    if (comment.body === null) {
+      return `<div class="comment removed" data-id="${escapeHtml(comment.id)}">
+        <em>${comment.deleted ? 'Comment deleted' : 'Comment hidden by a moderator'}</em>
+        <div class="replies">${comment.replies.map(reply => this.renderComment(reply, user)).join('')}</div>
+      </div>`;
+    }
+
+    const own = user && String(user.id) === String(comment.authorId);
+    const official = user && user.role === 'official';
+    const actions = user ? [
+      `<button data-action="reply">Reply</button>`,
+      own ? `<button data-action="edit">Edit</button>` : '',
+      own || official ? `<button data-action="delete">Delete</button>` : '',
+      !own ? `<button data-action="flag">Flag</button>` : '',
+      official ? `<button data-action="${comment.hidden ? 'unhide' : 'hide'}">${comment.hidden ? 'Unhide' : 'Hide'}</button>` : ''
+    ].join('') : '';
+
+    return `<div class="comment${comment.official ? ' official' : ''}${comment.hidden ? ' hidden' : ''}" data-id="${escapeHtml(comment.id)}">
+      <div class="comment-meta">
+        <strong>${escapeHtml(comment.authorName)}</strong>
+        ${comment.official ? `<span class="official-badge">Official response · ${escapeHtml(comment.authorRole)}</span>` : ''}
+        <span>${new Date(comment.createdAt).toLocaleString()}${comment.editedAt ? ' (edited)' : ''}</span>
+        ${comment.hidden ? `<span class="hidden-badge">Hidden: ${escapeHtml(comment.hiddenReason)}</span>` : ''}
+        ${official && comment.flags && comment.flags.length ? `<span class="hidden-badge">${comment.flags.length} flag(s)</span>` : ''}
+      </div>
+      <div class="comment-body">${escapeHtml(comment.body)}</div>
+      <div class="comment-actions">${actions}</div>
+      <div class="replies">${comment.replies.map(reply => this.renderComment(reply, user)).join('')}</div>
+    </div>`;
+  }
+
+  // Draws the thread into `container`; after any action it redraws and calls onChange(total)
+  async render(container, onChange = () => {}) {
+    const user = authClient.getUser();
+    const { comments, total } = await this.comments();
+    container.innerHTML = comments.length
+      ? comments.map(comment => this.renderComment(comment, user)).join('')
+      : '<p class="no-comments">No comments yet.</p>';
+
+    container.querySelectorAll('.comment-actions button').forEach(button => {
+      button.onclick = async () => {
+        const id = button.closest('.comment').dataset.id;
+        try {
+          if (!await this.handleAction(button.dataset.action, id, button)) return;
+          onChange(await this.render(container, onChange));
+        } catch (error) {
+          alert(error.message);
+        }
+      };
+    });
+    return total;
+  }
+
+  async handleAction(action, id, button) {
+    const body = button.closest('.comment').querySelector('.comment-body');
+    if (action === 'reply') {
+      const text = prompt('Your reply:');
+      if (!text || !text.trim()) return false;
+      await this.post(text, id);
+    } else if (action === 'edit') {
+      const text = prompt('Edit your comment:', body.textContent);
+      if (!text || !text.trim()) return false;
+      await this.edit(id, text);
+    } else if (action === 'delete') {
+      if (!confirm('Delete this comment?')) return false;
+      await this.remove(id);
+    } else if (action === 'flag') {
+      const reason = prompt('Why should a moderator review this comment?');
+      if (reason === null) return false;
+      await this.flag(id, reason);
+      alert('Thanks, a moderator will review it.');
+    } else if (action === 'hide') {
+      const reason = prompt('Reason for hiding this comment:');
+      if (!reason) return false;
+      await this.setHidden(id, true, reason);
+    } else if (action === 'unhide') {
+      await this.setHidden(id, false);
+    }
+    return true;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.DiscussionClient = DiscussionClient;
+  window.escapeHtml = escapeHtml;
+}
@@ -1,148 +1,162 @@
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { createStore, createRepositories } = require('./data-store.js');
+const { AuthService } = require('./auth.js');
+const { ReportWorkflow } = require('./report-workflow.js');
+const { LiveUpdates } = require('./live-updates.js');
+const { NotificationDispatcher, createChannels } = require('./notification-dispatcher.js');
+const { GeofenceService } = require('./geofence.js');
+const OceanMonitorAPI = require('./ocean-api.js');
+const { createOceanDataService } = require('./ocean-providers.js');
+const { createOceanRouter } = require('./ocean-routes.js');
+const { HotspotClusterer } = require('./hotspot-clustering.js');
+const { HotspotLifecycle } = require('./hotspot-lifecycle.js');
+const { NLPEngine } = require('./nlp-engine.js');
+const { DuplicateDetector } = require('./report-dedup.js');
+const { MediaPipeline, MEDIA_TYPES } = require('./media-pipeline.js');
+const { ChunkedUploads } = require('./chunked-upload.js');
+const { SyncService, validateReportFields, clientOwner, clientKey } = require('./report-sync.js');
+const { DiscussionService } = require('./report-discussion.js');
+const { SensorRegistry } = require('./sensor-registry.js');
+const { TimeSeriesStore } = require('./sensor-timeseries.js');
+const { SensorHealth } = require('./sensor-health.js');
+const { HazardRuleEngine } = require('./hazard-rules.js');
+const { ReportQuery } = require('./report-query.js');
+const { exportDataset, capAlert, atomFeed } = require('./data-export.js');
+const { ReportImporter } = require('./report-import.js');
+const { I18n } = require('./i18n.js');
+const { ReporterCredibility } = require('./reporter-credibility.js');
+const { servePublicFiles } = require('./public-files.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Database simulation
-let users = [];
-let reports = [];
-let socialPosts = [];
-let hotspots = [];
+// PUBLIC_URL and CAP_SENDER name this deployment in CAP alerts. They are fixed
+// at startup: alert identifiers must not change with the Host header of a request.
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CAP_OPTIONS = { baseUrl: PUBLIC_URL, sender: process.env.CAP_SENDER || new URL(PUBLIC_URL).hostname };
+
+// Persistent storage (see data-store.js; DATA_DIR / DATA_STORE select the backend)
+const store = createStore();
+const db = createRepositories(store);
+const auth = new AuthService(db);
+const workflow = new ReportWorkflow(db);
+const live = new LiveUpdates();
+const i18n = new I18n();
+const dispatcher = new NotificationDispatcher(db, { channels: createChannels(db), i18n });
+const geofence = new GeofenceService(db);
+const dedup = new DuplicateDetector(db);
+const mediaPipeline = new MediaPipeline(db);
+const uploads = new ChunkedUploads(db, { media: mediaPipeline });
+const discussion = new DiscussionService(db);
+const reportQuery = new ReportQuery(db);
+const credibility = new ReporterCredibility(db);
+const sync = new SyncService(db, {
+  createReport: (data, user, media, key) => createReport(data, user, media, { offline: true, clientKey: key }),
+  onUpdated: refreshReport,
+  uploads
+});
+const timeseries = new TimeSeriesStore();
+const sensorHealth = new SensorHealth(db, { timeseries });
+const sensorRegistry = new SensorRegistry(db, { timeseries, health: sensorHealth });
+const oceanMonitor = new OceanMonitorAPI({
+  data: createOceanDataService(),
+  registry: sensorRegistry,
+  rules: new HazardRuleEngine(db),
+  community: {
+    reports: () => activeReports().filter(report => report.verified),
+    hotspots: () => db.hotspots.filter(hotspot => hotspot.lifecycle !== 'closed')
+  }
+});
+
+// Each monitoring cycle goes to live clients and is matched against areas of interest
+oceanMonitor.onUpdate(update => {
+  live.publish('sensors', update);
+  geofence.matchHazards(update.hazards);
+});
 
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static(__dirname));
+// Pages and browser scripts only; uploaded media is served through GET /api/media/:id
+app.use(servePublicFiles(__dirname));
+app.use(auth.authenticate);
 
-// File upload configuration
+// File upload configuration: multer only stages files; media-pipeline.js
+// checks, cleans and stores them
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = './uploads';
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
-    cb(null, uploadDir);
+    fs.mkdirSync(mediaPipeline.incomingDir, { recursive: true });
+    cb(null, mediaPipeline.incomingDir);
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, crypto.randomUUID());
   }
 });
-const upload = multer({ storage });
-
-// NLP Engine for hazard detection
-class NLPEngine {
-  constructor() {
-    this.hazardKeywords = {
-      flood: ['flood', 'flooding', 'water', 'rain', 'overflow', 'submerged'],
-      storm: ['storm', 'cyclone', 'hurricane', 'wind', 'tornado'],
-      fire: ['fire', 'burning', 'smoke', 'flames', 'wildfire'],
-      earthquake: ['earthquake', 'tremor', 'shake', 'seismic'],
-      tsunami: ['tsunami', 'wave', 'surge', 'coastal'],
-      accident: ['accident', 'crash', 'collision', 'emergency']
-    };
-    
-    this.urgencyKeywords = ['urgent', 'emergency', 'critical', 'immediate', 'help', 'rescue'];
-    this.locationKeywords = ['near', 'at', 'in', 'around', 'close to'];
+const upload = multer({
+  storage,
+  limits: { fileSize: mediaPipeline.options.maxVideoSize, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (MEDIA_TYPES[file.mimetype]) return cb(null, true);
+    cb(Object.assign(new Error(`Unsupported file type ${file.mimetype}`), { status: 415 }));
   }
+});
 
-  analyzeText(text) {
-    const lowerText = text.toLowerCase();
-    const analysis = {
-      hazardType: null,
-      urgencyLevel: 0,
-      keywords: [],
-      sentiment: 'neutral',
-      confidence: 0
-    };
-
-    // Detect hazard type
-    for (const [type, keywords] of Object.entries(this.hazardKeywords)) {
-      const matches = keywords.filter(keyword => lowerText.includes(keyword));
-      if (matches.length > 0) {
-        analysis.hazardType = type;
-        analysis.keywords.push(...matches);
-        analysis.confidence += matches.length * 0.2;
-      }
-    }
-
-    // Detect urgency
-    const urgencyMatches = this.urgencyKeywords.filter(keyword => lowerText.includes(keyword));
-    analysis.urgencyLevel = Math.min(urgencyMatches.length * 0.3, 1);
-    analysis.keywords.push(...urgencyMatches);
-
-    // Simple sentiment analysis
-    const negativeWords = ['danger', 'disaster', 'severe', 'critical', 'emergency'];
-    const positiveWords = ['safe', 'help', 'rescue', 'support'];
-    
-    const negCount = negativeWords.reduce((count, word) => 
-      count + (lowerText.match(new RegExp(word, 'g')) || []).length, 0);
-    const posCount = positiveWords.reduce((count, word) => 
-      count + (lowerText.match(new RegExp(word, 'g')) || []).length, 0);
-    
-    if (negCount > posCount) analysis.sentiment = 'negative';
-    else if (posCount > negCount) analysis.sentiment = 'positive';
+// multer's errors as JSON instead of Express's default error page
+function acceptMedia(req, res, next) {
+  upload.array('media', 10)(req, res, error => {
+    if (!error) return next();
+    (req.files || []).forEach(f => fs.rmSync(f.path, { force: true }));
+    const status = error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+    res.status(status).json({ success: false, error: error.message });
+  });
+}
 
-    analysis.confidence = Math.min(analysis.confidence, 1);
-    return analysis;
-  }
+// Multilingual hazard detection (see nlp-engine.js)
+const nlpEngine = new NLPEngine();
 
-  processSocialMedia(posts) {
-    return posts.map(post => ({
-      ...post,
-      analysis: this.analyzeText(post.content),
-      relevanceScore: this.calculateRelevance(post)
-    })).filter(post => post.analysis.confidence > 0.3);
-  }
+// Hotspot generation: density-based clustering of recent reports (see hotspot-clustering.js)
+// Reports merged into an incident are represented by that incident and left out.
+// Each report counts in proportion to its reporter's credibility.
+const activeReports = () => db.reports.filter(r => !r.mergedInto);
+const clusterer = new HotspotClusterer({ reportWeight: report => credibility.weight(report) });
+clusterer.rebuild(activeReports(), db.hotspots.all());
+
+// Lifecycle changes go to live clients; a hotspot turning critical raises a warning
+const lifecycle = new HotspotLifecycle(db, { onEvent: handleHotspotEvent });
+
+function handleHotspotEvent(event, hotspot) {
+  live.publish('hotspots', { action: 'lifecycle', event });
+  const becameCritical = event.severity === 'critical' &&
+    ['emerged', 'reopened', 'severity_escalated'].includes(event.type);
+  if (becameCritical) triggerHotspotWarning(hotspot);
+}
 
-  calculateRelevance(post) {
-    const analysis = this.analyzeText(post.content);
-    return analysis.confidence * (1 + post.engagement / 100) * (analysis.urgencyLevel + 0.5);
+function saveHotspots(hotspots) {
+  const tracked = lifecycle.update(hotspots);
+  const changed = JSON.stringify(tracked) !== JSON.stringify(db.hotspots.all());
+  if (changed) {
+    db.hotspots.replaceAll(tracked);
+    live.publish('hotspots', { action: 'updated', hotspots: tracked, total: tracked.length });
+    geofence.matchHotspots(tracked);
   }
+  return tracked;
 }
 
-const nlpEngine = new NLPEngine();
-
-// Hotspot generation algorithm
+// Full recomputation; picks up time decay, expired reports and changed credibility
 function generateHotspots() {
-  const locationClusters = {};
-  const timeWindow = 24 * 60 * 60 * 1000; // 24 hours
-  const now = Date.now();
-
-  // Group reports by location (within ~10km radius)
-  reports.filter(report => now - new Date(report.timestamp).getTime() < timeWindow)
-    .forEach(report => {
-      const key = `${Math.floor(report.latitude * 10)}_${Math.floor(report.longitude * 10)}`;
-      if (!locationClusters[key]) {
-        locationClusters[key] = [];
-      }
-      locationClusters[key].push(report);
-    });
+  credibility.invalidate();
+  return saveHotspots(clusterer.rebuild(activeReports(), db.hotspots.all()));
+}
 
-  // Generate hotspots from clusters with 2+ reports
-  hotspots = Object.entries(locationClusters)
-    .filter(([key, reports]) => reports.length >= 2)
-    .map(([key, clusterReports]) => {
-      const avgLat = clusterReports.reduce((sum, r) => sum + r.latitude, 0) / clusterReports.length;
-      const avgLng = clusterReports.reduce((sum, r) => sum + r.longitude, 0) / clusterReports.length;
-      
-      const severityScore = clusterReports.reduce((score, r) => {
-        const weights = { critical: 4, high: 3, medium: 2, low: 1 };
-        return score + (weights[r.severity] || 1);
-      }, 0);
-
-      return {
-        id: key,
-        latitude: avgLat,
-        longitude: avgLng,
-        reportCount: clusterReports.length,
-        severity: severityScore > 10 ? 'critical' : severityScore > 6 ? 'high' : 'medium',
-        types: [...new Set(clusterReports.map(r => r.type))],
-        lastUpdate: Math.max(...clusterReports.map(r => new Date(r.timestamp).getTime())),
-        affectedPeople: clusterReports.reduce((sum, r) => sum + (parseInt(r.peopleAffected) || 0), 0)
-      };
-    });
+// Incremental update when a single report arrives
+function addReportToHotspots(report) {
+  credibility.invalidateReport(report);
+  return saveHotspots(clusterer.addReport(report));
 }
 
 // Routes
@@ -152,64 +166,395 @@ app.get('/', (req, res) => {
 
 // User management
 app.post('/api/users/register', (req, res) => {
-  const user = { id: Date.now(), ...req.body, registeredAt: new Date().toISOString() };
-  users.push(user);
-  res.json({ success: true, user });
+  const result = auth.register(req.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, user: result.user });
 });
 
 app.post('/api/users/login', (req, res) => {
   const { email, password } = req.body;
-  const user = users.find(u => u.email === email);
-  res.json({ success: !!user, user });
+  const result = auth.login(email, password);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, ...result });
 });
 
-// Report management
-app.post('/api/reports', upload.array('media', 10), (req, res) => {
-  const report = {
-    id: Date.now(),
-    ...req.body,
-    mediaFiles: req.files ? req.files.map(f => f.filename) : [],
-    timestamp: new Date().toISOString(),
+app.post('/api/users/refresh', (req, res) => {
+  const result = auth.refresh(req.body.refreshToken);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, ...result });
+});
+
+app.post('/api/users/logout', auth.requireAuth, (req, res) => {
+  auth.logout(req.sessionId);
+  res.json({ success: true });
+});
+
+app.get('/api/users/me', auth.requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Notification preferences (channels, hazard types, regions, minimum severity)
+app.get('/api/users/me/notifications', auth.requireAuth, (req, res) => {
+  res.json({ preferences: dispatcher.getPreferences(req.user.id), channels: [...dispatcher.channels.keys()] });
+});
+
+app.put('/api/users/me/notifications', auth.requireAuth, (req, res) => {
+  const result = dispatcher.setPreferences(req.user, req.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, preferences: result.preferences });
+});
+
+// Approve a requested role (or change one) - officials only
+app.patch('/api/users/:id/role', auth.requireRole('official'), (req, res) => {
+  const result = auth.setRole(req.params.id, req.body.role);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  credibility.invalidateUser(result.user.id);
+  res.json({ success: true, user: result.user });
+});
+
+// Score breakdown behind a reporter's hotspot weight and early warnings (see reporter-credibility.js)
+app.get('/api/users/:id/credibility', auth.requireRole('official'), (req, res) => {
+  const breakdown = credibility.forUser(req.params.id);
+  if (!breakdown) return res.status(404).json({ error: 'User not found' });
+  res.json({ credibility: breakdown });
+});
+
+// Timestamp ids, bumped when two records are created in the same millisecond
+function timestampIds() {
+  let last = 0;
+  return () => (last = Math.max(Date.now(), last + 1));
+}
+const nextReportId = timestampIds();
+const nextWarningId = timestampIds();
+
+// Set by the server, never taken from the client
+const SERVER_REPORT_FIELDS = [
+  'id', 'status', 'verified', 'reporterId', 'reporterRole', 'media', 'mediaFiles', 'mediaHashes', 'mediaPerceptualHashes',
+  'capturedAt', 'locationSource', 'nlpAnalysis', 'possibleDuplicates', 'mergedInto', 'mergedAt', 'mergedBy', 'linkedReports',
+  'incidentPeopleAffected', 'proposedEdits', 'source', 'importedBy', 'importedAt', 'clientId', 'clientKey'
+];
+
+// Kept on the stored report but left out of what anyone can read: who sent
+// it and how to reach them, the hashed client id, and edits awaiting review
+const PRIVATE_REPORT_FIELDS = ['reporterId', 'contact', 'clientKey', 'proposedEdits', 'importedBy'];
+
+// The report as shown to the live stream and report lists
+function publicReport(report) {
+  const view = { ...report };
+  PRIVATE_REPORT_FIELDS.forEach(field => delete view[field]);
+  return view;
+}
+
+// Shared by POST /api/reports and offline sync. media is processed media
+// records (see media-pipeline.js). Offline reports keep the time they were
+// made on the device, if plausible. clientKey identifies a resend (see
+// report-sync.js); the clientId itself is never stored.
+function createReport(data, user, media = [], { offline = false, clientKey = null } = {}) {
+  const fields = { ...data };
+  SERVER_REPORT_FIELDS.forEach(field => delete fields[field]);
+
+  const now = Date.now();
+  const observedAt = new Date(fields.timestamp).getTime();
+  const timestamp = offline && observedAt <= now ? new Date(observedAt).toISOString() : new Date(now).toISOString();
+
+  // Location and capture time from photo EXIF are only used when the reporter opts in
+  const id = nextReportId();
+  fields.useMediaLocation = fields.useMediaLocation === true || fields.useMediaLocation === 'true';
+  const attached = mediaPipeline.attach(media, { id, ...fields }, { useLocation: fields.useMediaLocation });
+
+  const created = db.reports.insert({
+    id,
+    ...fields,
+    ...attached.fields,
+    reporterId: user ? user.id : null,
+    reporterRole: user ? user.role : 'anonymous',
+    ...(clientKey ? { clientKey } : {}),
+    media: attached.media.map(m => mediaPipeline.describe(m)),
+    mediaHashes: attached.media.map(m => m.sha256),
+    mediaPerceptualHashes: attached.media.map(m => m.perceptualHash).filter(Boolean),
+    timestamp,
+    ...(offline ? { syncedAt: new Date(now).toISOString() } : {}),
+    status: 'submitted',
     verified: false,
-    nlpAnalysis: nlpEngine.analyzeText(req.body.description || '')
-  };
+    nlpAnalysis: nlpEngine.analyzeText(fields.description || '')
+  });
+  workflow.recordSubmission(created, user);
+  reportQuery.index(created);
+
+  // Likely duplicates are flagged for officials, never merged automatically
+  const { report, duplicates } = dedup.flag(created);
+  live.publish('reports', { action: 'created', report: publicReport(report) });
+  // The report is already stored, so a failed area match must not fail the request
+  try {
+    geofence.matchReport(report);
+  } catch (error) {
+    console.error('Area of interest matching failed:', error);
+  }
   
-  reports.push(report);
-  generateHotspots();
+  addReportToHotspots(report);
   
-  // Trigger early warning if critical
-  if (report.severity === 'critical' || report.nlpAnalysis.urgencyLevel > 0.7) {
+  // Trigger early warning if critical. Reporters with low credibility wait for
+  // corroboration: their reports still count towards a critical hotspot.
+  const urgent = report.severity === 'critical' || report.nlpAnalysis.urgencyLevel > 0.7;
+  if (urgent && credibility.canTriggerWarning(report)) {
     triggerEarlyWarning(report);
   }
-  
-  res.json({ success: true, report });
+
+  return { report, duplicates };
+}
+
+// Report management
+app.post('/api/reports', acceptMedia, async (req, res) => {
+  const files = req.files || [];
+
+  // A client-generated id makes a retried submission return the original
+  // report. Ids are scoped to the user or, for anonymous reporters, the device.
+  const clientId = req.get('Idempotency-Key') || req.body.clientId;
+  const owner = clientOwner(req.user, req.get('X-Device-Token'));
+  const existing = clientId && owner && sync.findByClientId(clientId, [owner]);
+  if (existing) {
+    files.forEach(f => fs.rmSync(f.path, { force: true }));
+    return res.json({ success: true, report: existing, duplicates: existing.possibleDuplicates || [], replayed: true });
+  }
+
+  const invalid = validateReportFields(req.body);
+  if (invalid) {
+    files.forEach(f => fs.rmSync(f.path, { force: true }));
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const processed = await mediaPipeline.processAll(
+      files.map(f => ({ path: f.path, originalName: f.originalname, mimeType: f.mimetype })),
+      req.user
+    );
+    if (processed.error) return res.status(processed.status).json({ success: false, error: processed.error });
+
+    const key = clientId && owner ? clientKey(owner, clientId) : null;
+    const { report, duplicates } = createReport(req.body, req.user, processed.media, { clientKey: key });
+    res.json({ success: true, report, duplicates });
+  } catch (error) {
+    console.error('Report submission failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to save report' });
+  }
 });
 
+// Filters, full-text search, sorting and cursor pagination (see report-query.js)
 app.get('/api/reports', (req, res) => {
-  const { severity, type, hours = 24 } = req.query;
-  const timeLimit = Date.now() - (hours * 60 * 60 * 1000);
-  
-  let filteredReports = reports.filter(r => new Date(r.timestamp).getTime() > timeLimit);
-  
-  if (severity) filteredReports = filteredReports.filter(r => r.severity === severity);
-  if (type) filteredReports = filteredReports.filter(r => r.type === type);
-  
-  res.json({ reports: filteredReports, total: filteredReports.length });
+  const result = reportQuery.run(req.query);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ ...result, reports: result.reports.map(publicReport) });
+});
+
+// The same query as GET /api/reports, every match, as GeoJSON, CSV or KML
+app.get('/api/reports/export.:format', (req, res) => {
+  const result = reportQuery.run(req.query, Date.now(), { paginate: false });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  sendExport(res, exportDataset('reports', req.params.format, result.reports));
+});
+
+// Comment and reaction counts for a list of reports, e.g. ?ids=1,2,3
+app.get('/api/reports/discussion', (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  res.json({ summaries: discussion.summaries(ids, req.user) });
+});
+
+app.get('/api/reports/:id', (req, res) => {
+  const report = db.reports.findById(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  const isOfficial = req.user && req.user.role === 'official';
+  const isReporter = req.user && report.reporterId !== null && report.reporterId !== undefined && String(report.reporterId) === String(req.user.id);
+  res.json({
+    report: isOfficial || isReporter ? report : publicReport(report),
+    nextStatuses: workflow.nextStatuses(report, req.user && req.user.role),
+    ...(isOfficial ? { credibility: credibility.forReport(report) } : {})
+  });
+});
+
+// Verification workflow: submitted -> triaged -> verified/rejected -> resolved/closed
+app.patch('/api/reports/:id/status', auth.requireAuth, (req, res) => {
+  const { status, reason } = req.body;
+  const result = workflow.transition(req.params.id, status, req.user, reason);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  // Hotspots pick up the reporter's new credibility on their next rebuild
+  credibility.invalidateReport(result.report);
+  // The audit entry (reason, actor) stays out of the public stream; see GET /api/reports/:id/audit
+  live.publish('reports', { action: 'status_changed', report: publicReport(result.report) });
+  res.json({ success: true, report: result.report, audit: result.audit });
+});
+
+// Reasons and reviewers are internal: officials and the reporter only
+app.get('/api/reports/:id/audit', auth.requireAuth, (req, res) => {
+  const report = db.reports.findById(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  const isReporter = report.reporterId !== null && report.reporterId !== undefined && String(report.reporterId) === String(req.user.id);
+  if (req.user.role !== 'official' && !isReporter) {
+    return res.status(403).json({ error: 'Only officials and the reporter can see the audit trail' });
+  }
+
+  const { since, until, actor, status } = req.query;
+  const entries = workflow.history(req.params.id, { since, until, actorId: actor, status });
+  res.json({ audit: entries, total: entries.length });
+});
+
+// After a reporter's edit: re-analyse the text and move the report in hotspots
+function refreshReport(report, changedFields) {
+  const updated = changedFields.includes('description')
+    ? db.reports.update(report.id, { nlpAnalysis: nlpEngine.analyzeText(report.description || '') })
+    : report;
+  live.publish('reports', { action: 'updated', report: publicReport(updated) });
+  if (changedFields.includes('latitude') || changedFields.includes('longitude')) reportQuery.index(updated);
+  if (['latitude', 'longitude', 'type', 'severity'].some(field => changedFields.includes(field))) generateHotspots();
+  return updated;
+}
+
+// Duplicate review: candidates for one report, and merging into a canonical incident
+app.get('/api/reports/:id/duplicates', auth.requireRole('official', 'responder'), (req, res) => {
+  const report = db.reports.findById(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  const duplicates = dedup.findDuplicates(report);
+  res.json({ duplicates, total: duplicates.length });
+});
+
+app.post('/api/reports/:id/merge', auth.requireRole('official'), (req, res) => {
+  const { reportIds, reason } = req.body;
+  if (!reason || !String(reason).trim()) return res.status(400).json({ success: false, error: 'A reason is required to merge reports' });
+
+  const result = dedup.merge(req.params.id, reportIds, req.user, reason);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+  // Status is unchanged; the audit trail records the merge on both sides
+  result.merged.forEach(sub => {
+    workflow.writeAudit(sub.id, sub.status, sub.status, req.user, `Merged into report ${result.report.id}: ${reason}`);
+  });
+  workflow.writeAudit(result.report.id, result.report.status, result.report.status, req.user,
+    `Merged reports ${result.merged.map(sub => sub.id).join(', ')}: ${reason}`);
+
+  live.publish('reports', { action: 'merged', report: publicReport(result.report), mergedIds: result.merged.map(sub => sub.id) });
+  generateHotspots();
+  res.json({ success: true, report: result.report, merged: result.merged });
+});
+
+app.delete('/api/reports/:id/merge/:reportId', auth.requireRole('official'), (req, res) => {
+  const result = dedup.unmerge(req.params.id, req.params.reportId);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+  const { restored } = result;
+  workflow.writeAudit(restored.id, restored.status, restored.status, req.user, `Split from report ${result.report.id}`);
+  live.publish('reports', { action: 'unmerged', report: publicReport(result.report), restored: publicReport(restored) });
+  generateHotspots();
+  res.json({ success: true, report: result.report, restored });
+});
+
+// Report discussion: threaded comments, reactions and moderation
+function publishComment(action, comment) {
+  // Subscribers are anonymous, so they get the public view
+  live.publish('discussion', { action, reportId: comment.reportId, comment: discussion.view(comment, null) });
+}
+
+app.get('/api/reports/:id/comments', (req, res) => {
+  const result = discussion.list(req.params.id, req.user);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
 });
 
+app.post('/api/reports/:id/comments', auth.requireAuth, (req, res) => {
+  const result = discussion.create(req.params.id, req.user, req.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  publishComment('created', result.comment);
+  res.status(201).json({ success: true, comment: result.comment });
+});
+
+app.patch('/api/reports/:id/comments/:commentId', auth.requireAuth, (req, res) => {
+  const result = discussion.edit(req.params.id, req.params.commentId, req.user, req.body.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  publishComment('edited', result.comment);
+  res.json({ success: true, comment: result.comment });
+});
+
+app.delete('/api/reports/:id/comments/:commentId', auth.requireAuth, (req, res) => {
+  const result = discussion.remove(req.params.id, req.params.commentId, req.user);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  publishComment('deleted', result.comment);
+  res.json({ success: true, comment: discussion.view(result.comment, req.user) });
+});
+
+app.post('/api/reports/:id/comments/:commentId/flag', auth.requireAuth, (req, res) => {
+  const wasHidden = (discussion.find(req.params.id, req.params.commentId) || {}).hidden;
+  const result = discussion.flag(req.params.id, req.params.commentId, req.user, req.body.reason);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  if (result.comment.hidden && !wasHidden) publishComment('hidden', result.comment);
+  res.json({ success: true, flagged: true });
+});
+
+app.post('/api/reports/:id/comments/:commentId/hide', auth.requireRole('official'), (req, res) => {
+  const { hidden = true, reason } = req.body;
+  const result = discussion.setHidden(req.params.id, req.params.commentId, req.user, hidden !== false, reason);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  publishComment(result.comment.hidden ? 'hidden' : 'unhidden', result.comment);
+  res.json({ success: true, comment: result.comment });
+});
+
+app.get('/api/comments/flagged', auth.requireRole('official'), (req, res) => {
+  const comments = discussion.flagged();
+  res.json({ comments, total: comments.length });
+});
+
+app.get('/api/reports/:id/reactions', (req, res) => {
+  if (!db.reports.findById(req.params.id)) return res.status(404).json({ error: 'Report not found' });
+  res.json({ reactions: discussion.reactions(req.params.id, req.user) });
+});
+
+// Body { type: 'like' | 'dislike' } sets the user's reaction; type null, or DELETE, clears it
+function setReaction(req, res, type) {
+  const result = discussion.react(req.params.id, req.user, type);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  const { mine, ...counts } = result.reactions;
+  live.publish('discussion', { action: 'reactions', reportId: req.params.id, reactions: counts });
+  res.json({ success: true, reactions: result.reactions });
+}
+
+app.put('/api/reports/:id/reactions', auth.requireAuth, (req, res) => {
+  if (req.body.type === undefined) return res.status(400).json({ success: false, error: 'type is required' });
+  setReaction(req, res, req.body.type);
+});
+
+app.delete('/api/reports/:id/reactions', auth.requireAuth, (req, res) => setReaction(req, res, null));
+
 // Hotspot management
 app.get('/api/hotspots', (req, res) => {
-  generateHotspots();
+  const { state } = req.query;
+  const hotspots = db.hotspots.filter(h => !state || h.lifecycle === state);
   res.json({ hotspots, total: hotspots.length });
 });
 
+app.get('/api/hotspots/export.:format', (req, res) => {
+  const { state } = req.query;
+  sendExport(res, exportDataset('hotspots', req.params.format, db.hotspots.filter(h => !state || h.lifecycle === state)));
+});
+
+// Lifecycle change events across all hotspots, e.g. ?since=<iso>&type=severity_escalated
+app.get('/api/hotspots/events', (req, res) => {
+  const events = lifecycle.events({ since: req.query.since, type: req.query.type });
+  res.json({ events, total: events.length });
+});
+
+// Time series for one hotspot, including after it has closed
+app.get('/api/hotspots/:id/history', (req, res) => {
+  const history = lifecycle.history(req.params.id, { since: req.query.since, until: req.query.until });
+  if (!history) return res.status(404).json({ error: 'Hotspot not found' });
+  res.json({ hotspot: db.hotspots.findById(req.params.id), ...history });
+});
+
 // Social media integration
 app.post('/api/social/analyze', (req, res) => {
   const { posts } = req.body;
   const analyzedPosts = nlpEngine.processSocialMedia(posts);
   
   // Store relevant posts
-  socialPosts.push(...analyzedPosts.filter(p => p.relevanceScore > 0.5));
+  db.socialPosts.insertMany(analyzedPosts
+    .filter(p => p.relevanceScore > 0.5)
+    .map((p, index) => ({ id: `${Date.now()}-${index}`, ...p })));
   
   res.json({ 
     analyzed: analyzedPosts.length,
@@ -232,7 +577,7 @@ app.get('/api/social/feed', (req, res) => {
 
 // NLP insights
 app.get('/api/nlp/insights', (req, res) => {
-  const allTexts = [...reports.map(r => r.description), ...socialPosts.map(p => p.content)];
+  const allTexts = [...db.reports.all().map(r => r.description), ...db.socialPosts.all().map(p => p.content)];
   const combinedText = allTexts.join(' ');
   
   const insights = {
@@ -246,29 +591,135 @@ app.get('/api/nlp/insights', (req, res) => {
   res.json(insights);
 });
 
+// Manually issued warnings - officials only
+app.post('/api/warnings', auth.requireRole('official'), (req, res) => {
+  const { severity, hazardType, latitude, longitude, message } = req.body;
+  if (!message) return res.status(400).json({ error: 'message is required' });
+
+  const warning = issueWarning({
+    severity: severity || 'high',
+    hazardType,
+    location: { lat: latitude, lng: longitude },
+    message,
+    issuedBy: req.user.id
+  });
+  res.json({ success: true, warning });
+});
+
+app.get('/api/warnings', (req, res) => {
+  const warnings = db.warnings.all().slice().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  res.json({ warnings, total: warnings.length });
+});
+
+// Common Alerting Protocol for disaster management authorities: an Atom
+// feed of the latest warnings, each linking to its CAP 1.2 alert
+app.get('/api/warnings/feed.atom', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const warnings = db.warnings.all().slice().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, limit);
+  res.type('application/atom+xml').send(atomFeed(warnings, CAP_OPTIONS));
+});
+
+app.get('/api/warnings/:id/cap', (req, res) => {
+  const warning = db.warnings.findById(req.params.id);
+  if (!warning) return res.status(404).json({ error: 'Warning not found' });
+  res.type('application/cap+xml').send(capAlert(warning, CAP_OPTIONS));
+});
+
+app.post('/api/warnings/:id/acknowledge', auth.requireRole('official', 'responder'), (req, res) => {
+  const warning = dispatcher.acknowledge(req.params.id, req.user);
+  if (!warning) return res.status(404).json({ error: 'Warning not found' });
+  res.json({ success: true, warning });
+});
+
+app.get('/api/warnings/:id/deliveries', auth.requireRole('official'), (req, res) => {
+  const deliveries = dispatcher.deliveriesFor(req.params.id);
+  res.json({ deliveries, total: deliveries.length });
+});
+
+// In-app notifications
+app.get('/api/notifications', auth.requireAuth, (req, res) => {
+  const notifications = db.notifications.filter(n => String(n.userId) === String(req.user.id));
+  res.json({ notifications, unread: notifications.filter(n => !n.readAt).length });
+});
+
+app.post('/api/notifications/:id/read', auth.requireAuth, (req, res) => {
+  const notification = db.notifications.findById(req.params.id);
+  if (!notification || String(notification.userId) !== String(req.user.id)) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+  dispatcher.recordReceipt(notification.id, 'delivered');
+  res.json({ success: true, notification: db.notifications.update(notification.id, { readAt: new Date().toISOString() }) });
+});
+
+// Delivery receipts from SMS/email/webhook providers (X-Receipt-Token) or
+// from the recipient's own client. Without NOTIFICATION_RECEIPT_TOKEN only
+// recipients can send them.
+function isReceiptProvider(req) {
+  const expected = Buffer.from(process.env.NOTIFICATION_RECEIPT_TOKEN || '');
+  const given = Buffer.from(req.get('X-Receipt-Token') || '');
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.post('/api/notifications/receipts/:deliveryId', (req, res) => {
+  const existing = db.notificationDeliveries.findById(req.params.deliveryId);
+  const isRecipient = req.user && existing && String(existing.userId) === String(req.user.id);
+  if (!isReceiptProvider(req) && !isRecipient) {
+    return res.status(401).json({ error: 'A receipt token or the recipient\'s session is required' });
+  }
+  if (!existing) return res.status(404).json({ error: 'Delivery not found' });
+  const delivery = dispatcher.recordReceipt(req.params.deliveryId, req.body.status);
+  res.json({ success: true, delivery });
+});
+
 // Early warning system
 function triggerEarlyWarning(report) {
-  const warning = {
-    id: Date.now(),
-    type: 'early_warning',
+  return issueWarning({
     severity: report.severity,
     hazardType: report.type,
     location: { lat: report.latitude, lng: report.longitude },
-    message: `Critical ${report.type} reported: ${report.title}`,
-    timestamp: new Date().toISOString(),
+    messageKey: 'warning.report',
+    messageParams: { type: report.type, title: report.title },
     reportId: report.id
+  });
+}
+
+function triggerHotspotWarning(hotspot) {
+  return issueWarning({
+    severity: 'critical',
+    hazardType: hotspot.types[0],
+    location: { lat: hotspot.latitude, lng: hotspot.longitude },
+    messageKey: 'warning.hotspot',
+    messageParams: { count: hotspot.reportCount, types: hotspot.types },
+    hotspotId: hotspot.id
+  });
+}
+
+// Generated warnings name a catalog template so clients and notifications can
+// render them per language; `message` keeps the default-locale text
+function issueWarning(details) {
+  const warning = {
+    id: nextWarningId(),
+    type: 'early_warning',
+    ...details,
+    message: details.messageKey ? i18n.t(i18n.defaultLocale, details.messageKey, details.messageParams) : details.message,
+    timestamp: new Date().toISOString()
   };
   
-  // In production, this would send SMS, email, push notifications
   console.log('EARLY WARNING TRIGGERED:', warning);
   
-  // Broadcast to connected clients (WebSocket in production)
-  // io.emit('early_warning', warning);
+  live.publish('warnings', warning);
+  dispatcher.dispatch(warning).catch(error => console.error('Warning dispatch failed:', error));
+  return warning;
 }
 
 // Utility functions
+function sendExport(res, result) {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.attachment(result.filename).type(result.contentType).send(result.body);
+}
+
 function extractKeywordFrequency(text) {
-  const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+  const words = nlpEngine.tokenize(text);
   const frequency = {};
   words.forEach(word => {
     if (word.length > 3) frequency[word] = (frequency[word] || 0) + 1;
@@ -278,20 +729,20 @@ function extractKeywordFrequency(text) {
 
 function getHazardTypeDistribution() {
   const distribution = {};
-  reports.forEach(r => distribution[r.type] = (distribution[r.type] || 0) + 1);
+  db.reports.all().forEach(r => distribution[r.type] = (distribution[r.type] || 0) + 1);
   return distribution;
 }
 
 function getSentimentDistribution() {
   const distribution = { positive: 0, negative: 0, neutral: 0 };
-  reports.forEach(r => {
+  db.reports.all().forEach(r => {
     if (r.nlpAnalysis) distribution[r.nlpAnalysis.sentiment]++;
   });
   return distribution;
 }
 
 function getUrgencyTrends() {
-  const last24h = reports.filter(r => Date.now() - new Date(r.timestamp).getTime() < 24 * 60 * 60 * 1000);
+  const last24h = db.reports.filter(r => Date.now() - new Date(r.timestamp).getTime() < 24 * 60 * 60 * 1000);
   return {
     total: last24h.length,
     critical: last24h.filter(r => r.severity === 'critical').length,
@@ -299,39 +750,249 @@ function getUrgencyTrends() {
   };
 }
 
-// Multilingual support
+// Geofenced areas of interest and the per-user alert feed they produce
+app.get('/api/subscriptions', auth.requireAuth, (req, res) => {
+  const subscriptions = geofence.list(req.user.id);
+  res.json({ subscriptions, total: subscriptions.length });
+});
+
+app.post('/api/subscriptions', auth.requireAuth, (req, res) => {
+  const result = geofence.create(req.user.id, req.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, subscription: result.subscription });
+});
+
+app.get('/api/subscriptions/alerts', auth.requireAuth, (req, res) => {
+  const alerts = geofence.feed(req.user.id, {
+    unread: req.query.unread === 'true',
+    since: req.query.since,
+    limit: req.query.limit
+  });
+  res.json({ alerts, total: alerts.length });
+});
+
+app.post('/api/subscriptions/alerts/:id/read', auth.requireAuth, (req, res) => {
+  const alert = geofence.markRead(req.user.id, req.params.id);
+  if (!alert) return res.status(404).json({ error: 'Alert not found' });
+  res.json({ success: true, alert });
+});
+
+app.get('/api/subscriptions/:id', auth.requireAuth, (req, res) => {
+  const subscription = geofence.get(req.user.id, req.params.id);
+  if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+  res.json({ subscription });
+});
+
+app.patch('/api/subscriptions/:id', auth.requireAuth, (req, res) => {
+  const result = geofence.update(req.user.id, req.params.id, req.body);
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+  res.json({ success: true, subscription: result.subscription });
+});
+
+app.delete('/api/subscriptions/:id', auth.requireAuth, (req, res) => {
+  if (!geofence.remove(req.user.id, req.params.id)) return res.status(404).json({ error: 'Subscription not found' });
+  res.json({ success: true });
+});
+
+// Ocean monitoring
+app.use('/api/ocean', createOceanRouter(oceanMonitor, { registry: sensorRegistry, health: sensorHealth, auth }));
+
+// Live push channel (Server-Sent Events)
+app.get('/api/live', live.handler);
+
+// Multilingual support: catalogs live in locales/ (see i18n.js)
+app.get('/api/translations', (req, res) => {
+  const coverage = i18n.coverage();
+  res.json({
+    locales: coverage.map(({ locale, name, chain, percent }) => ({ code: locale, name, chain, percent })),
+    default: i18n.defaultLocale,
+    negotiated: i18n.negotiate(req.get('Accept-Language'))
+  });
+});
+
+app.get('/api/translations/coverage', (req, res) => {
+  res.json({ default: i18n.defaultLocale, coverage: i18n.coverage() });
+});
+
+// Merged catalog for a locale; unsupported tags resolve along the fallback chain
 app.get('/api/translations/:lang', (req, res) => {
-  const translations = {
-    en: { title: "Hazard Reporting System", submit: "Submit Report" },
-    hi: { title: "आपदा रिपोर्टिंग सिस्टम", submit: "रिपोर्ट जमा करें" },
-    bn: { title: "বিপদ রিপোর্টিং সিস্টেম", submit: "রিপোর্ট জমা দিন" }
-  };
-  
-  res.json(translations[req.params.lang] || translations.en);
+  const locale = i18n.resolve(req.params.lang);
+  res.json({ locale, chain: i18n.chain(locale), locales: i18n.locales(), messages: i18n.messages(locale) });
+});
+
+// Resumable media uploads used by offline sync (see chunked-upload.js). Each
+// upload belongs to the signed-in user or the X-Device-Token that started it.
+const uploadOwner = req => clientOwner(req.user, req.get('X-Device-Token'));
+
+app.post('/api/uploads', (req, res) => {
+  const result = uploads.create(req.body, uploadOwner(req));
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ upload: result.upload });
 });
 
-// Offline sync
+app.get('/api/uploads/:id', (req, res) => {
+  const upload = uploads.get(req.params.id, uploadOwner(req));
+  if (!upload) return res.status(404).json({ error: 'Upload not found' });
+  res.json({ upload });
+});
+
+app.put('/api/uploads/:id/chunks/:index', express.raw({ type: () => true, limit: uploads.chunkSize + 1024 }), (req, res) => {
+  const result = uploads.writeChunk(req.params.id, req.params.index, req.body, uploadOwner(req));
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ upload: result.upload });
+});
+
+app.post('/api/uploads/:id/complete', async (req, res) => {
+  try {
+    const result = await uploads.complete(req.params.id, uploadOwner(req), req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error, missing: result.missing });
+    res.json({ upload: result.upload });
+  } catch (error) {
+    console.error('Upload completion failed:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// Report photos and videos, ?variant=thumbnail for the preview. Media of
+// unverified reports is limited to its reporter, officials and responders.
+app.get('/api/media/:id', (req, res) => {
+  const result = mediaPipeline.open(req.params.id, req.user, req.query.variant);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.set({ 'Cache-Control': 'private, max-age=3600', 'X-Content-Type-Options': 'nosniff' });
+  res.type(result.mimeType).sendFile(result.path, error => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'Media not found' });
+  });
+});
+
+// Offline sync: { items: [{ clientId, op: 'create'|'update', report, base, mediaUploads, editId }] }
+// answered with one result per item (see report-sync.js)
 app.post('/api/sync', (req, res) => {
-  const { offlineReports } = req.body;
-  
-  offlineReports.forEach(report => {
-    report.syncedAt = new Date().toISOString();
-    reports.push(report);
+  // Older clients post { offlineReports } without ids; those cannot be deduplicated
+  const items = req.body.items || (req.body.offlineReports || []).map(report => ({
+    op: 'create',
+    clientId: report.clientId || crypto.randomUUID(),
+    report
+  }));
+
+  const result = sync.processBatch(items, req.user, req.get('X-Device-Token'));
+  if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+  const applied = result.results.filter(r => ['created', 'duplicate', 'updated'].includes(r.status)).length;
+  res.json({ success: true, synced: applied, results: result.results });
+});
+
+// Bulk import of historical incidents and external feeds (see report-import.js).
+// Imported reports are indexed and clustered but raise no warnings.
+const importer = new ReportImporter(db, {
+  dedup,
+  workflow,
+  nlp: nlpEngine,
+  nextId: nextReportId,
+  onImported: reports => {
+    reports.forEach(report => reportQuery.index(report));
+    generateHotspots();
+    live.publish('reports', { action: 'imported', count: reports.length });
+  }
+});
+
+const IMPORT_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/geo+json': 'geojson',
+  'application/json': 'geojson',
+  'application/cap+xml': 'cap',
+  'application/xml': 'cap',
+  'text/xml': 'cap'
+};
+
+// The file is the request body; options are query parameters:
+// ?source=&preset=&format=&dryRun=true&mapping[title]=Incident&defaults[type]=flood
+app.post('/api/imports', auth.requireRole('official'),
+  express.text({ type: Object.keys(IMPORT_CONTENT_TYPES).filter(type => type !== 'application/json'), limit: '10mb' }),
+  (req, res) => {
+    const format = req.query.format || IMPORT_CONTENT_TYPES[String(req.get('Content-Type') || '').split(';')[0].trim()];
+    const result = importer.run(req.body, {
+      format,
+      source: req.query.source,
+      preset: req.query.preset,
+      mapping: req.query.mapping,
+      defaults: req.query.defaults,
+      dryRun: req.query.dryRun === 'true'
+    }, req.user);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    res.json({ success: true, import: result });
   });
-  
-  generateHotspots();
-  res.json({ synced: offlineReports.length, success: true });
+
+app.get('/api/imports', auth.requireRole('official'), (req, res) => {
+  const imports = importer.list().map(({ rows, ...summary }) => summary);
+  res.json({ imports, total: imports.length });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Enhanced Hazard Monitoring Server running on http://localhost:${PORT}`);
-  
-  // Generate initial hotspots
-  generateHotspots();
-  
-  // Auto-refresh hotspots every 5 minutes
-  setInterval(generateHotspots, 5 * 60 * 1000);
+app.get('/api/imports/:id', auth.requireRole('official'), (req, res) => {
+  const record = importer.get(req.params.id);
+  if (!record) return res.status(404).json({ error: 'Import not found' });
+  res.json({ import: record });
 });
 
-module.exports = app;
\ No newline at end of file
+// Start server (skipped when required, e.g. against a temp DATA_DIR)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Enhanced Hazard Monitoring Server running on http://localhost:${PORT}`);
+    
+    // Generate initial hotspots
+    generateHotspots();
+    
+    oceanMonitor.initialize().then(() => {
+      console.log('Ocean monitoring system initialized');
+    });
+    
+    // Auto-refresh hotspots every 5 minutes
+    setInterval(generateHotspots, 5 * 60 * 1000);
+
+    // Media that never made it into a report, and abandoned uploads
+    setInterval(() => {
+      const { removed } = mediaPipeline.cleanup();
+      if (removed.length) console.log(`Removed ${removed.length} orphaned media files`);
+    }, 60 * 60 * 1000);
+
+    // Silent sensors and sensors sending suspect readings get a maintenance alert
+    setInterval(() => {
+      const { opened } = sensorHealth.check();
+      if (opened.length) console.log(`Opened ${opened.length} sensor maintenance alerts`);
+    }, 60 * 1000);
+
+    // Expired raw sensor readings become hourly rollups
+    setInterval(() => {
+      try {
+        timeseries.compact();
+      } catch (error) {
+        console.error('Sensor reading compaction failed:', error);
+      }
+    }, 60 * 60 * 1000);
+    
+    // Notification retries and escalation of unacknowledged warnings
+    setInterval(() => dispatcher.tick().catch(error => console.error('Notification tick failed:', error)), 15 * 1000);
+  });
+
+  // Fold the journal into the snapshot on shutdown
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    store.close();
+    process.exit(0);
+  }));
+}
+
+module.exports = app;
+module.exports.store = store;
+module.exports.db = db;
+module.exports.live = live;
+module.exports.dispatcher = dispatcher;
+module.exports.geofence = geofence;
+module.exports.dedup = dedup;
+module.exports.mediaPipeline = mediaPipeline;
+module.exports.discussion = discussion;
+module.exports.reportQuery = reportQuery;
+module.exports.i18n = i18n;
+module.exports.credibility = credibility;
+module.exports.lifecycle = lifecycle;
+module.exports.oceanMonitor = oceanMonitor;
+module.exports.sensorRegistry = sensorRegistry;
+module.exports.sensorHealth = sensorHealth;
\ No newline at end of file
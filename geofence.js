@@ -0,0 +1,255 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const SOURCES = ['report', 'hotspot', 'hazard'];
+
+// Don't repeat an alert for the same source in the same area within this window
+const ALERT_COOLDOWN = 6 * 60 * 60 * 1000;
+
+// Areas of interest are either
+//   { type: 'circle', center: { lat, lng }, radiusKm }
+//   { type: 'polygon', coordinates: [[lat, lng], ...] }
+// Numbers only: isFinite() alone accepts '12', null and []
+const isLatLng = (lat, lng) => typeof lat === 'number' && typeof lng === 'number' &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+function validateGeometry(geometry) {
+  if (!geometry || typeof geometry !== 'object') return 'geometry is required';
+
+  if (geometry.type === 'circle') {
+    const { center, radiusKm } = geometry;
+    if (!center || !isLatLng(center.lat, center.lng)) return 'circle center needs numeric lat and lng';
+    if (typeof radiusKm !== 'number' || !(radiusKm > 0) || radiusKm > 2000) return 'radiusKm must be between 0 and 2000';
+    return null;
+  }
+
+  if (geometry.type === 'polygon') {
+    const { coordinates } = geometry;
+    if (!Array.isArray(coordinates) || coordinates.length < 3) return 'polygon needs at least 3 [lat, lng] points';
+    if (!coordinates.every(point => Array.isArray(point) && point.length === 2 && isLatLng(point[0], point[1]))) {
+      return 'polygon points must be numeric [lat, lng] pairs';
+    }
+    return null;
+  }
+
+  return "geometry.type must be 'circle' or 'polygon'";
+}
+
+// Checks the fields present in `data`; create() fills in defaults for the
+// missing ones, update() leaves them unchanged
+function validateSubscription(data) {
+  if (data.geometry !== undefined) {
+    const error = validateGeometry(data.geometry);
+    if (error) return error;
+  }
+  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) return 'name must be a non-empty string';
+  if (data.hazardTypes !== undefined &&
+    (!Array.isArray(data.hazardTypes) || !data.hazardTypes.every(type => typeof type === 'string' && type))) {
+    return 'hazardTypes must be a list of hazard types';
+  }
+  if (data.sources !== undefined &&
+    (!Array.isArray(data.sources) || !data.sources.length || !data.sources.every(source => SOURCES.includes(source)))) {
+    return `sources must list one or more of: ${SOURCES.join(', ')}`;
+  }
+  if (data.minSeverity !== undefined && !SEVERITY_RANK[data.minSeverity]) {
+    return `minSeverity must be one of: ${Object.keys(SEVERITY_RANK).join(', ')}`;
+  }
+  if (data.active !== undefined && typeof data.active !== 'boolean') return 'active must be true or false';
+  return null;
+}
+
+// Ray casting; fine for harbour/district-sized polygons that don't cross the antimeridian
+function pointInPolygon(point, coordinates) {
+  let inside = false;
+  for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+    const [latI, lngI] = coordinates[i];
+    const [latJ, lngJ] = coordinates[j];
+    const crosses = (latI > point.lat) !== (latJ > point.lat) &&
+      point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Returns the distance in km from the area's reference point when the
+// location falls inside, otherwise null
+function matchArea(geometry, location) {
+  if (!location || !isFinite(location.lat) || !isFinite(location.lng)) return null;
+  const point = { lat: Number(location.lat), lng: Number(location.lng) };
+
+  if (geometry.type === 'circle') {
+    const distance = calculateDistance(geometry.center, point);
+    return distance <= geometry.radiusKm ? distance : null;
+  }
+
+  if (!pointInPolygon(point, geometry.coordinates)) return null;
+  const centroid = {
+    lat: geometry.coordinates.reduce((sum, [lat]) => sum + lat, 0) / geometry.coordinates.length,
+    lng: geometry.coordinates.reduce((sum, [, lng]) => sum + lng, 0) / geometry.coordinates.length
+  };
+  return calculateDistance(centroid, point);
+}
+
+class GeofenceService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  list(userId) {
+    return this.db.subscriptions.filter(s => String(s.userId) === String(userId));
+  }
+
+  get(userId, id) {
+    const subscription = this.db.subscriptions.findById(id);
+    return subscription && String(subscription.userId) === String(userId) ? subscription : null;
+  }
+
+  create(userId, data) {
+    const error = validateGeometry(data.geometry) || validateSubscription(data);
+    if (error) return { error, status: 400 };
+
+    const subscription = this.db.subscriptions.insert({
+      id: `${userId}-${Date.now()}`,
+      userId,
+      name: data.name || 'Area of interest',
+      geometry: data.geometry,
+      hazardTypes: data.hazardTypes || [],
+      minSeverity: data.minSeverity || 'low',
+      sources: data.sources || SOURCES,
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+    return { subscription };
+  }
+
+  update(userId, id, data) {
+    if (!this.get(userId, id)) return { error: 'Subscription not found', status: 404 };
+    const error = validateSubscription(data);
+    if (error) return { error, status: 400 };
+
+    const changes = {};
+    ['name', 'geometry', 'hazardTypes', 'sources', 'minSeverity', 'active'].forEach(key => {
+      if (data[key] !== undefined) changes[key] = data[key];
+    });
+
+    return { subscription: this.db.subscriptions.update(id, changes) };
+  }
+
+  remove(userId, id) {
+    if (!this.get(userId, id)) return false;
+    return this.db.subscriptions.remove(id);
+  }
+
+  // Match one item against every active subscription and write alerts. A
+  // malformed subscription is logged and skipped, never fails the caller.
+  match(item) {
+    const alerts = [];
+    this.db.subscriptions.filter(s => s.active).forEach(subscription => {
+      try {
+        const alert = this.matchSubscription(subscription, item);
+        if (alert) alerts.push(alert);
+      } catch (error) {
+        console.error(`Skipping subscription ${subscription.id}:`, error.message);
+      }
+    });
+    return alerts;
+  }
+
+  matchSubscription(subscription, item) {
+    const now = Date.now();
+    if (!subscription.sources.includes(item.sourceType)) return null;
+    if (subscription.hazardTypes.length && !subscription.hazardTypes.includes(item.hazardType)) return null;
+    if ((SEVERITY_RANK[item.severity] || 1) < SEVERITY_RANK[subscription.minSeverity]) return null;
+
+    const distanceKm = matchArea(subscription.geometry, item.location);
+    if (distanceKm === null) return null;
+
+    const recent = this.db.alerts.find(alert =>
+      alert.subscriptionId === subscription.id &&
+      alert.sourceKey === item.sourceKey &&
+      now - new Date(alert.createdAt).getTime() < ALERT_COOLDOWN);
+    if (recent) return null;
+
+    return this.db.alerts.insert({
+      id: `${subscription.id}-${item.sourceKey}-${now}`,
+      userId: subscription.userId,
+      subscriptionId: subscription.id,
+      subscriptionName: subscription.name,
+      sourceType: item.sourceType,
+      sourceId: item.sourceId,
+      sourceKey: item.sourceKey,
+      title: item.title,
+      hazardType: item.hazardType,
+      severity: item.severity,
+      location: item.location,
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      createdAt: new Date(now).toISOString(),
+      readAt: null
+    });
+  }
+
+  matchReport(report) {
+    return this.match({
+      sourceType: 'report',
+      sourceId: report.id,
+      sourceKey: `report:${report.id}`,
+      title: report.title || `${report.type} report`,
+      hazardType: report.type,
+      severity: report.severity,
+      location: { lat: report.latitude, lng: report.longitude }
+    });
+  }
+
+  // A hotspot re-alerts when its severity changes
+  matchHotspots(hotspots) {
+    return hotspots.flatMap(hotspot => this.match({
+      sourceType: 'hotspot',
+      sourceId: hotspot.id,
+      sourceKey: `hotspot:${hotspot.id}:${hotspot.severity}`,
+      title: `${hotspot.severity} hotspot: ${hotspot.reportCount} reports (${hotspot.types.join(', ')})`,
+      hazardType: hotspot.types[0],
+      severity: hotspot.severity,
+      location: { lat: hotspot.latitude, lng: hotspot.longitude }
+    }));
+  }
+
+  // OceanMonitorAPI.hazards carry no id, so type + position identifies them
+  matchHazards(hazards) {
+    return hazards.flatMap(hazard => this.match({
+      sourceType: 'hazard',
+      sourceId: null,
+      sourceKey: `hazard:${hazard.type}:${hazard.location.lat}:${hazard.location.lng}`,
+      title: hazard.description,
+      hazardType: hazard.type,
+      severity: hazard.severity,
+      location: hazard.location
+    }));
+  }
+
+  feed(userId, { unread, since, limit = 50 } = {}) {
+    return this.db.alerts
+      .filter(alert => String(alert.userId) === String(userId))
+      .filter(alert => !unread || !alert.readAt)
+      .filter(alert => !since || new Date(alert.createdAt) >= new Date(since))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, Number(limit));
+  }
+
+  markRead(userId, alertId) {
+    const alert = this.db.alerts.findById(alertId);
+    if (!alert || String(alert.userId) !== String(userId)) return null;
+    return this.db.alerts.update(alertId, { readAt: new Date().toISOString() });
+  }
+}
+
+module.exports = {
+  SOURCES,
+  GeofenceService,
+  matchArea,
+  pointInPolygon,
+  validateGeometry,
+  validateSubscription
+};
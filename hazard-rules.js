@@ -0,0 +1,221 @@
+const { matchArea, validateGeometry } = require('./geofence.js');
+
+// Conditions a rule can test, with their units (see OceanMonitorAPI.pointConditions
+// and SENSOR_METRICS in sensor-registry.js)
+const METRICS = {
+  windSpeed: 'km/h',
+  windGust: 'km/h',
+  waveHeight: 'm',
+  wavePeriod: 's',
+  visibility: 'km',
+  pressure: 'hPa',
+  precipitation: 'mm',
+  seaLevel: 'm',
+  temp: '°C',
+  waterTemperature: '°C'
+};
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Without an explicit clearValue a hazard clears once the value is 10% back on the safe side
+const DEFAULT_HYSTERESIS = 0.1;
+
+function rising(operator) {
+  return operator === '>' || operator === '>=';
+}
+
+function defaultClearValue(operator, value) {
+  const margin = Math.abs(value) * DEFAULT_HYSTERESIS;
+  return rising(operator) ? value - margin : value + margin;
+}
+
+// Threshold rules evaluated every monitoring cycle against each place that
+// has conditions (monitoring points and sensors, each at its own location).
+// A rule only fires after its condition has held for `duration` seconds and
+// a fired rule only clears once the value crosses back past `clearValue`,
+// so readings hovering around the threshold do not flap the hazard on and
+// off. Per rule and place the state is idle (no record), pending or active.
+class HazardRuleEngine {
+  constructor(db) {
+    this.db = db;
+  }
+
+  list() {
+    return this.db.hazardRules.all();
+  }
+
+  get(id) {
+    return this.db.hazardRules.findById(id);
+  }
+
+  // Places where a rule is pending or active
+  states(ruleId) {
+    return this.db.hazardStates.filter(state => state.ruleId === ruleId);
+  }
+
+  // Shared by create and update; `existing` fills in fields that are not being changed
+  validate(data, existing = {}) {
+    const rule = { ...existing, ...data };
+    if (!rule.name || !String(rule.name).trim()) return { error: 'name is required', status: 400 };
+    if (!Object.hasOwn(METRICS, rule.metric)) return { error: `metric must be one of: ${Object.keys(METRICS).join(', ')}`, status: 400 };
+    if (!Object.hasOwn(OPERATORS, rule.operator)) return { error: `operator must be one of: ${Object.keys(OPERATORS).join(' ')}`, status: 400 };
+    if (rule.value === null || rule.value === '' || !isFinite(rule.value)) return { error: 'value must be a number', status: 400 };
+    if (!SEVERITIES.includes(rule.severity)) return { error: `severity must be one of: ${SEVERITIES.join(', ')}`, status: 400 };
+    if (!rule.hazardType || !String(rule.hazardType).trim()) return { error: 'hazardType is required', status: 400 };
+
+    const value = Number(rule.value);
+    // A changed threshold without a new clearValue gets the default hysteresis again
+    const keepClear = rule.clearValue !== undefined && rule.clearValue !== null && (data.clearValue !== undefined || data.value === undefined);
+    const clearValue = keepClear ? Number(rule.clearValue) : defaultClearValue(rule.operator, value);
+    if (!isFinite(clearValue)) return { error: 'clearValue must be a number', status: 400 };
+    if (rising(rule.operator) ? clearValue > value : clearValue < value) {
+      return { error: 'clearValue must be on the safe side of value', status: 400 };
+    }
+
+    const duration = rule.duration === undefined ? 0 : Number(rule.duration);
+    if (!Number.isInteger(duration) || duration < 0) return { error: 'duration must be a whole number of seconds', status: 400 };
+
+    if (rule.region) {
+      const error = validateGeometry(rule.region);
+      if (error) return { error: `region: ${error}`, status: 400 };
+    }
+
+    return {
+      fields: {
+        name: String(rule.name).trim(),
+        metric: rule.metric,
+        operator: rule.operator,
+        value,
+        clearValue,
+        duration,
+        severity: rule.severity,
+        hazardType: String(rule.hazardType).trim(),
+        region: rule.region || null,
+        enabled: rule.enabled === undefined ? true : !!rule.enabled
+      }
+    };
+  }
+
+  create(data, user) {
+    const result = this.validate(data);
+    if (result.error) return result;
+
+    const now = new Date().toISOString();
+    const rule = this.db.hazardRules.insert({
+      id: `rule-${Date.now()}-${this.db.hazardRules.count()}`,
+      ...result.fields,
+      createdBy: user.id,
+      createdAt: now,
+      updatedAt: now
+    });
+    return { rule };
+  }
+
+  update(id, data) {
+    const existing = this.get(id);
+    if (!existing) return { error: 'Rule not found', status: 404 };
+
+    const result = this.validate(data, existing);
+    if (result.error) return result;
+
+    // A disabled rule forgets its pending and active places
+    if (!result.fields.enabled) this.clearStates(existing.id);
+    return { rule: this.db.hazardRules.update(existing.id, { ...result.fields, updatedAt: new Date().toISOString() }) };
+  }
+
+  remove(id) {
+    const existing = this.get(id);
+    if (!existing) return { error: 'Rule not found', status: 404 };
+    this.clearStates(existing.id);
+    this.db.hazardRules.remove(existing.id);
+    return { rule: existing };
+  }
+
+  clearStates(ruleId) {
+    this.states(ruleId).forEach(state => this.db.hazardStates.remove(state.id));
+  }
+
+  // Moves one rule/place pair through idle -> pending -> active -> idle and
+  // returns its state (null when idle). Only transitions are written.
+  transition(rule, source, value, now) {
+    const id = `${rule.id}:${source.key}`;
+    const state = this.db.hazardStates.findById(id);
+    const breached = OPERATORS[rule.operator](value, rule.value);
+    const timestamp = new Date(now).toISOString();
+
+    if (!state) {
+      if (!breached) return null;
+      return this.db.hazardStates.insert({
+        id,
+        ruleId: rule.id,
+        sourceKey: source.key,
+        status: rule.duration ? 'pending' : 'active',
+        since: timestamp,
+        activatedAt: rule.duration ? null : timestamp
+      });
+    }
+
+    if (state.status === 'pending') {
+      if (!breached) {
+        this.db.hazardStates.remove(id);
+        return null;
+      }
+      if (now - new Date(state.since).getTime() < rule.duration * 1000) return state;
+      return this.db.hazardStates.update(id, { status: 'active', activatedAt: timestamp });
+    }
+
+    const cleared = rising(rule.operator) ? value < rule.clearValue : value > rule.clearValue;
+    if (cleared) {
+      this.db.hazardStates.remove(id);
+      return null;
+    }
+    return state;
+  }
+
+  // sources: [{ key, name, location, conditions: { metric: value }, source, observedAt }].
+  // Returns one hazard per hazard type and place, at the highest severity that is active.
+  evaluate(sources, now = Date.now()) {
+    const hazards = new Map();
+
+    this.list().filter(rule => rule.enabled).forEach(rule => {
+      sources.forEach(source => {
+        const value = source.conditions[rule.metric];
+        if (typeof value !== 'number' || !isFinite(value)) return;
+        if (rule.region && matchArea(rule.region, source.location) === null) return;
+
+        const state = this.transition(rule, source, value, now);
+        if (!state || state.status !== 'active') return;
+
+        const id = `${rule.hazardType}:${source.key}`;
+        const current = hazards.get(id);
+        if (current && SEVERITIES.indexOf(current.severity) >= SEVERITIES.indexOf(rule.severity)) return;
+
+        hazards.set(id, {
+          id,
+          type: rule.hazardType,
+          severity: rule.severity,
+          title: `${rule.name} at ${source.name}`,
+          description: `${rule.name}: ${rule.metric} ${value.toFixed(1)} ${METRICS[rule.metric]} (threshold ${rule.operator} ${rule.value})`,
+          location: source.location,
+          source: source.source,
+          ruleId: rule.id,
+          metric: rule.metric,
+          value,
+          since: state.activatedAt,
+          timestamp: source.observedAt || new Date(now).toISOString()
+        });
+      });
+    });
+
+    return [...hazards.values()];
+  }
+}
+
+module.exports = { HazardRuleEngine, METRICS, OPERATORS, SEVERITIES };
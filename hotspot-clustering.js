@@ -0,0 +1,247 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const SEVERITY_WEIGHTS = { critical: 4, high: 3, medium: 2, low: 1 };
+
+const DEFAULT_OPTIONS = {
+  radiusKm: Number(process.env.HOTSPOT_RADIUS_KM) || 2, // DBSCAN epsilon
+  minPoints: Number(process.env.HOTSPOT_MIN_POINTS) || 2, // reports needed for a core point, itself included
+  windowHours: 24, // reports older than this are ignored
+  halfLifeHours: Number(process.env.HOTSPOT_HALF_LIFE_HOURS) || 6, // time-decay of a report's weight
+  // Decayed, severity-weighted score at which a cluster is rated high / critical
+  thresholds: { high: 6, critical: 10 },
+  reportWeight: () => 1 // extra per-report multiplier, e.g. reporter credibility
+};
+
+// Uniform lat/lng grid so neighbour lookups only touch nearby cells
+class GridIndex {
+  constructor(cellKm) {
+    this.cellDeg = cellKm / 111;
+    this.cells = new Map();
+  }
+
+  key(lat, lng) {
+    return `${Math.floor(lat / this.cellDeg)}_${Math.floor(lng / this.cellDeg)}`;
+  }
+
+  add(point) {
+    const key = this.key(point.lat, point.lng);
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(point);
+  }
+
+  remove(point) {
+    const cell = this.cells.get(this.key(point.lat, point.lng));
+    const index = cell ? cell.indexOf(point) : -1;
+    if (index !== -1) cell.splice(index, 1);
+  }
+
+  // Candidates within the 3x3 cells around the point; longitude cells shrink
+  // towards the poles, so widen the search by 1/cos(lat)
+  nearby(point) {
+    const row = Math.floor(point.lat / this.cellDeg);
+    const col = Math.floor(point.lng / this.cellDeg);
+    const lngSpan = Math.ceil(1 / Math.max(Math.cos(point.lat * Math.PI / 180), 0.01));
+    const results = [];
+
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - lngSpan; c <= col + lngSpan; c++) {
+        const cell = this.cells.get(`${r}_${c}`);
+        if (cell) results.push(...cell);
+      }
+    }
+    return results;
+  }
+}
+
+// Andrew's monotone chain; returns [[lat, lng], ...] counter-clockwise
+function convexHull(points) {
+  const sorted = [...new Map(points.map(p => [`${p.lat},${p.lng}`, p])).values()]
+    .sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+  if (sorted.length < 3) return sorted.map(p => [p.lat, p.lng]);
+
+  const cross = (o, a, b) => (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of [...sorted].reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)].map(p => [p.lat, p.lng]);
+}
+
+// DBSCAN over citizen reports with haversine distance. rebuild() runs the
+// full algorithm; addReport() only re-expands the neighbourhood of the new
+// report, which is exact for insertions. Expiry can split clusters, so the
+// server still calls rebuild() periodically.
+class HotspotClusterer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options, thresholds: { ...DEFAULT_OPTIONS.thresholds, ...(options.thresholds || {}) } };
+    this.points = [];
+    this.index = new GridIndex(this.options.radiusKm);
+    this.clusters = new Map(); // hotspot id -> Set of points
+    this.nextId = 1;
+  }
+
+  toPoint(report) {
+    const lat = parseFloat(report.latitude);
+    const lng = parseFloat(report.longitude);
+    const time = new Date(report.timestamp).getTime();
+    if (!isFinite(lat) || !isFinite(lng) || !isFinite(time)) return null;
+    return { id: report.id, lat, lng, time, report, neighbours: null, clusterId: null };
+  }
+
+  inWindow(point, now) {
+    return now - point.time < this.options.windowHours * 60 * 60 * 1000;
+  }
+
+  neighbours(point) {
+    return this.index.nearby(point).filter(other => calculateDistance(point, other) <= this.options.radiusKm);
+  }
+
+  isCore(point) {
+    if (!point.neighbours) point.neighbours = this.neighbours(point);
+    return point.neighbours.length >= this.options.minPoints;
+  }
+
+  // Collect every point density-reachable from the given seeds. A border
+  // point already claimed by another cluster stays there (as in DBSCAN).
+  expand(seeds) {
+    const members = new Set();
+    const queue = seeds.filter(point => this.isCore(point));
+    const visited = new Set(queue);
+
+    while (queue.length) {
+      const point = queue.shift();
+      members.add(point);
+      for (const neighbour of point.neighbours) {
+        const core = this.isCore(neighbour);
+        if (neighbour.clusterId === null || core) members.add(neighbour);
+        if (!visited.has(neighbour) && core) {
+          visited.add(neighbour);
+          queue.push(neighbour);
+        }
+      }
+    }
+    return members;
+  }
+
+  // Full recomputation. previousHotspots (with reportIds) keeps IDs stable across runs and restarts.
+  rebuild(reports, previousHotspots = this.snapshot(), now = Date.now()) {
+    this.points = reports.map(report => this.toPoint(report)).filter(point => point && this.inWindow(point, now));
+    this.index = new GridIndex(this.options.radiusKm);
+    this.points.forEach(point => this.index.add(point));
+
+    const previous = new Map(previousHotspots.map(h => [h.id, new Set((h.reportIds || []).map(String))]));
+    this.clusters = new Map();
+
+    for (const point of this.points) {
+      if (point.clusterId !== null || !this.isCore(point)) continue;
+      const members = this.expand([point]);
+      this.assign(members, previous);
+    }
+
+    return this.snapshot(now);
+  }
+
+  // Incremental update for one new report
+  addReport(report, now = Date.now()) {
+    const point = this.toPoint(report);
+    if (!point || !this.inWindow(point, now)) return this.snapshot(now);
+
+    this.points.push(point);
+    this.index.add(point);
+
+    // Only the new point's neighbours gain a neighbour, so only they can change core status
+    point.neighbours = this.neighbours(point);
+    point.neighbours.forEach(neighbour => {
+      if (neighbour !== point && neighbour.neighbours) neighbour.neighbours.push(point);
+    });
+
+    const members = this.expand([point, ...point.neighbours]);
+    if (members.size) {
+      // Any cluster the new component reaches is merged into it whole
+      const previous = new Map();
+      for (const member of [...members]) {
+        const id = member.clusterId;
+        if (id === null || previous.has(id)) continue;
+        const existing = this.clusters.get(id);
+        previous.set(id, new Set([...existing].map(p => String(p.id))));
+        existing.forEach(p => members.add(p));
+        this.clusters.delete(id);
+      }
+      this.assign(members, previous);
+    }
+
+    return this.snapshot(now);
+  }
+
+  // Give a cluster the id of the previous hotspot it overlaps most, or a new one
+  assign(members, previous) {
+    let bestId = null;
+    let bestOverlap = 0;
+    previous.forEach((reportIds, id) => {
+      if (this.clusters.has(id)) return;
+      const overlap = [...members].filter(point => reportIds.has(String(point.id))).length;
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestId = id;
+      }
+    });
+
+    const id = bestId || this.newId(members);
+    members.forEach(point => { point.clusterId = id; });
+    this.clusters.set(id, members);
+    return id;
+  }
+
+  newId(members) {
+    const firstReport = [...members].sort((a, b) => a.time - b.time)[0];
+    let id = `hs-${firstReport.id}`;
+    while (this.clusters.has(id)) id = `hs-${firstReport.id}-${this.nextId++}`;
+    return id;
+  }
+
+  weight(point, now) {
+    const ageHours = Math.max(0, now - point.time) / (60 * 60 * 1000);
+    const decay = Math.pow(0.5, ageHours / this.options.halfLifeHours);
+    return (SEVERITY_WEIGHTS[point.report.severity] || 1) * this.options.reportWeight(point.report) * decay;
+  }
+
+  describe(id, members, now) {
+    const points = [...members];
+    const latitude = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+    const longitude = points.reduce((sum, p) => sum + p.lng, 0) / points.length;
+    const centroid = { lat: latitude, lng: longitude };
+    const score = points.reduce((sum, p) => sum + this.weight(p, now), 0);
+    const { thresholds } = this.options;
+
+    return {
+      id,
+      latitude,
+      longitude,
+      reportCount: points.length,
+      reportIds: points.map(p => p.id),
+      score: Math.round(score * 100) / 100,
+      severity: score >= thresholds.critical ? 'critical' : score >= thresholds.high ? 'high' : 'medium',
+      types: [...new Set(points.map(p => p.report.type))],
+      lastUpdate: Math.max(...points.map(p => p.time)),
+      affectedPeople: points.reduce((sum, p) => sum + (parseInt(p.report.incidentPeopleAffected || p.report.peopleAffected) || 0), 0),
+      radiusKm: Math.round(Math.max(...points.map(p => calculateDistance(centroid, p))) * 100) / 100,
+      polygon: convexHull(points)
+    };
+  }
+
+  snapshot(now = Date.now()) {
+    return [...this.clusters.entries()]
+      .map(([id, members]) => this.describe(id, members, now))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = { HotspotClusterer, convexHull, GridIndex };
@@ -0,0 +1,177 @@
+// Hotspot lifecycle tracking
+//
+// Every recomputation is compared with the hotspot's history:
+//   emerging   - first seen (or reopened) less than emergingPeriod ago
+//   escalating - score up by more than trendThreshold against trendWindow ago, or severity went up
+//   subsiding  - score down by more than trendThreshold, or severity went down
+//   stable     - neither
+//   closed     - no longer produced by the clusterer
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const DEFAULT_OPTIONS = {
+  emergingPeriod: 60 * 60 * 1000,
+  trendWindow: 60 * 60 * 1000,
+  trendThreshold: 0.2,
+  snapshotInterval: 5 * 60 * 1000, // minimum gap between snapshots unless severity or size changed
+  retention: 30 * 24 * 60 * 60 * 1000
+};
+
+class HotspotLifecycle {
+  constructor(db, { onEvent = () => {}, ...options } = {}) {
+    this.db = db;
+    this.onEvent = onEvent;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  snapshotsFor(hotspotId) {
+    return this.db.hotspotSnapshots
+      .filter(s => s.hotspotId === hotspotId)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // Record the latest clustering result; returns the hotspots annotated with their lifecycle state
+  update(hotspots, now = Date.now()) {
+    const timestamp = new Date(now).toISOString();
+    const seen = new Set();
+
+    const annotated = hotspots.map(hotspot => {
+      seen.add(hotspot.id);
+      const record = this.db.hotspotLifecycle.findById(hotspot.id);
+      const snapshots = this.snapshotsFor(hotspot.id);
+
+      // New hotspot, or a closed one whose id the clusterer handed out again
+      if (!record || record.state === 'closed') {
+        const opened = { state: 'emerging', emergedAt: timestamp, lastSeenAt: timestamp, closedAt: null };
+        const stored = record
+          ? this.db.hotspotLifecycle.update(hotspot.id, opened)
+          : this.db.hotspotLifecycle.insert({
+            id: hotspot.id,
+            firstSeenAt: timestamp,
+            peakSeverity: hotspot.severity,
+            peakScore: hotspot.score,
+            ...opened
+          });
+        this.emit({ type: record ? 'reopened' : 'emerged', hotspotId: hotspot.id, from: record ? 'closed' : null, to: 'emerging', severity: hotspot.severity }, timestamp, hotspot);
+        this.snapshot(hotspot, timestamp);
+        return { ...hotspot, lifecycle: 'emerging', firstSeenAt: stored.firstSeenAt };
+      }
+
+      const last = snapshots[snapshots.length - 1];
+      const state = this.classify(record, hotspot, snapshots, now);
+
+      if (last && SEVERITY_RANK[hotspot.severity] !== SEVERITY_RANK[last.severity]) {
+        const escalated = SEVERITY_RANK[hotspot.severity] > SEVERITY_RANK[last.severity];
+        this.emit({
+          type: escalated ? 'severity_escalated' : 'severity_reduced',
+          hotspotId: hotspot.id,
+          from: last.severity,
+          to: hotspot.severity,
+          severity: hotspot.severity
+        }, timestamp, hotspot);
+      }
+      if (state !== record.state) {
+        this.emit({ type: 'state_changed', hotspotId: hotspot.id, from: record.state, to: state, severity: hotspot.severity }, timestamp, hotspot);
+      }
+
+      const latest = {
+        state,
+        peakSeverity: SEVERITY_RANK[hotspot.severity] > SEVERITY_RANK[record.peakSeverity] ? hotspot.severity : record.peakSeverity,
+        peakScore: Math.max(record.peakScore || 0, hotspot.score)
+      };
+      const changes = Object.fromEntries(Object.entries(latest).filter(([field, value]) => record[field] !== value));
+
+      // lastSeenAt moves with the snapshots, so an unchanged hotspot is not rewritten on every run
+      const changed = !last || last.severity !== hotspot.severity || last.reportCount !== hotspot.reportCount;
+      if (changed || now - new Date(last.timestamp).getTime() >= this.options.snapshotInterval) {
+        this.snapshot(hotspot, timestamp);
+        changes.lastSeenAt = timestamp;
+      }
+      if (Object.keys(changes).length) this.db.hotspotLifecycle.update(hotspot.id, changes);
+
+      return { ...hotspot, lifecycle: state, firstSeenAt: record.firstSeenAt };
+    });
+
+    // Anything no longer produced by the clusterer has closed
+    this.db.hotspotLifecycle.filter(record => record.state !== 'closed' && !seen.has(record.id)).forEach(record => {
+      this.db.hotspotLifecycle.update(record.id, { state: 'closed', closedAt: timestamp });
+      this.emit({ type: 'closed', hotspotId: record.id, from: record.state, to: 'closed' }, timestamp);
+    });
+
+    this.prune(now);
+    return annotated;
+  }
+
+  classify(record, hotspot, snapshots, now) {
+    if (now - new Date(record.emergedAt).getTime() < this.options.emergingPeriod) return 'emerging';
+
+    // Compare with the newest snapshot at least trendWindow old (or the oldest we have)
+    const cutoff = now - this.options.trendWindow;
+    const reference = [...snapshots].reverse().find(s => new Date(s.timestamp).getTime() <= cutoff) || snapshots[0];
+    if (!reference) return 'stable';
+
+    if (SEVERITY_RANK[hotspot.severity] > SEVERITY_RANK[reference.severity]) return 'escalating';
+    if (SEVERITY_RANK[hotspot.severity] < SEVERITY_RANK[reference.severity]) return 'subsiding';
+
+    const change = reference.score > 0 ? (hotspot.score - reference.score) / reference.score : 0;
+    if (change > this.options.trendThreshold) return 'escalating';
+    if (change < -this.options.trendThreshold) return 'subsiding';
+    return 'stable';
+  }
+
+  snapshot(hotspot, timestamp) {
+    return this.db.hotspotSnapshots.insert({
+      id: `${hotspot.id}-${new Date(timestamp).getTime()}`,
+      hotspotId: hotspot.id,
+      timestamp,
+      score: hotspot.score,
+      severity: hotspot.severity,
+      reportCount: hotspot.reportCount,
+      affectedPeople: hotspot.affectedPeople,
+      latitude: hotspot.latitude,
+      longitude: hotspot.longitude,
+      radiusKm: hotspot.radiusKm
+    });
+  }
+
+  emit(event, timestamp, hotspot = null) {
+    const stored = this.db.hotspotEvents.insert({
+      id: `${event.hotspotId}-${event.type}-${new Date(timestamp).getTime()}`,
+      from: null,
+      ...event,
+      timestamp
+    });
+    this.onEvent(stored, hotspot);
+    return stored;
+  }
+
+  prune(now) {
+    const cutoff = now - this.options.retention;
+    const expired = this.db.hotspotSnapshots.filter(s => new Date(s.timestamp).getTime() < cutoff);
+    expired.forEach(snapshot => this.db.hotspotSnapshots.remove(snapshot.id));
+  }
+
+  history(hotspotId, { since, until } = {}) {
+    const record = this.db.hotspotLifecycle.findById(hotspotId);
+    if (!record) return null;
+
+    const inRange = item => (!since || new Date(item.timestamp) >= new Date(since)) &&
+      (!until || new Date(item.timestamp) <= new Date(until));
+
+    return {
+      lifecycle: record,
+      snapshots: this.snapshotsFor(hotspotId).filter(inRange),
+      events: this.db.hotspotEvents
+        .filter(e => e.hotspotId === hotspotId && inRange(e))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    };
+  }
+
+  events({ since, type } = {}) {
+    return this.db.hotspotEvents
+      .filter(e => !since || new Date(e.timestamp) > new Date(since))
+      .filter(e => !type || e.type === type)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+}
+
+module.exports = { HotspotLifecycle };
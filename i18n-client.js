@@ -0,0 +1,166 @@
+// Shared i18n loader: every page includes this before its own scripts and
+// renders text through the global `i18n`. The Translator class is also used
+// by the server (i18n.js) so messages format the same on both sides.
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Formats flat catalogs ({ 'nav.home': 'Home', ... }). A message is either a
+// string with {param} / {param:format} placeholders, or an object of plural
+// forms selected by the `count` param.
+class Translator {
+  constructor(locale, messages = {}) {
+    this.locale = locale;
+    this.messages = messages;
+    this.plurals = new Intl.PluralRules(locale);
+  }
+
+  has(key) {
+    return this.messages[key] !== undefined;
+  }
+
+  t(key, params = {}) {
+    let message = this.messages[key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[this.plurals.select(Number(params.count) || 0)] || message.other;
+    }
+    return String(message).replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, format) =>
+      params[name] === undefined || params[name] === null ? match : this.format(params[name], format)
+    );
+  }
+
+  // Unknown hazard types, severities and statuses fall back to the raw value
+  format(value, format) {
+    switch (format) {
+      case 'hazard': return this.name('hazard.type', value);
+      case 'hazards': return [].concat(value).map(type => this.name('hazard.type', type)).join(', ');
+      case 'severity': return this.name('hazard.severity', value);
+      case 'status': return this.name('status', value);
+      case 'number': return new Intl.NumberFormat(this.locale).format(value);
+      case 'datetime': return new Date(value).toLocaleString(this.locale);
+      default: return String(value);
+    }
+  }
+
+  name(group, value) {
+    const key = `${group}.${value}`;
+    return this.has(key) ? this.t(key) : String(value);
+  }
+}
+
+// Browser side: fetches the merged catalog for the chosen language, caches it
+// for offline use and applies it to elements marked with data-i18n,
+// data-i18n-placeholder and data-i18n-title. Language pickers are
+// <select data-i18n-selector> and are filled from the server's locale list.
+class I18nClient {
+  constructor({ storageKey = 'selectedLanguage' } = {}) {
+    this.storageKey = storageKey;
+    this.language = localStorage.getItem(storageKey) || navigator.language || 'en';
+    this.locales = [];
+    this.translator = new Translator('en');
+
+    // Render from the last cached catalog straight away; the fetch refreshes it
+    const cached = JSON.parse(localStorage.getItem(`i18n:${this.language}`) || 'null');
+    if (cached) this.use(cached);
+    this.ready = this.load(this.language);
+  }
+
+  get locale() {
+    return this.translator.locale;
+  }
+
+  has(key) {
+    return this.translator.has(key);
+  }
+
+  t(key, params) {
+    return this.translator.t(key, params);
+  }
+
+  format(value, format) {
+    return this.translator.format(value, format);
+  }
+
+  // Server-issued texts such as warnings carry messageKey/messageParams so
+  // each page renders them in its own language; `message` is the English copy
+  render(item) {
+    return item.messageKey && this.translator.has(item.messageKey)
+      ? this.t(item.messageKey, item.messageParams)
+      : item.message;
+  }
+
+  async load(language) {
+    let catalog;
+    try {
+      const response = await fetch(`/api/translations/${encodeURIComponent(language)}`);
+      if (!response.ok) throw new Error(`Translations responded ${response.status}`);
+      catalog = await response.json();
+      localStorage.setItem(`i18n:${language}`, JSON.stringify(catalog));
+    } catch (error) {
+      catalog = JSON.parse(localStorage.getItem(`i18n:${language}`) || 'null');
+      if (!catalog) {
+        console.warn('Translations unavailable, showing page defaults:', error.message);
+        return this;
+      }
+    }
+
+    this.use(catalog);
+    return this;
+  }
+
+  use(catalog) {
+    this.translator = new Translator(catalog.locale, catalog.messages);
+    this.locales = catalog.locales || [];
+  }
+
+  async setLanguage(language) {
+    localStorage.setItem(this.storageKey, language);
+    this.language = language;
+    await this.load(language);
+    this.apply();
+    document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale: this.locale } }));
+  }
+
+  // Elements keep their markup text when the catalog has no entry, so a
+  // missing key never blanks the page
+  apply(root = document) {
+    document.documentElement.lang = this.locale;
+    const params = el => (el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      if (this.translator.has(el.dataset.i18n)) el.textContent = this.t(el.dataset.i18n, params(el));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      if (this.translator.has(el.dataset.i18nPlaceholder)) el.placeholder = this.t(el.dataset.i18nPlaceholder, params(el));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+      if (this.translator.has(el.dataset.i18nTitle)) el.title = this.t(el.dataset.i18nTitle, params(el));
+    });
+    root.querySelectorAll('select[data-i18n-selector]').forEach(select => this.bindSelector(select));
+  }
+
+  bindSelector(select) {
+    if (this.locales.length) {
+      select.innerHTML = this.locales
+        .map(({ code, name }) => `<option value="${code}">${name}</option>`)
+        .join('');
+    }
+    select.value = this.locale;
+    if (!select.dataset.i18nBound) {
+      select.dataset.i18nBound = 'true';
+      select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Translator, I18nClient, PLURAL_CATEGORIES };
+} else {
+  window.i18n = new I18nClient();
+  const applyWhenLoaded = () => window.i18n.ready.then(() => window.i18n.apply());
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', applyWhenLoaded);
+  } else {
+    applyWhenLoaded();
+  }
+}
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { Translator, PLURAL_CATEGORIES } = require('./i18n-client.js');
+
+const DEFAULT_LOCALE = 'en';
+
+// Nested catalog -> { 'group.key': message }; plural form objects stay whole
+function flatten(tree, prefix = '', out = {}) {
+  Object.entries(tree).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const isPlural = value && typeof value === 'object' && Object.keys(value).every(k => PLURAL_CATEGORIES.includes(k));
+    if (value && typeof value === 'object' && !isPlural) flatten(value, name, out);
+    else out[name] = value;
+  });
+  return out;
+}
+
+// Translation catalogs, one JSON file per locale under locales/. Each file
+// carries `_meta: { name, fallback }`; lookups walk the locale, its declared
+// fallbacks and finally the default locale.
+class I18n {
+  constructor({ dir = path.join(__dirname, 'locales'), defaultLocale = DEFAULT_LOCALE } = {}) {
+    this.defaultLocale = defaultLocale;
+    this.catalogs = new Map();
+    this.translators = new Map();
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+      const { _meta = {}, ...tree } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      this.catalogs.set(path.basename(file, '.json'), {
+        name: _meta.name || path.basename(file, '.json'),
+        fallback: [].concat(_meta.fallback || []),
+        messages: flatten(tree)
+      });
+    });
+    if (!this.catalogs.has(defaultLocale)) throw new Error(`Missing catalog for default locale ${defaultLocale}`);
+  }
+
+  locales() {
+    return [...this.catalogs].map(([code, catalog]) => ({ code, name: catalog.name }));
+  }
+
+  // 'ta-IN' -> 'ta'; anything unsupported -> the default locale
+  resolve(requested) {
+    const tag = String(requested || '').trim().toLowerCase().replace(/_/g, '-');
+    if (this.catalogs.has(tag)) return tag;
+    const base = tag.split('-')[0];
+    return this.catalogs.has(base) ? base : this.defaultLocale;
+  }
+
+  chain(requested) {
+    const chain = [];
+    const visit = locale => {
+      if (chain.includes(locale) || !this.catalogs.has(locale)) return;
+      chain.push(locale);
+      this.catalogs.get(locale).fallback.forEach(visit);
+    };
+    visit(this.resolve(requested));
+    visit(this.defaultLocale);
+    return chain;
+  }
+
+  messages(requested) {
+    return this.chain(requested).reduceRight(
+      (merged, locale) => Object.assign(merged, this.catalogs.get(locale).messages),
+      {}
+    );
+  }
+
+  translator(requested) {
+    const locale = this.resolve(requested);
+    if (!this.translators.has(locale)) this.translators.set(locale, new Translator(locale, this.messages(locale)));
+    return this.translators.get(locale);
+  }
+
+  t(locale, key, params) {
+    return this.translator(locale).t(key, params);
+  }
+
+  // Accept-Language: "ta-IN,ta;q=0.9,en;q=0.5" -> 'ta'
+  negotiate(header) {
+    const ranked = String(header || '')
+      .split(',')
+      .map(part => {
+        const [tag, ...attrs] = part.trim().split(';');
+        const q = attrs.map(a => a.trim()).find(a => a.startsWith('q='));
+        return { tag, q: q ? Number(q.slice(2)) : 1 };
+      })
+      .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+      .sort((a, b) => b.q - a.q);
+
+    const match = ranked.find(({ tag }) => this.resolve(tag) !== this.defaultLocale || tag.toLowerCase().startsWith(this.defaultLocale));
+    return match ? this.resolve(match.tag) : this.defaultLocale;
+  }
+
+  // Keys each locale translates itself, measured against the default catalog.
+  // `extra` lists keys the default no longer has (stale translations).
+  coverage() {
+    const reference = Object.keys(this.catalogs.get(this.defaultLocale).messages);
+    return [...this.catalogs].map(([code, catalog]) => {
+      const own = Object.keys(catalog.messages);
+      const missing = reference.filter(key => catalog.messages[key] === undefined);
+      return {
+        locale: code,
+        name: catalog.name,
+        chain: this.chain(code),
+        total: reference.length,
+        translated: reference.length - missing.length,
+        percent: Math.round(((reference.length - missing.length) / reference.length) * 1000) / 10,
+        missing,
+        extra: own.filter(key => !reference.includes(key))
+      };
+    });
+  }
+}
+
+module.exports = { I18n, flatten, DEFAULT_LOCALE };
@@ -0,0 +1,68 @@
+// Browser subscriber for the /api/live Server-Sent Events channel
+class LiveClient {
+  constructor(topics, url = '/api/live') {
+    this.topics = topics;
+    this.url = url;
+    this.handlers = {};
+    this.lastEventId = null;
+    this.source = null;
+    this.retryDelay = 1000;
+    this.maxRetryDelay = 30000;
+  }
+
+  on(topic, handler) {
+    (this.handlers[topic] = this.handlers[topic] || []).push(handler);
+    return this;
+  }
+
+  connect() {
+    const params = new URLSearchParams({ topics: this.topics.join(',') });
+    if (this.lastEventId !== null) params.set('lastEventId', this.lastEventId);
+
+    this.source = new EventSource(`${this.url}?${params}`);
+    this.source.onopen = () => {
+      this.retryDelay = 1000;
+      this.emit('status', { connected: true });
+    };
+
+    [...this.topics, 'resync'].forEach(topic => {
+      this.source.addEventListener(topic, event => {
+        if (event.lastEventId) this.lastEventId = event.lastEventId;
+        this.emit(topic, JSON.parse(event.data));
+      });
+    });
+
+    // EventSource retries by itself while readyState is CONNECTING; once it
+    // gives up (CLOSED) reconnect with backoff and resume from the last id
+    this.source.onerror = () => {
+      this.emit('status', { connected: false });
+      if (this.source.readyState !== EventSource.CLOSED) return;
+
+      setTimeout(() => this.connect(), this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+    };
+    return this;
+  }
+
+  emit(topic, data) {
+    (this.handlers[topic] || []).forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Live ${topic} handler failed:`, error);
+      }
+    });
+  }
+
+  close() {
+    if (this.source) this.source.close();
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.LiveClient = LiveClient;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiveClient;
+}
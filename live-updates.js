@@ -0,0 +1,75 @@
+// Server-Sent Events push channel
+//
+// Clients connect to GET /api/live?topics=warnings,reports and receive each
+// published event as an SSE message whose `event:` is the topic. Every event
+// carries an increasing id; a reconnecting client sends it back (EventSource
+// does this through the Last-Event-ID header, or ?lastEventId= for manual
+// reconnects) and is replayed whatever it missed from the history buffer.
+const TOPICS = ['warnings', 'reports', 'hotspots', 'sensors', 'discussion'];
+
+class LiveUpdates {
+  constructor({ historySize = 500, heartbeatInterval = 25000 } = {}) {
+    this.historySize = historySize;
+    this.heartbeatInterval = heartbeatInterval;
+    this.history = [];
+    this.clients = new Set();
+    this.lastId = 0;
+
+    this.handler = this.handler.bind(this);
+  }
+
+  publish(topic, data) {
+    if (!TOPICS.includes(topic)) throw new Error(`Unknown live topic: ${topic}`);
+
+    const event = { id: ++this.lastId, topic, data, timestamp: new Date().toISOString() };
+    this.history.push(event);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    this.clients.forEach(client => {
+      if (client.topics.includes(topic)) this.send(client.res, event);
+    });
+    return event;
+  }
+
+  send(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  // Express handler for GET /api/live
+  handler(req, res) {
+    const requested = String(req.query.topics || '').split(',').map(t => t.trim()).filter(Boolean);
+    const topics = requested.length ? requested.filter(t => TOPICS.includes(t)) : TOPICS;
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    // Replay missed events. If the gap is older than the buffer, or the id is
+    // from before a server restart, tell the client to reload its state instead.
+    if (!isNaN(lastEventId)) {
+      const oldest = this.history.length ? this.history[0].id : this.lastId + 1;
+      if (lastEventId < oldest - 1 || lastEventId > this.lastId) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'history_expired' })}\n\n`);
+      }
+      this.history
+        .filter(event => event.id > lastEventId && topics.includes(event.topic))
+        .forEach(event => this.send(res, event));
+    }
+
+    const client = { res, topics };
+    this.clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+  }
+}
+
+module.exports = { LiveUpdates, TOPICS };
@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Accepted uploads; the declared type must match what the file's bytes say it is
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', ext: '.jpg', format: 'jpeg' },
+  'image/png': { kind: 'image', ext: '.png', format: 'png' },
+  'image/webp': { kind: 'image', ext: '.webp', format: 'webp' },
+  'video/mp4': { kind: 'video', ext: '.mp4' },
+  'video/quicktime': { kind: 'video', ext: '.mov' }
+};
+
+const DEFAULT_OPTIONS = {
+  dir: path.join(__dirname, 'uploads'),
+  maxImageSize: 10 * 1024 * 1024,
+  maxVideoSize: 50 * 1024 * 1024,
+  thumbnailSize: 320, // longest side, px
+  orphanAge: 24 * 60 * 60 * 1000 // unattached files older than this are removed
+};
+
+// Media of reports in these states is public; before that only the
+// reporter, officials and responders can see it
+const PUBLIC_STATUSES = ['verified', 'resolved', 'closed'];
+const STAFF_ROLES = ['official', 'responder'];
+
+// Perceptual hashes this many bits apart (of 64) are treated as the same picture
+const SIMILAR_HASH_DISTANCE = 6;
+
+// MIME type from the file signature, or null when it is not one we accept
+function detectMimeType(header) {
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image/jpeg';
+  if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (header.length >= 12 && header.toString('ascii', 4, 8) === 'ftyp') {
+    return header.toString('ascii', 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  return null;
+}
+
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(16);
+    const bytes = fs.readSync(fd, header, 0, header.length, 0);
+    return header.subarray(0, bytes);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function sha256(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Difference hash: 9x8 greyscale, one bit per horizontal neighbour comparison
+async function perceptualHash(input) {
+  const pixels = await sharp(input).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? '1' : '0';
+    }
+  }
+  return BigInt('0b' + bits).toString(16).padStart(16, '0');
+}
+
+function hashDistance(a, b) {
+  let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// True when two sets of perceptual hashes share a near-identical picture
+// (re-saved, resized or recompressed copies of the same photo)
+function similarImages(hashesA = [], hashesB = []) {
+  return hashesA.some(a => hashesB.some(b => hashDistance(a, b) <= SIMILAR_HASH_DISTANCE));
+}
+
+function gpsDegrees(parts, ref) {
+  if (!Array.isArray(parts) || parts.length < 3 || parts.some(part => !isFinite(part))) return null;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+// Boxes holding titles, GPS (©xyz, loci, QuickTime location keys), XMP and
+// maker data in MP4/QuickTime files, and the boxes they sit in
+const VIDEO_METADATA_BOXES = ['udta', 'meta', 'uuid'];
+const VIDEO_CONTAINER_BOXES = ['moov', 'trak'];
+
+// Blanks the metadata boxes of an MP4/QuickTime file in place by turning them
+// into zero-filled `free` boxes. Sizes don't change, so the sample offsets in
+// the movie header stay valid without a remux. Throws when the box structure
+// doesn't add up.
+function stripVideoMetadata(buffer) {
+  let hasMovie = false;
+  const walk = (start, end, depth) => {
+    let offset = start;
+    while (offset < end) {
+      if (end - offset < 8) throw new Error('Truncated box header');
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      let size = buffer.readUInt32BE(offset);
+      let header = 8;
+      if (size === 1) {
+        if (end - offset < 16) throw new Error('Truncated box header');
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        header = 16;
+      } else if (size === 0 && depth === 0) {
+        size = end - offset; // last box, runs to the end of the file
+      }
+      if (size < header || offset + size > end) throw new Error(`Invalid ${type} box`);
+
+      if (type === 'moov' && depth === 0) hasMovie = true;
+      if (VIDEO_METADATA_BOXES.includes(type)) {
+        buffer.write('free', offset + 4, 'latin1');
+        buffer.fill(0, offset + header, offset + size);
+      } else if (VIDEO_CONTAINER_BOXES.includes(type)) {
+        walk(offset + header, offset + size, depth + 1);
+      }
+      offset += size;
+    }
+  };
+  walk(0, buffer.length, 0);
+  if (!hasMovie) throw new Error('No movie box');
+  return buffer;
+}
+
+// Capture time and GPS position from an image's EXIF block, if present
+function readExif(buffer) {
+  if (!buffer) return { capturedAt: null, latitude: null, longitude: null };
+  try {
+    const exif = exifReader(buffer);
+    const gps = exif.GPSInfo || {};
+    const taken = (exif.Photo && exif.Photo.DateTimeOriginal) || (exif.Image && exif.Image.DateTime);
+    const latitude = gpsDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = gpsDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    const valid = latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+    return {
+      capturedAt: taken && !isNaN(new Date(taken)) ? new Date(taken).toISOString() : null,
+      latitude: valid ? latitude : null,
+      longitude: valid ? longitude : null
+    };
+  } catch (error) {
+    return { capturedAt: null, latitude: null, longitude: null };
+  }
+}
+
+// Uploaded photos and videos: validated, re-encoded without metadata,
+// thumbnailed and hashed before they are stored. Each file becomes a `media`
+// record that is attached to a report once the report is created.
+class MediaPipeline {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.dir = this.options.dir;
+    this.incomingDir = path.join(this.dir, '.incoming');
+  }
+
+  maxSizeFor(mimeType) {
+    const type = MEDIA_TYPES[mimeType];
+    return type && type.kind === 'video' ? this.options.maxVideoSize : this.options.maxImageSize;
+  }
+
+  filePath(fileName) {
+    return path.join(this.dir, fileName);
+  }
+
+  // Checks type and size; returns { mimeType, size } or { error, status }
+  validate(filePath, declaredType) {
+    const size = fs.statSync(filePath).size;
+    const mimeType = detectMimeType(readHeader(filePath));
+    if (!mimeType) return { error: `Unsupported file type, allowed: ${Object.keys(MEDIA_TYPES).join(', ')}`, status: 415 };
+
+    // Browsers report some types loosely (e.g. mp4 as quicktime), so only the kind has to agree
+    const declared = MEDIA_TYPES[declaredType];
+    if (declaredType && declaredType !== 'application/octet-stream' && (!declared || declared.kind !== MEDIA_TYPES[mimeType].kind)) {
+      return { error: `File content does not match its declared type ${declaredType}`, status: 415 };
+    }
+    if (!size) return { error: 'File is empty', status: 400 };
+    if (size > this.maxSizeFor(mimeType)) {
+      return { error: `File is too large, the limit for ${MEDIA_TYPES[mimeType].kind}s is ${this.maxSizeFor(mimeType)} bytes`, status: 413 };
+    }
+    return { mimeType, size };
+  }
+
+  // Moves one file into the store. The source file is always consumed.
+  async process(filePath, { originalName, mimeType: declaredType, owner } = {}) {
+    const stored = [];
+    try {
+      const check = this.validate(filePath, declaredType);
+      if (check.error) return check;
+
+      const { kind, ext, format } = MEDIA_TYPES[check.mimeType];
+      const id = crypto.randomUUID();
+      const fileName = `${id}${ext}`;
+      const record = {
+        id,
+        reportId: null,
+        ownerId: owner ? owner.id : null,
+        kind,
+        mimeType: check.mimeType,
+        originalName: originalName ? path.basename(String(originalName)) : null,
+        fileName,
+        thumbnailName: null,
+        size: check.size,
+        sha256: sha256(filePath),
+        perceptualHash: null,
+        width: null,
+        height: null,
+        exif: { capturedAt: null, latitude: null, longitude: null },
+        createdAt: new Date().toISOString(),
+        attachedAt: null
+      };
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      if (kind === 'image') {
+        const metadata = await sharp(filePath).metadata();
+        record.exif = readExif(metadata.exif);
+
+        // Re-encoding drops EXIF, XMP and IPTC; rotate() bakes in the orientation first
+        const cleaned = await sharp(filePath).rotate().keepIccProfile().toFormat(format).toBuffer({ resolveWithObject: true });
+        fs.writeFileSync(this.filePath(fileName), cleaned.data);
+        stored.push(fileName);
+        Object.assign(record, { size: cleaned.data.length, width: cleaned.info.width, height: cleaned.info.height });
+
+        record.thumbnailName = `${id}.thumb.jpg`;
+        await sharp(cleaned.data)
+          .resize(this.options.thumbnailSize, this.options.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 70 })
+          .toFile(this.filePath(record.thumbnailName));
+        stored.push(record.thumbnailName);
+
+        record.perceptualHash = await perceptualHash(cleaned.data);
+      } else {
+        // There is no transcoder to remux videos or grab a frame, so metadata is blanked in place
+        fs.writeFileSync(this.filePath(fileName), stripVideoMetadata(fs.readFileSync(filePath)));
+        stored.push(fileName);
+      }
+
+      return { media: this.db.media.insert(record) };
+    } catch (error) {
+      stored.forEach(name => fs.rmSync(this.filePath(name), { force: true }));
+      console.error('Media processing failed:', error.message);
+      return { error: 'File could not be processed as an image or video', status: 415 };
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  // Process several files for one report; on any failure none are kept
+  async processAll(files, owner) {
+    const media = [];
+    for (let i = 0; i < files.length; i++) {
+      const result = await this.process(files[i].path, { originalName: files[i].originalName, mimeType: files[i].mimeType, owner });
+      if (result.error) {
+        files.slice(i + 1).forEach(file => fs.rmSync(file.path, { force: true }));
+        media.forEach(item => this.discard(item.id));
+        return { ...result, error: `${files[i].originalName || 'File'}: ${result.error}` };
+      }
+      media.push(result.media);
+    }
+    return { media };
+  }
+
+  discard(id) {
+    const media = this.db.media.findById(id);
+    if (!media) return;
+    [media.fileName, media.thumbnailName].filter(Boolean).forEach(name => fs.rmSync(this.filePath(name), { force: true }));
+    this.db.media.remove(id);
+  }
+
+  // Unattached media owned by `user` (or anonymous media when there is no user)
+  resolve(ids, user) {
+    const media = [];
+    for (const id of ids) {
+      const item = this.db.media.findById(id);
+      const owned = item && (item.ownerId === null || (user && String(item.ownerId) === String(user.id)));
+      if (!owned || item.reportId !== null) return { error: `Media ${id} not found or already attached` };
+      media.push(item);
+    }
+    return { media };
+  }
+
+  // Link media to its report. EXIF position and time are only kept, and
+  // copied to the report, when the reporter opted in.
+  attach(media, report, { useLocation = false } = {}) {
+    const attachedAt = new Date().toISOString();
+    const attached = media.map(item => this.db.media.update(item.id, {
+      reportId: report.id,
+      attachedAt,
+      exif: useLocation ? item.exif : { capturedAt: null, latitude: null, longitude: null }
+    }));
+    if (!useLocation) return { media: attached, fields: {} };
+
+    const located = attached.find(item => item.exif.latitude !== null);
+    const times = attached.map(item => item.exif.capturedAt).filter(Boolean).sort();
+    const hasLocation = isFinite(parseFloat(report.latitude)) && isFinite(parseFloat(report.longitude));
+    const fields = {};
+    if (times.length) fields.capturedAt = times[0];
+    if (located && !hasLocation) {
+      Object.assign(fields, { latitude: located.exif.latitude, longitude: located.exif.longitude, locationSource: 'media' });
+    }
+    return { media: attached, fields };
+  }
+
+  // What the API returns about a media record; file names and EXIF stay internal
+  describe(media) {
+    return {
+      id: media.id,
+      kind: media.kind,
+      mimeType: media.mimeType,
+      size: media.size,
+      width: media.width,
+      height: media.height,
+      url: `/api/media/${media.id}`,
+      thumbnailUrl: media.thumbnailName ? `/api/media/${media.id}?variant=thumbnail` : null
+    };
+  }
+
+  canView(media, user) {
+    if (user && media.ownerId !== null && String(user.id) === String(media.ownerId)) return true;
+    if (user && STAFF_ROLES.includes(user.role)) return true;
+    const report = media.reportId !== null && this.db.reports.findById(media.reportId);
+    return !!report && PUBLIC_STATUSES.includes(report.status);
+  }
+
+  // Path and type to send for GET /api/media/:id, or { error, status }
+  open(id, user, variant) {
+    const media = this.db.media.findById(id);
+    if (!media || !this.canView(media, user)) return { error: 'Media not found', status: 404 };
+    if (variant === 'thumbnail') {
+      if (!media.thumbnailName) return { error: 'No thumbnail for this media', status: 404 };
+      return { path: path.resolve(this.filePath(media.thumbnailName)), mimeType: 'image/jpeg' };
+    }
+    return { path: path.resolve(this.filePath(media.fileName)), mimeType: media.mimeType };
+  }
+
+  // Remove media never attached to a report, files nothing refers to, and
+  // abandoned incoming or partial uploads, once older than orphanAge
+  cleanup(now = Date.now()) {
+    const cutoff = now - this.options.orphanAge;
+    const removed = [];
+
+    this.db.media
+      .filter(item => item.reportId === null && new Date(item.createdAt).getTime() < cutoff)
+      .forEach(item => {
+        this.discard(item.id);
+        removed.push(item.fileName);
+      });
+
+    const referenced = new Set();
+    this.db.media.all().forEach(item => [item.fileName, item.thumbnailName].filter(Boolean).forEach(name => referenced.add(name)));
+    // Reports from before this pipeline refer to their files directly
+    this.db.reports.all().forEach(report => (report.mediaFiles || []).forEach(name => referenced.add(name)));
+    // Chunked uploads nobody finished within orphanAge are abandoned
+    const pendingUploads = new Set(this.db.uploads
+      .filter(u => u.status === 'pending' && new Date(u.createdAt).getTime() >= cutoff)
+      .map(u => u.id));
+
+    const sweep = (dir, keep) => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isFile()).forEach(entry => {
+        const file = path.join(dir, entry.name);
+        if (keep(entry.name) || fs.statSync(file).mtimeMs >= cutoff) return;
+        fs.rmSync(file, { force: true });
+        removed.push(path.relative(this.dir, file));
+      });
+    };
+    sweep(this.dir, name => referenced.has(name));
+    sweep(this.incomingDir, () => false);
+    sweep(path.join(this.dir, '.partial'), name => pendingUploads.has(name.slice(0, name.lastIndexOf('.'))));
+
+    return { removed };
+  }
+}
+
+module.exports = { MediaPipeline, MEDIA_TYPES, detectMimeType, stripVideoMetadata, perceptualHash, hashDistance, similarImages };
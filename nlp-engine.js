@@ -0,0 +1,419 @@
+// Hazard detection for report descriptions and social media posts in
+// English, Hindi, Bengali and Tamil (native script and Latin transliteration).
+//
+// Lexicon terms match whole tokens. A trailing '*' matches any token starting
+// with the term ('flood*' -> flooding, flooded), a leading '*' any token ending
+// with it (Tamil/Bengali negative verb suffixes). Multi-word terms match
+// consecutive tokens.
+//
+// Negation: English negators apply to the terms that follow them ("no
+// flooding"); Hindi, Bengali and Tamil put the negation after the verb
+// ("baadh nahi hai"), so theirs apply to the terms before them. Either way
+// the scope is NEGATION_WINDOW tokens and ends at punctuation or a contrast
+// word ("no flooding but heavy rain").
+//
+// Latin-script text is attributed to the language whose terms, negators and
+// common function words (`markers`) it contains most, so "baadh nahi hai"
+// reads as Hindi even though its only hazard term is negated.
+const fs = require('fs');
+const path = require('path');
+
+const NEGATION_WINDOW = 3;
+const STRONG_WEIGHT = 1;
+const WEAK_WEIGHT = 0.4;
+const LABEL_THRESHOLD = 0.3; // score at which a hazard type is reported in hazardTypes
+
+const LEXICONS = {
+  en: {
+    negationScope: 'after',
+    negators: ['no', 'not', 'never', 'without', 'none', 'nothing', 'neither', 'nor'],
+    contrast: ['but', 'however', 'although', 'though', 'yet'],
+    hazards: {
+      flood: {
+        strong: ['flood*', 'inundat*', 'submerged', 'waterlogged', 'waterlogging'],
+        weak: ['water', 'rain', 'rains', 'raining', 'rainfall', 'overflow*', 'downpour']
+      },
+      storm: {
+        strong: ['storm', 'storms', 'stormy', 'cyclone*', 'hurricane*', 'typhoon*', 'tornado*', 'gale*'],
+        weak: ['wind', 'winds', 'windy', 'thunder*']
+      },
+      fire: {
+        strong: ['fire', 'fires', 'blaze', 'burning', 'flames', 'wildfire*', 'on fire'],
+        weak: ['smoke', 'smoking']
+      },
+      earthquake: {
+        strong: ['earthquake*', 'quake*', 'tremor*', 'seismic'],
+        weak: ['shaking', 'shook']
+      },
+      tsunami: {
+        strong: ['tsunami*', 'tidal wave*', 'storm surge'],
+        weak: ['wave', 'waves', 'surge', 'swell', 'swells']
+      },
+      accident: {
+        strong: ['accident*', 'crash*', 'collision*', 'capsiz*', 'collapsed', 'overturned'],
+        weak: ['injured', 'collide*']
+      }
+    },
+    urgency: ['urgent*', 'emergency', 'critical', 'immediate*', 'help', 'rescue', 'sos', 'trapped', 'stranded', 'evacuat*'],
+    sentiment: {
+      negative: ['danger*', 'disaster*', 'severe', 'critical', 'emergency', 'destroyed', 'dead', 'death*', 'injured', 'trapped'],
+      positive: ['safe', 'safely', 'help', 'rescue', 'rescued', 'support', 'relief', 'recovered']
+    }
+  },
+
+  hi: {
+    negationScope: 'before',
+    negators: ['नहीं', 'नही', 'न', 'मत', 'बिना', 'nahi', 'nahin', 'nhi', 'bina'],
+    contrast: ['लेकिन', 'मगर', 'किंतु', 'परंतु', 'lekin', 'magar', 'parantu'],
+    markers: ['hai', 'hain', 'tha', 'thi', 'gaya', 'gayi', 'gaye', 'raha', 'rahi', 'rahe', 'mein', 'bahut', 'abhi', 'yahan', 'kuch', 'koi'],
+    hazards: {
+      flood: {
+        strong: ['बाढ़*', 'बाढ*', 'जलभराव', 'सैलाब', 'baadh', 'badh', 'baarh', 'barh', 'sailab', 'sailaab', 'jalbharav'],
+        weak: ['पानी', 'बारिश', 'वर्षा', 'paani', 'pani', 'barish', 'baarish']
+      },
+      storm: {
+        strong: ['तूफान*', 'तूफ़ान*', 'चक्रवात', 'आंधी', 'आँधी', 'toofan', 'tufan', 'toofaan', 'chakravat', 'aandhi', 'andhi'],
+        weak: ['हवा', 'हवाएं', 'hawa', 'hava']
+      },
+      fire: {
+        strong: ['आग', 'aag'],
+        weak: ['धुआं', 'धुआँ', 'dhuan', 'dhuaan']
+      },
+      earthquake: {
+        strong: ['भूकंप', 'भूकम्प', 'bhukamp', 'bhookamp', 'bhukump'],
+        weak: ['झटके', 'jhatke']
+      },
+      tsunami: {
+        strong: ['सुनामी', 'sunami', 'sunaami'],
+        weak: ['लहर*', 'lehar*', 'lahar*']
+      },
+      accident: {
+        strong: ['दुर्घटना', 'हादसा', 'हादसे', 'टक्कर', 'durghatna', 'hadsa', 'haadsa', 'hadse', 'takkar'],
+        weak: ['घायल', 'ghayal']
+      }
+    },
+    urgency: ['तुरंत', 'मदद', 'बचाओ', 'बचाव', 'आपातकाल*', 'जल्दी', 'turant', 'madad', 'bachao', 'bachaao', 'jaldi'],
+    sentiment: {
+      negative: ['खतरा', 'खतरनाक', 'ख़तरा', 'तबाही', 'मौत', 'khatra', 'khatarnak', 'tabahi'],
+      positive: ['सुरक्षित', 'राहत', 'surakshit', 'rahat']
+    }
+  },
+
+  bn: {
+    negationScope: 'before',
+    negators: ['না', 'নেই', 'নয়', 'নাই', 'হয়নি', 'nei', 'noy', 'nai', 'hoyni'],
+    contrast: ['কিন্তু', 'তবে', 'kintu'],
+    markers: ['ache', 'achhe', 'hocche', 'hoyeche', 'geche', 'khub', 'theke', 'ekhane', 'ekhon', 'kichu', 'sobai'],
+    hazards: {
+      flood: {
+        strong: ['বন্যা*', 'জলাবদ্ধ*', 'bonna', 'banya', 'bonya'],
+        weak: ['জল', 'পানি', 'বৃষ্টি*', 'jol', 'brishti', 'bristi']
+      },
+      storm: {
+        strong: ['ঝড়*', 'ঘূর্ণিঝড়*', 'jhor', 'jhar', 'ghurnijhor', 'ghurnijhar'],
+        weak: ['বাতাস', 'হাওয়া', 'batash', 'hawa']
+      },
+      fire: {
+        strong: ['আগুন*', 'agun', 'aagun'],
+        weak: ['ধোঁয়া', 'dhoa', 'dhoya']
+      },
+      earthquake: {
+        strong: ['ভূমিকম্প*', 'bhumikompo', 'bhumikampa', 'bhumikamp'],
+        weak: ['কম্পন', 'kompon']
+      },
+      tsunami: {
+        strong: ['সুনামি', 'জলোচ্ছ্বাস', 'sunami', 'jolochchhas', 'jolocchas'],
+        weak: ['ঢেউ', 'dheu']
+      },
+      accident: {
+        strong: ['দুর্ঘটনা*', 'সংঘর্ষ', 'durghotona', 'durghatana', 'songhorsho'],
+        weak: ['আহত', 'ahoto', 'ahato']
+      }
+    },
+    urgency: ['জরুরি', 'জরুরী', 'সাহায্য', 'বাঁচাও', 'তাড়াতাড়ি', 'joruri', 'jaruri', 'sahajjo', 'bachao', 'taratari'],
+    sentiment: {
+      negative: ['বিপদ*', 'ক্ষতি*', 'মৃত্যু', 'bipod', 'khoti', 'mrittu'],
+      positive: ['নিরাপদ', 'ত্রাণ', 'nirapod', 'tran']
+    }
+  },
+
+  ta: {
+    negationScope: 'before',
+    negators: ['இல்லை', 'இல்லாமல்', 'வேண்டாம்', 'அல்ல', '*வில்லை', 'illai', 'illa', 'illamal', 'vendam'],
+    contrast: ['ஆனால்', 'aanal', 'anal'],
+    markers: ['irukku', 'irukkirathu', 'romba', 'ippo', 'inga', 'vandhu', 'vanthu', 'varudhu', 'konjam', 'venum'],
+    hazards: {
+      flood: {
+        strong: ['வெள்ள*', 'vellam', 'vellathil', 'vellapperukku'],
+        weak: ['மழை*', 'தண்ணீர்*', 'நீர்', 'mazhai', 'malai', 'thanneer']
+      },
+      storm: {
+        strong: ['புயல்*', 'சூறாவளி*', 'puyal', 'sooravali', 'suravali'],
+        weak: ['காற்று*', 'kaatru', 'katru']
+      },
+      fire: {
+        strong: ['தீ', 'தீவிபத்து*', 'நெருப்பு*', 'theevibathu', 'neruppu'],
+        weak: ['புகை*', 'pugai']
+      },
+      earthquake: {
+        strong: ['நிலநடுக்க*', 'nilanadukkam', 'nila nadukkam'],
+        weak: ['அதிர்வு*', 'athirvu']
+      },
+      tsunami: {
+        strong: ['சுனாமி*', 'ஆழிப்பேரலை*', 'sunami', 'aazhipperalai'],
+        weak: ['அலை*', 'alai', 'alaigal']
+      },
+      accident: {
+        strong: ['விபத்*', 'vibathu', 'vipathu', 'vibaththu'],
+        weak: ['காயம்*', 'kaayam']
+      }
+    },
+    urgency: ['அவசர*', 'உதவி*', 'காப்பாற்று*', 'avasaram', 'udhavi', 'uthavi', 'kaappaatrungal'],
+    sentiment: {
+      negative: ['ஆபத்து*', 'சேதம்*', 'உயிரிழ*', 'aabathu', 'abathu', 'setham'],
+      positive: ['பாதுகாப்பா*', 'நிவாரண*', 'paadhugaappaaga', 'nivaranam']
+    }
+  }
+};
+
+// Unicode ranges used to guess the language from the script
+const SCRIPTS = {
+  hi: /[\u0900-\u097F]/g,
+  bn: /[\u0980-\u09FF]/g,
+  ta: /[\u0B80-\u0BFF]/g,
+  en: /[a-z]/gi
+};
+
+const CLAUSE_BREAK = /[.!?;,:()\n\r।॥|]+/;
+
+function normalize(text) {
+  // NFC keeps nukta and chandrabindu forms comparable between lexicon and input;
+  // "isn't" becomes "is not" so the negation is a token of its own
+  return String(text || '').normalize('NFC').toLowerCase().replace(/n['’]t\b/g, ' not');
+}
+
+// Letters, combining marks (Indic vowel signs, virama) and digits; ZWJ/ZWNJ stay inside words
+function tokenize(text) {
+  return normalize(text).match(/[\p{L}\p{M}\p{N}\u200C\u200D]+/gu) || [];
+}
+
+function compileTerm(term) {
+  return normalize(term).split(/\s+/).filter(Boolean).map(part => {
+    const value = part.replace(/\*/g, '');
+    if (part.startsWith('*')) return { kind: 'suffix', value };
+    if (part.endsWith('*')) return { kind: 'prefix', value };
+    return { kind: 'exact', value };
+  });
+}
+
+function tokenMatches(pattern, token) {
+  if (pattern.kind === 'prefix') return token.startsWith(pattern.value);
+  if (pattern.kind === 'suffix') return token.endsWith(pattern.value) && token !== pattern.value;
+  return token === pattern.value;
+}
+
+class NLPEngine {
+  constructor(lexicons = LEXICONS) {
+    this.lexicons = lexicons;
+    this.terms = [];
+    this.negators = [];
+    this.contrast = [];
+    this.markers = []; // words that only tell the language
+
+    for (const [language, lexicon] of Object.entries(lexicons)) {
+      const add = (list, category, extra = {}) => list.forEach(term => {
+        this.terms.push({ term, language, category, patterns: compileTerm(term), ...extra });
+      });
+
+      for (const [type, { strong = [], weak = [] }] of Object.entries(lexicon.hazards)) {
+        add(strong, 'hazard', { type, weight: STRONG_WEIGHT });
+        add(weak, 'hazard', { type, weight: WEAK_WEIGHT });
+      }
+      add(lexicon.urgency, 'urgency');
+      add(lexicon.sentiment.negative, 'negative');
+      add(lexicon.sentiment.positive, 'positive');
+
+      lexicon.negators.forEach(term => this.negators.push({ patterns: compileTerm(term), scope: lexicon.negationScope }));
+      lexicon.contrast.forEach(term => this.contrast.push(compileTerm(term)));
+      [...lexicon.negators, ...lexicon.contrast, ...(lexicon.markers || [])]
+        .forEach(term => this.markers.push({ patterns: compileTerm(term), language }));
+    }
+  }
+
+  tokenize(text) {
+    return tokenize(text);
+  }
+
+  matchAt(patterns, tokens, index) {
+    if (index + patterns.length > tokens.length) return false;
+    return patterns.every((pattern, offset) => tokenMatches(pattern, tokens[index + offset]));
+  }
+
+  // Punctuation and contrast words ("but", "लेकिन") end a negation scope
+  clauses(text) {
+    return normalize(text).split(CLAUSE_BREAK).flatMap(part => {
+      const tokens = tokenize(part);
+      const clauses = [[]];
+      tokens.forEach((token, index) => {
+        if (this.contrast.some(patterns => this.matchAt(patterns, tokens, index))) clauses.push([]);
+        else clauses[clauses.length - 1].push(token);
+      });
+      return clauses.filter(clause => clause.length);
+    });
+  }
+
+  isNegated(tokens, start, length) {
+    const end = start + length - 1;
+    return tokens.some((token, index) => this.negators.some(negator => {
+      if (!this.matchAt(negator.patterns, tokens, index)) return false;
+      return negator.scope === 'after'
+        ? index < start && start - index <= NEGATION_WINDOW
+        : index > end && index - end <= NEGATION_WINDOW;
+    }));
+  }
+
+  detectLanguage(text, matchedLanguages) {
+    const counts = Object.entries(SCRIPTS).map(([language, pattern]) => [language, (String(text).match(pattern) || []).length]);
+    const [script, count] = counts.sort((a, b) => b[1] - a[1])[0];
+    if (!count) return { language: null, transliterated: false };
+    if (script !== 'en') return { language: script, transliterated: false };
+
+    // Latin script: prefer a transliterated language when its words outnumber English ones
+    const tokens = tokenize(text);
+    const markers = tokens.flatMap((token, index) => this.markers
+      .filter(marker => this.matchAt(marker.patterns, tokens, index))
+      .map(marker => marker.language));
+    const tally = {};
+    [...matchedLanguages, ...markers].forEach(language => { tally[language] = (tally[language] || 0) + 1; });
+    const [best] = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+    return best && best[0] !== 'en' && best[1] > (tally.en || 0)
+      ? { language: best[0], transliterated: true }
+      : { language: 'en', transliterated: false };
+  }
+
+  analyzeText(text) {
+    const weights = {};
+    const keywords = [];
+    const negated = [];
+    const matchedLanguages = [];
+    const counts = { urgency: 0, negative: 0, positive: 0 };
+
+    for (const tokens of this.clauses(text)) {
+      const claimed = new Set(); // one match per token position and category/type
+
+      tokens.forEach((token, index) => {
+        this.terms.forEach(term => {
+          const key = `${term.category}:${term.type || ''}:${index}`;
+          if (claimed.has(key) || !this.matchAt(term.patterns, tokens, index)) return;
+          claimed.add(key);
+
+          const surface = tokens.slice(index, index + term.patterns.length).join(' ');
+          matchedLanguages.push(term.language);
+          const negatable = term.category === 'hazard' || term.category === 'urgency';
+          if (negatable && this.isNegated(tokens, index, term.patterns.length)) {
+            negated.push({ term: surface, type: term.type || term.category });
+            return;
+          }
+
+          if (term.category === 'hazard') {
+            weights[term.type] = (weights[term.type] || 0) + term.weight;
+            keywords.push(surface);
+          } else {
+            counts[term.category]++;
+            if (term.category === 'urgency') keywords.push(surface);
+          }
+        });
+      });
+    }
+
+    // Independent evidence: one strong term -> 0.5, two -> 0.75, ...
+    const scores = {};
+    Object.entries(weights).forEach(([type, weight]) => {
+      scores[type] = Math.round((1 - Math.pow(0.5, weight)) * 100) / 100;
+    });
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+    return {
+      ...this.detectLanguage(text, matchedLanguages),
+      hazardType: ranked.length ? ranked[0][0] : null,
+      hazardTypes: ranked.filter(([, score]) => score >= LABEL_THRESHOLD).map(([type]) => type),
+      scores,
+      urgencyLevel: Math.min(counts.urgency * 0.3, 1),
+      keywords: [...new Set(keywords)],
+      negated,
+      sentiment: counts.negative > counts.positive ? 'negative' : counts.positive > counts.negative ? 'positive' : 'neutral',
+      confidence: ranked.length ? ranked[0][1] : 0
+    };
+  }
+
+  processSocialMedia(posts) {
+    return posts.map(post => ({
+      ...post,
+      analysis: this.analyzeText(post.content),
+      relevanceScore: this.calculateRelevance(post)
+    })).filter(post => post.analysis.confidence > 0.3);
+  }
+
+  calculateRelevance(post) {
+    const analysis = this.analyzeText(post.content);
+    return analysis.confidence * (1 + post.engagement / 100) * (analysis.urgencyLevel + 0.5);
+  }
+
+  // Multi-label accuracy against a labelled corpus of { text, language, labels }
+  evaluate(corpus) {
+    const perLabel = {};
+    const failures = [];
+    let exact = 0;
+    let languageHits = 0;
+    const count = (label, field) => {
+      perLabel[label] = perLabel[label] || { tp: 0, fp: 0, fn: 0 };
+      perLabel[label][field]++;
+    };
+
+    corpus.forEach(sample => {
+      const analysis = this.analyzeText(sample.text);
+      const expected = new Set(sample.labels);
+      const predicted = new Set(analysis.hazardTypes);
+
+      predicted.forEach(label => count(label, expected.has(label) ? 'tp' : 'fp'));
+      expected.forEach(label => { if (!predicted.has(label)) count(label, 'fn'); });
+
+      const match = expected.size === predicted.size && [...expected].every(label => predicted.has(label));
+      if (match) exact++;
+      else failures.push({ text: sample.text, expected: [...expected], predicted: [...predicted] });
+      if (!sample.language || sample.language === analysis.language) languageHits++;
+    });
+
+    const totals = Object.values(perLabel).reduce((sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp, fn: sum.fn + c.fn }), { tp: 0, fp: 0, fn: 0 });
+    const precision = totals.tp / ((totals.tp + totals.fp) || 1);
+    const recall = totals.tp / ((totals.tp + totals.fn) || 1);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+      total: corpus.length,
+      exactMatch: round(exact / (corpus.length || 1)),
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(2 * precision * recall / ((precision + recall) || 1)),
+      languageAccuracy: round(languageHits / (corpus.length || 1)),
+      perLabel,
+      failures
+    };
+  }
+}
+
+module.exports = { NLPEngine, LEXICONS, tokenize, normalize, compileTerm, tokenMatches };
+
+// Usage: node nlp-engine.js [corpus.json] [--min-f1=0.9]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, 'nlp-corpus.json');
+  const minF1 = Number((args.find(arg => arg.startsWith('--min-f1=')) || '--min-f1=0.9').split('=')[1]);
+
+  const result = new NLPEngine().evaluate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  console.log(`Samples: ${result.total}`);
+  console.log(`Exact match: ${result.exactMatch}  Precision: ${result.precision}  Recall: ${result.recall}  F1: ${result.f1}`);
+  console.log(`Language accuracy: ${result.languageAccuracy}`);
+  result.failures.forEach(f => console.log(`  MISS "${f.text}" expected [${f.expected}] got [${f.predicted}]`));
+  process.exit(result.f1 >= minF1 ? 0 : 1);
+}
@@ -0,0 +1,456 @@
+const dns = require('dns').promises;
+const net = require('net');
+const OceanMonitorAPI = require('./ocean-api.js');
+const { I18n } = require('./i18n.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Escalation rules: when a warning of `severity` is still unacknowledged
+// `afterMinutes` after it was issued, notify every user holding one of `notifyRoles`
+const DEFAULT_ESCALATION_RULES = [
+  { severity: 'critical', afterMinutes: 10, notifyRoles: ['responder'] },
+  { severity: 'critical', afterMinutes: 20, notifyRoles: ['official'] }
+];
+
+const DEFAULT_PREFERENCES = {
+  channels: ['in_app'],
+  hazardTypes: [], // empty = all
+  regions: [], // [{ name, lat, lng, radiusKm }], empty = everywhere
+  minSeverity: 'high',
+  webhookUrl: null
+};
+
+// Webhooks are for staff integrations (control rooms, partner agencies)
+const WEBHOOK_ROLES = ['official', 'responder'];
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges; a webhook must never reach into the server's own network
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPublicAddress(address) {
+  const ip = address.toLowerCase().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+  if (net.isIPv4(ip)) {
+    const value = ipv4ToNumber(ip);
+    return !BLOCKED_IPV4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4ToNumber(base) / 2 ** (32 - bits)));
+  }
+  if (net.isIPv6(ip)) {
+    // ::, ::1, IPv4-mapped/compatible, unique local fc00::/7, link-local fe80::/10, multicast ff00::/8
+    return !(ip === '::' || ip === '::1' || ip.startsWith('::') || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff'));
+  }
+  return false;
+}
+
+// Checked when the URL is saved; the resolved addresses are checked again on every send
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'webhookUrl must be a valid URL';
+  }
+  if (url.protocol !== 'https:') return 'webhookUrl must use https';
+  if (url.username || url.password) return 'webhookUrl must not contain credentials';
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) ? !isPublicAddress(host) : !host.includes('.') || /\.(localhost|local|internal)$/i.test(host)) {
+    return 'webhookUrl must point to a public host';
+  }
+  return null;
+}
+
+// Channel adapters. Each exposes `name`, `addressFor(user, preferences)` and
+// `async send(address, message)` resolving to { providerId }.
+
+class EmailChannel {
+  constructor({ host, port = 587, user, pass, from }) {
+    this.name = 'email';
+    this.from = from;
+    this.transport = require('nodemailer').createTransport({
+      host,
+      port: Number(port),
+      secure: Number(port) === 465,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  addressFor(user) {
+    return user.email || null;
+  }
+
+  async send(address, message) {
+    const info = await this.transport.sendMail({
+      from: this.from,
+      to: address,
+      subject: message.subject,
+      text: message.text
+    });
+    return { providerId: info.messageId };
+  }
+}
+
+// SMS through an HTTP gateway that accepts { to, message } as JSON
+class SmsChannel {
+  constructor({ url, token }) {
+    this.name = 'sms';
+    this.url = url;
+    this.token = token;
+  }
+
+  addressFor(user) {
+    return user.phone || null;
+  }
+
+  async send(address, message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({ to: address, message: message.short, reference: message.deliveryId })
+    });
+    if (!response.ok) throw new Error(`SMS gateway responded ${response.status}`);
+
+    const body = await response.json().catch(() => ({}));
+    return { providerId: body.id || body.messageId || null };
+  }
+}
+
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+  }
+
+  // A user who lost their staff role stops receiving webhooks
+  addressFor(user, preferences) {
+    return WEBHOOK_ROLES.includes(user.role) ? preferences.webhookUrl || null : null;
+  }
+
+  async send(address, message) {
+    const invalid = validateWebhookUrl(address);
+    if (invalid) throw new Error(invalid);
+    const resolved = await dns.lookup(new URL(address).hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (!resolved.length || !resolved.every(({ address: ip }) => isPublicAddress(ip))) {
+      throw new Error('Webhook host resolves to a private address');
+    }
+
+    // Redirects are not followed, so a public URL cannot bounce the request inwards
+    const response = await fetch(address, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ deliveryId: message.deliveryId, warning: message.warning }),
+      redirect: 'manual'
+    });
+    if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+    return { providerId: null };
+  }
+}
+
+// Stored per user, read through GET /api/notifications
+class InAppChannel {
+  constructor(db) {
+    this.name = 'in_app';
+    this.db = db;
+  }
+
+  addressFor(user) {
+    return user.id;
+  }
+
+  async send(address, message) {
+    const notification = this.db.notifications.insert({
+      id: `${message.deliveryId}`,
+      userId: address,
+      warningId: message.warning.id,
+      title: message.subject,
+      body: message.text,
+      createdAt: new Date().toISOString(),
+      readAt: null
+    });
+    return { providerId: notification.id };
+  }
+}
+
+// Local stand-in that records what would have been sent (tests, demos)
+class MemoryChannel {
+  constructor(name, { fail = 0 } = {}) {
+    this.name = name;
+    this.sent = [];
+    this.failuresLeft = fail;
+  }
+
+  addressFor(user) {
+    return user.email || user.phone || user.id;
+  }
+
+  async send(address, message) {
+    if (this.failuresLeft > 0) {
+      this.failuresLeft--;
+      throw new Error(`${this.name} stand-in failure`);
+    }
+    this.sent.push({ address, message });
+    return { providerId: `${this.name}-${this.sent.length}` };
+  }
+}
+
+// Build the channels that are configured in the environment
+function createChannels(db, env = process.env) {
+  const channels = [new InAppChannel(db), new WebhookChannel()];
+  if (env.SMTP_HOST) {
+    channels.push(new EmailChannel({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM || 'alerts@localhost'
+    }));
+  }
+  if (env.SMS_GATEWAY_URL) {
+    channels.push(new SmsChannel({ url: env.SMS_GATEWAY_URL, token: env.SMS_GATEWAY_TOKEN }));
+  }
+  return channels;
+}
+
+class NotificationDispatcher {
+  constructor(db, { channels = [], escalationRules = DEFAULT_ESCALATION_RULES, maxAttempts = 5, baseRetryDelay = 30000, i18n = new I18n() } = {}) {
+    this.db = db;
+    this.i18n = i18n;
+    this.channels = new Map(channels.map(channel => [channel.name, channel]));
+    this.escalationRules = escalationRules;
+    this.maxAttempts = maxAttempts;
+    this.baseRetryDelay = baseRetryDelay;
+    this.inFlight = new Set(); // delivery ids being sent right now
+    this.running = null; // the current tick()
+  }
+
+  getPreferences(userId) {
+    const stored = this.db.notificationPreferences.findById(userId);
+    return { ...DEFAULT_PREFERENCES, ...(stored || {}) };
+  }
+
+  setPreferences(user, changes) {
+    const userId = user.id;
+    const preferences = { ...this.getPreferences(userId) };
+
+    if (changes.webhookUrl) {
+      if (!WEBHOOK_ROLES.includes(user.role)) return { error: 'Webhooks are only available to officials and responders', status: 403 };
+      const error = validateWebhookUrl(changes.webhookUrl);
+      if (error) return { error, status: 400 };
+    }
+
+    if (Array.isArray(changes.channels)) preferences.channels = changes.channels.filter(c => this.channels.has(c));
+    if (Array.isArray(changes.hazardTypes)) preferences.hazardTypes = changes.hazardTypes;
+    if (Array.isArray(changes.regions)) {
+      preferences.regions = changes.regions
+        .filter(r => isFinite(r.lat) && isFinite(r.lng) && r.radiusKm > 0)
+        .map(r => ({ name: r.name || null, lat: Number(r.lat), lng: Number(r.lng), radiusKm: Number(r.radiusKm) }));
+    }
+    if (SEVERITY_RANK[changes.minSeverity]) preferences.minSeverity = changes.minSeverity;
+    if (changes.webhookUrl !== undefined) preferences.webhookUrl = changes.webhookUrl || null;
+
+    const { id, ...values } = preferences;
+    return {
+      preferences: this.db.notificationPreferences.findById(userId)
+        ? this.db.notificationPreferences.update(userId, values)
+        : this.db.notificationPreferences.insert({ id: userId, ...values })
+    };
+  }
+
+  matchesPreferences(preferences, warning) {
+    if (SEVERITY_RANK[warning.severity] < SEVERITY_RANK[preferences.minSeverity]) return false;
+    if (preferences.hazardTypes.length && !preferences.hazardTypes.includes(warning.hazardType)) return false;
+    if (!preferences.regions.length) return true;
+
+    const location = warning.location || {};
+    if (!isFinite(location.lat) || !isFinite(location.lng)) return true;
+    return preferences.regions.some(region => calculateDistance(region, location) <= region.radiusKm);
+  }
+
+  // Persist the warning and fan it out to every matching subscriber
+  dispatch(warning) {
+    const stored = this.db.warnings.insert({
+      ...warning,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      escalationLevel: 0
+    });
+
+    const recipients = this.db.users.filter(user => this.matchesPreferences(this.getPreferences(user.id), stored));
+    return this.notifyUsers(stored, recipients, 0);
+  }
+
+  notifyUsers(warning, users, escalationLevel) {
+    const deliveries = [];
+
+    users.forEach(user => {
+      const preferences = this.getPreferences(user.id);
+      // Escalations always go in-app as well as to the user's own channels
+      const channelNames = escalationLevel > 0 ? [...new Set(['in_app', ...preferences.channels])] : preferences.channels;
+
+      channelNames.forEach(channelName => {
+        const channel = this.channels.get(channelName);
+        const address = channel && channel.addressFor(user, preferences);
+        if (!address) return;
+
+        deliveries.push(this.db.notificationDeliveries.insert({
+          id: `${warning.id}-${user.id}-${channelName}-${escalationLevel}`,
+          warningId: warning.id,
+          userId: user.id,
+          channel: channelName,
+          address,
+          escalationLevel,
+          status: 'queued',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: new Date().toISOString(),
+          sentAt: null,
+          deliveredAt: null,
+          providerId: null
+        }));
+      });
+    });
+
+    return Promise.all(deliveries.map(delivery => this.attempt(delivery))).then(() => deliveries);
+  }
+
+  // Rendered in the recipient's language; warnings without a template keep
+  // their issuer's text and only the surrounding wording is translated
+  buildMessage(warning, delivery) {
+    const user = this.db.users.findById(delivery.userId);
+    const translator = this.i18n.translator(user && user.language);
+    const message = warning.messageKey ? translator.t(warning.messageKey, warning.messageParams) : warning.message;
+    const hasLocation = warning.location && isFinite(warning.location.lat);
+    const escalate = text => (delivery.escalationLevel > 0 ? translator.t('notification.escalated', { text }) : text);
+
+    const text = translator.t(hasLocation ? 'notification.text' : 'notification.textNoLocation', {
+      message,
+      lat: hasLocation ? Number(warning.location.lat).toFixed(3) : null,
+      lng: hasLocation ? Number(warning.location.lng).toFixed(3) : null,
+      time: warning.timestamp
+    });
+
+    return {
+      deliveryId: delivery.id,
+      warning,
+      locale: translator.locale,
+      subject: escalate(translator.t('notification.subject', {
+        severity: warning.severity,
+        type: warning.hazardType || translator.t('notification.genericHazard')
+      })),
+      text: escalate(text),
+      short: escalate(message).slice(0, 160)
+    };
+  }
+
+  // A delivery already being sent is skipped, so it is never sent twice at once
+  async attempt(delivery) {
+    if (this.inFlight.has(delivery.id)) return delivery;
+    this.inFlight.add(delivery.id);
+    try {
+      return await this.send(delivery);
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  async send(delivery) {
+    const channel = this.channels.get(delivery.channel);
+    const warning = this.db.warnings.findById(delivery.warningId);
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const { providerId } = await channel.send(delivery.address, this.buildMessage(warning, delivery));
+      return this.db.notificationDeliveries.update(delivery.id, {
+        status: 'sent',
+        attempts,
+        providerId,
+        sentAt: new Date().toISOString(),
+        nextAttemptAt: null
+      });
+    } catch (error) {
+      const exhausted = attempts >= this.maxAttempts;
+      return this.db.notificationDeliveries.update(delivery.id, {
+        status: exhausted ? 'failed' : 'retrying',
+        attempts,
+        lastError: error.message,
+        // Exponential backoff: base, 2x, 4x, ...
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + this.baseRetryDelay * 2 ** (attempts - 1)).toISOString()
+      });
+    }
+  }
+
+  // Delivery receipt from a provider callback or the recipient's client
+  recordReceipt(deliveryId, status = 'delivered') {
+    const changes = status === 'delivered'
+      ? { status: 'delivered', deliveredAt: new Date().toISOString() }
+      : { status: 'failed', lastError: `Provider reported ${status}` };
+    return this.db.notificationDeliveries.update(deliveryId, changes);
+  }
+
+  acknowledge(warningId, user) {
+    const warning = this.db.warnings.findById(warningId);
+    if (!warning) return null;
+    if (warning.acknowledgedAt) return warning;
+
+    return this.db.warnings.update(warningId, {
+      acknowledgedAt: new Date().toISOString(),
+      acknowledgedBy: user.id
+    });
+  }
+
+  deliveriesFor(warningId) {
+    return this.db.notificationDeliveries.filter(d => String(d.warningId) === String(warningId));
+  }
+
+  // Run due retries and escalations; called on an interval by the server.
+  // A tick that starts while the previous one is still sending joins it.
+  tick(now = Date.now()) {
+    if (!this.running) {
+      this.running = this.runTick(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runTick(now) {
+    const due = this.db.notificationDeliveries.filter(d =>
+      d.status === 'retrying' && new Date(d.nextAttemptAt).getTime() <= now);
+    await Promise.all(due.map(delivery => this.attempt(delivery)));
+
+    for (const warning of this.db.warnings.filter(w => !w.acknowledgedAt)) {
+      const rules = this.escalationRules.filter(rule => rule.severity === warning.severity);
+      const ageMinutes = (now - new Date(warning.timestamp).getTime()) / 60000;
+
+      for (let level = warning.escalationLevel; level < rules.length; level++) {
+        const rule = rules[level];
+        if (ageMinutes < rule.afterMinutes) break;
+
+        const updated = this.db.warnings.update(warning.id, { escalationLevel: level + 1 });
+        const users = this.db.users.filter(user => rule.notifyRoles.includes(user.role));
+        await this.notifyUsers(updated, users, level + 1);
+      }
+    }
+  }
+}
+
+module.exports = {
+  NotificationDispatcher,
+  EmailChannel,
+  SmsChannel,
+  WebhookChannel,
+  InAppChannel,
+  MemoryChannel,
+  createChannels,
+  validateWebhookUrl,
+  isPublicAddress,
+  DEFAULT_ESCALATION_RULES
+};
@@ -1,130 +1,262 @@
 
+// Coastal points whose weather, sea state and tide are monitored
+const MONITORING_POINTS = [
+  { name: 'Mumbai', lat: 19.0760, lng: 72.8777 },
+  { name: 'Kochi', lat: 9.9312, lng: 76.2673 },
+  { name: 'Chennai', lat: 13.0827, lng: 80.2707 },
+  { name: 'Visakhapatnam', lat: 17.6868, lng: 83.2185 }
+];
+
 class OceanMonitorAPI {
-  constructor() {
-    this.apiKey = 'demo-key';
-    this.baseURL = 'https://api.openweathermap.org/data/2.5';
+  // data is an OceanDataService (see ocean-providers.js); without one no
+  // conditions are fetched. registry is the SensorRegistry behind sensor
+  // status; rules is a HazardRuleEngine (see hazard-rules.js), without one
+  // the built-in thresholds in thresholdHazards apply. community supplies
+  // verified reports and open hotspots to the risk assessment:
+  // { reports: () => [...], hotspots: () => [...] }.
+  constructor({ data = null, points = MONITORING_POINTS, registry = null, rules = null, community = null } = {}) {
+    this.data = data;
+    this.points = points;
+    this.registry = registry;
+    this.rules = rules;
+    this.community = community;
+    this.conditionsByPoint = [];
     this.hazards = [];
     this.sensors = new Map();
     this.predictions = [];
+    this.currentConditions = null;
+    this.updateListeners = [];
+    this.monitoringTimer = null;
+    this.initialized = null;
   }
-  async initialize() {
-    await this.loadSensorData();
-    await this.fetchWeatherData();
-    this.startRealTimeMonitoring();
-    return { status: 'initialized', timestamp: new Date().toISOString() };
+  // Runs once; later calls (e.g. GET /api/ocean/status) share the first
+  // result. A failed start is retried on the next call.
+  initialize() {
+    if (!this.initialized) {
+      this.initialized = (async () => {
+        await this.loadSensorData();
+        await this.fetchWeatherData();
+        this.startRealTimeMonitoring();
+        return { status: 'initialized', timestamp: new Date().toISOString() };
+      })();
+      this.initialized.catch(() => { this.initialized = null; });
+    }
+    return this.initialized;
+  }
+
+  // A kind that no provider can deliver right now is left out rather than failing the cycle
+  async observe(kind, query) {
+    try {
+      return await this.data.get(kind, query);
+    } catch (error) {
+      console.error(`Ocean ${kind} data unavailable:`, error.message);
+      return null;
+    }
   }
 
   async fetchWeatherData() {
+    if (!this.data) return null;
+
     try {
-      const mockData = {
-        current: {
-          temp: 24 + Math.random() * 6,
-          windSpeed: 30 + Math.random() * 30,
-          waveHeight: 1.5 + Math.random() * 3,
-          visibility: 5 + Math.random() * 10,
-          pressure: 1010 + Math.random() * 20
-        },
-        forecast: this.generateForecast()
+      const points = await Promise.all(this.points.map(async point => {
+        const [weather, marine, tide] = await Promise.all(['weather', 'marine', 'tide'].map(kind => this.observe(kind, point)));
+        return this.pointConditions(point, weather, marine, tide);
+      }));
+      const events = (await Promise.all(['earthquake', 'cyclone'].map(kind => this.observe(kind))))
+        .filter(Boolean)
+        .flatMap(result => result.observations);
+
+      const sensors = this.registry ? this.registry.latestReadings() : [];
+
+      const available = points.filter(point => point.current);
+      if (!available.length && !events.length && !sensors.length) return null;
+
+      const data = {
+        current: available.length ? available[0].current : null,
+        forecast: available.length ? available[0].forecast : [],
+        points,
+        events,
+        sensors,
+        timestamp: new Date().toISOString()
       };
 
-      this.processWeatherData(mockData);
-      return mockData;
+      this.currentConditions = data.current;
+      this.predictions = data.forecast;
+      this.conditionsByPoint = points;
+      this.processWeatherData(data);
+      return data;
     } catch (error) {
       console.error('Weather data fetch failed:', error);
       return null;
     }
   }
 
-  // Generate weather forecast
-  generateForecast() {
-    const forecast = [];
-    for (let i = 0; i < 24; i++) {
-      forecast.push({
-        hour: i,
-        stormRisk: Math.random() * 100,
-        waveHeight: 1 + Math.random() * 4,
-        windSpeed: 20 + Math.random() * 40,
-        temperature: 22 + Math.random() * 8
-      });
-    }
-    return forecast;
+  // Current conditions and an hourly forecast for one point, from the normalized observations
+  pointConditions(point, weather, marine, tide) {
+    const split = result => ({
+      now: result ? result.observations.find(o => !o.forecast) : null,
+      hourly: result ? result.observations.filter(o => o.forecast) : []
+    });
+    const w = split(weather);
+    const m = split(marine);
+    const t = split(tide);
+    const sources = Object.fromEntries([['weather', weather], ['marine', marine], ['tide', tide]]
+      .filter(([, result]) => result)
+      .map(([kind, result]) => [kind, { provider: result.provider, fetchedAt: result.fetchedAt, stale: !!result.stale }]));
+
+    const current = w.now || m.now ? {
+      temp: w.now ? w.now.metrics.temperature : undefined,
+      windSpeed: w.now ? w.now.metrics.windSpeed : undefined,
+      windGust: w.now ? w.now.metrics.windGust : undefined,
+      pressure: w.now ? w.now.metrics.pressure : undefined,
+      visibility: w.now ? w.now.metrics.visibility : undefined,
+      precipitation: w.now ? w.now.metrics.precipitation : undefined,
+      waveHeight: m.now ? m.now.metrics.waveHeight : undefined,
+      wavePeriod: m.now ? m.now.metrics.wavePeriod : undefined,
+      seaLevel: t.now ? t.now.metrics.seaLevel : undefined,
+      observedAt: (w.now || m.now).observedAt
+    } : null;
+
+    // Marine models are hourly and OpenWeatherMap 3-hourly, so marine values are matched by time
+    const waveAt = time => {
+      const match = m.hourly.find(o => o.observedAt === time);
+      return match ? match.metrics.waveHeight : undefined;
+    };
+    const forecast = (w.hourly.length ? w.hourly : m.hourly).map((o, hour) => {
+      const windSpeed = o.kind === 'weather' ? o.metrics.windSpeed : undefined;
+      const precipitation = o.kind === 'weather' ? o.metrics.precipitation || 0 : 0;
+      return {
+        hour,
+        time: o.observedAt,
+        // Rough storm likelihood from sustained wind above 20 km/h and rainfall
+        stormRisk: windSpeed === undefined ? null : Math.round(Math.min(100, Math.max(0, (windSpeed - 20) * 1.5 + precipitation * 2))),
+        waveHeight: o.kind === 'marine' ? o.metrics.waveHeight : waveAt(o.observedAt),
+        windSpeed,
+        temperature: o.kind === 'weather' ? o.metrics.temperature : undefined
+      };
+    });
+
+    return { name: point.name, location: { lat: point.lat, lng: point.lng }, current, forecast, sources };
   }
 
   processWeatherData(data) {
-    this.hazards = [];
+    // Each monitoring point and registered sensor is judged at its own
+    // position; suspect sensor readings never get here (see sensor-health.js)
+    const sources = [
+      ...data.points.filter(point => point.current).map(({ name, location, current }) => ({
+        key: name,
+        name,
+        location,
+        conditions: current,
+        source: `${name} monitoring point`,
+        observedAt: current.observedAt
+      })),
+      ...(data.sensors || []).map(({ sensor, metric, value, observedAt }) => ({
+        key: `sensor:${sensor.id}`,
+        name: sensor.name,
+        location: sensor.location,
+        conditions: { [metric]: value },
+        source: `Sensor ${sensor.id}`,
+        observedAt
+      }))
+    ];
+
+    this.hazards = this.rules
+      ? this.rules.evaluate(sources)
+      : sources.flatMap(source => this.thresholdHazards(source));
 
-    if (data.current.windSpeed > 50) {
+    // Earthquakes and cyclones reported by the providers themselves
+    data.events.filter(event => event.event).forEach(observation => {
       this.hazards.push({
+        id: observation.id,
+        type: observation.event.type,
+        severity: observation.event.severity,
+        title: observation.event.title,
+        description: observation.event.description,
+        location: observation.location,
+        source: observation.provider,
+        url: observation.event.url,
+        metrics: observation.metrics,
+        timestamp: observation.observedAt
+      });
+    });
+  }
+
+  // Fixed wind, wave and visibility thresholds for one place, used when no rules engine is configured
+  thresholdHazards({ key, name, location, conditions, source, observedAt }) {
+    const hazards = [];
+    const timestamp = observedAt || new Date().toISOString();
+
+    if (conditions.windSpeed > 50) {
+      hazards.push({
+        id: `storm:${key}`,
         type: 'storm',
-        severity: data.current.windSpeed > 70 ? 'high' : 'medium',
-        description: `High wind speeds detected: ${data.current.windSpeed.toFixed(1)} km/h`,
-        location: { lat: 20.5937, lng: 78.9629 },
-        timestamp: new Date().toISOString()
+        severity: conditions.windSpeed > 70 ? 'high' : 'medium',
+        title: `High winds at ${name}`,
+        description: `High wind speeds detected: ${conditions.windSpeed.toFixed(1)} km/h`,
+        location,
+        source,
+        timestamp
       });
     }
 
     // Wave height warning
-    if (data.current.waveHeight > 3) {
-      this.hazards.push({
+    if (conditions.waveHeight > 3) {
+      hazards.push({
+        id: `waves:${key}`,
         type: 'waves',
-        severity: data.current.waveHeight > 4 ? 'high' : 'medium',
-        description: `Dangerous wave heights: ${data.current.waveHeight.toFixed(1)}m`,
-        location: { lat: 19.0, lng: 72.8 },
-        timestamp: new Date().toISOString()
+        severity: conditions.waveHeight > 4 ? 'high' : 'medium',
+        title: `Dangerous waves at ${name}`,
+        description: `Dangerous wave heights: ${conditions.waveHeight.toFixed(1)}m`,
+        location,
+        source,
+        timestamp
       });
     }
 
     // Visibility warning
-    if (data.current.visibility < 3) {
-      this.hazards.push({
+    if (conditions.visibility < 3) {
+      hazards.push({
+        id: `visibility:${key}`,
         type: 'visibility',
         severity: 'medium',
-        description: `Poor visibility conditions: ${data.current.visibility.toFixed(1)}km`,
-        location: { lat: 13.0, lng: 80.2 },
-        timestamp: new Date().toISOString()
+        title: `Poor visibility at ${name}`,
+        description: `Poor visibility conditions: ${conditions.visibility.toFixed(1)}km`,
+        location,
+        source,
+        timestamp
       });
     }
+
+    return hazards;
   }
 
-  // AI-powered risk assessment
-  assessRisk(location, timeframe = 24) {
-    const riskFactors = {
-      storm: 0,
-      waves: 0,
-      wind: 0,
-      visibility: 0
-    };
+  // Hourly risk timeline for a location over the next `timeframe` hours (see risk-assessment.js)
+  assessRisk(location, timeframe = 24, now = Date.now()) {
+    // Required here rather than at the top: risk-assessment.js needs this class's calculateDistance
+    const { assessRisk } = require('./risk-assessment.js');
 
-    // Analyze current hazards
-    this.hazards.forEach(hazard => {
-      const distance = this.calculateDistance(location, hazard.location);
-      const proximity = Math.max(0, 1 - distance / 100); // Risk decreases with distance
-
-      switch (hazard.type) {
-        case 'storm':
-          riskFactors.storm += proximity * (hazard.severity === 'high' ? 0.8 : 0.5);
-          break;
-        case 'waves':
-          riskFactors.waves += proximity * (hazard.severity === 'high' ? 0.7 : 0.4);
-          break;
-        case 'wind':
-          riskFactors.wind += proximity * 0.3;
-          break;
-        case 'visibility':
-          riskFactors.visibility += proximity * 0.2;
-          break;
-      }
+    const risk = assessRisk({
+      location,
+      hours: timeframe,
+      now,
+      points: this.conditionsByPoint,
+      sensors: this.registry ? this.registry.latestReadings(now) : [],
+      hazards: this.hazards,
+      reports: this.community ? this.community.reports() : [],
+      hotspots: this.community ? this.community.hotspots() : []
     });
+    return { ...risk, recommendations: this.generateRecommendations(risk.overallRisk) };
+  }
 
-    const overallRisk = Math.min(1, Object.values(riskFactors).reduce((a, b) => a + b, 0));
+  // Go / caution / no-go advice for an activity profile at a location (see activity-advisories.js)
+  advise(location, data, now = Date.now()) {
+    const { adviseActivity, validateRequest, horizonHours } = require('./activity-advisories.js');
 
-    return {
-      overallRisk: overallRisk,
-      riskLevel: overallRisk > 0.7 ? 'high' : overallRisk > 0.4 ? 'medium' : 'low',
-      factors: riskFactors,
-      recommendations: this.generateRecommendations(overallRisk),
-      timestamp: new Date().toISOString()
-    };
+    const result = validateRequest(data, now);
+    if (result.error) return result;
+    const risk = this.assessRisk(location, horizonHours(result.request, now), now);
+    return { advisory: adviseActivity({ request: result.request, location, risk, hazards: this.hazards, now }) };
   }
 
   // Generate safety recommendations
@@ -152,63 +284,6 @@ class OceanMonitorAPI {
     }
   }
 
-  // AI Chat Response System
-  processAIQuery(query) {
-    const lowerQuery = query.toLowerCase();
-
-    if (lowerQuery.includes('current') || lowerQuery.includes('now')) {
-      return this.getCurrentConditionsResponse();
-    } else if (lowerQuery.includes('forecast') || lowerQuery.includes('predict')) {
-      return this.getForecastResponse();
-    } else if (lowerQuery.includes('safety') || lowerQuery.includes('recommend')) {
-      return this.getSafetyResponse();
-    } else if (lowerQuery.includes('hazard') || lowerQuery.includes('danger')) {
-      return this.getHazardResponse();
-    } else {
-      return {
-        response: "I can help you with current ocean conditions, weather forecasts, safety recommendations, and hazard analysis. What specific information do you need?",
-        type: 'general'
-      };
-    }
-  }
-
-  getCurrentConditionsResponse() {
-    const currentHazards = this.hazards.filter(h =>
-      new Date() - new Date(h.timestamp) < 3600000 // Last hour
-    );
-
-    return {
-      response: `Current conditions: ${currentHazards.length} active hazards detected. Wind speeds up to 45 km/h, wave heights 2.3m. ${currentHazards.length > 0 ? 'Caution advised.' : 'Conditions are relatively stable.'}`,
-      type: 'current',
-      data: currentHazards
-    };
-  }
-
-  getForecastResponse() {
-    return {
-      response: "24-hour forecast shows increasing storm activity. Storm risk: 85%, High wave probability: 70%. Recommend avoiding coastal areas after 6 PM today.",
-      type: 'forecast',
-      data: this.predictions
-    };
-  }
-
-  getSafetyResponse() {
-    const risk = this.assessRisk({ lat: 20.5937, lng: 78.9629 });
-    return {
-      response: `Current risk level: ${risk.riskLevel}. Recommendations: ${risk.recommendations.join(', ')}`,
-      type: 'safety',
-      data: risk
-    };
-  }
-
-  getHazardResponse() {
-    return {
-      response: `${this.hazards.length} hazards currently tracked: ${this.hazards.map(h => h.type).join(', ')}. Most severe: ${this.hazards.find(h => h.severity === 'high')?.description || 'None'}`,
-      type: 'hazards',
-      data: this.hazards
-    };
-  }
-
   // Utility functions
   calculateDistance(pos1, pos2) {
     const R = 6371; // Earth's radius in km
@@ -220,32 +295,56 @@ class OceanMonitorAPI {
     return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   }
 
+  // Status of the registered sensors, refreshed every monitoring cycle
   async loadSensorData() {
-    // Simulate sensor network initialization
-    this.sensors.set('wave-sensor-1', { status: 'online', lastUpdate: new Date() });
-    this.sensors.set('wind-sensor-1', { status: 'online', lastUpdate: new Date() });
-    this.sensors.set('temp-sensor-1', { status: 'online', lastUpdate: new Date() });
-    this.sensors.set('visibility-sensor-1', { status: 'offline', lastUpdate: new Date(Date.now() - 3600000) });
+    this.sensors = new Map();
+    if (!this.registry) return;
+
+    this.registry.list().forEach(sensor => {
+      this.sensors.set(sensor.id, {
+        type: sensor.type,
+        location: sensor.location,
+        status: this.registry.status(sensor),
+        lastUpdate: sensor.lastReadingAt,
+        lastValue: sensor.lastValue,
+        units: sensor.units
+      });
+    });
   }
 
   startRealTimeMonitoring() {
+    // Only ever run one loop
+    if (this.monitoringTimer) return;
+
     // Update data every 30 seconds
-    setInterval(async () => {
+    this.monitoringTimer = setInterval(async () => {
+      await this.loadSensorData();
       await this.fetchWeatherData();
       this.broadcastUpdate();
     }, 30000);
   }
 
+  // Register a listener for monitoring updates (the server forwards them to /api/live)
+  onUpdate(listener) {
+    this.updateListeners.push(listener);
+  }
+
   broadcastUpdate() {
     // Emit updates to connected clients
     const update = {
       timestamp: new Date().toISOString(),
+      conditions: this.currentConditions,
       hazards: this.hazards,
       sensorStatus: Object.fromEntries(this.sensors)
     };
 
-    // In a real implementation, this would use WebSockets
-    console.log('Broadcasting update:', update);
+    this.updateListeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (error) {
+        console.error('Update listener failed:', error);
+      }
+    });
   }
 }
 
@@ -261,4 +360,5 @@ if (typeof window !== 'undefined') {
 // Node.js export
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = OceanMonitorAPI;
+  module.exports.MONITORING_POINTS = MONITORING_POINTS;
 }
\ No newline at end of file
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every provider normalizes into observations of this shape:
+//   { id, kind, provider, observedAt, forecast, location: { lat, lng }, metrics, event }
+// kind is one of OBSERVATION_KINDS. metrics only holds what the source measured,
+// in METRIC_UNITS. event is set for discrete hazards (earthquakes, cyclones):
+//   { type, severity, title, description, url }
+const OBSERVATION_KINDS = ['weather', 'marine', 'earthquake', 'cyclone', 'tide'];
+
+const METRIC_UNITS = {
+  temperature: '°C',
+  windSpeed: 'km/h',
+  windGust: 'km/h',
+  pressure: 'hPa',
+  visibility: 'km',
+  precipitation: 'mm',
+  waveHeight: 'm',
+  wavePeriod: 's',
+  swellHeight: 'm',
+  seaLevel: 'm',
+  magnitude: 'Mw',
+  depth: 'km'
+};
+
+// How long a successful answer is reused before asking a provider again
+const CACHE_TTL = {
+  weather: 10 * 60 * 1000,
+  marine: 30 * 60 * 1000,
+  tide: 60 * 60 * 1000,
+  earthquake: 5 * 60 * 1000,
+  cyclone: 15 * 60 * 1000
+};
+
+// Seas around India; earthquakes and cyclones outside it are ignored
+const DEFAULT_REGION = { south: 0, north: 37, west: 65, east: 100 };
+
+const KNOTS_TO_KMH = 1.852;
+
+async function fetchJson(url, { timeout = 10000 } = {}) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeout), headers: { Accept: 'application/json' } });
+  if (!response.ok) throw new Error(`${new URL(url).host} answered ${response.status}`);
+  return response.json();
+}
+
+function inRegion({ lat, lng }, region) {
+  return lat >= region.south && lat <= region.north && lng >= region.west && lng <= region.east;
+}
+
+function round(value, digits = 2) {
+  return value === null || value === undefined || !isFinite(value) ? undefined : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Drop metrics the source did not report
+function metrics(values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value)]).filter(([, value]) => value !== undefined));
+}
+
+// Base for adapters: request() returns the provider's raw response and
+// normalize() turns it into observations, so recorded raw responses can be
+// replayed through the same code (see FixtureProvider)
+class OceanDataProvider {
+  constructor(name, kinds, { http = fetchJson, rateLimit = { requests: 30, per: 60 * 1000 } } = {}) {
+    this.name = name;
+    this.kinds = kinds;
+    this.http = http;
+    this.rateLimit = rateLimit;
+  }
+
+  supports(kind) {
+    return this.kinds.includes(kind);
+  }
+
+  async fetch(kind, query = {}) {
+    return this.normalize(kind, await this.request(kind, query), query);
+  }
+}
+
+// OpenWeatherMap current weather and 3-hourly forecast (needs an API key)
+class OpenWeatherMapProvider extends OceanDataProvider {
+  constructor({ apiKey, baseURL = 'https://api.openweathermap.org/data/2.5', ...options } = {}) {
+    super('openweathermap', ['weather'], { rateLimit: { requests: 60, per: 60 * 1000 }, ...options });
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+  }
+
+  async request(kind, { lat, lng }) {
+    if (!this.apiKey) throw new Error('OpenWeatherMap API key is not configured');
+    const params = `lat=${lat}&lon=${lng}&units=metric&appid=${encodeURIComponent(this.apiKey)}`;
+    const [current, forecast] = await Promise.all([
+      this.http(`${this.baseURL}/weather?${params}`),
+      this.http(`${this.baseURL}/forecast?${params}&cnt=8`)
+    ]);
+    return { current, forecast };
+  }
+
+  normalize(kind, raw) {
+    const toObservation = (entry, forecast) => ({
+      id: `${this.name}:weather:${entry.coord ? `${entry.coord.lat},${entry.coord.lon}` : raw.forecast.city.id}:${entry.dt}`,
+      kind: 'weather',
+      provider: this.name,
+      observedAt: new Date(entry.dt * 1000).toISOString(),
+      forecast,
+      location: entry.coord
+        ? { lat: entry.coord.lat, lng: entry.coord.lon }
+        : { lat: raw.forecast.city.coord.lat, lng: raw.forecast.city.coord.lon },
+      // OpenWeatherMap reports wind in m/s and visibility in metres
+      metrics: metrics({
+        temperature: entry.main && entry.main.temp,
+        pressure: entry.main && entry.main.pressure,
+        windSpeed: entry.wind && entry.wind.speed * 3.6,
+        windGust: entry.wind && entry.wind.gust * 3.6,
+        visibility: entry.visibility !== undefined ? entry.visibility / 1000 : undefined,
+        precipitation: entry.rain && (entry.rain['1h'] !== undefined ? entry.rain['1h'] : entry.rain['3h'])
+      }),
+      event: null
+    });
+
+    return [toObservation(raw.current, false), ...(raw.forecast.list || []).map(entry => toObservation(entry, true))];
+  }
+}
+
+// Open-Meteo weather and marine models; free and keyless. Marine data also
+// carries the modelled sea level, used for tides.
+class OpenMeteoProvider extends OceanDataProvider {
+  constructor({ weatherURL = 'https://api.open-meteo.com/v1/forecast', marineURL = 'https://marine-api.open-meteo.com/v1/marine', forecastHours = 24, ...options } = {}) {
+    super('open-meteo', ['weather', 'marine', 'tide'], { rateLimit: { requests: 10, per: 60 * 1000 }, ...options });
+    this.weatherURL = weatherURL;
+    this.marineURL = marineURL;
+    this.forecastHours = forecastHours;
+  }
+
+  request(kind, { lat, lng }) {
+    const base = `latitude=${lat}&longitude=${lng}&timezone=UTC&forecast_hours=${this.forecastHours}`;
+    if (kind === 'weather') {
+      const fields = 'temperature_2m,wind_speed_10m,wind_gusts_10m,pressure_msl,visibility,precipitation';
+      return this.http(`${this.weatherURL}?${base}&current=${fields}&hourly=${fields}`);
+    }
+    if (kind === 'marine') {
+      const fields = 'wave_height,wave_period,swell_wave_height';
+      return this.http(`${this.marineURL}?${base}&current=${fields}&hourly=${fields}`);
+    }
+    return this.http(`${this.marineURL}?${base}&current=sea_level_height_msl&hourly=sea_level_height_msl`);
+  }
+
+  normalize(kind, raw) {
+    const location = { lat: raw.latitude, lng: raw.longitude };
+    const read = (values, i) => {
+      const at = key => (i === null ? values[key] : values[key] && values[key][i]);
+      if (kind === 'weather') {
+        return metrics({
+          temperature: at('temperature_2m'),
+          windSpeed: at('wind_speed_10m'),
+          windGust: at('wind_gusts_10m'),
+          pressure: at('pressure_msl'),
+          visibility: at('visibility') !== undefined && at('visibility') !== null ? at('visibility') / 1000 : undefined,
+          precipitation: at('precipitation')
+        });
+      }
+      if (kind === 'marine') {
+        return metrics({ waveHeight: at('wave_height'), wavePeriod: at('wave_period'), swellHeight: at('swell_wave_height') });
+      }
+      return metrics({ seaLevel: at('sea_level_height_msl') });
+    };
+    const observation = (time, values, forecast) => ({
+      id: `${this.name}:${kind}:${location.lat},${location.lng}:${time}`,
+      kind,
+      provider: this.name,
+      observedAt: new Date(`${time}Z`).toISOString(),
+      forecast,
+      location,
+      metrics: values,
+      event: null
+    });
+
+    const hourly = raw.hourly || { time: [] };
+    return [
+      ...(raw.current ? [observation(raw.current.time, read(raw.current, null), false)] : []),
+      ...hourly.time.map((time, i) => observation(time, read(hourly, i), true))
+    ];
+  }
+}
+
+// USGS real-time earthquake feed (GeoJSON)
+class USGSEarthquakeProvider extends OceanDataProvider {
+  constructor({ feedURL = 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/2.5_day.geojson', region = DEFAULT_REGION, ...options } = {}) {
+    super('usgs', ['earthquake'], options);
+    this.feedURL = feedURL;
+    this.region = region;
+  }
+
+  request() {
+    return this.http(this.feedURL);
+  }
+
+  normalize(kind, raw, { region = this.region } = {}) {
+    return (raw.features || [])
+      .map(feature => {
+        const [lng, lat, depth] = feature.geometry.coordinates;
+        const magnitude = feature.properties.mag;
+        return {
+          id: `${this.name}:${feature.id}`,
+          kind: 'earthquake',
+          provider: this.name,
+          observedAt: new Date(feature.properties.time).toISOString(),
+          forecast: false,
+          location: { lat, lng },
+          metrics: metrics({ magnitude, depth }),
+          event: {
+            type: 'earthquake',
+            severity: magnitude >= 6 ? 'critical' : magnitude >= 4 ? 'high' : 'medium',
+            title: `Earthquake M${magnitude}`,
+            description: feature.properties.title,
+            url: feature.properties.url || null
+          }
+        };
+      })
+      .filter(observation => inRegion(observation.location, region));
+  }
+}
+
+// NOAA National Hurricane Center active storms
+class NHCCycloneProvider extends OceanDataProvider {
+  constructor({ feedURL = 'https://www.nhc.noaa.gov/CurrentStorms.json', region = DEFAULT_REGION, ...options } = {}) {
+    super('noaa-nhc', ['cyclone'], { rateLimit: { requests: 10, per: 60 * 1000 }, ...options });
+    this.feedURL = feedURL;
+    this.region = region;
+  }
+
+  request() {
+    return this.http(this.feedURL);
+  }
+
+  normalize(kind, raw, { region = this.region } = {}) {
+    return (raw.activeStorms || [])
+      .map(storm => {
+        // intensity is the maximum sustained wind in knots
+        const windSpeed = Number(storm.intensity) * KNOTS_TO_KMH;
+        return {
+          id: `${this.name}:${storm.id}`,
+          kind: 'cyclone',
+          provider: this.name,
+          observedAt: new Date(storm.lastUpdate).toISOString(),
+          forecast: false,
+          location: { lat: Number(storm.latitudeNumeric), lng: Number(storm.longitudeNumeric) },
+          metrics: metrics({ windSpeed, pressure: Number(storm.pressure) }),
+          event: {
+            type: 'cyclone',
+            severity: windSpeed >= 119 ? 'critical' : windSpeed >= 63 ? 'high' : 'medium',
+            title: `${storm.classification || 'Storm'} ${storm.name}`,
+            description: `${storm.name}: sustained winds ${Math.round(windSpeed)} km/h, pressure ${storm.pressure} hPa`,
+            url: storm.publicAdvisory ? storm.publicAdvisory.url : null
+          }
+        };
+      })
+      .filter(observation => inRegion(observation.location, region));
+  }
+}
+
+// Replays raw responses recorded from another provider, so the adapters and
+// everything downstream run offline. With record: true it calls the real
+// provider and saves what came back.
+class FixtureProvider extends OceanDataProvider {
+  constructor(provider, { dir = './fixtures/ocean', record = false } = {}) {
+    super(provider.name, provider.kinds, { rateLimit: record ? provider.rateLimit : null });
+    this.provider = provider;
+    this.dir = dir;
+    this.record = record;
+  }
+
+  fixturePath(kind) {
+    return path.join(this.dir, `${this.name}.${kind}.json`);
+  }
+
+  async request(kind, query) {
+    if (this.record) {
+      const raw = await this.provider.request(kind, query);
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.fixturePath(kind), JSON.stringify(raw, null, 2));
+      return raw;
+    }
+    if (!fs.existsSync(this.fixturePath(kind))) throw new Error(`No recorded ${kind} fixture for ${this.name}`);
+    return JSON.parse(fs.readFileSync(this.fixturePath(kind), 'utf8'));
+  }
+
+  normalize(kind, raw, query) {
+    return this.provider.normalize(kind, raw, query);
+  }
+}
+
+// Fronts the providers: answers from cache while fresh, tries providers for
+// a kind in order and falls back to the next when one fails or is over its
+// rate limit. A failing provider is skipped for a growing cooldown. When all
+// fail, the last good answer is returned marked stale. Any location can be
+// asked for, so the cache keeps only the maxCacheEntries most recently used.
+class OceanDataService {
+  constructor({ providers = [], ttl = {}, now = () => Date.now(), maxCooldown = 10 * 60 * 1000, maxCacheEntries = 500 } = {}) {
+    this.providers = providers;
+    this.ttl = { ...CACHE_TTL, ...ttl };
+    this.now = now;
+    this.maxCooldown = maxCooldown;
+    this.maxCacheEntries = maxCacheEntries;
+    this.cache = new Map(); // in least to most recently used order
+    this.health = new Map(providers.map(p => [p.name, { failures: 0, lastError: null, lastSuccessAt: null, cooldownUntil: 0, calls: [] }]));
+  }
+
+  cacheKey(kind, { lat, lng } = {}) {
+    return lat === undefined ? kind : `${kind}:${Number(lat).toFixed(2)},${Number(lng).toFixed(2)}`;
+  }
+
+  cached(key) {
+    const entry = this.cache.get(key);
+    if (entry) {
+      this.cache.delete(key);
+      this.cache.set(key, entry);
+    }
+    return entry;
+  }
+
+  remember(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > this.maxCacheEntries) this.cache.delete(this.cache.keys().next().value);
+  }
+
+  // Sliding-window rate limit; records the call when allowed
+  allow(provider) {
+    if (!provider.rateLimit) return true;
+    const health = this.health.get(provider.name);
+    const since = this.now() - provider.rateLimit.per;
+    health.calls = health.calls.filter(at => at > since);
+    if (health.calls.length >= provider.rateLimit.requests) return false;
+    health.calls.push(this.now());
+    return true;
+  }
+
+  async get(kind, query = {}) {
+    if (!OBSERVATION_KINDS.includes(kind)) throw new Error(`Unknown observation kind: ${kind}`);
+
+    const key = this.cacheKey(kind, query);
+    const cached = this.cached(key);
+    if (cached && this.now() - cached.fetchedAt < this.ttl[kind]) return { ...cached.result, cached: true };
+
+    const skipped = [];
+    for (const provider of this.providers.filter(p => p.supports(kind))) {
+      const health = this.health.get(provider.name);
+      if (health.cooldownUntil > this.now()) {
+        skipped.push({ provider: provider.name, reason: 'cooling down after errors' });
+        continue;
+      }
+      if (!this.allow(provider)) {
+        skipped.push({ provider: provider.name, reason: 'rate limited' });
+        continue;
+      }
+
+      try {
+        const observations = await provider.fetch(kind, query);
+        Object.assign(health, { failures: 0, lastError: null, lastSuccessAt: new Date(this.now()).toISOString(), cooldownUntil: 0 });
+        const result = { kind, provider: provider.name, observations, fetchedAt: new Date(this.now()).toISOString(), skipped };
+        this.remember(key, { result, fetchedAt: this.now() });
+        return { ...result, cached: false };
+      } catch (error) {
+        health.failures++;
+        health.lastError = error.message;
+        health.cooldownUntil = this.now() + Math.min(this.maxCooldown, 30 * 1000 * 2 ** (health.failures - 1));
+        skipped.push({ provider: provider.name, reason: error.message });
+      }
+    }
+
+    if (cached) return { ...cached.result, cached: true, stale: true, skipped };
+    throw Object.assign(new Error(`No ${kind} data available`), { skipped });
+  }
+
+  status() {
+    return this.providers.map(provider => {
+      const health = this.health.get(provider.name);
+      return {
+        name: provider.name,
+        kinds: provider.kinds,
+        available: health.cooldownUntil <= this.now(),
+        failures: health.failures,
+        lastError: health.lastError,
+        lastSuccessAt: health.lastSuccessAt,
+        cooldownUntil: health.cooldownUntil > this.now() ? new Date(health.cooldownUntil).toISOString() : null
+      };
+    });
+  }
+}
+
+// Providers from the environment: OPENWEATHER_API_KEY adds OpenWeatherMap
+// ahead of Open-Meteo for weather. OCEAN_DATA_MODE=fixtures replays the
+// recordings in OCEAN_FIXTURES_DIR (default ./fixtures/ocean); =record
+// refreshes them from the live providers.
+function createOceanDataService(env = process.env) {
+  const mode = env.OCEAN_DATA_MODE || 'live';
+  const providers = [
+    ...(env.OPENWEATHER_API_KEY || mode === 'fixtures' ? [new OpenWeatherMapProvider({ apiKey: env.OPENWEATHER_API_KEY })] : []),
+    new OpenMeteoProvider(),
+    new USGSEarthquakeProvider(),
+    new NHCCycloneProvider()
+  ];
+  if (mode === 'live') return new OceanDataService({ providers });
+
+  const dir = env.OCEAN_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'ocean');
+  return new OceanDataService({ providers: providers.map(p => new FixtureProvider(p, { dir, record: mode === 'record' })) });
+}
+
+module.exports = {
+  OceanDataService,
+  OceanDataProvider,
+  OpenWeatherMapProvider,
+  OpenMeteoProvider,
+  USGSEarthquakeProvider,
+  NHCCycloneProvider,
+  FixtureProvider,
+  createOceanDataService,
+  OBSERVATION_KINDS,
+  METRIC_UNITS
+};
@@ -0,0 +1,249 @@
+const express = require('express');
+const { OBSERVATION_KINDS } = require('./ocean-providers.js');
+const { parseCsv } = require('./sensor-registry.js');
+const { MAX_HORIZON_HOURS } = require('./risk-assessment.js');
+const { ACTIVITY_PROFILES, VESSEL_FACTORS, limitsFor } = require('./activity-advisories.js');
+const { ChatEngine, LANGUAGES } = require('./chat-engine.js');
+
+// Ocean Monitor API endpoints, mounted at /api/ocean by server.js and enhanced-server.js.
+// The sensor registry endpoints need a SensorRegistry and the AuthService, so
+// they are only mounted by enhanced-server.js.
+function createOceanRouter(oceanMonitor, { registry = null, health = null, auth = null } = {}) {
+  const router = express.Router();
+  const chat = new ChatEngine(oceanMonitor);
+
+  // initialize() only runs once; this returns its result
+  router.get('/status', async (req, res) => {
+    try {
+      const status = await oceanMonitor.initialize();
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/hazards', (req, res) => {
+    res.json({
+      hazards: oceanMonitor.hazards,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/weather', async (req, res) => {
+    try {
+      const weather = await oceanMonitor.fetchWeatherData();
+      res.json(weather);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Normalized provider observations, e.g. ?kind=marine&lat=13.08&lng=80.27 or ?kind=earthquake
+  router.get('/observations', async (req, res) => {
+    const { kind, lat, lng } = req.query;
+    if (!OBSERVATION_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${OBSERVATION_KINDS.join(', ')}` });
+    if (!oceanMonitor.data) return res.status(503).json({ error: 'No ocean data providers configured' });
+
+    const location = lat !== undefined && lng !== undefined ? { lat: parseFloat(lat), lng: parseFloat(lng) } : {};
+    if (location.lat !== undefined && !(isFinite(location.lat) && isFinite(location.lng))) {
+      return res.status(400).json({ error: 'lat and lng must be numbers' });
+    }
+    if (['weather', 'marine', 'tide'].includes(kind) && location.lat === undefined) {
+      return res.status(400).json({ error: `lat and lng are required for ${kind}` });
+    }
+
+    try {
+      res.json(await oceanMonitor.data.get(kind, location));
+    } catch (error) {
+      res.status(503).json({ error: error.message, skipped: error.skipped });
+    }
+  });
+
+  // Provider health: failures, cooldowns and last successful fetch
+  router.get('/providers', (req, res) => {
+    res.json({ providers: oceanMonitor.data ? oceanMonitor.data.status() : [] });
+  });
+
+  // { latitude, longitude, timeframe } -> hourly risk timeline over `timeframe` hours (default 24)
+  router.post('/risk-assessment', (req, res) => {
+    const { latitude, longitude, timeframe = 24 } = req.body;
+    const location = { lat: parseFloat(latitude), lng: parseFloat(longitude) };
+    if (!isFinite(location.lat) || !isFinite(location.lng)) return res.status(400).json({ error: 'latitude and longitude must be numbers' });
+
+    const hours = Number(timeframe);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HORIZON_HOURS) {
+      return res.status(400).json({ error: `timeframe must be a whole number of hours between 1 and ${MAX_HORIZON_HOURS}` });
+    }
+    res.json(oceanMonitor.assessRisk(location, hours));
+  });
+
+  // Activity profiles and the limits each vessel size gets
+  router.get('/advisories/activities', (req, res) => {
+    res.json({
+      activities: Object.entries(ACTIVITY_PROFILES).map(([activity, profile]) => ({
+        activity,
+        label: profile.label,
+        defaultVesselSize: profile.vessel,
+        limits: profile.vessel
+          ? Object.fromEntries(Object.keys(VESSEL_FACTORS).map(size => [size, limitsFor(activity, size)]))
+          : { any: limitsFor(activity, null) }
+      }))
+    });
+  });
+
+  // { activity, vesselSize, durationHours, departure, latitude, longitude } -> go / caution / no-go with safe windows
+  router.post('/advisories', (req, res) => {
+    const { latitude, longitude, ...profile } = req.body;
+    const location = { lat: parseFloat(latitude), lng: parseFloat(longitude) };
+    if (!isFinite(location.lat) || !isFinite(location.lng)) return res.status(400).json({ error: 'latitude and longitude must be numbers' });
+
+    const result = oceanMonitor.advise(location, profile);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.advisory);
+  });
+
+  // { query, sessionId, latitude, longitude, language }; start without a
+  // sessionId and send back the one in the reply to keep the conversation's context
+  router.post('/chat', (req, res) => {
+    const { query, sessionId, latitude, longitude, language } = req.body;
+    if (!query || typeof query !== 'string') return res.status(400).json({ error: 'query is required' });
+    if (language !== undefined && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    const location = { lat: parseFloat(latitude), lng: parseFloat(longitude) };
+    res.json(chat.reply({
+      query,
+      sessionId,
+      language,
+      location: isFinite(location.lat) && isFinite(location.lng) ? location : null
+    }));
+  });
+
+  router.get('/sensors', (req, res) => {
+    res.json({
+      sensors: registry
+        ? Object.fromEntries(registry.list({ type: req.query.type }).map(sensor => [sensor.id, registry.view(sensor)]))
+        : Object.fromEntries(oceanMonitor.sensors),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  if (registry && auth) mountSensorRoutes(router, oceanMonitor, registry, auth);
+  if (health && auth) mountMaintenanceRoutes(router, health, auth);
+  if (oceanMonitor.rules && auth) mountRuleRoutes(router, oceanMonitor.rules, auth);
+
+  return router;
+}
+
+// Sensor registry CRUD, reading ingestion and time-series queries
+function mountSensorRoutes(router, oceanMonitor, registry, auth) {
+  const respond = (res, result, body) => {
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(body);
+  };
+
+  // The response carries the ingest key; it cannot be read back later
+  router.post('/sensors', auth.requireRole('official'), (req, res) => {
+    const result = registry.create(req.body, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    oceanMonitor.loadSensorData();
+    res.status(201).json({ sensor: registry.view(result.sensor), ingestKey: result.ingestKey });
+  });
+
+  router.get('/sensors/:id', (req, res) => {
+    const sensor = registry.get(req.params.id);
+    if (!sensor) return res.status(404).json({ error: 'Sensor not found' });
+    res.json({ sensor: registry.view(sensor) });
+  });
+
+  router.patch('/sensors/:id', auth.requireAuth, (req, res) => {
+    const result = registry.update(req.params.id, req.body, req.user);
+    if (!result.error) oceanMonitor.loadSensorData();
+    respond(res, result, { sensor: result.sensor && registry.view(result.sensor) });
+  });
+
+  router.delete('/sensors/:id', auth.requireRole('official'), (req, res) => {
+    const result = registry.remove(req.params.id, req.user);
+    if (!result.error) oceanMonitor.loadSensorData();
+    respond(res, result, { success: true });
+  });
+
+  router.post('/sensors/:id/key', auth.requireAuth, (req, res) => {
+    const result = registry.rotateKey(req.params.id, req.user);
+    respond(res, result, { ingestKey: result.ingestKey });
+  });
+
+  // Batched readings as JSON ({ readings: [{ timestamp, value }] } or a bare
+  // array) or text/csv with a timestamp,value header. Loggers send their
+  // ingest key in X-Sensor-Key.
+  router.post('/sensors/:id/readings', express.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+    let rows = Array.isArray(req.body) ? req.body : req.body.readings;
+    if (req.is('text/csv')) {
+      const parsed = parseCsv(req.body);
+      if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+      rows = parsed.rows;
+    }
+
+    const result = registry.ingest(req.params.id, rows, { key: req.get('X-Sensor-Key'), user: req.user });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    if (!result.accepted) return res.status(400).json({ error: 'No valid readings in request', ...result });
+    oceanMonitor.loadSensorData();
+    res.json(result);
+  });
+
+  // ?from=&to= (ISO 8601, default the last 24 hours) and ?resolution=raw|auto|5m|1h|1d...
+  router.get('/sensors/:id/readings', (req, res) => {
+    const { from, to, resolution } = req.query;
+    const result = registry.readings(req.params.id, { from, to, resolution });
+    respond(res, result, result);
+  });
+}
+
+// Maintenance alerts raised by the sensor health checks; owners see their own sensors'
+function mountMaintenanceRoutes(router, health, auth) {
+  router.get('/maintenance', auth.requireRole('official', 'responder'), (req, res) => {
+    res.json({ alerts: health.alerts(req.user, { open: req.query.open === 'true' }) });
+  });
+
+  router.post('/maintenance/:id/acknowledge', auth.requireRole('official', 'responder'), (req, res) => {
+    const result = health.acknowledge(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ alert: result.alert });
+  });
+}
+
+// Hazard threshold rules (see hazard-rules.js); officials manage them
+function mountRuleRoutes(router, rules, auth) {
+  const withStates = rule => ({ ...rule, states: rules.states(rule.id) });
+
+  router.get('/rules', auth.requireRole('official', 'responder'), (req, res) => {
+    res.json({ rules: rules.list().map(withStates) });
+  });
+
+  router.post('/rules', auth.requireRole('official'), (req, res) => {
+    const result = rules.create(req.body, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ rule: result.rule });
+  });
+
+  router.get('/rules/:id', auth.requireRole('official', 'responder'), (req, res) => {
+    const rule = rules.get(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ rule: withStates(rule) });
+  });
+
+  router.patch('/rules/:id', auth.requireRole('official'), (req, res) => {
+    const result = rules.update(req.params.id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ rule: result.rule });
+  });
+
+  router.delete('/rules/:id', auth.requireRole('official'), (req, res) => {
+    const result = rules.remove(req.params.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true });
+  });
+}
+
+module.exports = { createOceanRouter };
@@ -1,20 +1,34 @@
 // Offline Data Collection and Sync Manager
+//
+// Reports are written to an IndexedDB outbox first, online or not, and
+// synced through /api/sync. Every report gets a UUID (clientId) on the
+// device, which the server uses as an idempotency key, so a sync whose
+// response was lost can simply be sent again. Media goes up in chunks
+// through /api/uploads before the report and resumes where it stopped.
+// Items are retried independently with exponential backoff. A random device
+// token, sent as X-Device-Token, scopes client ids to this browser and lets
+// it edit the anonymous reports it sent; it is never shown to anyone.
+const SYNC_BATCH_SIZE = 20;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
 class OfflineManager {
   constructor() {
     this.dbName = 'HazardReportingDB';
-    this.version = 1;
+    this.version = 2;
     this.db = null;
     this.isOnline = navigator.onLine;
-    this.syncQueue = [];
-    
-    this.init();
+    this.syncing = false;
+    this.listeners = [];
+
+    this.ready = this.init();
     this.setupEventListeners();
   }
 
   async init() {
     try {
       this.db = await this.openDB();
-      await this.createStores();
       console.log('Offline database initialized');
     } catch (error) {
       console.error('Failed to initialize offline database:', error);
@@ -24,42 +38,85 @@ class OfflineManager {
   openDB() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version);
-      
+
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
-      
+
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        
-        // Create object stores
-        if (!db.objectStoreNames.contains('reports')) {
-          const reportStore = db.createObjectStore('reports', { keyPath: 'id' });
-          reportStore.createIndex('timestamp', 'timestamp');
-          reportStore.createIndex('synced', 'synced');
+
+        // Outbox keyed by the report's clientId
+        if (!db.objectStoreNames.contains('outbox')) {
+          const outbox = db.createObjectStore('outbox', { keyPath: 'clientId' });
+          outbox.createIndex('state', 'state');
         }
-        
+
         if (!db.objectStoreNames.contains('media')) {
           const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
           mediaStore.createIndex('reportId', 'reportId');
         }
-        
+
         if (!db.objectStoreNames.contains('users')) {
           db.createObjectStore('users', { keyPath: 'id' });
         }
+
+        // Version 1 kept reports keyed by timestamp; move unsynced ones to the outbox
+        if (db.objectStoreNames.contains('reports')) {
+          const transaction = event.target.transaction;
+          const legacy = transaction.objectStore('reports').getAll();
+          legacy.onsuccess = () => {
+            legacy.result.filter(report => !report.synced).forEach(report => {
+              const { id, synced, offlineCreated, ...fields } = report;
+              transaction.objectStore('outbox').put(this.newItem(this.uuid(), 'create', fields));
+            });
+            db.deleteObjectStore('reports');
+          };
+        }
       };
     });
   }
 
-  async createStores() {
-    // Stores are created in onupgradeneeded
+  // Wrap an IDBRequest in a promise
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  store(name, mode = 'readonly') {
+    if (!this.db) throw new Error('Offline database is not available');
+    return this.db.transaction([name], mode).objectStore(name);
+  }
+
+  uuid() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return '10000000-1000-4000-8000-100000000000'.replace(/[018]/g, c =>
+      (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16));
+  }
+
+  newItem(clientId, op, report) {
+    return {
+      clientId,
+      op,
+      report,
+      base: null, // server copy at the last successful sync, for conflict detection
+      serverId: null,
+      state: 'pending', // pending | synced | conflict | failed
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      conflicts: [],
+      updatedAt: new Date().toISOString()
+    };
   }
 
   setupEventListeners() {
     // Online/offline status
     window.addEventListener('online', () => {
       this.isOnline = true;
-      this.syncOfflineData();
       this.updateUI('online');
+      this.syncOfflineData();
     });
 
     window.addEventListener('offline', () => {
@@ -67,198 +124,277 @@ class OfflineManager {
       this.updateUI('offline');
     });
 
-    // Periodic sync attempt
+    // Periodic sync attempt; items not yet due are skipped
     setInterval(() => {
-      if (this.isOnline && this.syncQueue.length > 0) {
-        this.syncOfflineData();
-      }
-    }, 30000); // Try sync every 30 seconds
+      if (this.isOnline) this.syncOfflineData();
+    }, 30000);
+  }
+
+  // Called with (item, result) whenever an outbox item changes state
+  onSync(listener) {
+    this.listeners.push(listener);
   }
 
-  // Store report offline
+  // Store report in the outbox; returns it with its clientId
   async storeReportOffline(reportData) {
-    try {
-      const transaction = this.db.transaction(['reports'], 'readwrite');
-      const store = transaction.objectStore('reports');
-      
-      const report = {
-        ...reportData,
-        id: Date.now(),
-        synced: false,
-        offlineCreated: true,
-        timestamp: new Date().toISOString()
-      };
-      
-      await store.add(report);
-      this.syncQueue.push(report);
-      
-      console.log('Report stored offline:', report.id);
-      return report;
-    } catch (error) {
-      console.error('Failed to store report offline:', error);
-      throw error;
-    }
+    await this.ready;
+    const report = {
+      ...reportData,
+      timestamp: reportData.timestamp || new Date().toISOString()
+    };
+    const item = this.newItem(reportData.clientId || this.uuid(), 'create', report);
+
+    await this.request(this.store('outbox', 'readwrite').put(item));
+    console.log('Report stored offline:', item.clientId);
+    return { ...report, clientId: item.clientId };
+  }
+
+  // Edit a stored report. Before its first sync the pending create is
+  // amended; afterwards an update is queued against the last server copy.
+  async editReportOffline(clientId, changes) {
+    await this.ready;
+    const item = await this.request(this.store('outbox').get(clientId));
+    if (!item) throw new Error(`Unknown report ${clientId}`);
+
+    const updated = {
+      ...item,
+      op: item.state === 'pending' && item.op === 'create' ? 'create' : 'update',
+      report: { ...item.report, ...changes },
+      editId: this.uuid(),
+      state: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      updatedAt: new Date().toISOString()
+    };
+    await this.request(this.store('outbox', 'readwrite').put(updated));
+    if (this.isOnline) this.syncOfflineData();
+    return updated;
   }
 
   // Store media files offline
-  async storeMediaOffline(reportId, files) {
-    try {
-      const transaction = this.db.transaction(['media'], 'readwrite');
-      const store = transaction.objectStore('media');
-      
-      const mediaPromises = Array.from(files).map(async (file, index) => {
-        const mediaData = {
-          id: `${reportId}_${index}`,
-          reportId: reportId,
-          file: file,
-          type: file.type,
-          size: file.size,
-          name: file.name,
-          synced: false
-        };
-        
-        return store.add(mediaData);
-      });
-      
-      await Promise.all(mediaPromises);
-      console.log(`${files.length} media files stored offline for report ${reportId}`);
-    } catch (error) {
-      console.error('Failed to store media offline:', error);
-    }
+  async storeMediaOffline(clientId, files) {
+    await this.ready;
+    const store = this.store('media', 'readwrite');
+
+    await Promise.all(Array.from(files).map((file, index) => this.request(store.put({
+      id: `${clientId}_${index}`,
+      reportId: clientId,
+      file: file,
+      type: file.type,
+      size: file.size,
+      name: file.name,
+      uploadId: null,
+      synced: false
+    }))));
+    console.log(`${files.length} media files stored offline for report ${clientId}`);
   }
 
   // Get offline reports
   async getOfflineReports() {
-    try {
-      const transaction = this.db.transaction(['reports'], 'readonly');
-      const store = transaction.objectStore('reports');
-      const request = store.getAll();
-      
-      return new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
-    } catch (error) {
-      console.error('Failed to get offline reports:', error);
-      return [];
+    await this.ready;
+    return this.request(this.store('outbox').getAll());
+  }
+
+  deviceToken() {
+    let token = localStorage.getItem('deviceToken');
+    if (!token) {
+      token = this.uuid();
+      localStorage.setItem('deviceToken', token);
     }
+    return token;
+  }
+
+  api(url, options = {}) {
+    const request = { ...options, headers: { ...(options.headers || {}), 'X-Device-Token': this.deviceToken() } };
+    return window.authClient ? window.authClient.fetch(url, request) : fetch(url, request);
   }
 
-  // Sync offline data when online
+  // Sync every due item; a failing item is rescheduled without holding up the rest
   async syncOfflineData() {
-    if (!this.isOnline || this.syncQueue.length === 0) return;
-    
-    console.log(`Syncing ${this.syncQueue.length} offline reports...`);
-    
+    await this.ready;
+    if (!this.isOnline || this.syncing || !this.db) return;
+
+    const now = Date.now();
+    const due = (await this.request(this.store('outbox').index('state').getAll('pending')))
+      .filter(item => item.nextAttemptAt <= now);
+    if (!due.length) return;
+
+    this.syncing = true;
+    this.updateUI('syncing');
+    console.log(`Syncing ${due.length} offline reports...`);
+    let failed = 0;
+
     try {
-      const unsyncedReports = await this.getUnsyncedReports();
-      
-      for (const report of unsyncedReports) {
-        await this.syncSingleReport(report);
+      const ready = [];
+      for (const item of due) {
+        try {
+          item.mediaUploads = await this.uploadMedia(item);
+          ready.push(item);
+        } catch (error) {
+          failed++;
+          await this.scheduleRetry(item, error.message, error.retryable !== false);
+        }
       }
-      
-      this.syncQueue = [];
-      this.updateUI('synced');
-      
-    } catch (error) {
-      console.error('Sync failed:', error);
-      this.updateUI('sync-failed');
-    }
-  }
 
-  async getUnsyncedReports() {
-    const transaction = this.db.transaction(['reports'], 'readonly');
-    const store = transaction.objectStore('reports');
-    const index = store.index('synced');
-    const request = index.getAll(false);
-    
-    return new Promise((resolve, reject) => {
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+      for (let i = 0; i < ready.length; i += SYNC_BATCH_SIZE) {
+        failed += await this.syncBatch(ready.slice(i, i + SYNC_BATCH_SIZE));
+      }
+    } finally {
+      this.syncing = false;
+    }
+    this.updateUI(failed ? 'sync-failed' : 'synced');
   }
 
-  async syncSingleReport(report) {
+  async syncBatch(items) {
+    let results;
     try {
-      // Get associated media files
-      const mediaFiles = await this.getReportMedia(report.id);
-      
-      // Create FormData for multipart upload
-      const formData = new FormData();
-      Object.keys(report).forEach(key => {
-        if (key !== 'id' && key !== 'synced' && key !== 'offlineCreated') {
-          formData.append(key, report[key]);
-        }
-      });
-      
-      // Add media files
-      mediaFiles.forEach((media, index) => {
-        formData.append('media', media.file);
-      });
-      
-      // Send to server
-      const response = await fetch('/api/reports', {
+      const response = await this.api('/api/sync', {
         method: 'POST',
-        body: formData
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: items.map(item => ({
+            clientId: item.clientId,
+            op: item.op,
+            report: item.report,
+            base: item.base,
+            editId: item.editId,
+            mediaUploads: item.mediaUploads
+          }))
+        })
       });
-      
-      if (response.ok) {
-        // Mark as synced
-        await this.markReportSynced(report.id);
-        await this.markMediaSynced(report.id);
-        console.log(`Report ${report.id} synced successfully`);
+      if (!response.ok) throw new Error(`Sync failed: ${response.status}`);
+      results = (await response.json()).results;
+    } catch (error) {
+      // Nothing is known about any item; all of them are safe to resend
+      await Promise.all(items.map(item => this.scheduleRetry(item, error.message, true)));
+      return items.length;
+    }
+
+    let failed = 0;
+    for (const item of items) {
+      const result = results.find(r => r.clientId === item.clientId) || { status: 'error', error: 'No result', retryable: true };
+      if (result.status === 'error') {
+        failed++;
+        await this.scheduleRetry(item, result.error, result.retryable);
       } else {
-        throw new Error(`Sync failed: ${response.statusText}`);
+        await this.applyResult(item, result);
       }
-      
-    } catch (error) {
-      console.error(`Failed to sync report ${report.id}:`, error);
-      throw error;
     }
+    return failed;
   }
 
-  async getReportMedia(reportId) {
-    const transaction = this.db.transaction(['media'], 'readonly');
-    const store = transaction.objectStore('media');
-    const index = store.index('reportId');
-    const request = index.getAll(reportId);
-    
-    return new Promise((resolve, reject) => {
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+  async applyResult(item, result) {
+    const updated = {
+      ...item,
+      serverId: result.reportId,
+      base: result.report,
+      // Server wins on conflicting fields; keep the local copy in step with it
+      report: result.status === 'conflict' ? item.report : { ...item.report, ...this.pick(result.report, item.report) },
+      state: result.status === 'conflict' ? 'conflict' : 'synced',
+      conflicts: result.conflicts || [],
+      lastError: null,
+      syncedAt: new Date().toISOString()
+    };
+    delete updated.mediaUploads;
+    await this.request(this.store('outbox', 'readwrite').put(updated));
+    await this.markMediaSynced(item.clientId);
+    this.listeners.forEach(listener => listener(updated, result));
   }
 
-  async markReportSynced(reportId) {
-    const transaction = this.db.transaction(['reports'], 'readwrite');
-    const store = transaction.objectStore('reports');
-    const report = await store.get(reportId);
-    
-    if (report) {
-      report.synced = true;
-      report.syncedAt = new Date().toISOString();
-      await store.put(report);
-    }
+  pick(source, keysFrom) {
+    return Object.fromEntries(Object.keys(keysFrom).filter(key => key in source).map(key => [key, source[key]]));
   }
 
-  async markMediaSynced(reportId) {
-    const transaction = this.db.transaction(['media'], 'readwrite');
-    const store = transaction.objectStore('media');
-    const index = store.index('reportId');
-    const mediaFiles = await index.getAll(reportId);
-    
+  async scheduleRetry(item, error, retryable) {
+    const attempts = item.attempts + 1;
+    const giveUp = !retryable || attempts >= MAX_ATTEMPTS;
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+    const updated = {
+      ...item,
+      attempts,
+      lastError: error,
+      state: giveUp ? 'failed' : 'pending',
+      // Jitter keeps many devices coming back online from retrying in lockstep
+      nextAttemptAt: giveUp ? null : Date.now() + delay * (0.75 + Math.random() * 0.5)
+    };
+    delete updated.mediaUploads;
+    await this.request(this.store('outbox', 'readwrite').put(updated));
+    this.listeners.forEach(listener => listener(updated, { status: 'error', error }));
+  }
+
+  // Failed items only go back in the queue when the user asks
+  async retryFailed() {
+    await this.ready;
+    const failed = await this.request(this.store('outbox').index('state').getAll('failed'));
+    const store = this.store('outbox', 'readwrite');
+    await Promise.all(failed.map(item => this.request(store.put({ ...item, state: 'pending', attempts: 0, nextAttemptAt: 0 }))));
+    return this.syncOfflineData();
+  }
+
+  // Upload each media file in chunks, resuming from what the server already has.
+  // Returns the upload ids to send with the report.
+  async uploadMedia(item) {
+    if (item.op !== 'create') return [];
+    const mediaFiles = await this.getReportMedia(item.clientId);
+    const uploadIds = [];
+
     for (const media of mediaFiles) {
-      media.synced = true;
-      media.syncedAt = new Date().toISOString();
-      await store.put(media);
+      const response = await this.api('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          uploadKey: media.id.replace(/[^\w-]/g, '-'),
+          fileName: media.name,
+          mimeType: media.type,
+          size: media.size
+        })
+      });
+      const body = await response.json();
+      if (!response.ok) throw Object.assign(new Error(body.error), { retryable: response.status >= 500 });
+
+      let upload = body.upload;
+      for (let index = 0; upload.status !== 'completed' && index < upload.totalChunks; index++) {
+        if (upload.receivedChunks.includes(index)) continue;
+        const chunk = media.file.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+        const put = await this.api(`/api/uploads/${upload.id}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: chunk
+        });
+        if (!put.ok) throw new Error(`Chunk ${index} of ${media.name} failed: ${put.status}`);
+      }
+
+      if (upload.status !== 'completed') {
+        const done = await this.api(`/api/uploads/${upload.id}/complete`, { method: 'POST' });
+        // A file the server refuses (wrong type, too large) will not succeed on retry
+        if (!done.ok) throw Object.assign(new Error(`Completing ${media.name} failed: ${done.status}`), { retryable: ![413, 415].includes(done.status) });
+        upload = (await done.json()).upload;
+      }
+      uploadIds.push(upload.id);
     }
+    return uploadIds;
+  }
+
+  async getReportMedia(reportId) {
+    return this.request(this.store('media').index('reportId').getAll(reportId));
+  }
+
+  async markMediaSynced(reportId) {
+    const mediaFiles = await this.getReportMedia(reportId);
+    const store = this.store('media', 'readwrite');
+
+    await Promise.all(mediaFiles.map(media => this.request(store.put({
+      ...media,
+      synced: true,
+      syncedAt: new Date().toISOString()
+    }))));
   }
 
   // Update UI based on connection status
   updateUI(status) {
     const indicator = document.getElementById('connectionStatus');
     if (!indicator) return;
-    
+
     switch (status) {
       case 'online':
         indicator.textContent = 'Online';
@@ -298,32 +434,26 @@ class OfflineManager {
     return null;
   }
 
-  // Clear old offline data
+  // Clear old synced data
   async clearOldData(daysOld = 7) {
+    await this.ready;
     const cutoffDate = new Date(Date.now() - (daysOld * 24 * 60 * 60 * 1000));
-    
+
     try {
-      const transaction = this.db.transaction(['reports', 'media'], 'readwrite');
-      const reportStore = transaction.objectStore('reports');
-      const mediaStore = transaction.objectStore('media');
-      
-      // Get old synced reports
-      const reports = await reportStore.getAll();
-      const oldReports = reports.filter(r => 
-        r.synced && new Date(r.timestamp) < cutoffDate
+      const items = await this.getOfflineReports();
+      const oldItems = items.filter(item =>
+        item.state === 'synced' && new Date(item.syncedAt) < cutoffDate
       );
-      
+
       // Delete old reports and their media
-      for (const report of oldReports) {
-        await reportStore.delete(report.id);
-        
-        const mediaFiles = await mediaStore.index('reportId').getAll(report.id);
-        for (const media of mediaFiles) {
-          await mediaStore.delete(media.id);
-        }
+      for (const item of oldItems) {
+        const mediaFiles = await this.getReportMedia(item.clientId);
+        await this.request(this.store('outbox', 'readwrite').delete(item.clientId));
+        const mediaStore = this.store('media', 'readwrite');
+        await Promise.all(mediaFiles.map(media => this.request(mediaStore.delete(media.id))));
       }
-      
-      console.log(`Cleaned up ${oldReports.length} old reports`);
+
+      console.log(`Cleaned up ${oldItems.length} old reports`);
     } catch (error) {
       console.error('Failed to clean up old data:', error);
     }
@@ -340,4 +470,4 @@ if (typeof window !== 'undefined') {
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = OfflineManager;
-}
\ No newline at end of file
+}
@@ -0,0 +1,16 @@
+const express = require('express');
+
+// Scripts the pages load; every other .js file is server code
+const BROWSER_SCRIPTS = ['auth-client.js', 'discussion-client.js', 'i18n-client.js', 'live-client.js', 'offline-sync.js'];
+
+const PUBLIC_PATH = new RegExp(`^/(?:[\\w-]+\\.html|${BROWSER_SCRIPTS.map(name => name.replace(/\./g, '\\.')).join('|')})$`);
+
+// Serves the pages and browser scripts in `dir` and nothing else. The repo
+// root also holds data/ (database, sensor readings), uploads/ and the server
+// code, so a plain express.static(dir) would publish all of them.
+function servePublicFiles(dir) {
+  const serve = express.static(dir, { index: false, dotfiles: 'deny' });
+  return (req, res, next) => (PUBLIC_PATH.test(req.path) ? serve(req, res, next) : next());
+}
+
+module.exports = { servePublicFiles, BROWSER_SCRIPTS };
@@ -0,0 +1,164 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+const { tokenize } = require('./nlp-engine.js');
+const { similarImages } = require('./media-pipeline.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const DEFAULT_OPTIONS = {
+  windowHours: 24, // only compare against reports this recent
+  radiusKm: 1, // beyond this the location score is 0
+  // Contribution of each signal to the duplicate score (sums to 1)
+  weights: { location: 0.35, time: 0.15, type: 0.2, text: 0.3 },
+  likelyThreshold: 0.75, // flagged as a likely duplicate
+  possibleThreshold: 0.55 // listed for review
+};
+
+// Jaccard similarity of the word sets; short words carry no signal
+function textSimilarity(a, b) {
+  const words = text => new Set(tokenize(text).filter(word => word.length > 2));
+  const setA = words(a);
+  const setB = words(b);
+  if (!setA.size || !setB.size) return 0;
+
+  const shared = [...setA].filter(word => setB.has(word)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+function reportText(report) {
+  return `${report.title || ''} ${report.description || ''}`;
+}
+
+class DuplicateDetector {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options, weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) } };
+  }
+
+  // Score how likely `candidate` describes the same incident as `existing`, 0..1
+  score(candidate, existing) {
+    const { weights, radiusKm, windowHours } = this.options;
+    const reasons = [];
+
+    const distanceKm = calculateDistance(
+      { lat: parseFloat(candidate.latitude), lng: parseFloat(candidate.longitude) },
+      { lat: parseFloat(existing.latitude), lng: parseFloat(existing.longitude) }
+    );
+    const location = isFinite(distanceKm) ? Math.max(0, 1 - distanceKm / radiusKm) : 0;
+    if (location > 0) reasons.push(`${Math.round(distanceKm * 1000)} m apart`);
+
+    const hoursApart = Math.abs(new Date(candidate.timestamp) - new Date(existing.timestamp)) / (60 * 60 * 1000);
+    const time = Math.max(0, 1 - hoursApart / windowHours);
+
+    const type = candidate.type && candidate.type === existing.type ? 1 : 0;
+    if (type) reasons.push(`same type (${candidate.type})`);
+
+    const text = textSimilarity(reportText(candidate), reportText(existing));
+    if (text >= 0.3) reasons.push(`similar text (${Math.round(text * 100)}%)`);
+
+    let score = location * weights.location + time * weights.time + type * weights.type + text * weights.text;
+
+    // The same photo or video uploaded twice is near-certain, wherever it was reported from
+    const sharedMedia = (candidate.mediaHashes || []).filter(hash => (existing.mediaHashes || []).includes(hash));
+    if (sharedMedia.length) {
+      score = Math.max(score, 0.95);
+      reasons.push('identical media');
+    } else if (similarImages(candidate.mediaPerceptualHashes, existing.mediaPerceptualHashes)) {
+      // Resized or recompressed copies of the same photo
+      score = Math.max(score, 0.9);
+      reasons.push('near-identical photo');
+    }
+
+    return { score: Math.round(score * 100) / 100, reasons };
+  }
+
+  // Recent reports that may describe the same incident, best match first
+  findDuplicates(report, now = Date.now()) {
+    const cutoff = now - this.options.windowHours * 60 * 60 * 1000;
+
+    return this.db.reports
+      .filter(other => String(other.id) !== String(report.id) && !other.mergedInto)
+      .filter(other => new Date(other.timestamp).getTime() >= cutoff)
+      .map(other => ({ reportId: other.id, ...this.score(report, other) }))
+      .filter(match => match.score >= this.options.possibleThreshold)
+      .map(match => ({ ...match, likely: match.score >= this.options.likelyThreshold }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Record the matches on a newly created report so officials can review them
+  flag(report, now = Date.now()) {
+    const duplicates = this.findDuplicates(report, now);
+    if (!duplicates.length) return { report, duplicates };
+
+    const updated = this.db.reports.update(report.id, {
+      possibleDuplicates: duplicates.map(({ reportId, score, likely }) => ({ reportId, score, likely }))
+    });
+    return { report: updated, duplicates };
+  }
+
+  // Link sub-reports to a canonical incident. Sub-reports keep their own data
+  // but drop out of hotspot counts.
+  merge(canonicalId, reportIds, actor, reason) {
+    const canonical = this.db.reports.findById(canonicalId);
+    if (!canonical) return { error: 'Report not found', status: 404 };
+    if (canonical.mergedInto) return { error: `Report is already merged into ${canonical.mergedInto}`, status: 409 };
+    if (!Array.isArray(reportIds) || !reportIds.length) return { error: 'reportIds must be a non-empty array', status: 400 };
+
+    const subReports = [];
+    for (const id of reportIds) {
+      const report = this.db.reports.findById(id);
+      if (!report) return { error: `Report ${id} not found`, status: 404 };
+      if (String(report.id) === String(canonical.id)) return { error: 'A report cannot be merged into itself', status: 400 };
+      if (report.mergedInto) return { error: `Report ${id} is already merged into ${report.mergedInto}`, status: 409 };
+      subReports.push(report);
+    }
+
+    // Sub-reports that were incidents themselves bring their own linked reports along
+    const linked = [...(canonical.linkedReports || [])];
+    const mergedAt = new Date().toISOString();
+    const merged = [];
+
+    subReports.forEach(report => {
+      [report, ...(report.linkedReports || []).map(id => this.db.reports.findById(id)).filter(Boolean)].forEach(sub => {
+        merged.push(this.db.reports.update(sub.id, { mergedInto: canonical.id, mergedAt, mergedBy: actor.id, linkedReports: [], incidentPeopleAffected: null }));
+        if (!linked.some(id => String(id) === String(sub.id))) linked.push(sub.id);
+      });
+    });
+
+    this.db.reports.update(canonical.id, {
+      linkedReports: linked,
+      possibleDuplicates: (canonical.possibleDuplicates || []).filter(d => !linked.some(id => String(id) === String(d.reportId)))
+    });
+
+    return { report: this.summarize(canonical.id), merged, mergedAt, reason };
+  }
+
+  // Detach one sub-report from its incident again
+  unmerge(canonicalId, reportId) {
+    const canonical = this.db.reports.findById(canonicalId);
+    const report = this.db.reports.findById(reportId);
+    if (!canonical || !report) return { error: 'Report not found', status: 404 };
+    if (String(report.mergedInto) !== String(canonical.id)) {
+      return { error: `Report ${reportId} is not merged into ${canonicalId}`, status: 400 };
+    }
+
+    const restored = this.db.reports.update(report.id, { mergedInto: null, mergedAt: null, mergedBy: null });
+    this.db.reports.update(canonical.id, {
+      linkedReports: (canonical.linkedReports || []).filter(id => String(id) !== String(report.id))
+    });
+    return { report: this.summarize(canonical.id), restored };
+  }
+
+  // Every linked report counts the same people, so the incident takes the
+  // largest estimate rather than the sum
+  summarize(canonicalId) {
+    const canonical = this.db.reports.findById(canonicalId);
+    const linked = (canonical.linkedReports || []).map(id => this.db.reports.findById(id)).filter(Boolean);
+    if (!linked.length) return this.db.reports.update(canonical.id, { incidentPeopleAffected: null });
+
+    return this.db.reports.update(canonical.id, {
+      incidentPeopleAffected: Math.max(...[canonical, ...linked].map(r => parseInt(r.peopleAffected) || 0))
+    });
+  }
+}
+
+module.exports = { DuplicateDetector, textSimilarity };
@@ -0,0 +1,226 @@
+const MAX_COMMENT_LENGTH = 2000;
+const REACTIONS = ['like', 'dislike'];
+const MODERATOR_ROLES = ['official'];
+
+// Comments from these roles are shown as the official response on a report
+const OFFICIAL_ROLES = ['official', 'responder'];
+
+// Distinct flags after which a comment is hidden until a moderator reviews it
+const AUTO_HIDE_FLAGS = 3;
+
+function isModerator(user) {
+  return !!user && MODERATOR_ROLES.includes(user.role);
+}
+
+function sameUser(id, user) {
+  return !!user && String(id) === String(user.id);
+}
+
+// Discussion threads and reactions on reports. Comments are never removed:
+// deleting or hiding keeps the record (so replies stay attached) and readers
+// other than the author and moderators see an empty placeholder instead.
+class DiscussionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // What `viewer` may see of a comment: a placeholder with no body once it is deleted or hidden from them
+  view(comment, viewer) {
+    const removed = comment.deletedAt || (comment.hidden && !isModerator(viewer) && !sameUser(comment.authorId, viewer));
+    if (removed) {
+      return {
+        id: comment.id,
+        reportId: comment.reportId,
+        parentId: comment.parentId,
+        body: null,
+        deleted: !!comment.deletedAt,
+        hidden: !comment.deletedAt,
+        createdAt: comment.createdAt
+      };
+    }
+
+    // Who flagged a comment is only shown to moderators
+    const { flags, ...visible } = comment;
+    return isModerator(viewer) ? comment : visible;
+  }
+
+  // Threaded comments, oldest first; placeholders are kept only while they still have replies
+  list(reportId, viewer) {
+    if (!this.db.reports.findById(reportId)) return { error: 'Report not found', status: 404 };
+
+    const comments = this.db.comments
+      .filter(c => String(c.reportId) === String(reportId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(c => ({ ...this.view(c, viewer), replies: [] }));
+
+    const byId = new Map(comments.map(c => [String(c.id), c]));
+    const roots = [];
+    comments.forEach(c => {
+      const parent = c.parentId !== null && byId.get(String(c.parentId));
+      (parent ? parent.replies : roots).push(c);
+    });
+
+    const prune = list => list.filter(c => {
+      c.replies = prune(c.replies);
+      return c.body !== null || c.replies.length > 0;
+    });
+    const thread = prune(roots);
+
+    return {
+      comments: thread,
+      officialResponses: comments.filter(c => c.official && c.body !== null),
+      total: comments.filter(c => c.body !== null).length
+    };
+  }
+
+  create(reportId, user, { body, parentId = null } = {}) {
+    const report = this.db.reports.findById(reportId);
+    if (!report) return { error: 'Report not found', status: 404 };
+    const text = String(body || '').trim();
+    if (!text) return { error: 'Comment text is required', status: 400 };
+    if (text.length > MAX_COMMENT_LENGTH) return { error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters`, status: 400 };
+
+    if (parentId !== null && parentId !== undefined) {
+      const parent = this.db.comments.findById(parentId);
+      if (!parent || String(parent.reportId) !== String(reportId)) return { error: 'Parent comment not found', status: 404 };
+      if (parent.deletedAt) return { error: 'Cannot reply to a deleted comment', status: 409 };
+    }
+
+    const now = new Date().toISOString();
+    const comment = this.db.comments.insert({
+      id: `${report.id}-${Date.now()}-${this.db.comments.count()}`,
+      reportId: report.id,
+      parentId: parentId === undefined ? null : parentId,
+      authorId: user.id,
+      authorName: user.fullName || user.email,
+      authorRole: user.role,
+      official: OFFICIAL_ROLES.includes(user.role),
+      body: text,
+      createdAt: now,
+      editedAt: null,
+      deletedAt: null,
+      deletedBy: null,
+      hidden: false,
+      hiddenBy: null,
+      hiddenAt: null,
+      hiddenReason: null,
+      reviewedAt: null,
+      flags: []
+    });
+    return { comment };
+  }
+
+  find(reportId, commentId) {
+    const comment = this.db.comments.findById(commentId);
+    return comment && String(comment.reportId) === String(reportId) ? comment : null;
+  }
+
+  edit(reportId, commentId, user, body) {
+    const comment = this.find(reportId, commentId);
+    if (!comment || comment.deletedAt) return { error: 'Comment not found', status: 404 };
+    if (!sameUser(comment.authorId, user)) return { error: 'Only the author can edit this comment', status: 403 };
+
+    const text = String(body || '').trim();
+    if (!text) return { error: 'Comment text is required', status: 400 };
+    if (text.length > MAX_COMMENT_LENGTH) return { error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters`, status: 400 };
+    if (text === comment.body) return { comment };
+
+    return { comment: this.db.comments.update(comment.id, { body: text, editedAt: new Date().toISOString() }) };
+  }
+
+  // Authors remove their own comments; moderators can remove any
+  remove(reportId, commentId, user) {
+    const comment = this.find(reportId, commentId);
+    if (!comment || comment.deletedAt) return { error: 'Comment not found', status: 404 };
+    if (!sameUser(comment.authorId, user) && !isModerator(user)) {
+      return { error: 'Only the author or an official can delete this comment', status: 403 };
+    }
+
+    return {
+      comment: this.db.comments.update(comment.id, { body: '', deletedAt: new Date().toISOString(), deletedBy: user.id })
+    };
+  }
+
+  // One flag per user; enough of them hide the comment pending review
+  flag(reportId, commentId, user, reason) {
+    const comment = this.find(reportId, commentId);
+    if (!comment || comment.deletedAt) return { error: 'Comment not found', status: 404 };
+    if (sameUser(comment.authorId, user)) return { error: 'You cannot flag your own comment', status: 400 };
+    if (comment.flags.some(f => sameUser(f.userId, user))) return { comment };
+
+    const flags = [...comment.flags, { userId: user.id, reason: reason || null, flaggedAt: new Date().toISOString() }];
+    const changes = { flags };
+    if (!comment.hidden && !comment.reviewedAt && flags.length >= AUTO_HIDE_FLAGS) {
+      Object.assign(changes, { hidden: true, hiddenBy: null, hiddenAt: new Date().toISOString(), hiddenReason: 'Flagged by readers' });
+    }
+    return { comment: this.db.comments.update(comment.id, changes) };
+  }
+
+  // Moderator decision; unhiding also marks the flags as reviewed so they do not re-hide it
+  setHidden(reportId, commentId, user, hidden, reason) {
+    const comment = this.find(reportId, commentId);
+    if (!comment || comment.deletedAt) return { error: 'Comment not found', status: 404 };
+    if (hidden && !reason) return { error: 'A reason is required to hide a comment', status: 400 };
+
+    const now = new Date().toISOString();
+    return {
+      comment: this.db.comments.update(comment.id, hidden
+        ? { hidden: true, hiddenBy: user.id, hiddenAt: now, hiddenReason: reason, reviewedAt: now }
+        : { hidden: false, hiddenBy: null, hiddenAt: null, hiddenReason: null, reviewedAt: now })
+    };
+  }
+
+  // Moderation queue: flagged comments not yet reviewed, most flagged first
+  flagged() {
+    return this.db.comments
+      .filter(c => c.flags.length && !c.deletedAt && !c.reviewedAt)
+      .sort((a, b) => b.flags.length - a.flags.length);
+  }
+
+  // Each user has at most one reaction per report. Setting it is idempotent,
+  // so a retried request cannot undo itself; type null clears it.
+  react(reportId, user, type) {
+    const report = this.db.reports.findById(reportId);
+    if (!report) return { error: 'Report not found', status: 404 };
+    if (type !== null && !REACTIONS.includes(type)) return { error: `Reaction must be one of: ${REACTIONS.join(', ')}`, status: 400 };
+
+    const id = `${report.id}-${user.id}`;
+    const existing = this.db.reactions.findById(id);
+    if (existing && type === null) {
+      this.db.reactions.remove(id);
+    } else if (existing && existing.type !== type) {
+      this.db.reactions.update(id, { type, reactedAt: new Date().toISOString() });
+    } else if (!existing && type !== null) {
+      this.db.reactions.insert({ id, reportId: report.id, userId: user.id, type, reactedAt: new Date().toISOString() });
+    }
+    return { reactions: this.reactions(report.id, user) };
+  }
+
+  reactions(reportId, viewer) {
+    const all = this.db.reactions.filter(r => String(r.reportId) === String(reportId));
+    const mine = viewer && all.find(r => sameUser(r.userId, viewer));
+    return {
+      like: all.filter(r => r.type === 'like').length,
+      dislike: all.filter(r => r.type === 'dislike').length,
+      mine: mine ? mine.type : null
+    };
+  }
+
+  // Counts for report lists, keyed by report id
+  summaries(reportIds, viewer) {
+    const summaries = {};
+    reportIds.forEach(id => {
+      const report = this.db.reports.findById(id);
+      if (!report) return;
+      const comments = this.db.comments.filter(c => String(c.reportId) === String(report.id) && this.view(c, viewer).body !== null);
+      summaries[report.id] = {
+        comments: comments.length,
+        officialResponse: comments.some(c => c.official),
+        reactions: this.reactions(report.id, viewer)
+      };
+    });
+    return summaries;
+  }
+}
+
+module.exports = { DiscussionService, REACTIONS, OFFICIAL_ROLES };
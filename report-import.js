@@ -0,0 +1,584 @@
+// Bulk import of historical incidents and external hazard feeds into reports
+//
+//   node report-import.js incidents.csv --source "District archive 2019-2023"
+//   node report-import.js quakes.geojson --preset usgs --dry-run
+//   node report-import.js alerts.xml --source IMD --map title=Headline --default type=cyclone
+//
+// CSV, GeoJSON and CAP 1.2 files are mapped onto report fields, validated row
+// by row and checked for duplicates before anything is written. Imported
+// reports carry a `source` record and reporterRole 'import', so they are never
+// mistaken for citizen reports. The server keeps the data directory locked
+// while it runs (see JsonFileStore), so this command only works with the
+// server stopped; send the file to POST /api/imports otherwise.
+const fs = require('fs');
+const path = require('path');
+const { normalizeStatus } = require('./report-workflow.js');
+const { GridIndex } = require('./hotspot-clustering.js');
+
+const HOUR = 60 * 60 * 1000;
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const FORMATS = ['csv', 'geojson', 'cap'];
+const MAX_ROWS = 20000;
+// Per-row results kept on the import record; the response always has all of them
+const MAX_STORED_ROWS = 1000;
+
+// Column names tried, case-insensitively, for each report field when the mapping doesn't name one
+const FIELD_ALIASES = {
+  externalId: ['externalId', 'id', 'identifier', 'code'],
+  title: ['title', 'name', 'headline', 'incident'],
+  type: ['type', 'hazardType', 'hazard', 'event'],
+  severity: ['severity', 'level'],
+  description: ['description', 'details', 'summary', 'place'],
+  latitude: ['latitude', 'lat', 'y'],
+  longitude: ['longitude', 'lng', 'lon', 'long', 'x'],
+  timestamp: ['timestamp', 'time', 'date', 'datetime', 'sent', 'reportedAt'],
+  peopleAffected: ['peopleAffected', 'affected', 'people'],
+  address: ['address', 'location', 'area'],
+  status: ['status']
+};
+
+// Feeds with a known shape. derive fills fields the feed only implies.
+const PRESETS = {
+  usgs: {
+    format: 'geojson',
+    source: 'USGS earthquake feed',
+    mapping: { title: 'title', timestamp: 'time', description: 'place', externalId: 'id' },
+    defaults: { type: 'earthquake' },
+    // Same magnitude bands as USGSEarthquakeProvider in ocean-providers.js
+    derive: record => ({ severity: record.mag >= 6 ? 'critical' : record.mag >= 4 ? 'high' : 'medium' })
+  }
+};
+
+const CAP_SEVERITIES = { Extreme: 'critical', Severe: 'high', Moderate: 'medium', Minor: 'low' };
+
+// RFC 4180: quoted cells may contain commas, quotes ("") and line breaks
+function parseCsvRecords(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      rowLine = ++line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+  return rows.filter(({ cells }) => cells.some(value => value.trim()));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRecords(text);
+  if (!header) return { error: 'CSV is empty', status: 400 };
+  const columns = header.cells.map(column => column.trim());
+  return {
+    rows: rows.map(({ cells, line }) => ({
+      row: line,
+      record: Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()]))
+    }))
+  };
+}
+
+// Points stay points; polygons and lines are placed at the mean of their first ring
+function featurePosition(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  let positions;
+  if (geometry.type === 'Point') positions = [geometry.coordinates];
+  else if (geometry.type === 'LineString' || geometry.type === 'MultiPoint') positions = geometry.coordinates;
+  else if (geometry.type === 'Polygon') positions = geometry.coordinates[0];
+  else if (geometry.type === 'MultiPolygon') positions = geometry.coordinates[0] && geometry.coordinates[0][0];
+  if (!Array.isArray(positions) || !positions.length) return null;
+  return {
+    lat: positions.reduce((sum, position) => sum + Number(position[1]), 0) / positions.length,
+    lng: positions.reduce((sum, position) => sum + Number(position[0]), 0) / positions.length
+  };
+}
+
+function parseGeoJSON(input) {
+  let data = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      data = JSON.parse(String(input));
+    } catch (error) {
+      return { error: `GeoJSON is not valid JSON: ${error.message}`, status: 400 };
+    }
+  }
+  const features = data && data.type === 'FeatureCollection' ? data.features : data && data.type === 'Feature' ? [data] : null;
+  if (!Array.isArray(features)) return { error: 'GeoJSON must be a FeatureCollection or a Feature', status: 400 };
+
+  return {
+    rows: features.map((feature, index) => {
+      const position = featurePosition(feature && feature.geometry);
+      return {
+        row: index + 1,
+        record: {
+          ...(feature && feature.id !== undefined ? { id: feature.id } : {}),
+          ...((feature && feature.properties) || {}),
+          ...(position ? { latitude: position.lat, longitude: position.lng } : {})
+        }
+      };
+    })
+  };
+}
+
+function decodeXml(text) {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Namespace prefixes (cap:info) are ignored; CAP has no nesting of same-named elements
+function elements(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'g');
+  return [...String(xml).matchAll(pattern)].map(match => match[1]);
+}
+
+function element(xml, name) {
+  const found = elements(xml, name)[0];
+  return found === undefined ? undefined : decodeXml(found).trim();
+}
+
+// CAP circles are "lat,lng radius" and polygons "lat,lng lat,lng ..."; the
+// report goes at the circle's centre or the polygon's mean point
+function capPosition(area) {
+  const circle = element(area, 'circle');
+  if (circle) {
+    const [lat, lng] = circle.split(/\s+/)[0].split(',').map(Number);
+    return { lat, lng };
+  }
+  const polygon = element(area, 'polygon');
+  if (polygon) {
+    const points = polygon.split(/\s+/).map(pair => pair.split(',').map(Number));
+    return {
+      lat: points.reduce((sum, [lat]) => sum + lat, 0) / points.length,
+      lng: points.reduce((sum, [, lng]) => sum + lng, 0) / points.length
+    };
+  }
+  return null;
+}
+
+// One row per <info> of every <alert>; an alert in several languages gives several rows
+function parseCap(text) {
+  const alerts = elements(text, 'alert');
+  if (!alerts.length) return { error: 'No CAP <alert> elements found', status: 400 };
+
+  const rows = [];
+  alerts.forEach((alert, alertIndex) => {
+    const identifier = element(alert, 'identifier');
+    const sent = element(alert, 'sent');
+    const infos = elements(alert, 'info');
+    infos.forEach((info, infoIndex) => {
+      const area = elements(info, 'area')[0] || '';
+      const position = capPosition(area);
+      const event = element(info, 'event');
+      rows.push({
+        row: alertIndex + 1,
+        record: {
+          identifier: infos.length > 1 ? `${identifier}#${infoIndex + 1}` : identifier,
+          sender: element(alert, 'sender'),
+          sent,
+          event,
+          hazardType: event ? event.toLowerCase().replace(/\s+/g, '_') : undefined,
+          severity: CAP_SEVERITIES[element(info, 'severity')] || element(info, 'severity'),
+          headline: element(info, 'headline') || event,
+          description: element(info, 'description'),
+          area: element(area, 'areaDesc'),
+          language: element(info, 'language'),
+          ...(position ? { latitude: position.lat, longitude: position.lng } : {})
+        }
+      });
+    });
+  });
+  return { rows };
+}
+
+// Explicit mapping first, then the aliases, matched case-insensitively
+function mapRecord(record, mapping) {
+  const keys = Object.keys(record);
+  const lookup = name => {
+    if (Object.prototype.hasOwnProperty.call(record, name)) return record[name];
+    const key = keys.find(candidate => candidate.toLowerCase() === String(name).toLowerCase());
+    return key === undefined ? undefined : record[key];
+  };
+
+  return Object.fromEntries(Object.entries(FIELD_ALIASES).map(([field, aliases]) => {
+    if (mapping[field]) return [field, lookup(mapping[field])];
+    const alias = aliases.find(name => lookup(name) !== undefined && lookup(name) !== '');
+    return [field, alias === undefined ? undefined : lookup(alias)];
+  }));
+}
+
+function blank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Epoch seconds or milliseconds (USGS uses ms) or any date string Date understands
+function parseTime(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    return number < 1e11 ? number * 1000 : number;
+  }
+  return new Date(value).getTime();
+}
+
+// Mapped fields -> { fields } ready for a report, or { errors }
+function validateRow(mapped, now) {
+  const errors = [];
+  const fields = {};
+
+  if (blank(mapped.title)) errors.push('title is required');
+  else fields.title = String(mapped.title).trim().slice(0, 200);
+
+  if (blank(mapped.type)) errors.push('type is required');
+  else fields.type = String(mapped.type).trim().toLowerCase();
+
+  const severity = blank(mapped.severity) ? 'medium' : String(mapped.severity).trim().toLowerCase();
+  if (!SEVERITIES.includes(severity)) errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  else fields.severity = severity;
+
+  const latitude = Number(mapped.latitude);
+  const longitude = Number(mapped.longitude);
+  if (blank(mapped.latitude) || !isFinite(latitude) || Math.abs(latitude) > 90) errors.push('latitude must be a number from -90 to 90');
+  if (blank(mapped.longitude) || !isFinite(longitude) || Math.abs(longitude) > 180) errors.push('longitude must be a number from -180 to 180');
+  fields.latitude = latitude;
+  fields.longitude = longitude;
+
+  const time = blank(mapped.timestamp) ? NaN : parseTime(mapped.timestamp);
+  if (isNaN(time)) errors.push('timestamp is missing or not a date');
+  else if (time > now) errors.push('timestamp is in the future');
+  else fields.timestamp = new Date(time).toISOString();
+
+  if (!blank(mapped.peopleAffected)) {
+    const people = Number(mapped.peopleAffected);
+    if (!Number.isInteger(people) || people < 0) errors.push('peopleAffected must be a whole number');
+    else fields.peopleAffected = people;
+  }
+
+  if (!blank(mapped.description)) fields.description = String(mapped.description).trim();
+  if (!blank(mapped.address)) fields.address = String(mapped.address).trim();
+  fields.status = normalizeStatus(blank(mapped.status) ? 'submitted' : String(mapped.status).trim().toLowerCase());
+
+  return errors.length ? { errors } : { fields };
+}
+
+// Reports bucketed by dedup window and grid cell, so a row is only scored
+// against reports from its own and the neighbouring windows and cells.
+// Without location a score can reach at most 1 - weights.location; while that
+// is below the threshold a likely duplicate lies within radiusKm, otherwise
+// the cells are made wide enough to hold everything.
+class CandidateIndex {
+  constructor({ radiusKm, windowHours, weights, likelyThreshold }) {
+    this.cellKm = 1 - weights.location < likelyThreshold ? radiusKm : 20000;
+    this.window = windowHours * HOUR;
+    this.windows = new Map(); // window number -> GridIndex
+  }
+
+  add(item) {
+    const point = { lat: Number(item.latitude), lng: Number(item.longitude), item };
+    const time = new Date(item.timestamp).getTime();
+    if (!isFinite(point.lat) || !isFinite(point.lng) || isNaN(time)) return;
+
+    const slot = Math.floor(time / this.window);
+    if (!this.windows.has(slot)) this.windows.set(slot, new GridIndex(this.cellKm));
+    this.windows.get(slot).add(point);
+  }
+
+  near(candidate) {
+    const slot = Math.floor(new Date(candidate.timestamp).getTime() / this.window);
+    const point = { lat: candidate.latitude, lng: candidate.longitude };
+    return [slot - 1, slot, slot + 1]
+      .filter(other => this.windows.has(other))
+      .flatMap(other => this.windows.get(other).nearby(point).map(({ item }) => item));
+  }
+}
+
+function timestampIds() {
+  let last = 0;
+  return () => (last = Math.max(Date.now(), last + 1));
+}
+
+// Parses, maps, validates and deduplicates an import, then (unless dryRun)
+// inserts the accepted rows as reports. dedup is a DuplicateDetector, nlp an
+// NLPEngine for the text analysis new reports get; onImported receives the
+// inserted reports so the server can index them and refresh hotspots.
+class ReportImporter {
+  constructor(db, { dedup, workflow, nlp = null, nextId = timestampIds(), onImported = () => {} }) {
+    this.db = db;
+    this.dedup = dedup;
+    this.workflow = workflow;
+    this.nlp = nlp;
+    this.nextId = nextId;
+    this.onImported = onImported;
+  }
+
+  list() {
+    return this.db.imports.all().slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  get(id) {
+    return this.db.imports.findById(id);
+  }
+
+  parse(format, content) {
+    if (format === 'csv') return parseCsv(content);
+    if (format === 'geojson') return parseGeoJSON(content);
+    return parseCap(content);
+  }
+
+  // options: { format, source, mapping, defaults, preset, dryRun }. Returns
+  // the import summary with one result per row, or { error, status }.
+  run(content, options, user, now = Date.now()) {
+    const preset = options.preset && Object.hasOwn(PRESETS, options.preset) ? PRESETS[options.preset] : null;
+    if (options.preset && !preset) return { error: `preset must be one of: ${Object.keys(PRESETS).join(', ')}`, status: 400 };
+
+    const format = options.format || (preset && preset.format);
+    if (!FORMATS.includes(format)) return { error: `format must be one of: ${FORMATS.join(', ')}`, status: 400 };
+    const sourceName = String(options.source || (preset && preset.source) || '').trim();
+    if (!sourceName) return { error: 'source is required, e.g. the archive or feed the data comes from', status: 400 };
+
+    const isObject = value => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+    if (!isObject(options.mapping) || !isObject(options.defaults)) return { error: 'mapping and defaults must map report fields to values', status: 400 };
+
+    const mapping = { ...(format === 'cap' ? { externalId: 'identifier', title: 'headline', type: 'hazardType', timestamp: 'sent', address: 'area' } : {}), ...(preset ? preset.mapping : {}), ...(options.mapping || {}) };
+    const defaults = { ...(preset ? preset.defaults : {}), ...(options.defaults || {}) };
+    const unknownField = [...Object.keys(mapping), ...Object.keys(defaults)].find(field => !Object.hasOwn(FIELD_ALIASES, field));
+    if (unknownField) return { error: `mapping and defaults can only name: ${Object.keys(FIELD_ALIASES).join(', ')}`, status: 400 };
+
+    const parsed = this.parse(format, content);
+    if (parsed.error) return parsed;
+    if (!parsed.rows.length) return { error: 'The file has no rows to import', status: 400 };
+    if (parsed.rows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} rows can be imported at once`, status: 413 };
+
+    const importId = `import-${now}-${this.db.imports.count()}`;
+    const accepted = [];
+    const seenIds = new Set();
+    const known = this.existingIndex(sourceName);
+    const results = parsed.rows.map(({ row, record }, position) => {
+      const mapped = mapRecord(record, mapping);
+      const derived = preset && preset.derive ? preset.derive(record) : {};
+      Object.entries({ ...defaults, ...derived }).forEach(([field, value]) => {
+        if (blank(mapped[field]) || derived[field] !== undefined) mapped[field] = value;
+      });
+
+      const validated = validateRow(mapped, now);
+      if (validated.errors) return { row, status: 'invalid', errors: validated.errors };
+
+      const externalId = blank(mapped.externalId) ? null : String(mapped.externalId);
+      const candidate = {
+        ...validated.fields,
+        source: { type: 'import', name: sourceName, format, externalId, importId }
+      };
+
+      const duplicate = this.findDuplicate(candidate, known, seenIds);
+      if (duplicate) return { row, status: 'duplicate', ...duplicate };
+
+      if (externalId) seenIds.add(externalId);
+      accepted.push({ position, candidate });
+      known.rows.add({ ...candidate, row });
+      return { row, status: options.dryRun ? 'valid' : 'imported', candidate };
+    });
+
+    const reports = options.dryRun ? [] : accepted.map(({ candidate }) => this.insert(candidate, user, now));
+    // By position, not row number: the infos of one CAP alert share its row number
+    const reportIds = new Map(accepted.map(({ position }, index) => [position, reports[index] && reports[index].id]));
+    const rows = results.map(({ candidate, ...result }, position) => (
+      result.status === 'imported' ? { ...result, reportId: reportIds.get(position) } : result
+    ));
+
+    const summary = {
+      id: options.dryRun ? null : importId,
+      source: sourceName,
+      format,
+      preset: options.preset || null,
+      dryRun: !!options.dryRun,
+      total: rows.length,
+      imported: options.dryRun ? 0 : reports.length,
+      valid: accepted.length,
+      duplicates: rows.filter(result => result.status === 'duplicate').length,
+      invalid: rows.filter(result => result.status === 'invalid').length,
+      createdBy: user ? user.id : null,
+      createdAt: new Date(now).toISOString()
+    };
+
+    if (!options.dryRun) {
+      this.db.imports.insert({ ...summary, rows: rows.filter(result => result.status !== 'imported').slice(0, MAX_STORED_ROWS) });
+      if (reports.length) this.onImported(reports);
+    }
+    return { ...summary, rows };
+  }
+
+  // What rows are checked against, gathered once per import: the external
+  // ids already imported from this source, and the existing reports and the
+  // rows accepted so far, bucketed by time and place
+  existingIndex(sourceName) {
+    const externalIds = new Map();
+    const reports = new CandidateIndex(this.dedup.options);
+    this.db.reports.all().forEach(report => {
+      if (report.source && report.source.name === sourceName && report.source.externalId && !externalIds.has(report.source.externalId)) {
+        externalIds.set(report.source.externalId, report.id);
+      }
+      if (!report.mergedInto) reports.add(report);
+    });
+    return { externalIds, reports, rows: new CandidateIndex(this.dedup.options) };
+  }
+
+  // Same source and external id as an earlier import or an earlier row of
+  // this file, or a likely duplicate (see report-dedup.js) of an existing
+  // report or of a row already accepted from this file
+  findDuplicate(candidate, index, seenIds) {
+    const { externalId } = candidate.source;
+    if (externalId) {
+      if (seenIds.has(externalId)) return { reason: `external id ${externalId} appears earlier in the file` };
+      if (index.externalIds.has(externalId)) {
+        return { duplicateOf: index.externalIds.get(externalId), reason: `external id ${externalId} was already imported` };
+      }
+    }
+
+    // Compared with reports from around the incident's own time, not now, so
+    // historical rows find historical matches
+    const time = new Date(candidate.timestamp).getTime();
+    const window = this.dedup.options.windowHours * HOUR;
+    const near = report => Math.abs(new Date(report.timestamp).getTime() - time) <= window;
+
+    const match = index.reports.near(candidate)
+      .filter(near)
+      .map(report => ({ reportId: report.id, ...this.dedup.score(candidate, report) }))
+      .filter(result => result.score >= this.dedup.options.likelyThreshold)
+      .sort((a, b) => b.score - a.score)[0];
+    if (match) return { duplicateOf: match.reportId, score: match.score, reason: match.reasons.join(', ') };
+
+    const inFile = index.rows.near(candidate)
+      .filter(near)
+      .sort((a, b) => a.row - b.row)
+      .map(other => ({ row: other.row, ...this.dedup.score(candidate, other) }))
+      .find(result => result.score >= this.dedup.options.likelyThreshold);
+    if (inFile) return { duplicateOfRow: inFile.row, score: inFile.score, reason: inFile.reasons.join(', ') };
+    return null;
+  }
+
+  // Imported reports skip warnings and notifications: they describe past or
+  // already-published events
+  insert(candidate, user, now) {
+    const report = this.db.reports.insert({
+      id: this.nextId(),
+      ...candidate,
+      reporterId: null,
+      reporterRole: 'import',
+      importedBy: user ? user.id : null,
+      importedAt: new Date(now).toISOString(),
+      verified: candidate.status === 'verified',
+      media: [],
+      nlpAnalysis: this.nlp ? this.nlp.analyzeText(candidate.description || candidate.title) : null
+    });
+    this.workflow.writeAudit(report.id, null, report.status, user || { id: null, role: 'system' }, `Imported from ${candidate.source.name}`);
+    return report;
+  }
+}
+
+// --map field=column and --default field=value, repeatable
+function parseArgs(args) {
+  const options = { mapping: {}, defaults: {} };
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const pair = () => {
+      const [key, ...rest] = String(args[++i] || '').split('=');
+      return [key, rest.join('=')];
+    };
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--source') options.source = args[++i];
+    else if (arg === '--format') options.format = args[++i];
+    else if (arg === '--preset') options.preset = args[++i];
+    else if (arg === '--map') {
+      const [field, column] = pair();
+      options.mapping[field] = column;
+    } else if (arg === '--default') {
+      const [field, value] = pair();
+      options.defaults[field] = value;
+    } else file = arg;
+  }
+  return { file, options };
+}
+
+function formatFromFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.geojson' || extension === '.json') return 'geojson';
+  if (extension === '.xml' || extension === '.cap') return 'cap';
+  return null;
+}
+
+function run(args) {
+  const { createStore, createRepositories } = require('./data-store.js');
+  const { ReportWorkflow } = require('./report-workflow.js');
+  const { DuplicateDetector } = require('./report-dedup.js');
+  const { NLPEngine } = require('./nlp-engine.js');
+
+  const { file, options } = parseArgs(args);
+  if (!file) throw new Error('Usage: node report-import.js <file> [--source name] [--preset usgs] [--format csv|geojson|cap] [--map field=column] [--default field=value] [--dry-run]');
+  options.format = options.format || formatFromFile(file) || (options.preset && PRESETS[options.preset] && PRESETS[options.preset].format);
+
+  let store;
+  try {
+    store = createStore();
+  } catch (error) {
+    if (error.code === 'ELOCKED') throw new Error(`${error.message}. While the server runs, send the file to POST /api/imports instead`);
+    throw error;
+  }
+  const db = createRepositories(store);
+  const importer = new ReportImporter(db, { dedup: new DuplicateDetector(db), workflow: new ReportWorkflow(db), nlp: new NLPEngine() });
+  const result = importer.run(fs.readFileSync(path.resolve(file), 'utf8'), options, null);
+  store.close();
+
+  if (result.error) throw new Error(result.error);
+  result.rows.filter(row => row.status !== 'imported' && row.status !== 'valid').forEach(row => {
+    console.log(`Row ${row.row}: ${row.status} - ${row.errors ? row.errors.join('; ') : row.reason}`);
+  });
+  console.log(`${result.dryRun ? 'Dry run: ' : ''}${result.total} rows, ${result.dryRun ? `${result.valid} would be imported` : `${result.imported} imported`}, ${result.duplicates} duplicates, ${result.invalid} invalid`);
+}
+
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (error) {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { ReportImporter, PRESETS, FORMATS, FIELD_ALIASES, parseCsvRecords };
@@ -0,0 +1,358 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+const { pointInPolygon, validateGeometry } = require('./geofence.js');
+const { tokenize } = require('./nlp-engine.js');
+const { STATUSES } = require('./report-workflow.js');
+const { ROLES } = require('./auth.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_RADIUS_KM = 2000;
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+// 'import' marks reports loaded by report-import.js
+const REPORTER_ROLES = [...ROLES, 'anonymous', 'import'];
+
+// Each sort is a key per report, compared element by element; the report id
+// breaks ties so cursors are stable while reports arrive
+const SORTS = {
+  newest: report => [-time(report)],
+  oldest: report => [time(report)],
+  severity: report => [-(SEVERITY_RANK[report.severity] || 0), -time(report)],
+  distance: (report, match) => [match.distanceKm, -time(report)],
+  relevance: (report, match) => [-match.score, -time(report)]
+};
+
+function time(report) {
+  return new Date(report.timestamp).getTime() || 0;
+}
+
+function position(report) {
+  const lat = Number(report.latitude);
+  const lng = Number(report.longitude);
+  return report.latitude !== undefined && report.latitude !== null && report.latitude !== '' && isFinite(lat) && isFinite(lng)
+    ? { lat, lng }
+    : null;
+}
+
+function list(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function numbers(value, count) {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== count || parts.some(part => part === '' || !isFinite(part))) return null;
+  return parts.map(Number);
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Lat/lng grid of report ids. Reports are never deleted, so the server only
+// has to index a report when it is created and again when it moves.
+class ReportIndex {
+  constructor(cellKm = 25) {
+    this.cellDeg = cellKm / 111;
+    this.cells = new Map(); // cell key -> Set of report ids
+    this.positions = new Map(); // report id -> cell key
+  }
+
+  cell(lat, lng) {
+    return [Math.floor(lat / this.cellDeg), Math.floor(lng / this.cellDeg)];
+  }
+
+  add(report) {
+    const id = String(report.id);
+    this.remove(id);
+    const point = position(report);
+    if (!point) return;
+
+    const key = this.cell(point.lat, point.lng).join('_');
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(id);
+    this.positions.set(id, key);
+  }
+
+  remove(id) {
+    const key = this.positions.get(String(id));
+    if (!key) return;
+    this.cells.get(key).delete(String(id));
+    if (!this.cells.get(key).size) this.cells.delete(key);
+    this.positions.delete(String(id));
+  }
+
+  rebuild(reports) {
+    this.cells.clear();
+    this.positions.clear();
+    reports.forEach(report => this.add(report));
+  }
+
+  // Ids of reports in the cells overlapping a { south, west, north, east }
+  // box. A box wider than the populated cells is answered by walking the cells.
+  within({ south, west, north, east }) {
+    const [top, left] = this.cell(south, west);
+    const [bottom, right] = this.cell(north, east);
+    const ids = new Set();
+    const collect = key => (this.cells.get(key) || []).forEach(id => ids.add(id));
+
+    const columns = west <= east ? right - left + 1 : Infinity;
+    if ((bottom - top + 1) * columns > this.cells.size) {
+      this.cells.forEach((cellIds, key) => {
+        const [row, col] = key.split('_').map(Number);
+        const inColumns = west <= east ? col >= left && col <= right : col >= left || col <= right;
+        if (row >= top && row <= bottom && inColumns) collect(key);
+      });
+      return ids;
+    }
+
+    for (let row = top; row <= bottom; row++) {
+      for (let col = left; col <= right; col++) collect(`${row}_${col}`);
+    }
+    return ids;
+  }
+}
+
+// Filtering, full-text search, sorting and cursor pagination for GET /api/reports.
+// Spatial filters (bbox, near + radiusKm, polygon) narrow the candidates
+// through the grid index before any report is looked at.
+class ReportQuery {
+  constructor(db, { cellKm } = {}) {
+    this.db = db;
+    this.spatial = new ReportIndex(cellKm);
+    this.rebuild();
+  }
+
+  rebuild() {
+    this.spatial.rebuild(this.db.reports.all());
+  }
+
+  index(report) {
+    this.spatial.add(report);
+  }
+
+  // Query string -> { filters } or { error, status }
+  parse(query, now = Date.now()) {
+    const filters = {
+      severity: list(query.severity),
+      type: list(query.type),
+      status: list(query.status),
+      reporterRole: list(query.reporterRole),
+      includeMerged: query.includeMerged === 'true'
+    };
+
+    const unknownStatus = filters.status.find(status => !STATUSES.includes(status));
+    if (unknownStatus) return { error: `status must be one of: ${STATUSES.join(', ')}`, status: 400 };
+    const unknownRole = filters.reporterRole.find(role => !REPORTER_ROLES.includes(role));
+    if (unknownRole) return { error: `reporterRole must be one of: ${REPORTER_ROLES.join(', ')}`, status: 400 };
+
+    if (query.verified !== undefined) {
+      if (query.verified !== 'true' && query.verified !== 'false') return { error: 'verified must be true or false', status: 400 };
+      filters.verified = query.verified === 'true';
+    }
+
+    // since/until take precedence over the older hours window
+    if (query.since !== undefined || query.until !== undefined) {
+      filters.since = query.since !== undefined ? new Date(query.since).getTime() : -Infinity;
+      filters.until = query.until !== undefined ? new Date(query.until).getTime() : Infinity;
+      if (isNaN(filters.since) || isNaN(filters.until)) return { error: 'since and until must be ISO 8601 times', status: 400 };
+    } else {
+      const hours = query.hours === undefined ? 24 : Number(query.hours);
+      if (!(hours > 0)) return { error: 'hours must be a positive number', status: 400 };
+      filters.since = now - hours * HOUR;
+      filters.until = Infinity;
+    }
+
+    if (query.bbox !== undefined) {
+      const box = numbers(query.bbox, 4);
+      if (!box) return { error: 'bbox must be south,west,north,east', status: 400 };
+      const [south, west, north, east] = box;
+      if (south > north || Math.abs(south) > 90 || Math.abs(north) > 90) return { error: 'bbox south must not be above north', status: 400 };
+      filters.bbox = { south, west, north, east };
+    }
+
+    if (query.near !== undefined) {
+      const center = numbers(query.near, 2);
+      if (!center) return { error: 'near must be lat,lng', status: 400 };
+      const radiusKm = query.radiusKm === undefined ? null : Number(query.radiusKm);
+      if (radiusKm !== null && !(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+        return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}`, status: 400 };
+      }
+      filters.near = { lat: center[0], lng: center[1] };
+      filters.radiusKm = radiusKm;
+    } else if (query.radiusKm !== undefined) {
+      return { error: 'radiusKm needs near=lat,lng', status: 400 };
+    }
+
+    if (query.polygon !== undefined) {
+      const coordinates = String(query.polygon).split(';').map(point => numbers(point, 2));
+      const error = coordinates.includes(null)
+        ? 'polygon points must be [lat, lng] pairs'
+        : validateGeometry({ type: 'polygon', coordinates });
+      if (error) return { error: `polygon: ${error}; use lat,lng;lat,lng;...`, status: 400 };
+      filters.polygon = coordinates;
+    }
+
+    filters.terms = [...new Set(tokenize(query.q || ''))];
+
+    filters.sort = query.sort || (filters.terms.length ? 'relevance' : 'newest');
+    if (!SORTS[filters.sort]) return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}`, status: 400 };
+    if (filters.sort === 'distance' && !filters.near) return { error: 'sort=distance needs near=lat,lng', status: 400 };
+    if (filters.sort === 'relevance' && !filters.terms.length) return { error: 'sort=relevance needs q', status: 400 };
+
+    filters.limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}`, status: 400 };
+    }
+
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.sort !== filters.sort) return { error: 'cursor is invalid or belongs to a different sort', status: 400 };
+      filters.cursor = cursor;
+    }
+
+    return { filters };
+  }
+
+  // { reports, total, nextCursor } or { error, status }. total counts every
+  // match, not just this page; nextCursor is null on the last page. Exports
+  // pass paginate: false to get every match in sort order.
+  run(query, now = Date.now(), { paginate = true } = {}) {
+    const parsed = this.parse(query, now);
+    if (parsed.error) return parsed;
+    const { filters } = parsed;
+
+    // With a spatial filter only the reports in the matching grid cells are looked at
+    const candidates = this.candidates(filters);
+    const reports = candidates
+      ? [...candidates].map(id => this.db.reports.findById(id)).filter(Boolean)
+      : this.db.reports.all();
+    const matches = reports
+      .map(report => ({ report, match: this.match(report, filters) }))
+      .filter(({ match }) => match);
+
+    const keyed = matches
+      .map(entry => ({ ...entry, key: SORTS[filters.sort](entry.report, entry.match), id: String(entry.report.id) }))
+      .sort((a, b) => compareKeys(a.key, b.key) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    const start = paginate && filters.cursor
+      ? keyed.findIndex(entry => {
+        const order = compareKeys(entry.key, filters.cursor.key);
+        return order > 0 || (order === 0 && entry.id > filters.cursor.id);
+      })
+      : 0;
+    const end = paginate ? start + filters.limit : keyed.length;
+    const page = start === -1 ? [] : keyed.slice(start, end);
+    const last = page[page.length - 1];
+    const more = start !== -1 && end < keyed.length;
+
+    return {
+      reports: page.map(({ report, match }) => (filters.near ? { ...report, distanceKm: Math.round(match.distanceKm * 100) / 100 } : report)),
+      total: keyed.length,
+      sort: filters.sort,
+      nextCursor: more ? encodeCursor({ sort: filters.sort, key: last.key, id: last.id }) : null
+    };
+  }
+
+  // Ids inside the bounding box of every spatial filter, or null when there are none
+  candidates(filters) {
+    const boxes = [];
+    if (filters.bbox) boxes.push(filters.bbox);
+    if (filters.near && filters.radiusKm) {
+      const latSpan = filters.radiusKm / 111;
+      const lngSpan = filters.radiusKm / (111 * Math.max(Math.cos(filters.near.lat * Math.PI / 180), 0.01));
+      boxes.push({
+        south: filters.near.lat - latSpan,
+        west: filters.near.lng - lngSpan,
+        north: filters.near.lat + latSpan,
+        east: filters.near.lng + lngSpan
+      });
+    }
+    if (filters.polygon) {
+      const lats = filters.polygon.map(([lat]) => lat);
+      const lngs = filters.polygon.map(([, lng]) => lng);
+      boxes.push({ south: Math.min(...lats), west: Math.min(...lngs), north: Math.max(...lats), east: Math.max(...lngs) });
+    }
+    if (!boxes.length) return null;
+
+    return boxes
+      .map(box => this.spatial.within(box))
+      .reduce((common, ids) => new Set([...common].filter(id => ids.has(id))));
+  }
+
+  // null when the report is filtered out, otherwise what the sort needs
+  match(report, filters) {
+    if (!filters.includeMerged && report.mergedInto) return null;
+    const timestamp = time(report);
+    if (timestamp <= filters.since || timestamp > filters.until) return null;
+    if (filters.severity.length && !filters.severity.includes(report.severity)) return null;
+    if (filters.type.length && !filters.type.includes(report.type)) return null;
+    if (filters.status.length && !filters.status.includes(report.status)) return null;
+    if (filters.reporterRole.length && !filters.reporterRole.includes(report.reporterRole)) return null;
+    if (filters.verified !== undefined && !!report.verified !== filters.verified) return null;
+
+    const point = position(report);
+    const spatial = filters.bbox || filters.near || filters.polygon;
+    if (spatial && !point) return null;
+    if (filters.bbox) {
+      const { south, west, north, east } = filters.bbox;
+      const inLng = west <= east ? point.lng >= west && point.lng <= east : point.lng >= west || point.lng <= east;
+      if (point.lat < south || point.lat > north || !inLng) return null;
+    }
+    if (filters.polygon && !pointInPolygon(point, filters.polygon)) return null;
+
+    const match = {};
+    if (filters.near) {
+      match.distanceKm = calculateDistance(filters.near, point);
+      if (filters.radiusKm && match.distanceKm > filters.radiusKm) return null;
+    }
+
+    if (filters.terms.length) {
+      match.score = this.score(report, filters.terms);
+      if (!match.score) return null;
+    }
+    return match;
+  }
+
+  // Every search term has to prefix-match a word of the title, description or
+  // NLP keywords; title and keyword hits count for more than description hits
+  score(report, terms) {
+    const analysis = report.nlpAnalysis || {};
+    const fields = [
+      { tokens: tokenize(report.title), weight: 3 },
+      { tokens: tokenize((analysis.keywords || []).join(' ')), weight: 2 },
+      { tokens: tokenize(report.description), weight: 1 }
+    ];
+
+    let score = 0;
+    for (const term of terms) {
+      const hits = fields.reduce((sum, field) => sum + field.weight * field.tokens.filter(token => token.startsWith(term)).length, 0);
+      if (!hits) return 0;
+      score += hits;
+    }
+    return score;
+  }
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const valid = cursor && SORTS[cursor.sort] && Array.isArray(cursor.key) &&
+      cursor.key.every(part => typeof part === 'number') && typeof cursor.id === 'string';
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { ReportQuery, ReportIndex, SORTS, MAX_LIMIT };
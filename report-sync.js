@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { normalizeStatus } = require('./report-workflow.js');
+
+// Fields a reporter may change after submitting, online or offline
+const EDITABLE_FIELDS = [
+  'title', 'type', 'severity', 'description', 'peopleAffected', 'latitude', 'longitude',
+  'address', 'contact', 'hashtags', 'socialDescription'
+];
+
+// Once officials have reviewed a report its content is the reviewed record;
+// later offline edits are kept as proposals instead of being applied
+const REVIEWED_STATUSES = ['verified', 'rejected', 'resolved', 'closed'];
+
+const MAX_BATCH = 100;
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const TEXT_LIMITS = { title: 200, type: 50, description: 5000, address: 500, contact: 100, socialDescription: 1000 };
+
+// Checks the report fields present in `fields`, for new reports and edits
+// alike. FormData sends numbers as strings, so those are accepted; an empty
+// string means the field was left blank.
+function validateReportFields(fields) {
+  const present = field => fields[field] !== undefined && fields[field] !== null && fields[field] !== '';
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (!present(field)) continue;
+    if (typeof fields[field] !== 'string') return `${field} must be text`;
+    if (fields[field].length > limit) return `${field} must be at most ${limit} characters`;
+  }
+  if (present('severity') && !SEVERITIES.includes(fields.severity)) {
+    return `severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  for (const [field, max] of [['latitude', 90], ['longitude', 180]]) {
+    if (!present(field)) continue;
+    const value = Number(fields[field]);
+    if (typeof fields[field] === 'object' || !isFinite(value) || Math.abs(value) > max) {
+      return `${field} must be a number from -${max} to ${max}`;
+    }
+  }
+  if (present('peopleAffected')) {
+    const people = Number(fields.peopleAffected);
+    if (typeof fields.peopleAffected === 'object' || !Number.isInteger(people) || people < 0) {
+      return 'peopleAffected must be a whole number';
+    }
+  }
+  if (present('hashtags') && typeof fields.hashtags !== 'string' &&
+    !(Array.isArray(fields.hashtags) && fields.hashtags.every(tag => typeof tag === 'string'))) {
+    return 'hashtags must be text or a list of text';
+  }
+  return null;
+}
+
+// Who a clientId belongs to: the signed-in user, or for anonymous reporters
+// the secret device token their browser sends as X-Device-Token. Without
+// either there is nobody to scope the id to.
+function clientOwner(user, deviceToken) {
+  if (user) return `user:${user.id}`;
+  if (typeof deviceToken === 'string' && deviceToken.length >= 16) {
+    return `device:${crypto.createHash('sha256').update(deviceToken).digest('hex')}`;
+  }
+  return null;
+}
+
+// Reports store this instead of the clientId, so a clientId seen elsewhere
+// neither finds nor edits someone else's report
+function clientKey(owner, clientId) {
+  return crypto.createHash('sha256').update(`${owner}\n${clientId}`).digest('hex');
+}
+
+// FormData and JSON clients disagree on types ("12" vs 12), so compare as strings
+function same(a, b) {
+  const text = value => (value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return text(a) === text(b);
+}
+
+// Batch sync for offline clients. Every report carries a client-generated
+// UUID (clientId) that doubles as its idempotency key: re-sending a create
+// returns the report made the first time, and re-sending an update that was
+// already applied changes nothing. Client ids are scoped to their owner (see
+// clientOwner). Each item gets its own result, so one bad item never fails
+// the batch.
+class SyncService {
+  constructor(db, { createReport, onUpdated = () => {}, uploads }) {
+    this.db = db;
+    this.createReport = createReport;
+    this.onUpdated = onUpdated;
+    this.uploads = uploads;
+  }
+
+  // `owners` are tried in order; an anonymous report created on this device
+  // stays editable after its reporter signs in
+  findByClientId(clientId, owners) {
+    const keys = owners.map(owner => clientKey(owner, clientId));
+    for (const key of keys) {
+      const report = this.db.reports.find(r => r.clientKey === key);
+      if (report) return report;
+    }
+    return null;
+  }
+
+  processBatch(items, user, deviceToken) {
+    if (!Array.isArray(items)) return { error: 'items must be an array', status: 400 };
+    if (items.length > MAX_BATCH) return { error: `At most ${MAX_BATCH} items per sync`, status: 413 };
+
+    // In order, so an update can follow the create of the same report
+    return {
+      results: items.map(item => {
+        try {
+          return this.processItem(item, user, deviceToken);
+        } catch (error) {
+          console.error('Sync item failed:', error);
+          return { clientId: item && item.clientId, status: 'error', error: 'Internal error', retryable: true };
+        }
+      })
+    };
+  }
+
+  processItem(item, user, deviceToken) {
+    if (!item || typeof item.clientId !== 'string' || !item.clientId) {
+      return { clientId: null, status: 'error', error: 'clientId is required', retryable: false };
+    }
+    if (!item.report || typeof item.report !== 'object') {
+      return { clientId: item.clientId, status: 'error', error: 'report is required', retryable: false };
+    }
+
+    const op = item.op || 'create';
+    const owners = [clientOwner(user, deviceToken), clientOwner(null, deviceToken)].filter(Boolean);
+    const invalid = validateReportFields(item.report);
+    if (invalid) return { clientId: item.clientId, status: 'error', error: invalid, retryable: false };
+
+    if (op === 'create') return this.create(item, user, owners);
+    if (op === 'update') return this.update(item, user, owners);
+    return { clientId: item.clientId, status: 'error', error: `Unknown op '${op}'`, retryable: false };
+  }
+
+  // Without an owner the create still happens, but a resend makes a second report
+  create(item, user, owners) {
+    const existing = this.findByClientId(item.clientId, owners);
+    if (existing) return { clientId: item.clientId, status: 'duplicate', reportId: existing.id, report: existing };
+
+    // Media is uploaded first through /api/uploads; an unfinished upload is retried later
+    const resolved = this.uploads.resolve(item.mediaUploads || [], owners, user);
+    if (resolved.error) return { clientId: item.clientId, status: 'error', error: resolved.error, retryable: true };
+
+    const { report, duplicates } = this.createReport(item.report, user, resolved.media, owners.length ? clientKey(owners[0], item.clientId) : null);
+    return { clientId: item.clientId, status: 'created', reportId: report.id, report, duplicates };
+  }
+
+  // Three-way merge: `base` is the server copy the client last saw. A field
+  // the client changed is applied unless the server changed it too since
+  // then, in which case the server value wins and the field is reported.
+  // Anonymous reports can only be edited from the device that sent them
+  update(item, user, owners) {
+    const report = this.findByClientId(item.clientId, owners);
+    if (!report) return { clientId: item.clientId, status: 'error', error: 'Report not found', retryable: false };
+    if (report.reporterId && (!user || String(user.id) !== String(report.reporterId))) {
+      return { clientId: item.clientId, status: 'error', error: 'Only the reporter can edit this report', retryable: false };
+    }
+
+    const base = item.base || {};
+    const edited = EDITABLE_FIELDS.filter(field =>
+      item.report[field] !== undefined && !same(item.report[field], base[field]) && !same(item.report[field], report[field]));
+
+    if (!edited.length) return { clientId: item.clientId, status: 'updated', reportId: report.id, report, conflicts: [] };
+
+    const conflictFor = field => ({ field, clientValue: item.report[field], serverValue: report[field] });
+
+    if (REVIEWED_STATUSES.includes(normalizeStatus(report.status))) {
+      const proposals = report.proposedEdits || [];
+      const editId = item.editId || null;
+      const updated = editId && proposals.some(p => p.editId === editId)
+        ? report
+        : this.db.reports.update(report.id, {
+          proposedEdits: [...proposals, {
+            editId,
+            userId: user ? user.id : null,
+            changes: Object.fromEntries(edited.map(field => [field, item.report[field]])),
+            submittedAt: new Date().toISOString()
+          }]
+        });
+      return {
+        clientId: item.clientId,
+        status: 'conflict',
+        resolution: 'queued_for_review',
+        reportId: report.id,
+        report: updated,
+        conflicts: edited.map(conflictFor)
+      };
+    }
+
+    const conflicts = edited.filter(field => base[field] !== undefined && !same(base[field], report[field]));
+    const changes = Object.fromEntries(edited.filter(field => !conflicts.includes(field)).map(field => [field, item.report[field]]));
+
+    let updated = report;
+    if (Object.keys(changes).length) {
+      updated = this.db.reports.update(report.id, { ...changes, updatedAt: new Date().toISOString() });
+      updated = this.onUpdated(updated, Object.keys(changes)) || updated;
+    }
+
+    return {
+      clientId: item.clientId,
+      status: 'updated',
+      resolution: conflicts.length ? 'server_wins' : undefined,
+      reportId: report.id,
+      report: updated,
+      conflicts: conflicts.map(conflictFor)
+    };
+  }
+}
+
+module.exports = { SyncService, EDITABLE_FIELDS, REVIEWED_STATUSES, validateReportFields, clientOwner, clientKey };
@@ -0,0 +1,122 @@
+// Report verification workflow
+//
+//   submitted -> triaged -> verified -> resolved -> closed
+//                     \          \-------------------/
+//                      -> rejected -> closed
+//
+// Every transition needs an actor and a reason and is written to the
+// reportAudit collection; a report's `verified` flag is derived from it.
+const STATUSES = ['submitted', 'triaged', 'verified', 'rejected', 'resolved', 'closed'];
+
+const TRANSITIONS = {
+  submitted: ['triaged', 'rejected'],
+  triaged: ['verified', 'rejected'],
+  verified: ['resolved', 'closed'],
+  rejected: ['closed'],
+  resolved: ['closed'],
+  closed: []
+};
+
+// Who may move a report into each status
+const TRANSITION_ROLES = {
+  triaged: ['official', 'responder'],
+  verified: ['official'],
+  rejected: ['official'],
+  resolved: ['official', 'responder'],
+  closed: ['official']
+};
+
+// Statuses used by older clients (issues.html stored 'pending')
+const LEGACY_STATUSES = { pending: 'submitted' };
+
+function normalizeStatus(status) {
+  return LEGACY_STATUSES[status] || (STATUSES.includes(status) ? status : 'submitted');
+}
+
+class ReportWorkflow {
+  constructor(db) {
+    this.db = db;
+  }
+
+  nextStatuses(report, role) {
+    return (TRANSITIONS[normalizeStatus(report.status)] || [])
+      .filter(status => !role || TRANSITION_ROLES[status].includes(role));
+  }
+
+  // A report counts as verified once it reached 'verified' and stays so
+  // through resolution and closing; rejection clears it.
+  deriveVerified(reportId) {
+    const history = this.history(reportId);
+    return history.reduce((verified, entry) => {
+      if (entry.to === 'verified') return true;
+      if (entry.to === 'rejected') return false;
+      return verified;
+    }, false);
+  }
+
+  // Record the initial 'submitted' state for a newly created report
+  recordSubmission(report, actor) {
+    return this.writeAudit(report.id, null, 'submitted', actor, 'Report submitted');
+  }
+
+  transition(reportId, to, actor, reason) {
+    const report = this.db.reports.findById(reportId);
+    if (!report) return { error: 'Report not found', status: 404 };
+
+    if (!STATUSES.includes(to)) {
+      return { error: `Status must be one of: ${STATUSES.join(', ')}`, status: 400 };
+    }
+    if (!reason || !String(reason).trim()) {
+      return { error: 'A reason is required for every status change', status: 400 };
+    }
+
+    const from = normalizeStatus(report.status);
+    if (!TRANSITIONS[from].includes(to)) {
+      return { error: `Cannot move a report from ${from} to ${to}`, status: 409 };
+    }
+    if (!TRANSITION_ROLES[to].includes(actor.role)) {
+      return { error: `Only ${TRANSITION_ROLES[to].join(' or ')} users can mark a report ${to}`, status: 403 };
+    }
+
+    const entry = this.writeAudit(report.id, from, to, actor, String(reason).trim());
+    const updated = this.db.reports.update(report.id, {
+      status: to,
+      statusUpdatedAt: entry.timestamp,
+      verified: this.deriveVerified(report.id)
+    });
+
+    return { report: updated, audit: entry };
+  }
+
+  writeAudit(reportId, from, to, actor, reason) {
+    return this.db.reportAudit.insert({
+      id: `${reportId}-${Date.now()}-${this.db.reportAudit.count()}`,
+      reportId,
+      from,
+      to,
+      reason,
+      actorId: actor ? actor.id : null,
+      actorRole: actor ? actor.role : 'anonymous',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Audit trail for one report, oldest first, optionally filtered
+  history(reportId, { since, until, actorId, status } = {}) {
+    return this.db.reportAudit
+      .filter(entry => String(entry.reportId) === String(reportId))
+      .filter(entry => !since || new Date(entry.timestamp) >= new Date(since))
+      .filter(entry => !until || new Date(entry.timestamp) <= new Date(until))
+      .filter(entry => !actorId || String(entry.actorId) === String(actorId))
+      .filter(entry => !status || entry.to === status)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TRANSITION_ROLES,
+  ReportWorkflow,
+  normalizeStatus
+};
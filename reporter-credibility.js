@@ -0,0 +1,178 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+const { GridIndex } = require('./hotspot-clustering.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const HOUR = 60 * 60 * 1000;
+
+// Starting score for a reporter with nothing reviewed yet. Imported reports
+// come from curated archives and feeds.
+const ROLE_PRIORS = {
+  official: 0.9,
+  responder: 0.8,
+  import: 0.7,
+  volunteer: 0.6,
+  citizen: 0.5,
+  anonymous: 0.25
+};
+
+const DEFAULT_OPTIONS = {
+  priorStrength: 4, // reviewed reports it takes to outweigh the role prior
+  corroborationWeight: 0.5, // an unreviewed report confirmed by another reporter counts as half a verification
+  corroborationRadiusKm: 2,
+  corroborationHours: 6,
+  // Below this a critical report waits for corroboration before warning anyone
+  warningThreshold: Number(process.env.CREDIBILITY_WARNING_THRESHOLD) || 0.4
+};
+
+// Reporter credibility, 0..1. Verified reports raise it and rejected ones
+// lower it, starting from a prior for the reporter's role:
+//
+//   score = (verified + w * corroborated + prior * k) / (verified + w * corroborated + rejected + k)
+//
+// so a first-time citizen sits at 0.5 and a volunteer with fifty verified
+// reports near 1. Scores are cached until invalidated.
+class ReporterCredibility {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cache = new Map();
+    this.grid = null; // reports that can corroborate, by position; built on first use
+    this.indexed = new Map(); // report id -> its grid point
+  }
+
+  // Everything, e.g. after edits or imports that rebuild the hotspots anyway
+  invalidate() {
+    this.cache.clear();
+    this.grid = null;
+    this.indexed.clear();
+  }
+
+  // After a role change; the role only sets that user's prior
+  invalidateUser(userId) {
+    this.cache.delete(String(userId));
+  }
+
+  // After a report is added or changes status: its reporter's score changes,
+  // and so do the scores of reporters it corroborates nearby
+  invalidateReport(report) {
+    if (this.grid) this.indexReport(report);
+    this.invalidateUser(report.reporterId);
+    this.corroborators(report).forEach(other => this.invalidateUser(other.reporterId));
+  }
+
+  // Breakdown for a registered user, or null if there is no such user
+  forUser(userId) {
+    const key = String(userId);
+    if (!this.cache.has(key)) {
+      const user = this.db.users.findById(userId);
+      if (!user) return null;
+      this.cache.set(key, this.compute(user));
+    }
+    return this.cache.get(key);
+  }
+
+  // Anonymous and imported reports have no history and get their role prior
+  forReport(report) {
+    const user = report.reporterId !== null && report.reporterId !== undefined && this.forUser(report.reporterId);
+    return user || this.breakdown(null, report.reporterRole || 'anonymous', {});
+  }
+
+  // Hotspot multiplier: 0.5 for the least credible reporter, 1 for a new citizen, 1.5 at full trust
+  weight(report) {
+    return 0.5 + this.forReport(report).score;
+  }
+
+  canTriggerWarning(report) {
+    return this.forReport(report).canTriggerWarning;
+  }
+
+  compute(user) {
+    const own = this.db.reports.filter(report => String(report.reporterId) === String(user.id));
+    const ownIds = new Set(own.map(report => String(report.id)));
+    const rejectedIds = new Set(this.db.reportAudit
+      .filter(entry => entry.to === 'rejected' && ownIds.has(String(entry.reportId)))
+      .map(entry => String(entry.reportId)));
+
+    const verified = own.filter(report => report.verified);
+    const rejected = own.filter(report => !report.verified && rejectedIds.has(String(report.id)));
+    const unreviewed = own.filter(report => !report.verified && !rejectedIds.has(String(report.id)));
+    const corroborated = unreviewed.filter(report => this.corroborators(report).length > 0);
+
+    return this.breakdown(user.id, user.role, {
+      reports: own.length,
+      verified: verified.length,
+      rejected: rejected.length,
+      corroborated: corroborated.length,
+      unreviewed: unreviewed.length - corroborated.length
+    });
+  }
+
+  breakdown(userId, role, { reports = 0, verified = 0, rejected = 0, corroborated = 0, unreviewed = 0 }) {
+    const { priorStrength, corroborationWeight, warningThreshold } = this.options;
+    const prior = ROLE_PRIORS[role] !== undefined ? ROLE_PRIORS[role] : ROLE_PRIORS.citizen;
+    const support = verified + corroborationWeight * corroborated;
+    const score = Math.round(((support + prior * priorStrength) / (support + rejected + priorStrength)) * 100) / 100;
+
+    return {
+      userId,
+      role,
+      score,
+      prior,
+      reports,
+      verified,
+      rejected,
+      corroborated,
+      unreviewed,
+      hotspotWeight: Math.round((0.5 + score) * 100) / 100,
+      canTriggerWarning: score >= warningThreshold
+    };
+  }
+
+  indexReport(report) {
+    const key = String(report.id);
+    if (this.indexed.has(key)) this.grid.remove(this.indexed.get(key));
+    this.indexed.delete(key);
+
+    const point = { lat: parseFloat(report.latitude), lng: parseFloat(report.longitude), id: report.id };
+    if (!canCorroborate(report) || !isFinite(point.lat) || !isFinite(point.lng)) return;
+    this.grid.add(point);
+    this.indexed.set(key, point);
+  }
+
+  index() {
+    if (!this.grid) {
+      this.grid = new GridIndex(this.options.corroborationRadiusKm);
+      this.db.reports.all().forEach(report => this.indexReport(report));
+    }
+    return this.grid;
+  }
+
+  // Other reporters' reports of the same hazard close by in space and time
+  corroborators(report) {
+    const { corroborationRadiusKm, corroborationHours } = this.options;
+    const point = { lat: parseFloat(report.latitude), lng: parseFloat(report.longitude) };
+    const time = new Date(report.timestamp).getTime();
+    if (!isFinite(point.lat) || !isFinite(point.lng) || !isFinite(time)) return [];
+
+    return this.index().nearby(point)
+      .map(candidate => this.db.reports.findById(candidate.id))
+      .filter(other =>
+        other &&
+        String(other.id) !== String(report.id) &&
+        other.type === report.type &&
+        (isUnattributed(other) || String(other.reporterId) !== String(report.reporterId)) &&
+        other.status !== 'rejected' &&
+        Math.abs(new Date(other.timestamp).getTime() - time) <= corroborationHours * HOUR &&
+        calculateDistance(point, { lat: parseFloat(other.latitude), lng: parseFloat(other.longitude) }) <= corroborationRadiusKm
+      );
+  }
+}
+
+const isUnattributed = report => report.reporterId === null || report.reporterId === undefined;
+
+// Anyone can post any number of anonymous reports, so they never confirm
+// someone else's; imported reports come from curated sources and do
+const canCorroborate = report => !isUnattributed(report) || report.reporterRole === 'import';
+
+module.exports = { ReporterCredibility, ROLE_PRIORS };
@@ -0,0 +1,222 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+const HOUR = 60 * 60 * 1000;
+const MAX_HORIZON_HOURS = 168;
+
+// How much each factor can add to the combined risk when it is at its worst
+const FACTOR_WEIGHTS = {
+  storm: 0.8,
+  wind: 0.6,
+  waves: 0.7,
+  visibility: 0.3,
+  hazards: 0.9,
+  reports: 0.5,
+  hotspots: 0.6
+};
+
+const SEVERITY_WEIGHTS = { low: 0.25, medium: 0.5, high: 0.8, critical: 1 };
+
+const SENSOR_RADIUS_KM = 50;
+const POINT_RADIUS_KM = 300;
+const HAZARD_RADIUS_KM = 100;
+const REPORT_RADIUS_KM = 25;
+
+// A forecast entry is used for hours within this distance of its time (OpenWeatherMap is 3-hourly)
+const FORECAST_TOLERANCE = 90 * 60 * 1000;
+
+// Observations give way to the forecast over a few hours; community signals fade with these half-lives
+const OBSERVATION_DECAY_HOURS = 3;
+const REPORT_HALF_LIFE_HOURS = 6;
+const HOTSPOT_HALF_LIFE_HOURS = 12;
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function riskLevel(risk) {
+  return risk > 0.7 ? 'high' : risk > 0.4 ? 'medium' : 'low';
+}
+
+// Latest value of a metric near the location: a healthy sensor within
+// SENSOR_RADIUS_KM first, otherwise the nearest monitoring point's conditions
+function observe(metric, location, sensors, point) {
+  const sensor = sensors
+    .filter(reading => reading.metric === metric)
+    .map(reading => ({ reading, distance: calculateDistance(location, reading.sensor.location) }))
+    .filter(({ distance }) => distance <= SENSOR_RADIUS_KM)
+    .sort((a, b) => a.distance - b.distance)[0];
+  if (sensor) return { value: sensor.reading.value, source: `sensor ${sensor.reading.sensor.id}` };
+
+  const value = point && point.current ? point.current[metric] : undefined;
+  return typeof value === 'number' ? { value, source: `observed at ${point.name}` } : null;
+}
+
+function forecastAt(point, time) {
+  if (!point) return null;
+  const entry = point.forecast
+    .map(f => ({ f, gap: Math.abs(new Date(f.time).getTime() - time) }))
+    .filter(({ gap }) => gap <= FORECAST_TOLERANCE)
+    .sort((a, b) => a.gap - b.gap)[0];
+  return entry ? entry.f : null;
+}
+
+// Observation for the first hours, blending into the forecast as the horizon grows
+function blend(observed, forecast, hour) {
+  if (!observed && (forecast === undefined || forecast === null)) return null;
+  if (!observed) return { value: forecast, source: 'forecast' };
+  const weight = Math.exp(-hour / OBSERVATION_DECAY_HOURS);
+  if (forecast === undefined || forecast === null) {
+    return weight >= 0.1 ? { value: observed.value, source: observed.source, weight } : null;
+  }
+  return {
+    value: weight * observed.value + (1 - weight) * forecast,
+    source: weight >= 0.5 ? observed.source : 'forecast'
+  };
+}
+
+// Hourly risk timeline for one location over `hours`, combining the
+// forecast of the nearest monitoring point, current sensor and point
+// observations, active hazards, verified citizen reports and hotspots.
+// Each factor scores 0..1; the hourly risk is 1 - product(1 - weight * score),
+// so independent signals add up without exceeding 1. The result depends only
+// on its inputs and `now`, so the same data always gives the same timeline.
+//
+// points:   OceanMonitorAPI.pointConditions results ({ name, location, current, forecast })
+// sensors:  SensorRegistry.latestReadings()
+// hazards:  OceanMonitorAPI.hazards
+// reports:  verified reports ({ latitude, longitude, severity, timestamp, title })
+// hotspots: open hotspots ({ latitude, longitude, severity, radiusKm, reportCount })
+function assessRisk({ location, hours = 24, now = Date.now(), points = [], sensors = [], hazards = [], reports = [], hotspots = [] }) {
+  const start = Math.floor(now / HOUR) * HOUR;
+
+  const point = points
+    .map(p => ({ p, distance: calculateDistance(location, p.location) }))
+    .filter(({ distance }) => distance <= POINT_RADIUS_KM)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ p }) => p)[0] || null;
+
+  const observed = {
+    windSpeed: observe('windSpeed', location, sensors, point),
+    waveHeight: observe('waveHeight', location, sensors, point),
+    visibility: observe('visibility', location, sensors, point)
+  };
+
+  const nearbyHazards = hazards
+    .filter(h => h.location && isFinite(h.location.lat))
+    .map(h => ({ h, distance: calculateDistance(location, h.location) }))
+    .filter(({ distance }) => distance <= HAZARD_RADIUS_KM);
+  const hazardScore = clamp(nearbyHazards.reduce((sum, { h, distance }) =>
+    sum + (SEVERITY_WEIGHTS[h.severity] || 0.5) * (1 - distance / HAZARD_RADIUS_KM), 0));
+
+  const nearbyReports = reports
+    .map(r => ({
+      r,
+      distance: calculateDistance(location, { lat: Number(r.latitude), lng: Number(r.longitude) }),
+      ageHours: (now - new Date(r.timestamp).getTime()) / HOUR
+    }))
+    .filter(({ distance, ageHours }) => distance <= REPORT_RADIUS_KM && ageHours >= 0 && ageHours <= 24);
+  const reportScore = clamp(nearbyReports.reduce((sum, { r, distance, ageHours }) =>
+    sum + (SEVERITY_WEIGHTS[r.severity] || 0.5) * (1 - distance / REPORT_RADIUS_KM) * Math.pow(0.5, ageHours / REPORT_HALF_LIFE_HOURS), 0));
+
+  const nearbyHotspots = hotspots
+    .map(h => ({ h, distance: calculateDistance(location, { lat: h.latitude, lng: h.longitude }) }))
+    .filter(({ h, distance }) => distance <= (h.radiusKm || 0) + REPORT_RADIUS_KM);
+  const hotspotScore = clamp(nearbyHotspots.reduce((sum, { h, distance }) =>
+    sum + (SEVERITY_WEIGHTS[h.severity] || 0.5) * (1 - Math.max(0, distance - (h.radiusKm || 0)) / REPORT_RADIUS_KM), 0));
+
+  const timeline = [];
+  for (let hour = 0; hour < hours; hour++) {
+    const time = start + hour * HOUR;
+    const forecast = forecastAt(point, time);
+    const wind = blend(observed.windSpeed, forecast && forecast.windSpeed, hour);
+    const waves = blend(observed.waveHeight, forecast && forecast.waveHeight, hour);
+    const visibility = blend(observed.visibility, null, hour);
+
+    const factors = {
+      storm: forecast && typeof forecast.stormRisk === 'number'
+        ? { score: forecast.stormRisk / 100, detail: `Forecast storm likelihood ${forecast.stormRisk}%` }
+        : null,
+      wind: wind && {
+        score: clamp((wind.value - 20) / 50) * (wind.weight || 1),
+        detail: `Wind ${wind.value.toFixed(0)} km/h (${wind.source})`
+      },
+      waves: waves && {
+        score: clamp((waves.value - 1) / 3) * (waves.weight || 1),
+        detail: `Waves ${waves.value.toFixed(1)} m (${waves.source})`
+      },
+      visibility: visibility && {
+        score: clamp((5 - visibility.value) / 4) * visibility.weight,
+        detail: `Visibility ${visibility.value.toFixed(1)} km (${visibility.source})`
+      },
+      hazards: nearbyHazards.length ? {
+        score: hazardScore,
+        detail: `${nearbyHazards.length} active hazard(s) within ${HAZARD_RADIUS_KM} km: ${nearbyHazards.map(({ h }) => h.title || h.type).join('; ')}`
+      } : null,
+      reports: nearbyReports.length ? {
+        score: reportScore * Math.pow(0.5, hour / REPORT_HALF_LIFE_HOURS),
+        detail: `${nearbyReports.length} verified citizen report(s) within ${REPORT_RADIUS_KM} km in the last 24 hours`
+      } : null,
+      hotspots: nearbyHotspots.length ? {
+        score: hotspotScore * Math.pow(0.5, hour / HOTSPOT_HALF_LIFE_HOURS),
+        detail: `${nearbyHotspots.length} report hotspot(s) nearby, worst ${nearbyHotspots.map(({ h }) => h.severity).sort((a, b) => SEVERITY_WEIGHTS[b] - SEVERITY_WEIGHTS[a])[0]}`
+      } : null
+    };
+
+    const explained = {};
+    let safe = 1;
+    Object.entries(factors).forEach(([name, factor]) => {
+      if (!factor) return;
+      const contribution = FACTOR_WEIGHTS[name] * factor.score;
+      safe *= 1 - contribution;
+      explained[name] = { score: round(factor.score), contribution: round(contribution), detail: factor.detail };
+    });
+
+    const risk = round(1 - safe);
+    // The values behind the scores, for consumers with their own limits (see activity-advisories.js)
+    const conditions = {
+      windSpeed: wind ? round(wind.value, 1) : null,
+      waveHeight: waves ? round(waves.value, 1) : null,
+      visibility: visibility ? round(visibility.value, 1) : null,
+      stormRisk: forecast && typeof forecast.stormRisk === 'number' ? forecast.stormRisk : null
+    };
+    timeline.push({ time: new Date(time).toISOString(), risk, level: riskLevel(risk), factors: explained, conditions });
+  }
+
+  const peak = timeline.reduce((worst, entry) => (entry.risk > worst.risk ? entry : worst), timeline[0]);
+  const drivers = Object.entries(peak.factors)
+    .filter(([, factor]) => factor.contribution > 0)
+    .sort((a, b) => b[1].contribution - a[1].contribution)
+    .map(([factor, { contribution, detail }]) => ({ factor, contribution, detail }));
+
+  return {
+    location,
+    horizonHours: hours,
+    overallRisk: peak.risk,
+    riskLevel: peak.level,
+    peak: { time: peak.time, risk: peak.risk },
+    factors: peak.factors,
+    drivers,
+    explanation: drivers.length
+      ? `Risk peaks at ${peak.level} (${Math.round(peak.risk * 100)}%) at ${peak.time}, driven mainly by: ${drivers.slice(0, 3).map(d => d.detail).join('; ')}.`
+      : 'No forecast, observations, hazards or reports indicate elevated risk at this location.',
+    timeline,
+    inputs: {
+      forecastPoint: point ? point.name : null,
+      forecastHours: timeline.filter(entry => entry.factors.storm || (entry.factors.wind && entry.factors.wind.detail.includes('forecast'))).length,
+      sensors: sensors.filter(r => calculateDistance(location, r.sensor.location) <= SENSOR_RADIUS_KM).length,
+      hazards: nearbyHazards.length,
+      reports: nearbyReports.length,
+      hotspots: nearbyHotspots.length
+    },
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+module.exports = { assessRisk, MAX_HORIZON_HOURS, FACTOR_WEIGHTS };
@@ -0,0 +1,194 @@
+const OceanMonitorAPI = require('./ocean-api.js');
+const { SENSOR_TYPES } = require('./sensor-registry.js');
+
+const calculateDistance = OceanMonitorAPI.prototype.calculateDistance;
+
+// Automated sensor health checks. Readings are checked as they arrive and
+// marked suspect (the `q` flags on a stored reading) when they are out of
+// range, stuck on one value or far from what neighbouring sensors report;
+// suspect readings are left out of downsampled series and hazard thresholds.
+// check() runs on a timer and keeps one open maintenance alert per sensor
+// and issue, including sensors that have stopped reporting.
+
+// Physically plausible values per sensor type, in the type's standard unit
+const VALID_RANGES = {
+  wave_height: { min: 0, max: 20 },
+  wind_speed: { min: 0, max: 300 },
+  water_temperature: { min: -2, max: 40 },
+  air_pressure: { min: 870, max: 1085 },
+  visibility: { min: 0, max: 100 },
+  tide_level: { min: -10, max: 10 }
+};
+
+// How far a reading may sit from the median of its neighbours before it is a spike
+const SPIKE_TOLERANCE = {
+  wave_height: 2,
+  wind_speed: 30,
+  water_temperature: 3,
+  air_pressure: 10,
+  visibility: 10,
+  tide_level: 1.5
+};
+
+// How long an unchanged value is believable; visibility sits at its ceiling in clear weather
+const FLATLINE_AFTER = {
+  wave_height: 60 * 60 * 1000,
+  wind_speed: 2 * 60 * 60 * 1000,
+  water_temperature: 6 * 60 * 60 * 1000,
+  air_pressure: 6 * 60 * 60 * 1000,
+  visibility: null,
+  tide_level: 60 * 60 * 1000
+};
+
+const FLATLINE_MIN_READINGS = 6;
+const NEIGHBOUR_RADIUS_KM = 50;
+
+// Missed reporting intervals before a sensor is stale (matches the registry's offline status)
+const STALE_AFTER_INTERVALS = 3;
+
+const ISSUES = {
+  stale: 'has stopped reporting',
+  flatline: 'is reporting a constant value',
+  out_of_range: 'is reporting values outside its valid range',
+  spike: 'disagrees with neighbouring sensors'
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class SensorHealth {
+  constructor(db, { timeseries }) {
+    this.db = db;
+    this.timeseries = timeseries;
+  }
+
+  // The built-in ranges only hold for sensors reporting in their type's standard unit
+  range(sensor) {
+    if (sensor.validRange) return sensor.validRange;
+    return sensor.units === SENSOR_TYPES[sensor.type] ? VALID_RANGES[sensor.type] : null;
+  }
+
+  // Latest trustworthy values of same-type sensors nearby that were reporting around time t
+  neighbourValues(sensor, t) {
+    return this.db.sensors
+      .filter(other => other.id !== sensor.id && other.type === sensor.type && other.units === sensor.units && !other.retiredAt)
+      .filter(other => other.lastReadingAt && !(other.lastFlags || []).length)
+      .filter(other => Math.abs(new Date(other.lastReadingAt).getTime() - t) <= other.reportingInterval * 1000 * STALE_AFTER_INTERVALS)
+      .filter(other => calculateDistance(sensor.location, other.location) <= NEIGHBOUR_RADIUS_KM)
+      .map(other => other.lastValue);
+  }
+
+  // Adds `q` flags to suspect readings of one batch; readings are { t, v, r }
+  assess(sensor, readings) {
+    if (!readings.length) return readings;
+    const sorted = [...readings].sort((a, b) => a.t - b.t);
+    const range = this.range(sensor);
+    const tolerance = SPIKE_TOLERANCE[sensor.type];
+    const flatlineAfter = FLATLINE_AFTER[sensor.type];
+
+    // Stored readings just before the batch, so a flat run can span batches
+    const history = flatlineAfter
+      ? this.timeseries.entries(sensor.id, sorted[0].t - flatlineAfter, sorted[0].t - 1).filter(e => e.v !== undefined)
+      : [];
+    let run = [];
+    const extendRun = entry => {
+      if (run.length && run[0].v === entry.v) run.push(entry);
+      else run = [entry];
+    };
+    history.forEach(extendRun);
+
+    return sorted.map(reading => {
+      const flags = [];
+      if (range && (reading.v < range.min || reading.v > range.max)) flags.push('out_of_range');
+
+      if (flatlineAfter) {
+        extendRun(reading);
+        if (run.length >= FLATLINE_MIN_READINGS && reading.t - run[0].t >= flatlineAfter) flags.push('flatline');
+      }
+
+      if (tolerance !== undefined) {
+        const neighbours = this.neighbourValues(sensor, reading.t);
+        if (neighbours.length && Math.abs(reading.v - median(neighbours)) > tolerance) flags.push('spike');
+      }
+
+      return flags.length ? { ...reading, q: flags } : reading;
+    });
+  }
+
+  // Current problems with one sensor
+  issues(sensor, now = Date.now()) {
+    if (sensor.retiredAt) return [];
+    // A sensor that has never reported gets its first intervals from registration
+    const since = sensor.lastReadingAt || sensor.createdAt;
+    const silence = since ? now - new Date(since).getTime() : Infinity;
+    if (silence > sensor.reportingInterval * 1000 * STALE_AFTER_INTERVALS) return ['stale'];
+    return sensor.lastFlags || [];
+  }
+
+  // Opens a maintenance alert (and notifies the owner) for each new issue and
+  // resolves alerts whose issue has cleared
+  check(now = Date.now()) {
+    const opened = [];
+    const resolved = [];
+    const timestamp = new Date(now).toISOString();
+
+    this.db.sensors.all().forEach(sensor => {
+      const current = this.issues(sensor, now);
+      const open = this.db.maintenanceAlerts.filter(a => a.sensorId === sensor.id && !a.resolvedAt);
+
+      open.filter(alert => !current.includes(alert.issue)).forEach(alert => {
+        resolved.push(this.db.maintenanceAlerts.update(alert.id, { resolvedAt: timestamp }));
+      });
+
+      current.filter(issue => !open.some(alert => alert.issue === issue)).forEach(issue => {
+        const alert = this.db.maintenanceAlerts.insert({
+          id: `${sensor.id}-${issue}-${now}`,
+          sensorId: sensor.id,
+          sensorName: sensor.name,
+          ownerId: sensor.ownerId,
+          issue,
+          message: `${sensor.name} (${sensor.id}) ${ISSUES[issue]}`,
+          openedAt: timestamp,
+          resolvedAt: null,
+          acknowledgedAt: null,
+          acknowledgedBy: null
+        });
+        this.db.notifications.insert({
+          id: `maintenance-${alert.id}`,
+          userId: sensor.ownerId,
+          warningId: null,
+          maintenanceAlertId: alert.id,
+          title: 'Sensor maintenance needed',
+          body: alert.message,
+          createdAt: timestamp,
+          readAt: null
+        });
+        opened.push(alert);
+      });
+    });
+
+    return { opened, resolved };
+  }
+
+  // Officials see every alert, owners the alerts for their own sensors
+  alerts(user, { open } = {}) {
+    return this.db.maintenanceAlerts
+      .filter(alert => user.role === 'official' || String(alert.ownerId) === String(user.id))
+      .filter(alert => !open || !alert.resolvedAt)
+      .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+  }
+
+  acknowledge(alertId, user) {
+    const alert = this.db.maintenanceAlerts.findById(alertId);
+    if (!alert || (user.role !== 'official' && String(alert.ownerId) !== String(user.id))) {
+      return { error: 'Maintenance alert not found', status: 404 };
+    }
+    if (alert.acknowledgedAt) return { alert };
+    return { alert: this.db.maintenanceAlerts.update(alert.id, { acknowledgedAt: new Date().toISOString(), acknowledgedBy: user.id }) };
+  }
+}
+
+module.exports = { SensorHealth, VALID_RANGES };
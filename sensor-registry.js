@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+
+// Known sensor types and the unit their readings are stored in
+const SENSOR_TYPES = {
+  wave_height: 'm',
+  wind_speed: 'km/h',
+  water_temperature: '°C',
+  air_pressure: 'hPa',
+  visibility: 'km',
+  tide_level: 'm'
+};
+
+const MANAGER_ROLES = ['official'];
+const OWNER_ROLES = ['official', 'responder'];
+
+const SENSOR_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Readings may not be stamped further ahead than this (clock drift on loggers)
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const MAX_BATCH = 5000;
+
+// A sensor is reported offline after missing this many reporting intervals
+const OFFLINE_AFTER_INTERVALS = 3;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isManager(user) {
+  return !!user && MANAGER_ROLES.includes(user.role);
+}
+
+// CSV with a header row naming at least `timestamp` and `value`, e.g.
+//   timestamp,value
+//   2025-06-01T10:00:00Z,1.8
+function parseCsv(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+  const timeColumn = header.indexOf('timestamp');
+  const valueColumn = header.indexOf('value');
+  if (timeColumn === -1 || valueColumn === -1) return { error: 'CSV header must include timestamp and value columns', status: 400 };
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const cells = line.split(',').map(cell => cell.trim());
+    rows.push({ timestamp: cells[timeColumn], value: cells[valueColumn], line: index + 2 });
+  });
+  return { rows };
+}
+
+// Sensor type -> the OceanMonitorAPI condition its readings stand for
+const SENSOR_METRICS = {
+  wave_height: 'waveHeight',
+  wind_speed: 'windSpeed',
+  water_temperature: 'waterTemperature',
+  air_pressure: 'pressure',
+  visibility: 'visibility',
+  tide_level: 'seaLevel'
+};
+
+// Sensor registry (metadata in the data store) in front of the time-series
+// store. Values are calibrated on the way in (value = raw * scale + offset)
+// and both are kept, so a later calibration change does not rewrite history.
+// health (a SensorHealth) flags suspect readings as they are stored.
+class SensorRegistry {
+  constructor(db, { timeseries, health = null }) {
+    this.db = db;
+    this.timeseries = timeseries;
+    this.health = health;
+  }
+
+  // The ingest key hash never leaves the server; status is derived from the last reading
+  view(sensor, now = Date.now()) {
+    const { ingestKeyHash, ...visible } = sensor;
+    return { ...visible, hasIngestKey: !!ingestKeyHash, status: this.status(sensor, now) };
+  }
+
+  status(sensor, now = Date.now()) {
+    if (sensor.retiredAt) return 'retired';
+    if (!sensor.lastReadingAt) return 'offline';
+    const silence = now - new Date(sensor.lastReadingAt).getTime();
+    return silence > sensor.reportingInterval * 1000 * OFFLINE_AFTER_INTERVALS ? 'offline' : 'online';
+  }
+
+  list({ type, ownerId } = {}) {
+    return this.db.sensors
+      .filter(s => (!type || s.type === type) && (!ownerId || String(s.ownerId) === String(ownerId)))
+      .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  }
+
+  get(id) {
+    return this.db.sensors.findById(id);
+  }
+
+  canManage(sensor, user) {
+    return isManager(user) || (!!user && String(sensor.ownerId) === String(user.id));
+  }
+
+  // Shared by create and update; returns the normalized fields or an error
+  validate(data, existing = null) {
+    const fields = {};
+    if (data.name !== undefined) {
+      if (!String(data.name).trim()) return { error: 'name cannot be empty', status: 400 };
+      fields.name = String(data.name).trim();
+    }
+    if (data.type !== undefined) {
+      if (!SENSOR_TYPES[data.type]) return { error: `type must be one of: ${Object.keys(SENSOR_TYPES).join(', ')}`, status: 400 };
+      fields.type = data.type;
+    }
+    if (data.units !== undefined) fields.units = String(data.units);
+
+    if (data.location !== undefined) {
+      const lat = parseFloat(data.location && data.location.lat);
+      const lng = parseFloat(data.location && data.location.lng);
+      if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { error: 'location must have a valid lat and lng', status: 400 };
+      }
+      fields.location = { lat, lng };
+    }
+
+    if (data.calibration !== undefined) {
+      const current = existing ? existing.calibration : { scale: 1, offset: 0 };
+      const calibration = data.calibration || {};
+      const scale = calibration.scale !== undefined ? Number(calibration.scale) : current.scale;
+      const offset = calibration.offset !== undefined ? Number(calibration.offset) : current.offset;
+      if (!isFinite(scale) || scale === 0 || !isFinite(offset)) return { error: 'calibration scale and offset must be numbers (scale not 0)', status: 400 };
+      fields.calibration = { scale, offset, calibratedAt: new Date().toISOString() };
+    }
+
+    if (data.validRange !== undefined) {
+      const range = data.validRange;
+      if (range !== null && !(range && isFinite(range.min) && isFinite(range.max) && Number(range.min) < Number(range.max))) {
+        return { error: 'validRange must be { min, max } with min below max, or null', status: 400 };
+      }
+      fields.validRange = range && { min: Number(range.min), max: Number(range.max) };
+    }
+
+    if (data.reportingInterval !== undefined) {
+      const interval = Number(data.reportingInterval);
+      if (!Number.isInteger(interval) || interval <= 0) return { error: 'reportingInterval must be a positive number of seconds', status: 400 };
+      fields.reportingInterval = interval;
+    }
+    return { fields };
+  }
+
+  // Returns the new ingest key once; only its hash is stored
+  create(data, user) {
+    const id = data.id !== undefined ? String(data.id) : crypto.randomUUID();
+    if (!SENSOR_ID.test(id)) return { error: 'id may only contain letters, digits, - and _', status: 400 };
+    if (this.db.sensors.findById(id)) return { error: 'A sensor with this id already exists', status: 409 };
+    if (!data.name || !data.type || !data.location) return { error: 'name, type and location are required', status: 400 };
+
+    const result = this.validate(data);
+    if (result.error) return result;
+
+    const ownerId = data.ownerId !== undefined ? data.ownerId : user.id;
+    const owner = this.db.users.findById(ownerId);
+    if (!owner || !OWNER_ROLES.includes(owner.role)) return { error: 'The owner must be an official or responder', status: 400 };
+
+    const ingestKey = crypto.randomBytes(24).toString('hex');
+    const now = new Date().toISOString();
+    const sensor = this.db.sensors.insert({
+      id,
+      name: result.fields.name,
+      type: result.fields.type,
+      units: result.fields.units || SENSOR_TYPES[result.fields.type],
+      location: result.fields.location,
+      calibration: result.fields.calibration || { scale: 1, offset: 0, calibratedAt: null },
+      reportingInterval: result.fields.reportingInterval || 600,
+      validRange: result.fields.validRange || null,
+      ownerId: owner.id,
+      ingestKeyHash: hashKey(ingestKey),
+      createdAt: now,
+      updatedAt: now,
+      retiredAt: null,
+      lastReadingAt: null,
+      lastValue: null,
+      lastFlags: []
+    });
+    return { sensor, ingestKey };
+  }
+
+  update(id, data, user) {
+    const sensor = this.get(id);
+    if (!sensor) return { error: 'Sensor not found', status: 404 };
+    if (!this.canManage(sensor, user)) return { error: 'Only the owner or an official can change this sensor', status: 403 };
+
+    const result = this.validate(data, sensor);
+    if (result.error) return result;
+    const changes = result.fields;
+
+    if (data.ownerId !== undefined && String(data.ownerId) !== String(sensor.ownerId)) {
+      if (!isManager(user)) return { error: 'Only an official can transfer a sensor', status: 403 };
+      const owner = this.db.users.findById(data.ownerId);
+      if (!owner || !OWNER_ROLES.includes(owner.role)) return { error: 'The owner must be an official or responder', status: 400 };
+      changes.ownerId = owner.id;
+    }
+    if (data.retired !== undefined) changes.retiredAt = data.retired ? sensor.retiredAt || new Date().toISOString() : null;
+
+    return { sensor: this.db.sensors.update(sensor.id, { ...changes, updatedAt: new Date().toISOString() }) };
+  }
+
+  rotateKey(id, user) {
+    const sensor = this.get(id);
+    if (!sensor) return { error: 'Sensor not found', status: 404 };
+    if (!this.canManage(sensor, user)) return { error: 'Only the owner or an official can rotate the ingest key', status: 403 };
+
+    const ingestKey = crypto.randomBytes(24).toString('hex');
+    return { sensor: this.db.sensors.update(sensor.id, { ingestKeyHash: hashKey(ingestKey), updatedAt: new Date().toISOString() }), ingestKey };
+  }
+
+  // Removes the sensor and all of its readings; retire it instead to keep the history
+  remove(id, user) {
+    const sensor = this.get(id);
+    if (!sensor) return { error: 'Sensor not found', status: 404 };
+    if (!isManager(user)) return { error: 'Only an official can delete a sensor', status: 403 };
+
+    this.db.sensors.remove(sensor.id);
+    this.timeseries.drop(sensor.id);
+    return { sensor };
+  }
+
+  // Loggers authenticate with the sensor's ingest key; people with the owner or official role
+  canIngest(sensor, { key, user } = {}) {
+    if (key && sensor.ingestKeyHash) {
+      const expected = Buffer.from(sensor.ingestKeyHash, 'hex');
+      const actual = Buffer.from(hashKey(key), 'hex');
+      if (crypto.timingSafeEqual(expected, actual)) return true;
+    }
+    return this.canManage(sensor, user);
+  }
+
+  // rows: [{ timestamp, value }] from JSON, or parsed from CSV. Bad rows are
+  // reported back and the rest are stored.
+  ingest(id, rows, credentials = {}, now = Date.now()) {
+    const sensor = this.get(id);
+    if (!sensor) return { error: 'Sensor not found', status: 404 };
+    if (!this.canIngest(sensor, credentials)) {
+      return { error: 'A valid X-Sensor-Key, the sensor owner or an official is required', status: credentials.user ? 403 : 401 };
+    }
+    if (sensor.retiredAt) return { error: 'Sensor is retired', status: 409 };
+    if (!Array.isArray(rows) || !rows.length) return { error: 'No readings in request', status: 400 };
+    if (rows.length > MAX_BATCH) return { error: `At most ${MAX_BATCH} readings per request`, status: 413 };
+
+    const { scale, offset } = sensor.calibration;
+    const accepted = [];
+    const rejected = [];
+    rows.forEach((row, index) => {
+      const position = row && row.line ? { line: row.line } : { index };
+      const stamp = row && row.timestamp;
+      const t = typeof stamp === 'number' || /^\d+$/.test(stamp) ? Number(stamp) : Date.parse(stamp);
+      const raw = row && row.value !== '' && row.value !== null ? Number(row.value) : NaN;
+      if (!isFinite(t)) return rejected.push({ ...position, error: 'Invalid timestamp' });
+      if (t > now + MAX_CLOCK_SKEW) return rejected.push({ ...position, error: 'Timestamp is in the future' });
+      if (!isFinite(raw)) return rejected.push({ ...position, error: 'Invalid value' });
+      accepted.push({ t, v: Math.round((raw * scale + offset) * 1e6) / 1e6, r: raw });
+    });
+
+    const checked = this.health ? this.health.assess(sensor, accepted) : accepted;
+    if (checked.length) {
+      this.timeseries.append(sensor.id, checked);
+      const latest = checked.reduce((a, b) => (b.t >= a.t ? b : a));
+      if (!sensor.lastReadingAt || latest.t >= new Date(sensor.lastReadingAt).getTime()) {
+        this.db.sensors.update(sensor.id, { lastReadingAt: new Date(latest.t).toISOString(), lastValue: latest.v, lastFlags: latest.q || [] });
+      }
+    }
+    return { accepted: checked.length, suspect: checked.filter(r => r.q).length, rejected };
+  }
+
+  // Latest reading of every online sensor whose last reading passed the
+  // health checks, for hazard thresholds. Sensors reporting in a
+  // non-standard unit are left out since the thresholds would not apply.
+  latestReadings(now = Date.now()) {
+    return this.db.sensors
+      .filter(sensor => this.status(sensor, now) === 'online' && !(sensor.lastFlags || []).length)
+      .filter(sensor => sensor.units === SENSOR_TYPES[sensor.type])
+      .map(sensor => ({
+        sensor: { id: sensor.id, name: sensor.name, type: sensor.type, location: sensor.location },
+        metric: SENSOR_METRICS[sensor.type],
+        value: sensor.lastValue,
+        units: sensor.units,
+        observedAt: sensor.lastReadingAt
+      }));
+  }
+
+  // from/to default to the last 24 hours
+  readings(id, { from, to, resolution } = {}, now = Date.now()) {
+    const sensor = this.get(id);
+    if (!sensor) return { error: 'Sensor not found', status: 404 };
+
+    const end = to !== undefined ? Date.parse(to) : now;
+    const start = from !== undefined ? Date.parse(from) : end - 24 * 60 * 60 * 1000;
+    if (!isFinite(start) || !isFinite(end)) return { error: 'from and to must be ISO 8601 timestamps', status: 400 };
+
+    const result = this.timeseries.query(sensor.id, { from: start, to: end, resolution: resolution || 'auto' }, now);
+    if (result.error) return result;
+    return {
+      sensor: sensor.id,
+      units: sensor.units,
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      ...result
+    };
+  }
+}
+
+module.exports = { SensorRegistry, SENSOR_TYPES, SENSOR_METRICS, parseCsv };
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: HOUR, d: DAY };
+
+// Steps tried, finest first, by resolution=auto when there are too many raw readings
+const AUTO_RESOLUTIONS = ['1m', '5m', '15m', '1h', '6h', '1d'];
+
+// Upper bound on points returned by one query
+const MAX_POINTS = 5000;
+
+const DEFAULT_OPTIONS = {
+  dir: path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'timeseries'),
+  rawRetentionDays: 30,
+  rollupRetentionDays: 730,
+  autoPoints: 500
+};
+
+// '15m' -> 900000; 'raw' -> 0; anything else -> null
+function parseResolution(resolution) {
+  if (resolution === 'raw') return 0;
+  const match = /^(\d+)([smhd])$/.exec(String(resolution));
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function startOfDay(time) {
+  return Math.floor(time / DAY) * DAY;
+}
+
+function rawPoint(entry) {
+  const point = { timestamp: new Date(entry.t).toISOString(), value: entry.v, raw: entry.r };
+  return entry.q ? { ...point, suspect: entry.q } : point;
+}
+
+// Merge readings (value) and rollup entries (min/max/mean/count) into
+// fixed-size buckets. Suspect readings (with `q` flags) are only counted.
+function downsample(entries, step) {
+  const buckets = new Map();
+  entries.forEach(entry => {
+    const start = Math.floor(entry.t / step) * step;
+    const bucket = buckets.get(start) || { t: start, min: Infinity, max: -Infinity, sum: 0, count: 0, suspect: 0 };
+    buckets.set(start, bucket);
+    if (entry.q) {
+      bucket.suspect++;
+      return;
+    }
+
+    const count = entry.count !== undefined ? entry.count : 1;
+    bucket.suspect += entry.suspect || 0;
+    if (!count) return;
+    bucket.min = Math.min(bucket.min, entry.min !== undefined ? entry.min : entry.v);
+    bucket.max = Math.max(bucket.max, entry.max !== undefined ? entry.max : entry.v);
+    bucket.sum += (entry.mean !== undefined ? entry.mean : entry.v) * count;
+    bucket.count += count;
+  });
+  return [...buckets.values()]
+    .sort((a, b) => a.t - b.t)
+    .map(b => b.count
+      ? { t: b.t, min: b.min, max: b.max, mean: b.sum / b.count, count: b.count, suspect: b.suspect }
+      : { t: b.t, min: null, max: null, mean: null, count: 0, suspect: b.suspect });
+}
+
+// Append-only sensor readings on disk, one directory per sensor:
+//   <sensorId>/raw/<day>.ndjson     every reading, kept rawRetentionDays
+//   <sensorId>/hourly/<day>.json    hourly min/max/mean/count/suspect once the raw day expires
+// A reading sent twice (same timestamp) counts once; the last write wins, so
+// loggers can safely resend a batch after a timeout.
+class TimeSeriesStore {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.dir = this.options.dir;
+  }
+
+  sensorDir(sensorId) {
+    return path.join(this.dir, String(sensorId));
+  }
+
+  // Oldest time for which raw readings are still guaranteed to exist
+  rawCutoff(now = Date.now()) {
+    return startOfDay(now) - this.options.rawRetentionDays * DAY;
+  }
+
+  // readings: [{ t: epoch ms, v: calibrated value, r: raw value, q: suspect flags (optional) }]
+  append(sensorId, readings) {
+    const byDay = new Map();
+    readings.forEach(reading => {
+      const key = dayKey(reading.t);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(reading);
+    });
+
+    const rawDir = path.join(this.sensorDir(sensorId), 'raw');
+    fs.mkdirSync(rawDir, { recursive: true });
+    byDay.forEach((entries, key) => {
+      const fd = fs.openSync(path.join(rawDir, `${key}.ndjson`), 'a');
+      try {
+        fs.writeSync(fd, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+    });
+    return readings.length;
+  }
+
+  // Readings of one raw day file, deduplicated by timestamp and sorted
+  readRawDay(sensorId, key) {
+    const file = path.join(this.sensorDir(sensorId), 'raw', `${key}.ndjson`);
+    if (!fs.existsSync(file)) return null;
+
+    const byTime = new Map();
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        byTime.set(entry.t, entry);
+      } catch (error) {
+        // A torn final line is a batch that was never acknowledged
+      }
+    });
+    return [...byTime.values()].sort((a, b) => a.t - b.t);
+  }
+
+  readHourlyDay(sensorId, key) {
+    const file = path.join(this.sensorDir(sensorId), 'hourly', `${key}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  // Raw readings while a day is within retention, hourly rollups after it;
+  // a backfilled reading for an already rolled-up day sits next to its rollup
+  // until the next compaction
+  entries(sensorId, from, to) {
+    const entries = [];
+    for (let day = startOfDay(from); day <= to; day += DAY) {
+      const key = dayKey(day);
+      const dayEntries = [...(this.readHourlyDay(sensorId, key) || []), ...(this.readRawDay(sensorId, key) || [])];
+      dayEntries.forEach(entry => {
+        if (entry.t >= from && entry.t <= to) entries.push(entry);
+      });
+    }
+    return entries;
+  }
+
+  // { from, to } as epoch ms; resolution is 'raw', 'auto' or a step such as '5m', '1h', '1d'
+  query(sensorId, { from, to, resolution = 'auto' }, now = Date.now()) {
+    if (!(from < to)) return { error: 'from must be before to', status: 400 };
+
+    const rawAvailable = from >= this.rawCutoff(now);
+    let step;
+    if (resolution === 'auto') {
+      // Short ranges with few readings are returned as-is, longer ones at the finest step that fits
+      if (rawAvailable) {
+        const entries = this.entries(sensorId, from, to);
+        if (entries.length <= this.options.autoPoints) return { resolution: 'raw', points: entries.map(rawPoint) };
+      }
+      resolution = AUTO_RESOLUTIONS.find(candidate => {
+        const size = parseResolution(candidate);
+        return (rawAvailable || size >= HOUR) && (to - from) / size <= this.options.autoPoints;
+      }) || '1d';
+      step = parseResolution(resolution);
+    } else {
+      step = parseResolution(resolution);
+      if (step === null) return { error: 'resolution must be raw, auto or a step such as 5m, 1h, 1d', status: 400 };
+    }
+
+    if (step < HOUR && !rawAvailable) {
+      return {
+        error: `Raw readings are kept for ${this.options.rawRetentionDays} days; use resolution=1h or coarser for older data`,
+        status: 400
+      };
+    }
+    if (step > 0 && (to - from) / step > MAX_POINTS) {
+      return { error: `Query would return more than ${MAX_POINTS} points; use a coarser resolution`, status: 400 };
+    }
+
+    const entries = this.entries(sensorId, from, to);
+    if (step === 0) {
+      if (entries.length > MAX_POINTS) {
+        return { error: `Query would return more than ${MAX_POINTS} points; use a coarser resolution`, status: 400 };
+      }
+      return { resolution, points: entries.map(rawPoint) };
+    }
+
+    return {
+      resolution,
+      points: downsample(entries, step).map(b => ({
+        timestamp: new Date(b.t).toISOString(),
+        min: b.min,
+        max: b.max,
+        mean: b.mean === null ? null : Math.round(b.mean * 1000) / 1000,
+        count: b.count,
+        suspect: b.suspect
+      }))
+    };
+  }
+
+  // Roll expired raw days up into hourly summaries and drop rollups past their retention
+  compact(now = Date.now()) {
+    const summary = { rolledUp: 0, removed: 0 };
+    if (!fs.existsSync(this.dir)) return summary;
+
+    const rawCutoff = dayKey(this.rawCutoff(now));
+    const rollupCutoff = dayKey(startOfDay(now) - this.options.rollupRetentionDays * DAY);
+
+    fs.readdirSync(this.dir).forEach(sensorId => {
+      const rawDir = path.join(this.sensorDir(sensorId), 'raw');
+      const hourlyDir = path.join(this.sensorDir(sensorId), 'hourly');
+
+      if (fs.existsSync(rawDir)) {
+        fs.readdirSync(rawDir).filter(name => name.slice(0, 10) < rawCutoff).forEach(name => {
+          const key = name.slice(0, 10);
+          const hourly = downsample([...(this.readHourlyDay(sensorId, key) || []), ...this.readRawDay(sensorId, key)], HOUR);
+          fs.mkdirSync(hourlyDir, { recursive: true });
+          const tmpFile = path.join(hourlyDir, `${key}.json.tmp`);
+          fs.writeFileSync(tmpFile, JSON.stringify(hourly));
+          fs.renameSync(tmpFile, path.join(hourlyDir, `${key}.json`));
+          fs.unlinkSync(path.join(rawDir, name));
+          summary.rolledUp++;
+        });
+      }
+
+      if (fs.existsSync(hourlyDir)) {
+        fs.readdirSync(hourlyDir).filter(name => name.slice(0, 10) < rollupCutoff).forEach(name => {
+          fs.unlinkSync(path.join(hourlyDir, name));
+          summary.removed++;
+        });
+      }
+    });
+    return summary;
+  }
+
+  drop(sensorId) {
+    fs.rmSync(this.sensorDir(sensorId), { recursive: true, force: true });
+  }
+}
+
+module.exports = { TimeSeriesStore, parseResolution, downsample };
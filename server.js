@@ -2,17 +2,25 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const OceanMonitorAPI = require('./ocean-api.js');
+const { createOceanDataService } = require('./ocean-providers.js');
+const { LiveUpdates } = require('./live-updates.js');
+const { createOceanRouter } = require('./ocean-routes.js');
+const { servePublicFiles } = require('./public-files.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize Ocean Monitor
-const oceanMonitor = new OceanMonitorAPI();
+const oceanMonitor = new OceanMonitorAPI({ data: createOceanDataService() });
+const live = new LiveUpdates();
+
+// Push every monitoring cycle to subscribed clients
+oceanMonitor.onUpdate(update => live.publish('sensors', update));
 
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(express.static(__dirname));
+app.use(servePublicFiles(__dirname));
 
 // Routes
 app.get('/', (req, res) => {
@@ -20,50 +28,10 @@ app.get('/', (req, res) => {
 });
 
 // Ocean Monitor API endpoints
-app.get('/api/ocean/status', async (req, res) => {
-  try {
-    const status = await oceanMonitor.initialize();
-    res.json(status);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.get('/api/ocean/hazards', (req, res) => {
-  res.json({
-    hazards: oceanMonitor.hazards,
-    timestamp: new Date().toISOString()
-  });
-});
-
-app.get('/api/ocean/weather', async (req, res) => {
-  try {
-    const weather = await oceanMonitor.fetchWeatherData();
-    res.json(weather);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+app.use('/api/ocean', createOceanRouter(oceanMonitor));
 
-app.post('/api/ocean/risk-assessment', (req, res) => {
-  const { latitude, longitude, timeframe } = req.body;
-  const location = { lat: latitude, lng: longitude };
-  const risk = oceanMonitor.assessRisk(location, timeframe);
-  res.json(risk);
-});
-
-app.post('/api/ocean/chat', (req, res) => {
-  const { query } = req.body;
-  const response = oceanMonitor.processAIQuery(query);
-  res.json(response);
-});
-
-app.get('/api/ocean/sensors', (req, res) => {
-  res.json({
-    sensors: Object.fromEntries(oceanMonitor.sensors),
-    timestamp: new Date().toISOString()
-  });
-});
+// Live push channel (Server-Sent Events)
+app.get('/api/live', live.handler);
 
 // Start server
 app.listen(PORT, () => {
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRequest, limitsFor } = require('../activity-advisories.js');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+test('only the listed activities and vessel sizes are accepted', () => {
+  for (const data of [{ activity: 'constructor' }, { activity: '__proto__' }, { activity: 'toString' }, { activity: 'kayaking' },
+    { activity: 'fishing', vesselSize: 'constructor' }, { activity: 'fishing', vesselSize: 'huge' }]) {
+    assert.equal(validateRequest(data, NOW).status, 400, JSON.stringify(data));
+  }
+
+  assert.deepEqual(validateRequest({ activity: 'fishing' }, NOW).request,
+    { activity: 'fishing', vesselSize: 'small', durationHours: 4, departure: new Date(NOW).toISOString() });
+  assert.equal(validateRequest({ activity: 'swimming', vesselSize: 'large' }, NOW).request.vesselSize, null);
+});
+
+test('limits scale with the vessel size and are null for unknown names', () => {
+  assert.deepEqual(limitsFor('fishing', 'small').waveHeight, { caution: 1.5, noGo: 2.5 });
+  assert.deepEqual(limitsFor('fishing', 'large').waveHeight, { caution: 2.8, noGo: 4.7 });
+  assert.deepEqual(limitsFor('swimming', null), limitsFor('swimming', 'large'));
+
+  assert.equal(limitsFor('constructor', 'small'), null);
+  assert.equal(limitsFor('fishing', 'constructor'), null);
+});
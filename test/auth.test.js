@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, JsonFileStore, createRepositories } = require('../data-store.js');
+const { AuthService, verifyPassword } = require('../auth.js');
+
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  const auth = new AuthService(db);
+  auth.register({ email: 'a@example.org', password: 'secret-1' });
+  return { db, auth };
+}
+
+test('register keeps only the whitelisted profile fields', () => {
+  const { db, auth } = setup();
+  const { user } = auth.register({
+    email: 'b@example.org',
+    password: 'secret-2',
+    fullName: 'Asha',
+    phone: '+91 98200 00000',
+    role: 'official',
+    id: 1,
+    verified: true,
+    credibility: 1,
+    passwordHash: 'scrypt$x$y'
+  });
+
+  assert.equal(user.fullName, 'Asha');
+  assert.equal(user.role, 'citizen');
+  assert.equal(user.requestedRole, 'official');
+  assert.notEqual(user.id, 1);
+  assert.equal(user.verified, undefined);
+  assert.equal(user.credibility, undefined);
+  assert.ok(verifyPassword('secret-2', db.users.findById(user.id).passwordHash));
+});
+
+test('register rejects profile fields of the wrong type or size', () => {
+  const { auth } = setup();
+  assert.equal(auth.register({ email: 'c@example.org', password: 'secret-3', fullName: { $ne: 1 } }).status, 400);
+  assert.equal(auth.register({ email: 'c@example.org', password: 'secret-3', phone: '1'.repeat(31) }).status, 400);
+  assert.equal(auth.register({ email: 'c@example.org', password: 'secret-3', profilePic: 'javascript:alert(1)' }).status, 400);
+});
+
+test('reusing a rotated refresh token revokes every session from that login', () => {
+  const { auth } = setup();
+  const first = auth.login('a@example.org', 'secret-1');
+  const elsewhere = auth.login('a@example.org', 'secret-1');
+  const second = auth.refresh(first.refreshToken);
+  const third = auth.refresh(second.refreshToken);
+  assert.ok(third.refreshToken);
+
+  const replayed = auth.refresh(first.refreshToken);
+  assert.equal(replayed.status, 401);
+  assert.match(replayed.error, /already used/);
+  assert.equal(auth.refresh(third.refreshToken).status, 401);
+
+  // The other login is a different family
+  assert.ok(auth.refresh(elsewhere.refreshToken).refreshToken);
+});
+
+test('a logged-out refresh token is simply invalid', () => {
+  const { db, auth } = setup();
+  const session = auth.login('a@example.org', 'secret-1');
+  const sibling = auth.refresh(session.refreshToken);
+  const [current] = db.sessions.filter(s => !s.revokedAt);
+  auth.logout(current.id);
+
+  assert.equal(auth.refresh(sibling.refreshToken).error, 'Invalid or expired refresh token');
+});
+
+test('the seed command never installs a known official password', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { SEED_OFFICIAL_PASSWORD, ...env } = process.env;
+  const seed = (extra = {}) => spawnSync(process.execPath, [path.join(__dirname, '..', 'db-seed.js')], {
+    env: { ...env, DATA_DIR: dir, ...extra },
+    encoding: 'utf8'
+  });
+
+  const weak = seed({ SEED_OFFICIAL_PASSWORD: 'short' });
+  assert.equal(weak.status, 1);
+  assert.match(weak.stderr, /at least 8 characters/);
+
+  const first = seed();
+  assert.equal(first.status, 0, first.stderr);
+  const [, password] = first.stdout.match(/created with password (\S+)/);
+  const store = new JsonFileStore({ dir }).open();
+  const official = createRepositories(store).users.findById(1);
+  store.close();
+  assert.ok(verifyPassword(password, official.passwordHash));
+  assert.equal(verifyPassword('official123', official.passwordHash), false);
+
+  // Re-running keeps the account and prints no password it didn't set
+  assert.doesNotMatch(seed().stdout, /password/);
+});
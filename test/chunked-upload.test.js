@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { ChunkedUploads } = require('../chunked-upload.js');
+
+const ALICE = 'user:1';
+const DEVICE = 'device:abc';
+const OTHER_DEVICE = 'device:def';
+const DAY = 24 * 60 * 60 * 1000;
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const db = createRepositories(new MemoryStore().open());
+  const media = {
+    process: async file => {
+      fs.rmSync(file, { force: true });
+      return { media: db.media.insert({ id: `m${db.media.count() + 1}`, reportId: null, ownerId: null }) };
+    },
+    resolve: ids => ({ media: ids.map(id => db.media.findById(id)) })
+  };
+  return { db, uploads: new ChunkedUploads(db, { media, dir, chunkSize: 4, ...options }) };
+}
+
+const start = (uploads, owner, uploadKey = 'photo-1', size = 6) => uploads.create({ uploadKey, fileName: 'photo.jpg', size }, owner);
+
+test('uploads need a user or device owner', t => {
+  const { uploads } = setup(t);
+  assert.equal(start(uploads, null).status, 401);
+});
+
+test('only the owner can add to, complete or attach an upload', async t => {
+  const { uploads } = setup(t);
+  const { upload } = start(uploads, DEVICE);
+
+  assert.equal(uploads.get(upload.id, OTHER_DEVICE), null);
+  assert.equal(uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), OTHER_DEVICE).status, 404);
+  assert.equal(uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), null).status, 404);
+
+  uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), DEVICE);
+  uploads.writeChunk(upload.id, 1, Buffer.from('ef'), DEVICE);
+  assert.equal((await uploads.complete(upload.id, OTHER_DEVICE)).status, 404);
+  assert.equal((await uploads.complete(upload.id, DEVICE)).upload.status, 'completed');
+
+  assert.match(uploads.resolve([upload.id], [OTHER_DEVICE]).error, /not found/);
+  assert.equal(uploads.resolve([upload.id], [DEVICE]).media.length, 1);
+});
+
+test('an upload made before signing in can be attached after it', async t => {
+  const { uploads } = setup(t);
+  const { upload } = start(uploads, DEVICE);
+  uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), DEVICE);
+  uploads.writeChunk(upload.id, 1, Buffer.from('ef'), DEVICE);
+  await uploads.complete(upload.id, DEVICE);
+
+  assert.match(uploads.resolve([upload.id], [ALICE]).error, /not found/);
+  assert.match(uploads.resolve([upload.id], [ALICE, OTHER_DEVICE]).error, /not found/);
+  assert.equal(uploads.resolve([upload.id], [ALICE, DEVICE]).media.length, 1);
+});
+
+test('the same uploadKey from two owners makes two uploads', t => {
+  const { uploads } = setup(t);
+  const mine = start(uploads, ALICE).upload;
+  const theirs = start(uploads, DEVICE).upload;
+
+  assert.notEqual(mine.id, theirs.id);
+  assert.equal(start(uploads, ALICE).upload.id, mine.id);
+});
+
+test('limits the unfinished uploads per owner and for anonymous devices together', t => {
+  const { uploads } = setup(t, { quota: { uploads: 2, bytes: 10, anonymousBytes: 15 } });
+
+  assert.ok(start(uploads, ALICE, 'a', 6).upload);
+  assert.equal(start(uploads, ALICE, 'b', 6).status, 429);
+  assert.ok(start(uploads, ALICE, 'b', 4).upload);
+  assert.equal(start(uploads, ALICE, 'c', 1).status, 429);
+
+  assert.ok(start(uploads, DEVICE, 'a', 10).upload);
+  assert.equal(start(uploads, OTHER_DEVICE, 'a', 6).status, 429);
+  assert.ok(start(uploads, OTHER_DEVICE, 'a', 5).upload);
+});
+
+test('expired uploads answer 410 and start afresh when created again', async t => {
+  const { db, uploads } = setup(t);
+  const { upload } = start(uploads, DEVICE);
+  uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), DEVICE);
+  db.uploads.update(upload.id, { createdAt: new Date(Date.now() - 2 * DAY).toISOString() });
+
+  assert.equal(uploads.writeChunk(upload.id, 1, Buffer.from('ef'), DEVICE).status, 410);
+  assert.equal((await uploads.complete(upload.id, DEVICE)).status, 410);
+
+  const restarted = start(uploads, DEVICE).upload;
+  assert.equal(restarted.id, upload.id);
+  assert.deepEqual(restarted.receivedChunks, []);
+  assert.equal(fs.existsSync(uploads.partPath(upload.id, 0)), false);
+});
+
+test('asks for chunks again when their parts are gone', async t => {
+  const { uploads } = setup(t);
+  const { upload } = start(uploads, DEVICE);
+  uploads.writeChunk(upload.id, 0, Buffer.from('abcd'), DEVICE);
+  uploads.writeChunk(upload.id, 1, Buffer.from('ef'), DEVICE);
+  fs.rmSync(uploads.partPath(upload.id, 1));
+
+  const result = await uploads.complete(upload.id, DEVICE);
+  assert.equal(result.status, 409);
+  assert.deepEqual(result.missing, [1]);
+  assert.deepEqual(uploads.get(upload.id, DEVICE).receivedChunks, [0]);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { exportDataset } = require('../data-export.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-export-'));
+process.env.DATA_DIR = dataDir;
+process.env.OCEAN_DATA_MODE = 'fixtures';
+process.env.PORT = '3000';
+delete process.env.PUBLIC_URL;
+delete process.env.CAP_SENDER;
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+function csvTitle(title) {
+  const { body } = exportDataset('reports', 'csv', [{ id: 1, title }], NOW);
+  return body.split('\r\n')[1].split(',')[1];
+}
+
+test('CSV cells that a spreadsheet would run as a formula are escaped', () => {
+  assert.equal(csvTitle("-2+3+cmd|' /C calc'!A0"), "'-2+3+cmd|' /C calc'!A0");
+  for (const title of ['=1+1', '+1', '@SUM(A1)', '-A1', '-1e5', '\tx']) {
+    assert.equal(csvTitle(title), `'${title}`, JSON.stringify(title));
+  }
+  assert.equal(csvTitle('-2.5'), '-2.5');
+  assert.equal(csvTitle('12'), '12');
+  assert.equal(csvTitle('Flooded road'), 'Flooded road');
+});
+
+test('only the listed formats are exported', () => {
+  for (const format of ['constructor', '__proto__', 'toString', 'xlsx']) {
+    assert.equal(exportDataset('reports', format, [], NOW).status, 400, format);
+  }
+  assert.equal(exportDataset('reports', 'csv', [], NOW).filename, 'reports-20250601T1200.csv');
+});
+
+let app;
+let server;
+
+function get(url, host) {
+  return new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path: url, headers: { Host: host } }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+before(async () => {
+  app = require('../enhanced-server.js');
+  app.db.warnings.insert({ id: 'w1', message: 'High waves expected', severity: 'high', hazardType: 'high_waves', timestamp: new Date(NOW).toISOString() });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+after(() => {
+  server.close();
+  app.store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('CAP alerts name the same deployment whatever the Host header', async () => {
+  const alerts = await Promise.all(['localhost', 'attacker.example', 'bad host:x'].map(host => get('/api/warnings/w1/cap', host)));
+  alerts.forEach(alert => {
+    assert.equal(alert.status, 200);
+    assert.equal(alert.body, alerts[0].body);
+  });
+  assert.match(alerts[0].body, /<identifier>localhost\.warning\.w1<\/identifier>/);
+  assert.match(alerts[0].body, /<web>http:\/\/localhost:3000\/api\/warnings\/w1\/cap<\/web>/);
+});
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore, MemoryStore, MIGRATIONS, createRepositories } = require('../data-store.js');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+}
+
+function openStore(dir) {
+  const store = new JsonFileStore({ dir }).open();
+  return { store, db: createRepositories(store) };
+}
+
+// A crashed process leaves its lock behind, naming a pid that no longer runs
+function crash(dir) {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(path.join(dir, 'db.lock'), String(pid));
+}
+
+test('migrates a new store to the latest schema version', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { store } = openStore(dir);
+
+  assert.equal(store.meta.schemaVersion, MIGRATIONS[MIGRATIONS.length - 1].version);
+  store.close();
+});
+
+test('keeps acknowledged writes when the process dies before a checkpoint', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { db } = openStore(dir);
+
+  db.reports.insert({ id: 1, title: 'Flooded road' });
+  db.reports.update(1, { status: 'triaged' });
+  // No close(): the writes only exist in the journal
+  crash(dir);
+
+  const { store, db: reopened } = openStore(dir);
+  assert.deepEqual(reopened.reports.findById(1), { id: 1, title: 'Flooded road', status: 'triaged' });
+  store.close();
+});
+
+test('skips a torn final journal line', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { db } = openStore(dir);
+  db.reports.insert({ id: 1, title: 'Storm surge' });
+  fs.appendFileSync(path.join(dir, 'db.journal'), '{"op":"insert","collection":"reports","rec');
+  crash(dir);
+
+  t.mock.method(console, 'warn', () => {});
+  const { store, db: reopened } = openStore(dir);
+  assert.equal(reopened.reports.count(), 1);
+  store.close();
+});
+
+test('checkpoint folds the journal into the snapshot', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { store, db } = openStore(dir);
+
+  db.users.insert({ id: 'u1', email: 'a@example.org' });
+  store.checkpoint();
+
+  assert.equal(fs.readFileSync(path.join(dir, 'db.journal'), 'utf8'), '');
+  const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'db.json'), 'utf8'));
+  assert.equal(snapshot.data.users[0].email, 'a@example.org');
+  assert.equal(fs.existsSync(path.join(dir, 'db.json.tmp')), false);
+  store.close();
+});
+
+test('checkpoint fsyncs the snapshot and its directory before truncating the journal', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { store, db } = openStore(dir);
+  db.reports.insert({ id: 1 });
+
+  const calls = [];
+  const opened = new Map();
+  const openSync = fs.openSync;
+  t.mock.method(fs, 'openSync', (file, ...rest) => {
+    const fd = openSync(file, ...rest);
+    opened.set(fd, path.basename(String(file)));
+    return fd;
+  });
+  t.mock.method(fs, 'fsyncSync', fd => calls.push(`fsync ${fd === store.journalFd ? 'journal' : opened.get(fd)}`));
+  t.mock.method(fs, 'renameSync', () => calls.push('rename'));
+  t.mock.method(fs, 'ftruncateSync', () => calls.push('truncate'));
+
+  store.checkpoint();
+  t.mock.restoreAll();
+
+  assert.deepEqual(calls.slice(0, 4), ['fsync db.json.tmp', 'rename', `fsync ${path.basename(dir)}`, 'truncate']);
+  store.close();
+});
+
+test('findById follows inserts, updates, deletes and replaces', () => {
+  const db = createRepositories(new MemoryStore().open());
+  db.reports.insert({ id: 1, title: 'Flooded road' });
+  assert.equal(db.reports.findById('1').title, 'Flooded road');
+
+  db.reports.insert({ id: 2, title: 'Storm surge' });
+  db.reports.update(1, { status: 'triaged' });
+  assert.equal(db.reports.findById(1).status, 'triaged');
+  assert.equal(db.reports.findById(2).title, 'Storm surge');
+
+  db.reports.remove(2);
+  assert.equal(db.reports.findById(2), undefined);
+
+  db.reports.replaceAll([{ id: 3, title: 'High waves' }]);
+  assert.equal(db.reports.findById(1), undefined);
+  assert.equal(db.reports.findById(3).title, 'High waves');
+});
+
+test('a data directory can only be open in one store at a time', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { store, db } = openStore(dir);
+  db.reports.insert({ id: 1 });
+
+  assert.throws(() => openStore(dir), { code: 'ELOCKED' });
+  assert.equal(fs.readFileSync(path.join(dir, 'db.lock'), 'utf8'), String(process.pid));
+
+  store.close();
+  assert.equal(fs.existsSync(path.join(dir, 'db.lock')), false);
+  const reopened = openStore(dir);
+  assert.equal(reopened.db.reports.count(), 1);
+  reopened.store.close();
+});
+
+test('a lock left with this process\'s pid by an earlier run is taken over', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // e.g. a container restart, where the server gets the same pid again
+  fs.writeFileSync(path.join(dir, 'db.lock'), String(process.pid));
+
+  const { store } = openStore(dir);
+  store.close();
+});
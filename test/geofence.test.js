@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { GeofenceService, validateGeometry } = require('../geofence.js');
+
+const CIRCLE = { type: 'circle', center: { lat: 13.08, lng: 80.28 }, radiusKm: 5 };
+const REPORT = { id: 1, type: 'flood', severity: 'high', title: 'Flooded street', latitude: 13.09, longitude: 80.28 };
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  return { db, geofence: new GeofenceService(db) };
+}
+
+test('rejects polygons and circles with non-numeric coordinates', () => {
+  assert.ok(validateGeometry({ type: 'polygon', coordinates: [[13, 80], ['13.1', 80.1], [13.2, 80]] }));
+  assert.ok(validateGeometry({ type: 'polygon', coordinates: [[13, 80], [null, 80.1], [13.2, 80]] }));
+  assert.ok(validateGeometry({ type: 'polygon', coordinates: [[13, 80], [[], 80.1], [13.2, 80]] }));
+  assert.ok(validateGeometry({ type: 'circle', center: { lat: '13', lng: 80 }, radiusKm: 5 }));
+  assert.ok(validateGeometry({ type: 'circle', center: { lat: 13, lng: 80 }, radiusKm: '5' }));
+  assert.equal(validateGeometry(CIRCLE), null);
+});
+
+test('update validates fields the same way as create', () => {
+  const { geofence } = setup();
+  const { subscription } = geofence.create('u1', { geometry: CIRCLE });
+
+  for (const changes of [{ hazardTypes: null }, { hazardTypes: 'flood' }, { sources: ['email'] }, { sources: [] },
+    { geometry: { type: 'polygon', coordinates: [[1, 2], [3, 'x'], [5, 6]] } }, { minSeverity: 'extreme' }, { active: 'no' }]) {
+    assert.equal(geofence.update('u1', subscription.id, changes).status, 400, JSON.stringify(changes));
+    assert.equal(geofence.create('u1', { geometry: CIRCLE, ...changes }).status, 400, JSON.stringify(changes));
+  }
+
+  const { subscription: updated } = geofence.update('u1', subscription.id, { hazardTypes: ['flood'], minSeverity: 'high' });
+  assert.deepEqual(updated.hazardTypes, ['flood']);
+  assert.equal(updated.minSeverity, 'high');
+});
+
+test('a malformed stored subscription does not stop matching for others', t => {
+  const { db, geofence } = setup();
+  geofence.create('u1', { geometry: CIRCLE });
+  // Written before validation existed
+  db.subscriptions.insert({ id: 'broken', userId: 'u2', geometry: CIRCLE, hazardTypes: null, sources: ['report'], minSeverity: 'low', active: true });
+  t.mock.method(console, 'error', () => {});
+
+  const alerts = geofence.matchReport(REPORT);
+  assert.deepEqual(alerts.map(alert => alert.userId), ['u1']);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { HazardRuleEngine } = require('../hazard-rules.js');
+
+const START = Date.parse('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+const USER = { id: 'u-official' };
+const BUOY = { key: 'buoy-1', name: 'Buoy 1', location: { lat: 13.08, lng: 80.3 }, source: 'sensor' };
+
+function setup(rule = {}) {
+  const db = createRepositories(new MemoryStore().open());
+  db.hazardRules.replaceAll([]); // without the default rules
+  const engine = new HazardRuleEngine(db);
+  const created = engine.create({ name: 'High waves', metric: 'waveHeight', operator: '>=', value: 4, clearValue: 3, duration: 600, severity: 'high', hazardType: 'high_waves', ...rule }, USER);
+  return { db, engine, rule: created.rule };
+}
+
+// Runs one monitoring cycle for the buoy reading `waveHeight` at `minutes` past START
+function cycle(engine, waveHeight, minutes) {
+  return engine.evaluate([{ ...BUOY, conditions: { waveHeight } }], START + minutes * MINUTE);
+}
+
+test('a rule fires once the condition has held for its duration', () => {
+  const { engine, rule } = setup();
+  assert.deepEqual(cycle(engine, 4.2, 0), []);
+  assert.equal(engine.states(rule.id)[0].status, 'pending');
+
+  assert.deepEqual(cycle(engine, 4.5, 5), []);
+  const [hazard] = cycle(engine, 4.1, 10);
+  assert.equal(hazard.id, 'high_waves:buoy-1');
+  assert.equal(hazard.severity, 'high');
+  assert.equal(hazard.since, new Date(START + 10 * MINUTE).toISOString());
+  assert.equal(engine.states(rule.id)[0].status, 'active');
+});
+
+test('a pending rule resets when the condition lapses before the duration', () => {
+  const { engine, rule } = setup();
+  cycle(engine, 4.2, 0);
+  cycle(engine, 3.9, 5);
+  assert.deepEqual(engine.states(rule.id), []);
+
+  // The duration starts again from the next breach
+  cycle(engine, 4.2, 6);
+  assert.deepEqual(cycle(engine, 4.2, 12), []);
+  assert.equal(cycle(engine, 4.2, 16).length, 1);
+});
+
+test('an active rule stays active until the value passes clearValue', () => {
+  const { engine, rule } = setup();
+  cycle(engine, 4.2, 0);
+  cycle(engine, 4.2, 10);
+
+  // Between clearValue and the threshold the hazard holds
+  assert.equal(cycle(engine, 3.5, 11).length, 1);
+  assert.equal(cycle(engine, 3, 12).length, 1);
+
+  assert.deepEqual(cycle(engine, 2.9, 13), []);
+  assert.deepEqual(engine.states(rule.id), []);
+
+  // Breaching again starts a new pending period
+  assert.deepEqual(cycle(engine, 4.2, 14), []);
+  assert.equal(engine.states(rule.id)[0].status, 'pending');
+});
+
+test('without a duration a rule fires at once; falling rules clear above clearValue', () => {
+  const { engine } = setup({ name: 'Poor visibility', metric: 'visibility', operator: '<', value: 1, clearValue: undefined, duration: 0, hazardType: 'fog' });
+  const visibility = (km, minutes) => engine.evaluate([{ ...BUOY, conditions: { visibility: km } }], START + minutes * MINUTE);
+
+  assert.equal(visibility(0.5, 0).length, 1);
+  assert.equal(visibility(1.05, 1).length, 1);
+  assert.deepEqual(visibility(1.2, 2), []);
+});
+
+test('only the highest active severity is reported per hazard type and place', () => {
+  const { engine } = setup({ duration: 0 });
+  engine.create({ name: 'Very high waves', metric: 'waveHeight', operator: '>=', value: 6, severity: 'critical', hazardType: 'high_waves' }, USER);
+
+  assert.equal(cycle(engine, 4.5, 0)[0].severity, 'high');
+  const hazards = cycle(engine, 6.5, 1);
+  assert.equal(hazards.length, 1);
+  assert.equal(hazards[0].severity, 'critical');
+});
+
+test('rules are validated', () => {
+  const { engine } = setup();
+  const base = { name: 'Rule', metric: 'waveHeight', operator: '>', value: 4, severity: 'high', hazardType: 'high_waves' };
+  for (const changes of [{ metric: 'constructor' }, { operator: 'toString' }, { value: 'high' }, { clearValue: 5 }, { duration: -1 }, { severity: 'extreme' }]) {
+    assert.equal(engine.create({ ...base, ...changes }, USER).status, 400, JSON.stringify(changes));
+  }
+  assert.equal(engine.create(base, USER).rule.clearValue, 3.6);
+});
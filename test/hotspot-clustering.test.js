@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HotspotClusterer, convexHull } = require('../hotspot-clustering.js');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+function report(id, latitude, longitude, hoursAgo = 1, severity = 'medium') {
+  return { id, type: 'flood', severity, latitude, longitude, timestamp: new Date(NOW - hoursAgo * 3600000).toISOString() };
+}
+
+// Two groups about 1 km across, 3 km apart (so separate at the default 2 km
+// radius), an isolated report, and one in the middle that bridges the groups
+const WEST = [report(1, 13.0800, 80.2700), report(2, 13.0850, 80.2710), report(3, 13.0820, 80.2760, 2)];
+const EAST = [report(4, 13.0800, 80.2980, 3), report(5, 13.0840, 80.3010), report(6, 13.0870, 80.2970, 4)];
+const LONE = report(7, 13.2000, 80.2700);
+const BRIDGE = report(8, 13.0830, 80.2860);
+
+// Clusters as sorted lists of report ids, for comparing runs
+function partition(hotspots) {
+  return hotspots.map(h => h.reportIds.map(String).sort()).sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+test('adding reports one at a time gives the same clusters as a full rebuild', () => {
+  const reports = [...WEST, LONE, ...EAST, BRIDGE];
+  for (const order of [reports, [...reports].reverse(), [BRIDGE, ...EAST, LONE, ...WEST]]) {
+    const incremental = new HotspotClusterer();
+    let snapshot = [];
+    order.forEach(r => { snapshot = incremental.addReport(r, NOW); });
+
+    const full = new HotspotClusterer().rebuild(order, [], NOW);
+    assert.deepEqual(partition(snapshot), partition(full));
+  }
+
+  const withoutBridge = new HotspotClusterer();
+  [...WEST, ...EAST, LONE].forEach(r => withoutBridge.addReport(r, NOW));
+  assert.deepEqual(partition(withoutBridge.snapshot(NOW)), [['1', '2', '3'], ['4', '5', '6']]);
+});
+
+test('hotspot ids stay the same as clusters grow, merge and are rebuilt', () => {
+  const clusterer = new HotspotClusterer();
+  [...WEST, ...EAST].forEach(r => clusterer.addReport(r, NOW));
+  const idOf = (hotspots, reportId) => hotspots.find(h => h.reportIds.includes(reportId)).id;
+  const west = idOf(clusterer.snapshot(NOW), 1);
+  const east = idOf(clusterer.snapshot(NOW), 4);
+  assert.notEqual(west, east);
+
+  // A new member joins the existing hotspot
+  const grown = clusterer.addReport(report(9, 13.0810, 80.2720), NOW);
+  assert.equal(idOf(grown, 9), west);
+  assert.equal(idOf(grown, 4), east);
+
+  // Bridging keeps the id of the cluster with more reports in the merged one
+  const merged = clusterer.addReport(BRIDGE, NOW);
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].id, west);
+  assert.equal(merged[0].reportCount, 8);
+
+  // A rebuild, or a new instance seeded with the last snapshot after a restart, reuses it
+  const reports = [...WEST, ...EAST, BRIDGE, report(9, 13.0810, 80.2720)];
+  assert.equal(clusterer.rebuild(reports, merged, NOW)[0].id, west);
+  assert.equal(new HotspotClusterer().rebuild(reports, merged, NOW)[0].id, west);
+
+  // Once the bridge expires the groups split; the larger west group keeps the id
+  const split = new HotspotClusterer().rebuild([...reports.filter(r => r !== BRIDGE), report(8, 13.0830, 80.2860, 30)], merged, NOW);
+  assert.equal(split.length, 2);
+  assert.equal(idOf(split, 1), west);
+  assert.notEqual(idOf(split, 4), west);
+});
+
+test('reports outside the window or without coordinates are not clustered', () => {
+  const clusterer = new HotspotClusterer();
+  const hotspots = clusterer.rebuild([...WEST.slice(0, 2), report(10, 13.0830, 80.2730, 25), { id: 11, latitude: 'x', longitude: 80.27, timestamp: WEST[0].timestamp }], [], NOW);
+  assert.deepEqual(partition(hotspots), [['1', '2']]);
+  assert.deepEqual(clusterer.addReport(report(12, 13.0840, 80.2720, 30), NOW), hotspots);
+});
+
+test('convexHull returns the outer points counter-clockwise', () => {
+  const square = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 1, lng: 0 }, { lat: 0.5, lng: 0.5 }, { lat: 0, lng: 0 }];
+  assert.deepEqual(convexHull(square), [[0, 0], [0, 1], [1, 1], [1, 0]]);
+
+  // Points on an edge are dropped; fewer than three distinct points are returned as they are
+  assert.deepEqual(convexHull([{ lat: 0, lng: 0 }, { lat: 0, lng: 0.5 }, { lat: 0, lng: 1 }, { lat: 1, lng: 0 }]), [[0, 0], [0, 1], [1, 0]]);
+  assert.deepEqual(convexHull([{ lat: 2, lng: 3 }, { lat: 2, lng: 3 }]), [[2, 3]]);
+});
+
+test('each hotspot polygon encloses all its reports', () => {
+  const [hotspot] = new HotspotClusterer().rebuild([...WEST, ...EAST, BRIDGE], [], NOW);
+  const polygon = hotspot.polygon;
+  assert.ok(polygon.length >= 3);
+
+  // Counter-clockwise, so every report is on or left of every edge
+  for (const r of hotspot.reportIds.map(id => [...WEST, ...EAST, BRIDGE].find(x => x.id === id))) {
+    polygon.forEach(([lat, lng], i) => {
+      const [nextLat, nextLng] = polygon[(i + 1) % polygon.length];
+      const cross = (nextLng - lng) * (r.latitude - lat) - (nextLat - lat) * (r.longitude - lng);
+      assert.ok(cross >= -1e-12, `report ${r.id} outside edge ${i}`);
+    });
+  }
+});
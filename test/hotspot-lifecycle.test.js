@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { HotspotLifecycle } = require('../hotspot-lifecycle.js');
+
+const START = Date.parse('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOTSPOT = { id: 'hs-1', score: 5, severity: 'medium', reportCount: 3, affectedPeople: 0, latitude: 13.08, longitude: 80.27, radiusKm: 1 };
+
+// Lifecycle over a memory store that records every write
+function setup() {
+  const store = new MemoryStore().open();
+  const writes = [];
+  const write = store.write.bind(store);
+  store.write = entry => {
+    writes.push(entry);
+    return write(entry);
+  };
+  const db = createRepositories(store);
+  return { db, lifecycle: new HotspotLifecycle(db), writes };
+}
+
+test('an unchanged hotspot is not rewritten between snapshots', () => {
+  const { lifecycle, writes } = setup();
+  lifecycle.update([HOTSPOT], START);
+  assert.ok(writes.length);
+
+  writes.length = 0;
+  lifecycle.update([HOTSPOT], START + MINUTE);
+  lifecycle.update([HOTSPOT], START + 2 * MINUTE);
+  assert.deepEqual(writes, []);
+
+  // Once the snapshot interval has passed, a snapshot and lastSeenAt are written
+  lifecycle.update([HOTSPOT], START + 5 * MINUTE);
+  assert.deepEqual(writes.map(w => `${w.op} ${w.collection}`), ['insert hotspotSnapshots', 'update hotspotLifecycle']);
+  assert.equal(writes[1].record.lastSeenAt, new Date(START + 5 * MINUTE).toISOString());
+});
+
+test('a change in score or severity updates the record straight away', () => {
+  const { db, lifecycle, writes } = setup();
+  lifecycle.update([HOTSPOT], START);
+
+  writes.length = 0;
+  lifecycle.update([{ ...HOTSPOT, score: 7 }], START + MINUTE);
+  assert.deepEqual(writes.map(w => `${w.op} ${w.collection}`), ['update hotspotLifecycle']);
+  assert.equal(db.hotspotLifecycle.findById('hs-1').peakScore, 7);
+
+  lifecycle.update([{ ...HOTSPOT, score: 7, severity: 'high' }], START + 2 * MINUTE);
+  const record = db.hotspotLifecycle.findById('hs-1');
+  assert.equal(record.peakSeverity, 'high');
+  assert.equal(record.lastSeenAt, new Date(START + 2 * MINUTE).toISOString());
+  assert.equal(lifecycle.events({ type: 'severity_escalated' }).length, 1);
+});
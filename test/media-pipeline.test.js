@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { MediaPipeline } = require('../media-pipeline.js');
+
+function box(type, ...children) {
+  const payload = Buffer.concat(children.map(child => (typeof child === 'string' ? Buffer.from(child, 'latin1') : child)));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+// A movie with GPS in the movie and track user data, and in a QuickTime meta box
+const VIDEO = Buffer.concat([
+  box('ftyp', 'isom\0\0\0\0isomavc1'),
+  box('moov',
+    box('mvhd', Buffer.alloc(100)),
+    box('udta', box('\xa9xyz', '+19.0760+072.8777/')),
+    box('trak',
+      box('tkhd', Buffer.alloc(84)),
+      box('udta', box('loci', 'Juhu Beach +19.0988+072.8267')),
+      box('mdia', box('mdhd', Buffer.alloc(24)))),
+    box('meta', box('keys', 'com.apple.quicktime.location.ISO6709'), box('ilst', '+19.0760+072.8777+000.000/'))),
+  box('mdat', 'frame-data')
+]);
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const db = createRepositories(new MemoryStore().open());
+  const pipeline = new MediaPipeline(db, { dir });
+  const upload = (name, contents) => {
+    fs.mkdirSync(pipeline.incomingDir, { recursive: true });
+    const file = path.join(pipeline.incomingDir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+  return { dir, pipeline, upload };
+}
+
+test('stores uploads under the module directory by default', () => {
+  const pipeline = new MediaPipeline(createRepositories(new MemoryStore().open()));
+  assert.equal(pipeline.dir, path.join(__dirname, '..', 'uploads'));
+});
+
+test('blanks location and other metadata in uploaded videos', async t => {
+  const { pipeline, upload } = setup(t);
+
+  const { media, error } = await pipeline.process(upload('clip.mp4', VIDEO), { mimeType: 'video/mp4' });
+  assert.equal(error, undefined);
+
+  const stored = fs.readFileSync(pipeline.filePath(media.fileName));
+  const text = stored.toString('latin1');
+  assert.equal(stored.length, VIDEO.length);
+  assert.doesNotMatch(text, /\+19\.|Juhu|quicktime\.location/);
+  assert.doesNotMatch(text, /udta|meta|\xa9xyz|loci/);
+  // Everything else keeps its place, so the sample offsets still point at the frames
+  for (const kept of ['ftyp', 'moov', 'mvhd', 'trak', 'tkhd', 'mdhd', 'frame-data']) {
+    assert.equal(text.indexOf(kept), VIDEO.toString('latin1').indexOf(kept), kept);
+  }
+});
+
+test('rejects videos whose boxes do not add up', async t => {
+  const { dir, pipeline, upload } = setup(t);
+  const truncated = VIDEO.subarray(0, VIDEO.length - 4);
+
+  t.mock.method(console, 'error', () => {});
+  const result = await pipeline.process(upload('clip.mp4', truncated), { mimeType: 'video/mp4' });
+  assert.equal(result.status, 415);
+  assert.deepEqual(fs.readdirSync(dir).filter(name => !name.startsWith('.')), []);
+});
+
+test('rejects WebM, whose metadata cannot be stripped', async t => {
+  const { pipeline, upload } = setup(t);
+  const webm = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01]);
+
+  const result = await pipeline.process(upload('clip.webm', webm), { mimeType: 'video/webm' });
+  assert.equal(result.status, 415);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NLPEngine } = require('../nlp-engine.js');
+const corpus = require('../nlp-corpus.json');
+const heldOut = require('../nlp-heldout.json');
+
+const engine = new NLPEngine();
+
+test('reads negated romanised Hindi as Hindi with no hazard', () => {
+  const analysis = engine.analyzeText('baadh nahi hai');
+
+  assert.equal(analysis.language, 'hi');
+  assert.equal(analysis.transliterated, true);
+  assert.deepEqual(analysis.hazardTypes, []);
+  assert.deepEqual(analysis.negated, [{ term: 'baadh', type: 'flood' }]);
+});
+
+test('tells romanised Tamil and Bengali from English by their function words', () => {
+  assert.equal(engine.analyzeText('vellam illai, saalai nalla irukku').language, 'ta');
+  assert.equal(engine.analyzeText('bonna hoyni, sobai nirapod').language, 'bn');
+  assert.equal(engine.analyzeText('No flooding in our area, roads are clear').language, 'en');
+  assert.equal(engine.analyzeText('Waterfront promenade reopened').language, 'en');
+});
+
+test('negation keeps its scope across languages', () => {
+  assert.deepEqual(engine.analyzeText('yahan koi toofan nahi hai, lekin baarish tez hai').negated, [{ term: 'toofan', type: 'storm' }]);
+  assert.deepEqual(engine.analyzeText('There is no flood here but a storm is approaching').hazardTypes, ['storm']);
+  assert.deepEqual(engine.analyzeText('நிலநடுக்கம் இல்லை, வதந்தி நம்ப வேண்டாம்').hazardTypes, []);
+});
+
+test('held-out samples share no text with the corpus the lexicons were written for', () => {
+  const seen = new Set(corpus.map(sample => sample.text.toLowerCase()));
+  assert.deepEqual(heldOut.filter(sample => seen.has(sample.text.toLowerCase())), []);
+});
+
+// Floors a little under the current scores (F1 0.84, language 1.0), so a
+// lexicon change that loses accuracy on unseen text fails here
+test('classifies held-out samples', () => {
+  const result = engine.evaluate(heldOut);
+
+  assert.ok(result.f1 >= 0.8, `held-out F1 ${result.f1}`);
+  assert.ok(result.precision >= 0.85, `held-out precision ${result.precision}`);
+  assert.ok(result.languageAccuracy >= 0.95, `held-out language accuracy ${result.languageAccuracy}`);
+});
+
+test('still classifies the development corpus', () => {
+  const result = engine.evaluate(corpus);
+  assert.ok(result.f1 >= 0.95, `corpus F1 ${result.f1}`);
+  assert.equal(result.languageAccuracy, 1);
+});
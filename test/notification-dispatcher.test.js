@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { NotificationDispatcher, MemoryChannel, WebhookChannel, validateWebhookUrl, isPublicAddress } = require('../notification-dispatcher.js');
+
+const OFFICIAL = { id: 'o1', role: 'official', email: 'o@example.org' };
+const CITIZEN = { id: 'c1', role: 'citizen', email: 'c@example.org' };
+
+function setup(channels = [new MemoryChannel('email')], options = {}) {
+  const db = createRepositories(new MemoryStore().open());
+  db.users.insert(OFFICIAL);
+  db.users.insert(CITIZEN);
+  return { db, dispatcher: new NotificationDispatcher(db, { channels, ...options }) };
+}
+
+const WARNING = { id: 'w1', severity: 'critical', hazardType: 'flood', message: 'Flood', location: { lat: 13, lng: 80 }, timestamp: new Date().toISOString() };
+
+test('webhook URLs must be https on a public host', () => {
+  for (const url of ['http://hooks.example.org/x', 'https://127.0.0.1/x', 'https://10.1.2.3/x', 'https://169.254.169.254/latest',
+    'https://[::1]/x', 'https://[fd00::1]/x', 'https://localhost/x', 'https://metadata.internal/x', 'https://user:pw@hooks.example.org/', 'not a url']) {
+    assert.ok(validateWebhookUrl(url), url);
+  }
+  assert.equal(validateWebhookUrl('https://hooks.example.org/warnings'), null);
+  assert.equal(isPublicAddress('::ffff:192.168.1.1'), false);
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+});
+
+test('only staff can set a webhook', () => {
+  const { dispatcher } = setup();
+  assert.equal(dispatcher.setPreferences(CITIZEN, { webhookUrl: 'https://hooks.example.org/x' }).status, 403);
+  assert.equal(dispatcher.setPreferences(OFFICIAL, { webhookUrl: 'https://192.168.0.10/x' }).status, 400);
+  const { preferences } = dispatcher.setPreferences(OFFICIAL, { webhookUrl: 'https://hooks.example.org/x', channels: ['webhook'] });
+  assert.equal(preferences.webhookUrl, 'https://hooks.example.org/x');
+});
+
+test('a webhook host that resolves to a private address is refused at send time', async () => {
+  const channel = new WebhookChannel();
+  await assert.rejects(channel.send('https://localhost/x', { deliveryId: 'd1', warning: WARNING }));
+  await assert.rejects(channel.send('https://127.0.0.1/x', { deliveryId: 'd1', warning: WARNING }));
+  assert.equal(channel.addressFor(CITIZEN, { webhookUrl: 'https://hooks.example.org/x' }), null);
+});
+
+test('failed deliveries are retried with backoff and give up after maxAttempts', async () => {
+  const channel = new MemoryChannel('email', { fail: 5 });
+  const { db, dispatcher } = setup([channel], { maxAttempts: 3, baseRetryDelay: 1000 });
+  dispatcher.setPreferences(OFFICIAL, { channels: ['email'], minSeverity: 'low' });
+
+  const [delivery] = await dispatcher.dispatch(WARNING);
+  let stored = db.notificationDeliveries.findById(delivery.id);
+  assert.equal(stored.status, 'retrying');
+  assert.equal(new Date(stored.nextAttemptAt) - Date.now() <= 1000, true);
+
+  await dispatcher.tick(Date.now() + 1000);
+  stored = db.notificationDeliveries.findById(delivery.id);
+  assert.equal(stored.attempts, 2);
+  await dispatcher.tick(Date.now() + 10000);
+  stored = db.notificationDeliveries.findById(delivery.id);
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, 3);
+});
+
+test('overlapping ticks send a due delivery once', async () => {
+  const channel = new MemoryChannel('email', { fail: 1 });
+  const { dispatcher } = setup([channel], { baseRetryDelay: 0 });
+  dispatcher.setPreferences(OFFICIAL, { channels: ['email'], minSeverity: 'low' });
+  await dispatcher.dispatch(WARNING);
+
+  await Promise.all([dispatcher.tick(), dispatcher.tick(), dispatcher.tick()]);
+  assert.equal(channel.sent.length, 1);
+});
+
+test('unacknowledged critical warnings escalate to responders and officials', async () => {
+  const { db, dispatcher } = setup([new MemoryChannel('in_app')]);
+  db.users.insert({ id: 'r1', role: 'responder' });
+  const issued = Date.now() - 11 * 60000;
+  await dispatcher.dispatch({ ...WARNING, timestamp: new Date(issued).toISOString() });
+
+  await dispatcher.tick();
+  assert.equal(db.warnings.findById('w1').escalationLevel, 1);
+  const escalated = db.notificationDeliveries.filter(d => d.escalationLevel === 1);
+  assert.deepEqual(escalated.map(d => d.userId), ['r1']);
+
+  dispatcher.acknowledge('w1', OFFICIAL);
+  await dispatcher.tick(issued + 30 * 60000);
+  assert.equal(db.warnings.findById('w1').escalationLevel, 1);
+});
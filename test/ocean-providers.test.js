@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OceanDataService, OceanDataProvider } = require('../ocean-providers.js');
+const OceanMonitorAPI = require('../ocean-api.js');
+
+class CountingProvider extends OceanDataProvider {
+  constructor() {
+    super('counting', ['weather', 'marine', 'tide', 'earthquake', 'cyclone'], { rateLimit: null });
+    this.calls = 0;
+  }
+
+  async fetch(kind, query) {
+    this.calls++;
+    return [{ kind, observedAt: '2026-10-17T06:00:00.000Z', forecast: false, location: query, metrics: {} }];
+  }
+}
+
+test('keeps only the most recently used cache entries', async () => {
+  const provider = new CountingProvider();
+  const service = new OceanDataService({ providers: [provider], maxCacheEntries: 2 });
+  const at = lat => ({ lat, lng: 80 });
+
+  await service.get('weather', at(10));
+  await service.get('weather', at(11));
+  await service.get('weather', at(10)); // cached, and now the most recent
+  await service.get('weather', at(12)); // evicts 11
+  assert.equal(service.cache.size, 2);
+  assert.equal(provider.calls, 3);
+
+  assert.equal((await service.get('weather', at(10))).cached, true);
+  assert.equal((await service.get('weather', at(11))).cached, false);
+  assert.equal(provider.calls, 4);
+});
+
+test('initializes once however often it is asked', async t => {
+  const provider = new CountingProvider();
+  const ocean = new OceanMonitorAPI({ data: new OceanDataService({ providers: [provider] }), points: [{ name: 'Chennai', lat: 13.08, lng: 80.27 }] });
+  t.after(() => clearInterval(ocean.monitoringTimer));
+
+  const [first, second] = await Promise.all([ocean.initialize(), ocean.initialize()]);
+  const third = await ocean.initialize();
+
+  assert.equal(first, second);
+  assert.equal(first, third);
+  assert.equal(provider.calls, 5); // weather, marine and tide for the point, earthquakes, cyclones
+});
+
+test('retries initialization after a failed start', async t => {
+  const ocean = new OceanMonitorAPI();
+  t.after(() => clearInterval(ocean.monitoringTimer));
+  let attempts = 0;
+  t.mock.method(ocean, 'loadSensorData', async () => {
+    if (++attempts === 1) throw new Error('registry unavailable');
+  });
+
+  await assert.rejects(ocean.initialize(), /registry unavailable/);
+  assert.equal((await ocean.initialize()).status, 'initialized');
+  assert.equal(attempts, 2);
+});
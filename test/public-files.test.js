@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'public-files-'));
+process.env.DATA_DIR = dataDir;
+process.env.OCEAN_DATA_MODE = 'fixtures';
+
+let app;
+let server;
+let base;
+
+before(async () => {
+  app = require('../enhanced-server.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  app.store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('serves pages and browser scripts', async () => {
+  for (const file of ['/home.html', '/offline-sync.js', '/auth-client.js', '/live-client.js', '/discussion-client.js', '/i18n-client.js']) {
+    const response = await fetch(base + file);
+    assert.equal(response.status, 200, file);
+  }
+});
+
+test('never serves the database, uploads or server code', async () => {
+  // The repo's own data directory, which a default DATA_DIR would use
+  for (const file of ['/data/db.json', '/data/db.journal', '/data/timeseries/x.jsonl', '/uploads/x.jpg',
+    '/enhanced-server.js', '/package.json', '/requests.jsonl', '/locales/en.json', '/.gitignore']) {
+    const response = await fetch(base + file);
+    assert.equal(response.status, 404, file);
+  }
+});
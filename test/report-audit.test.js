@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-audit-'));
+process.env.DATA_DIR = dataDir;
+process.env.OCEAN_DATA_MODE = 'fixtures';
+
+let app;
+let server;
+let base;
+const tokens = {};
+
+async function call(method, url, { token, body } = {}) {
+  const response = await fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function signUp(name, role) {
+  const email = `${name}@example.org`;
+  const { body } = await call('POST', '/api/users/register', { body: { email, password: 'secret-123' } });
+  if (role) app.db.users.update(body.user.id, { role });
+  tokens[name] = (await call('POST', '/api/users/login', { body: { email, password: 'secret-123' } })).body.accessToken;
+}
+
+let reportId;
+
+before(async () => {
+  app = require('../enhanced-server.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://localhost:${server.address().port}`;
+
+  await signUp('reporter');
+  await signUp('neighbour');
+  await signUp('official', 'official');
+  const created = await call('POST', '/api/reports', {
+    token: tokens.reporter,
+    body: { title: 'Flooded road', type: 'flood', severity: 'high', description: 'Water over the road', latitude: 19.07, longitude: 72.87 }
+  });
+  reportId = created.body.report.id;
+  await call('PATCH', `/api/reports/${reportId}/status`, { token: tokens.official, body: { status: 'triaged', reason: 'Checked with the ward office' } });
+});
+
+after(() => {
+  server.close();
+  app.store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('officials and the reporter can read the audit trail', async () => {
+  for (const name of ['official', 'reporter']) {
+    const { status, body } = await call('GET', `/api/reports/${reportId}/audit`, { token: tokens[name] });
+    assert.equal(status, 200, name);
+    assert.ok(body.audit.some(entry => entry.reason === 'Checked with the ward office'), name);
+  }
+});
+
+test('anyone else cannot', async () => {
+  assert.equal((await call('GET', `/api/reports/${reportId}/audit`)).status, 401);
+  assert.equal((await call('GET', `/api/reports/${reportId}/audit`, { token: tokens.neighbour })).status, 403);
+});
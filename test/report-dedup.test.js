@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { DuplicateDetector, textSimilarity } = require('../report-dedup.js');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+const OFFICIAL = { id: 'u-official' };
+
+function report(id, fields = {}) {
+  return {
+    id,
+    type: 'flood',
+    severity: 'high',
+    title: 'Flooded street near the harbour',
+    description: 'Water knee deep on the main road',
+    latitude: 13.0800,
+    longitude: 80.2700,
+    timestamp: new Date(NOW - 30 * 60 * 1000).toISOString(),
+    ...fields
+  };
+}
+
+function setup(reports) {
+  const db = createRepositories(new MemoryStore().open());
+  reports.forEach(r => db.reports.insert(r));
+  return { db, detector: new DuplicateDetector(db) };
+}
+
+test('textSimilarity compares word sets and ignores short words', () => {
+  assert.equal(textSimilarity('Flooded street', 'street flooded'), 1);
+  assert.equal(textSimilarity('Flooded street', 'Fallen tree'), 0);
+  assert.equal(textSimilarity('a an to', 'a an to'), 0);
+  assert.equal(textSimilarity('flooded main street', 'flooded side street'), 0.5);
+});
+
+test('scores weigh distance, time, type and text', () => {
+  const { detector } = setup([]);
+  const same = detector.score(report(2), report(1));
+  assert.equal(same.score, 1);
+  assert.deepEqual(same.reasons, ['0 m apart', 'same type (flood)', 'similar text (100%)']);
+
+  // About 550 m away, 12 hours apart: location and time count for about half
+  const apart = detector.score(report(2, { latitude: 13.0850, timestamp: new Date(NOW - 12.5 * 3600000).toISOString() }), report(1));
+  assert.equal(apart.score, 0.73);
+
+  // Beyond the radius and of another type, only time and text are left
+  const far = detector.score(report(2, { latitude: 13.2, type: 'tsunami' }), report(1));
+  assert.equal(far.score, 0.45);
+  assert.deepEqual(far.reasons, ['similar text (100%)']);
+
+  // The same media file wins regardless of the rest
+  const media = detector.score(report(2, { latitude: 14, type: 'storm', title: 'x', description: '', mediaHashes: ['abc'] }), report(1, { mediaHashes: ['abc', 'def'] }));
+  assert.equal(media.score, 0.95);
+  assert.ok(media.reasons.includes('identical media'));
+});
+
+test('findDuplicates ranks recent unmerged matches and flags likely ones', () => {
+  const { db, detector } = setup([
+    report(1),
+    report(2, { latitude: 13.0830, title: 'Street flooded', description: '' }),
+    report(3, { latitude: 13.5, type: 'storm', title: 'High winds', description: '' }),
+    report(4, { timestamp: new Date(NOW - 30 * 3600000).toISOString() }),
+    report(5, { mergedInto: 1 })
+  ]);
+  const candidate = report(10);
+
+  const duplicates = detector.findDuplicates(candidate, NOW);
+  assert.deepEqual(duplicates.map(d => d.reportId), [1, 2]);
+  assert.deepEqual(duplicates.map(d => [d.score, d.likely]), [[1, true], [0.64, false]]);
+
+  db.reports.insert(candidate);
+  const { report: flagged } = detector.flag(candidate, NOW);
+  assert.deepEqual(flagged.possibleDuplicates.map(d => d.reportId), [1, 2]);
+});
+
+test('merge links sub-reports and unmerge restores them', () => {
+  const { db, detector } = setup([
+    report(1, { peopleAffected: '10', possibleDuplicates: [{ reportId: 2, score: 0.9, likely: true }] }),
+    report(2, { peopleAffected: '25' }),
+    report(3, { peopleAffected: '5' })
+  ]);
+
+  const merged = detector.merge(1, [2, 3], OFFICIAL, 'Same flood');
+  assert.deepEqual(merged.report.linkedReports, [2, 3]);
+  assert.deepEqual(merged.report.possibleDuplicates, []);
+  assert.equal(merged.report.incidentPeopleAffected, 25);
+  assert.deepEqual(merged.merged.map(r => [r.id, r.mergedInto, r.mergedBy]), [[2, 1, 'u-official'], [3, 1, 'u-official']]);
+
+  // Merged reports are no longer duplicate candidates
+  assert.deepEqual(detector.findDuplicates(report(10), NOW).map(d => d.reportId), [1]);
+
+  const unmerged = detector.unmerge(1, 2);
+  assert.deepEqual(unmerged.report.linkedReports, [3]);
+  assert.equal(unmerged.report.incidentPeopleAffected, 10);
+  assert.equal(unmerged.restored.mergedInto, null);
+  assert.equal(db.reports.findById(2).peopleAffected, '25');
+
+  detector.unmerge(1, 3);
+  const canonical = db.reports.findById(1);
+  assert.deepEqual(canonical.linkedReports, []);
+  assert.equal(canonical.incidentPeopleAffected, null);
+  assert.deepEqual(detector.findDuplicates(report(10), NOW).map(d => d.reportId).sort(), [1, 2, 3]);
+});
+
+test('merging an incident brings its linked reports along', () => {
+  const { db, detector } = setup([report(1), report(2), report(3), report(4)]);
+  detector.merge(2, [3], OFFICIAL);
+
+  const { report: incident } = detector.merge(1, [2], OFFICIAL);
+  assert.deepEqual(incident.linkedReports, [2, 3]);
+  assert.equal(db.reports.findById(3).mergedInto, 1);
+  assert.deepEqual(db.reports.findById(2).linkedReports, []);
+});
+
+test('merge and unmerge reject invalid requests', () => {
+  const { detector } = setup([report(1), report(2), report(3, { mergedInto: 2 })]);
+  assert.equal(detector.merge(99, [2], OFFICIAL).status, 404);
+  assert.equal(detector.merge(1, [], OFFICIAL).status, 400);
+  assert.equal(detector.merge(1, [1], OFFICIAL).status, 400);
+  assert.equal(detector.merge(1, [99], OFFICIAL).status, 404);
+  assert.equal(detector.merge(1, [3], OFFICIAL).status, 409);
+  assert.equal(detector.merge(3, [1], OFFICIAL).status, 409);
+  assert.equal(detector.unmerge(1, 2).status, 400);
+  assert.equal(detector.unmerge(1, 99).status, 404);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { DiscussionService } = require('../report-discussion.js');
+
+const ALICE = { id: 'u1', role: 'citizen' };
+const BOB = { id: 'u2', role: 'citizen' };
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  db.reports.insert({ id: 1, title: 'Flooded road' });
+  return { db, discussion: new DiscussionService(db) };
+}
+
+test('setting a reaction twice keeps it; only null clears it', () => {
+  const { discussion } = setup();
+  assert.deepEqual(discussion.react(1, ALICE, 'like').reactions, { like: 1, dislike: 0, mine: 'like' });
+  assert.deepEqual(discussion.react(1, ALICE, 'like').reactions, { like: 1, dislike: 0, mine: 'like' });
+
+  discussion.react(1, BOB, 'like');
+  assert.deepEqual(discussion.react(1, ALICE, 'dislike').reactions, { like: 1, dislike: 1, mine: 'dislike' });
+
+  assert.deepEqual(discussion.react(1, ALICE, null).reactions, { like: 1, dislike: 0, mine: null });
+  assert.deepEqual(discussion.react(1, ALICE, null).reactions, { like: 1, dislike: 0, mine: null });
+});
+
+test('reactions are validated', () => {
+  const { discussion } = setup();
+  assert.equal(discussion.react(99, ALICE, 'like').status, 404);
+  assert.equal(discussion.react(1, ALICE, 'love').status, 400);
+  assert.equal(discussion.react(1, ALICE, 'constructor').status, 400);
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { DuplicateDetector } = require('../report-dedup.js');
+const { ReportWorkflow } = require('../report-workflow.js');
+const { ReportImporter, parseCsvRecords } = require('../report-import.js');
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+const OFFICIAL = { id: 'u-official', role: 'official' };
+
+function setup(reports = []) {
+  const db = createRepositories(new MemoryStore().open());
+  reports.forEach(report => db.reports.insert(report));
+  let id = 100;
+  const importer = new ReportImporter(db, { dedup: new DuplicateDetector(db), workflow: new ReportWorkflow(db), nextId: () => ++id });
+  return { db, importer };
+}
+
+const csv = lines => lines.join('\r\n');
+
+test('CSV records keep quoted commas, quotes and line breaks and skip a BOM', () => {
+  const records = parseCsvRecords('﻿title,description\n"Flood, north","Said ""deep""\nand rising"\n\nStorm,ok');
+  assert.deepEqual(records.map(({ cells }) => cells), [['title', 'description'], ['Flood, north', 'Said "deep"\nand rising'], ['Storm', 'ok']]);
+  // Line numbers count the line break inside the quoted cell; blank lines are dropped
+  assert.deepEqual(records.map(({ line }) => line), [1, 2, 5]);
+});
+
+test('CSV columns are found through the mapping, then the aliases', () => {
+  const { db, importer } = setup();
+  const result = importer.run(csv([
+    'Incident,HAZARD,Lat,lon,Date,Affected,Location,Title',
+    'Flooded road,flood,13.08,80.27,2025-05-30T08:00:00Z,40,Marina,Ignored'
+  ]), { format: 'csv', source: 'District archive', mapping: { title: 'Incident' }, defaults: { severity: 'high' } }, OFFICIAL, NOW);
+
+  assert.equal(result.imported, 1);
+  const report = db.reports.findById(result.rows[0].reportId);
+  assert.deepEqual(
+    [report.title, report.type, report.severity, report.latitude, report.longitude, report.timestamp, report.peopleAffected, report.address, report.status],
+    ['Flooded road', 'flood', 'high', 13.08, 80.27, '2025-05-30T08:00:00.000Z', 40, 'Marina', 'submitted']
+  );
+  assert.deepEqual(report.source, { type: 'import', name: 'District archive', format: 'csv', externalId: null, importId: result.id });
+  assert.deepEqual([report.reporterId, report.reporterRole, report.importedBy], [null, 'import', 'u-official']);
+});
+
+test('each row is validated on its own', () => {
+  const { importer } = setup();
+  const result = importer.run(csv([
+    'title,type,severity,latitude,longitude,timestamp,peopleAffected',
+    'Flooded road,flood,high,13.08,80.27,2025-05-30T08:00:00Z,',
+    ',flood,extreme,95,80.27,2025-05-30T08:00:00Z,',
+    'Storm,storm,low,13.08,north,2030-01-01T00:00:00Z,-3',
+    'Waves,high_waves,,13.08,80.27,yesterday,2.5'
+  ]), { format: 'csv', source: 'Archive', dryRun: true }, OFFICIAL, NOW);
+
+  assert.deepEqual(result.rows.map(row => row.status), ['valid', 'invalid', 'invalid', 'invalid']);
+  assert.deepEqual(result.rows[1].errors, ['title is required', 'severity must be one of: low, medium, high, critical', 'latitude must be a number from -90 to 90']);
+  assert.deepEqual(result.rows[2].errors, ['longitude must be a number from -180 to 180', 'timestamp is in the future', 'peopleAffected must be a whole number']);
+  assert.deepEqual(result.rows[3].errors, ['timestamp is missing or not a date', 'peopleAffected must be a whole number']);
+  assert.deepEqual([result.total, result.valid, result.invalid], [4, 1, 3]);
+});
+
+test('GeoJSON features are placed at their point or the mean of their ring', () => {
+  const { db, importer } = setup();
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', id: 'us7000abcd', geometry: { type: 'Point', coordinates: [80.27, 13.08, 10] }, properties: { mag: 6.2, place: 'Off the coast', time: NOW - 3600000, title: 'M 6.2 - Off the coast' } },
+      { type: 'Feature', id: 'us7000efgh', geometry: { type: 'Polygon', coordinates: [[[80, 13], [81, 13], [81, 14], [80, 14]]] }, properties: { mag: 4.5, place: 'Bay', time: NOW - 7200000, title: 'M 4.5 - Bay' } }
+    ]
+  };
+  const result = importer.run(JSON.stringify(geojson), { preset: 'usgs' }, OFFICIAL, NOW);
+
+  const [first, second] = result.rows.map(row => db.reports.findById(row.reportId));
+  assert.deepEqual([first.latitude, first.longitude, first.type, first.severity], [13.08, 80.27, 'earthquake', 'critical']);
+  assert.equal(first.timestamp, new Date(NOW - 3600000).toISOString());
+  assert.equal(first.source.externalId, 'us7000abcd');
+  assert.deepEqual([second.latitude, second.longitude, second.severity], [13.5, 80.5, 'high']);
+
+  assert.equal(importer.run('{"type":"Point"}', { format: 'geojson', source: 'x' }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('not json', { format: 'geojson', source: 'x' }, OFFICIAL, NOW).status, 400);
+});
+
+test('CAP alerts give one row per info block', () => {
+  const { db, importer } = setup();
+  const cap = `<?xml version="1.0"?>
+<cap:alert xmlns:cap="urn:oasis:names:tc:emergency:cap:1.2">
+  <cap:identifier>IMD-2025-17</cap:identifier><cap:sender>imd.gov.in</cap:sender><cap:sent>2025-05-31T06:00:00+05:30</cap:sent>
+  <cap:info><cap:language>en</cap:language><cap:event>Cyclone</cap:event><cap:severity>Extreme</cap:severity>
+    <cap:headline>Cyclone warning &amp; evacuation</cap:headline>
+    <cap:area><cap:areaDesc>Chennai coast</cap:areaDesc><cap:circle>13.08,80.27 50</cap:circle></cap:area></cap:info>
+  <cap:info><cap:language>ta</cap:language><cap:event>Cyclone</cap:event><cap:severity>Severe</cap:severity>
+    <cap:headline><![CDATA[புயல் எச்சரிக்கை]]></cap:headline>
+    <cap:area><cap:areaDesc>Chennai</cap:areaDesc><cap:polygon>13,80 13,81 14,81 14,80</cap:polygon></cap:area></cap:info>
+</cap:alert>`;
+  const result = importer.run(cap, { format: 'cap', source: 'IMD' }, OFFICIAL, NOW);
+
+  const [english, tamil] = result.rows.map(row => db.reports.findById(row.reportId));
+  assert.deepEqual([english.title, english.type, english.severity, english.address], ['Cyclone warning & evacuation', 'cyclone', 'critical', 'Chennai coast']);
+  assert.deepEqual([english.latitude, english.longitude, english.timestamp], [13.08, 80.27, '2025-05-31T00:30:00.000Z']);
+  assert.equal(english.source.externalId, 'IMD-2025-17#1');
+  assert.deepEqual([tamil.title, tamil.severity, tamil.latitude, tamil.longitude], ['புயல் எச்சரிக்கை', 'high', 13.5, 80.5]);
+  assert.equal(tamil.source.externalId, 'IMD-2025-17#2');
+
+  assert.equal(importer.run('<feed/>', { format: 'cap', source: 'IMD' }, OFFICIAL, NOW).status, 400);
+});
+
+test('duplicates are found by external id and by report similarity', () => {
+  const { db, importer } = setup([
+    { id: 1, title: 'Flooded road near the harbour', type: 'flood', severity: 'high', latitude: 13.08, longitude: 80.27, timestamp: '2025-05-30T08:00:00.000Z' },
+    { id: 2, title: 'Old import', type: 'storm', latitude: 10, longitude: 76, timestamp: '2025-01-01T00:00:00.000Z', source: { type: 'import', name: 'Archive', externalId: 'A-7' } }
+  ]);
+  const file = csv([
+    'id,title,type,latitude,longitude,timestamp',
+    'A-1,Flooded road near the harbour,flood,13.0805,80.2702,2025-05-30T09:00:00Z',
+    'A-7,Storm damage,storm,11,77,2025-05-01T00:00:00Z',
+    'A-2,Landslide on the ghat road,landslide,11.4,76.7,2025-05-20T00:00:00Z',
+    'A-2,Landslide again,landslide,12,77,2025-05-21T00:00:00Z',
+    'A-3,Landslide on the ghat road,landslide,11.4001,76.7001,2025-05-20T02:00:00Z',
+    'A-4,Landslide on the ghat road,landslide,11.4,76.7,2025-05-10T00:00:00Z'
+  ]);
+
+  const dryRun = importer.run(file, { format: 'csv', source: 'Archive', dryRun: true }, OFFICIAL, NOW);
+  assert.deepEqual(dryRun.rows.map(row => row.status), ['duplicate', 'duplicate', 'valid', 'duplicate', 'duplicate', 'valid']);
+  assert.equal(dryRun.rows[0].duplicateOf, 1);
+  assert.equal(dryRun.rows[1].duplicateOf, 2);
+  assert.match(dryRun.rows[3].reason, /appears earlier in the file/);
+  assert.equal(dryRun.rows[4].duplicateOfRow, 4);
+  assert.equal(db.reports.count(), 2);
+
+  const imported = importer.run(file, { format: 'csv', source: 'Archive' }, OFFICIAL, NOW);
+  assert.equal(imported.imported, 2);
+  assert.equal(db.reports.count(), 4);
+  assert.equal(db.imports.findById(imported.id).rows.length, 4);
+
+  // Importing the same file again finds every row already there
+  const again = importer.run(file, { format: 'csv', source: 'Archive', dryRun: true }, OFFICIAL, NOW);
+  assert.deepEqual(again.rows.map(row => row.status), Array(6).fill('duplicate'));
+});
+
+test('imports are validated before any row is read', () => {
+  const { importer } = setup();
+  assert.equal(importer.run('title\nx', { format: 'xlsx', source: 'x' }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('title\nx', { format: 'csv' }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('title\nx', { preset: 'constructor', source: 'x' }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('title\nx', { format: 'csv', source: 'x', mapping: { reporterId: 'title' } }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('title\nx', { format: 'csv', source: 'x', mapping: { constructor: 'title' } }, OFFICIAL, NOW).status, 400);
+  assert.equal(importer.run('title', { format: 'csv', source: 'x' }, OFFICIAL, NOW).status, 400);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-privacy-'));
+process.env.DATA_DIR = dataDir;
+process.env.OCEAN_DATA_MODE = 'fixtures';
+
+let app;
+let server;
+let base;
+const tokens = {};
+
+async function call(method, url, { token, body, headers = {} } = {}) {
+  const response = await fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function signUp(name, role) {
+  const email = `${name}@example.org`;
+  const { body } = await call('POST', '/api/users/register', { body: { email, password: 'secret-123' } });
+  if (role) app.db.users.update(body.user.id, { role });
+  tokens[name] = (await call('POST', '/api/users/login', { body: { email, password: 'secret-123' } })).body.accessToken;
+}
+
+const PRIVATE = ['reporterId', 'contact', 'clientKey', 'proposedEdits', 'importedBy'];
+let reportId;
+
+before(async () => {
+  app = require('../enhanced-server.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://localhost:${server.address().port}`;
+
+  await signUp('reporter');
+  await signUp('neighbour');
+  await signUp('official', 'official');
+  const created = await call('POST', '/api/reports', {
+    token: tokens.reporter,
+    headers: { 'Idempotency-Key': 'outbox-1' },
+    body: { title: 'Flooded road', type: 'flood', severity: 'high', latitude: 19.07, longitude: 72.87, contact: '+91 98200 00000' }
+  });
+  reportId = created.body.report.id;
+  await call('PATCH', `/api/reports/${reportId}/status`, { token: tokens.official, body: { status: 'triaged', reason: 'Checked' } });
+});
+
+after(() => {
+  server.close();
+  app.store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('live report events carry only public fields', () => {
+  const events = app.live.history.filter(event => event.topic === 'reports' && event.data.report);
+  assert.deepEqual(events.map(event => event.data.action), ['created', 'status_changed']);
+  events.forEach(event => PRIVATE.forEach(field => assert.equal(field in event.data.report, false, `${event.data.action} ${field}`)));
+  assert.equal(events[0].data.report.title, 'Flooded road');
+});
+
+test('report lists leave out private fields', async () => {
+  const { body } = await call('GET', '/api/reports', { token: tokens.official });
+  const listed = body.reports.find(report => report.id === reportId);
+  PRIVATE.forEach(field => assert.equal(field in listed, false, field));
+});
+
+test('a single report is complete only for officials and its reporter', async () => {
+  for (const name of ['official', 'reporter']) {
+    const { body } = await call('GET', `/api/reports/${reportId}`, { token: tokens[name] });
+    assert.equal(body.report.contact, '+91 98200 00000', name);
+    assert.ok(body.report.reporterId, name);
+  }
+  for (const token of [tokens.neighbour, undefined]) {
+    const { body } = await call('GET', `/api/reports/${reportId}`, { token });
+    PRIVATE.forEach(field => assert.equal(field in body.report, false, field));
+  }
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { SyncService } = require('../report-sync.js');
+
+const DEVICE_A = 'device-a-0000-0000-0000';
+const DEVICE_B = 'device-b-0000-0000-0000';
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  const sync = new SyncService(db, {
+    createReport: (data, user, media, clientKey) => ({
+      report: db.reports.insert({ id: db.reports.count() + 1, ...data, reporterId: user ? user.id : null, status: 'submitted', clientKey }),
+      duplicates: []
+    }),
+    uploads: { resolve: () => ({ media: [] }) }
+  });
+  return { db, sync };
+}
+
+const create = (clientId, report = { title: 'Flooded road', type: 'flood', severity: 'high' }) => ({ clientId, op: 'create', report });
+const update = (clientId, report) => ({ clientId, op: 'update', report, base: {} });
+
+test('anonymous reports can only be edited from the device that sent them', () => {
+  const { sync } = setup();
+  sync.processBatch([create('c1')], null, DEVICE_A);
+
+  const [fromOtherDevice] = sync.processBatch([update('c1', { title: 'Defaced' })], null, DEVICE_B).results;
+  assert.equal(fromOtherDevice.status, 'error');
+  const [withoutToken] = sync.processBatch([update('c1', { title: 'Defaced' })], null).results;
+  assert.equal(withoutToken.status, 'error');
+
+  const [fromSameDevice] = sync.processBatch([update('c1', { title: 'Flooded road, now closed' })], null, DEVICE_A).results;
+  assert.equal(fromSameDevice.status, 'updated');
+  assert.equal(fromSameDevice.report.title, 'Flooded road, now closed');
+});
+
+test('a reused clientId does not return or edit another reporter\'s report', () => {
+  const { db, sync } = setup();
+  sync.processBatch([create('shared')], { id: 'u1', role: 'citizen' }, DEVICE_A);
+
+  const [other] = sync.processBatch([create('shared')], { id: 'u2', role: 'citizen' }, DEVICE_B).results;
+  assert.equal(other.status, 'created');
+  assert.equal(db.reports.count(), 2);
+
+  const [replay] = sync.processBatch([create('shared')], { id: 'u1', role: 'citizen' }, DEVICE_A).results;
+  assert.equal(replay.status, 'duplicate');
+  assert.equal(replay.reportId, 1);
+});
+
+test('reports never store the clientId', () => {
+  const { db, sync } = setup();
+  sync.processBatch([create('secret-id')], null, DEVICE_A);
+  assert.equal(db.reports.findById(1).clientId, undefined);
+  assert.equal(JSON.stringify(db.reports.all()).includes('secret-id'), false);
+});
+
+test('creates and edits are validated', () => {
+  const { sync } = setup();
+  const [badCreate] = sync.processBatch([create('c1', { title: 'x', severity: 'extreme' })], null, DEVICE_A).results;
+  assert.equal(badCreate.status, 'error');
+  assert.equal(badCreate.retryable, false);
+
+  sync.processBatch([create('c2')], null, DEVICE_A);
+  for (const changes of [{ latitude: 'north' }, { longitude: 500 }, { title: { $gt: '' } }, { peopleAffected: -3 }, { title: 'x'.repeat(201) }]) {
+    const [result] = sync.processBatch([update('c2', changes)], null, DEVICE_A).results;
+    assert.equal(result.status, 'error', JSON.stringify(changes));
+  }
+  const [ok] = sync.processBatch([update('c2', { latitude: '13.05', peopleAffected: '12' })], null, DEVICE_A).results;
+  assert.equal(ok.status, 'updated');
+});
+
+test('media uploads are looked up under the user and the device', () => {
+  const { sync } = setup();
+  let owners;
+  sync.uploads.resolve = (ids, given) => { owners = given; return { media: [] }; };
+
+  sync.processBatch([{ ...create('c1'), mediaUploads: ['up-1'] }], { id: 'u1', role: 'citizen' }, DEVICE_A);
+  assert.equal(owners.length, 2);
+  assert.equal(owners[0], 'user:u1');
+  assert.match(owners[1], /^device:/);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { ReporterCredibility } = require('../reporter-credibility.js');
+
+const T0 = Date.parse('2026-01-10T08:00:00Z');
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  ['alice', 'bob', 'carol'].forEach(id => db.users.insert({ id, role: 'citizen' }));
+  let next = 1;
+  const report = (reporterId, fields = {}) => db.reports.insert({
+    id: next++,
+    type: 'flood',
+    latitude: 19.07,
+    longitude: 72.87,
+    timestamp: new Date(T0).toISOString(),
+    status: 'submitted',
+    verified: false,
+    reporterId,
+    reporterRole: reporterId ? 'citizen' : 'anonymous',
+    ...fields
+  });
+  return { db, report, credibility: new ReporterCredibility(db) };
+}
+
+test('anonymous reports do not corroborate', () => {
+  const { report, credibility } = setup();
+  report('alice');
+  for (let i = 0; i < 5; i++) report(null);
+
+  assert.equal(credibility.forUser('alice').corroborated, 0);
+});
+
+test('another reporter and imported records nearby corroborate', () => {
+  const { report, credibility } = setup();
+  const own = report('alice');
+  report('bob', { latitude: 19.08 }); // about 1 km away
+  report(null, { reporterRole: 'import', timestamp: new Date(T0 + 60 * 60 * 1000).toISOString() });
+  report('carol', { latitude: 19.2 }); // too far
+  report('carol', { type: 'cyclone' });
+
+  const corroborators = credibility.corroborators(own).map(other => other.id).sort();
+  assert.deepEqual(corroborators, [2, 3]);
+  assert.equal(credibility.forUser('alice').corroborated, 1);
+});
+
+test('a new report only invalidates its reporter and those it corroborates', () => {
+  const { report, credibility } = setup();
+  report('alice');
+  report('carol', { latitude: 25, longitude: 80 });
+  credibility.forUser('alice');
+  const carol = credibility.forUser('carol');
+  assert.equal(credibility.forUser('alice').corroborated, 0);
+
+  credibility.invalidateReport(report('bob'));
+
+  // Carol's cached breakdown object survives
+  assert.equal(credibility.forUser('carol'), carol);
+  assert.equal(credibility.forUser('alice').corroborated, 1);
+});
+
+test('a rejection updates the corroborated reporter nearby', () => {
+  const { db, report, credibility } = setup();
+  report('alice');
+  const bobs = report('bob');
+  assert.equal(credibility.forUser('alice').corroborated, 1);
+
+  db.reportAudit.insert({ id: 1, reportId: bobs.id, to: 'rejected' });
+  credibility.invalidateReport(db.reports.update(bobs.id, { status: 'rejected' }));
+
+  assert.equal(credibility.forUser('alice').corroborated, 0);
+  assert.equal(credibility.forUser('bob').rejected, 1);
+});
@@ -0,0 +1,83 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const OceanMonitorAPI = require('../ocean-api.js');
+const { createOceanDataService } = require('../ocean-providers.js');
+const { assessRisk, FACTOR_WEIGHTS } = require('../risk-assessment.js');
+
+// The recordings in fixtures/ocean were taken at this hour
+const NOW = Date.parse('2026-10-17T06:00:00Z');
+const CHENNAI = { lat: 13.08, lng: 80.28 };
+
+let ocean;
+before(async () => {
+  ocean = new OceanMonitorAPI({ data: createOceanDataService({ OCEAN_DATA_MODE: 'fixtures' }) });
+  await ocean.fetchWeatherData();
+});
+
+test('assesses the recorded conditions at Chennai', () => {
+  const risk = ocean.assessRisk(CHENNAI, 24, NOW);
+
+  assert.equal(risk.inputs.forecastPoint, 'Chennai');
+  assert.equal(risk.timeline.length, 24);
+  assert.equal(risk.timeline[0].time, '2026-10-17T06:00:00.000Z');
+  assert.equal(risk.timeline[0].factors.waves.detail, 'Waves 3.4 m (observed at Chennai)');
+  // The 3-hourly forecast starts at 09:00 and covers 08:00 within its tolerance
+  assert.equal(risk.timeline[1].factors.storm, undefined);
+  assert.equal(risk.timeline[2].factors.storm.detail, 'Forecast storm likelihood 57%');
+
+  assert.equal(risk.riskLevel, 'high');
+  assert.deepEqual(risk.peak, { time: '2026-10-17T08:00:00.000Z', risk: 0.99 });
+  assert.deepEqual(risk.drivers.map(driver => driver.factor), ['hazards', 'waves', 'storm', 'wind', 'visibility']);
+  assert.equal(risk.drivers[0].detail, '2 active hazard(s) within 100 km: High winds at Chennai; Dangerous waves at Chennai');
+  assert.match(risk.explanation, /^Risk peaks at high \(99%\) at 2026-10-17T08:00:00.000Z/);
+});
+
+test('gives the same timeline for the same data and time', () => {
+  assert.deepEqual(ocean.assessRisk(CHENNAI, 48, NOW), ocean.assessRisk(CHENNAI, 48, NOW));
+});
+
+test('reports no risk far from every monitoring point and hazard', () => {
+  const risk = ocean.assessRisk({ lat: -30, lng: 60 }, 12, NOW);
+
+  assert.equal(risk.inputs.forecastPoint, null);
+  assert.equal(risk.overallRisk, 0);
+  assert.equal(risk.riskLevel, 'low');
+  assert.deepEqual(risk.drivers, []);
+  assert.match(risk.explanation, /^No forecast/);
+});
+
+test('combines independent factors without exceeding 1', () => {
+  const location = { lat: 10, lng: 70 };
+  const risk = assessRisk({
+    location,
+    hours: 1,
+    now: NOW,
+    hazards: [{ type: 'cyclone', severity: 'critical', location, title: 'Cyclone' }],
+    reports: [{ latitude: 10, longitude: 70, severity: 'high', timestamp: new Date(NOW).toISOString() }]
+  });
+
+  const hazards = FACTOR_WEIGHTS.hazards * 1;
+  const reports = FACTOR_WEIGHTS.reports * 0.8;
+  assert.equal(risk.factors.hazards.contribution, hazards);
+  assert.equal(risk.factors.reports.contribution, reports);
+  assert.equal(risk.overallRisk, Math.round((1 - (1 - hazards) * (1 - reports)) * 100) / 100);
+});
+
+test('citizen reports fade over the horizon and old ones are ignored', () => {
+  const location = { lat: 10, lng: 70 };
+  const report = hoursAgo => ({ latitude: 10, longitude: 70, severity: 'high', timestamp: new Date(NOW - hoursAgo * 3600 * 1000).toISOString() });
+  const risk = assessRisk({ location, hours: 7, now: NOW, reports: [report(0), report(30)] });
+
+  assert.equal(risk.inputs.reports, 1);
+  assert.equal(risk.timeline[0].factors.reports.score, 0.8);
+  assert.equal(risk.timeline[6].factors.reports.score, 0.4);
+});
+
+test('a nearby sensor takes precedence over the monitoring point', () => {
+  const sensors = [{ metric: 'windSpeed', value: 70, sensor: { id: 'buoy-7', location: { lat: 13.1, lng: 80.3 } } }];
+  const risk = assessRisk({ location: CHENNAI, hours: 1, now: NOW, points: ocean.conditionsByPoint, sensors });
+
+  assert.equal(risk.timeline[0].factors.wind.detail, 'Wind 70 km/h (sensor buoy-7)');
+  assert.equal(risk.timeline[0].factors.wind.score, 1);
+  assert.equal(risk.inputs.sensors, 1);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, createRepositories } = require('../data-store.js');
+const { SensorHealth } = require('../sensor-health.js');
+
+const REGISTERED = Date.parse('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+function sensor(fields = {}) {
+  return { id: 's1', type: 'wave_height', reportingInterval: 600, createdAt: new Date(REGISTERED).toISOString(), retiredAt: null, lastReadingAt: null, lastFlags: [], ...fields };
+}
+
+function setup() {
+  const db = createRepositories(new MemoryStore().open());
+  return new SensorHealth(db, { timeseries: {} });
+}
+
+test('a sensor that has never reported is stale only once its intervals have passed since registration', () => {
+  const health = setup();
+  assert.deepEqual(health.issues(sensor(), REGISTERED + MINUTE), []);
+  assert.deepEqual(health.issues(sensor(), REGISTERED + 24 * 60 * MINUTE), ['stale']);
+});
+
+test('a reporting sensor is stale once its intervals have passed since the last reading', () => {
+  const health = setup();
+  const lastReadingAt = new Date(REGISTERED + 60 * MINUTE).toISOString();
+  assert.deepEqual(health.issues(sensor({ lastReadingAt, lastFlags: ['spike'] }), REGISTERED + 61 * MINUTE), ['spike']);
+  assert.deepEqual(health.issues(sensor({ lastReadingAt }), REGISTERED + 24 * 60 * MINUTE), ['stale']);
+  assert.deepEqual(health.issues(sensor({ lastReadingAt, retiredAt: lastReadingAt }), REGISTERED + 24 * 60 * MINUTE), []);
+});